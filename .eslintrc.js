@@ -22,6 +22,25 @@ module.exports = {
     __INIT_STATE__: 'readonly',
     __NEXT_DATA__: 'readonly',
     Fuse: 'readonly',
+    TranslationMatcher: 'readonly',
+    ExportFormats: 'readonly',
+    ExtractionRegistry: 'readonly',
+    KeyTree: 'readonly',
+    CopyTemplates: 'readonly',
+    LocaleFiles: 'readonly',
+    LocaleStore: 'readonly',
+    HostPatterns: 'readonly',
+    TranslationSnapshot: 'readonly',
+    TextDiff: 'readonly',
+    CommandPalette: 'readonly',
+    ElementStrings: 'readonly',
+    DomRoots: 'readonly',
+    PseudoLocale: 'readonly',
+    ChangeSet: 'readonly',
+    TextOverflow: 'readonly',
+    LocaleAudit: 'readonly',
+    PageContext: 'readonly',
+    PageContextService: 'readonly',
     module: 'writable',
     global: 'readonly',
     __dirname: 'readonly'
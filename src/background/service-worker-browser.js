@@ -3,8 +3,64 @@
  * Browser-compatible version without require statements
  */
 
+/* global importScripts */
+// Shared helpers loaded as plain scripts (paths are relative to this file)
+if (typeof importScripts === 'function') {
+  importScripts('../lib/host-patterns.js', '../lib/translation-snapshot.js');
+}
+
+// Content script and its helpers, in manifest content_scripts order, as injected on demand
+// (context menu, shortcut, popup) and on extra hosts
+const CONTENT_SCRIPT_FILES = [
+  'src/lib/translation-matcher.js',
+  'src/lib/copy-templates.js',
+  'src/lib/locale-files.js',
+  'src/lib/locale-store.js',
+  'src/lib/element-strings.js',
+  'src/lib/dom-roots.js',
+  'src/lib/pseudo-locale.js',
+  'src/lib/change-set.js',
+  'src/lib/text-overflow.js',
+  'src/lib/extraction-registry.js',
+  'src/lib/extraction-strategies/nuxt2-state.js',
+  'src/lib/extraction-strategies/nuxt3-payload.js',
+  'src/lib/extraction-strategies/next-data.js',
+  'src/lib/extraction-strategies/vue-i18n.js',
+  'src/lib/extraction-strategies/i18next.js',
+  'src/lib/extraction-strategies/init-state.js',
+  'src/lib/extraction-strategies/storage.js',
+  'src/lib/extraction-strategies/global-scan.js',
+  'src/lib/host-patterns.js',
+  'src/models/PageContext.js',
+  'src/services/PageContextService.js',
+  'src/content/content-script-browser.js'
+];
+
+// Page-world scripts, run here when the page cannot load them as web accessible resources
+const PAGE_SCRIPT_FILES = [
+  'src/lib/extraction-registry.js',
+  'src/lib/extraction-strategies/nuxt2-state.js',
+  'src/lib/extraction-strategies/nuxt3-payload.js',
+  'src/lib/extraction-strategies/next-data.js',
+  'src/lib/extraction-strategies/vue-i18n.js',
+  'src/lib/extraction-strategies/i18next.js',
+  'src/lib/extraction-strategies/init-state.js',
+  'src/lib/extraction-strategies/storage.js',
+  'src/lib/extraction-strategies/global-scan.js',
+  'src/content/page-script.js'
+];
+
+// Dynamically registered content script for hosts added on the options page
+const EXTRA_HOSTS_SCRIPT_ID = 'extra-hosts';
+
+// IndexedDB database holding translation snapshots per origin + locale + content hash
+const CACHE_DB_NAME = 'i18n-key-finder-cache';
+const CACHE_DB_VERSION = 1;
+const CACHE_STORE = 'snapshots';
+
 class BackgroundService {
   constructor() {
+    this.cacheDbPromise = null;
     this.init();
   }
 
@@ -20,6 +76,11 @@ class BackgroundService {
     this.setupTabListener();
     this.setupActionListener();
     this.setupContextMenus();
+    this.setupCommandListener();
+    this.setupPermissionListener();
+
+    // Registered scripts persist, but the host list or granted permissions may have changed
+    this.syncContentScripts();
   }
 
   /**
@@ -63,7 +124,12 @@ class BackgroundService {
         searchThreshold: 0.3,
         maxResults: 50,
         enableNotifications: true,
-        enableAutoSearch: true
+        enableAutoSearch: true,
+        enableTranslationTracing: false,
+        copyTemplate: 'key',
+        customCopyTemplates: [],
+        importedDictionaryMode: 'fallback',
+        hostPatterns: []
       },
       stats: {
         totalSearches: 0,
@@ -122,6 +188,52 @@ class BackgroundService {
 
       case 'updateSettings':
         await this.updateSettings(request.settings);
+        await this.syncContentScripts();
+        sendResponse({ success: true });
+        break;
+
+      case 'ensureContentScript':
+        // The popup injects through here so the file list lives in one place
+        await this.ensureContentScript(request.tabId);
+        sendResponse({ success: true });
+        break;
+
+      case 'injectPageScript':
+        await this.injectPageScript(sender);
+        sendResponse({ success: true });
+        break;
+
+      case 'getCachedTranslations': {
+        const snapshot = await this.getCachedTranslations(request.origin, request.locale);
+        sendResponse({ success: true, snapshot });
+        break;
+      }
+
+      case 'cacheTranslations': {
+        const snapshot = await this.cacheTranslations(request.snapshot);
+        sendResponse({ success: true, id: snapshot.id, hash: snapshot.hash });
+        break;
+      }
+
+      case 'listCachedSnapshots': {
+        const snapshots = await this.listCachedSnapshots();
+        sendResponse({ success: true, snapshots });
+        break;
+      }
+
+      case 'getCachedSnapshot': {
+        const snapshot = await this.runCacheRequest('readonly', store => store.get(request.id));
+        sendResponse({ success: true, snapshot: snapshot || null });
+        break;
+      }
+
+      case 'routeChanged':
+        // The open popup, if any, reloads its results from the same message
+        sendResponse({ success: true });
+        break;
+
+      case 'clearTranslationCache':
+        await this.clearTranslationCache();
         sendResponse({ success: true });
         break;
 
@@ -239,6 +351,70 @@ class BackgroundService {
     });
   }
 
+  /**
+   * Re-register the extra-hosts content script when host permissions change
+   */
+  setupPermissionListener() {
+    if (!chrome.permissions || !chrome.permissions.onAdded) {
+      return;
+    }
+
+    chrome.permissions.onAdded.addListener(() => {
+      this.syncContentScripts();
+    });
+    chrome.permissions.onRemoved.addListener(() => {
+      this.syncContentScripts();
+    });
+  }
+
+  /**
+   * Register the content script on the extra hosts from settings
+   * *.kkday.com is covered by the manifest; the registration is replaced on every change.
+   */
+  async syncContentScripts() {
+    if (!chrome.scripting || !chrome.scripting.registerContentScripts) {
+      return;
+    }
+
+    try {
+      const settings = await this.getSettings();
+      const matches = await HostPatterns.getGrantedPatterns(settings.hostPatterns, chrome.permissions);
+
+      const registered = await chrome.scripting.getRegisteredContentScripts({ ids: [EXTRA_HOSTS_SCRIPT_ID] });
+      if (registered.length > 0) {
+        await chrome.scripting.unregisterContentScripts({ ids: [EXTRA_HOSTS_SCRIPT_ID] });
+      }
+
+      if (matches.length > 0) {
+        await chrome.scripting.registerContentScripts([{
+          id: EXTRA_HOSTS_SCRIPT_ID,
+          matches: matches,
+          js: CONTENT_SCRIPT_FILES,
+          runAt: 'document_end',
+          allFrames: false
+        }]);
+      }
+    } catch (error) {
+      // Registration failed; allowed hosts still work when the popup injects the script
+    }
+  }
+
+  /**
+   * Run the page-world scripts for a content script whose page refused to load them
+   * Web accessible resources only cover *.kkday.com; elsewhere they run through the scripting API.
+   */
+  async injectPageScript(sender) {
+    if (!sender.tab) {
+      throw new Error('Page script can only be injected into a tab');
+    }
+
+    await chrome.scripting.executeScript({
+      target: { tabId: sender.tab.id, frameIds: [sender.frameId || 0] },
+      world: 'MAIN',
+      files: PAGE_SCRIPT_FILES
+    });
+  }
+
   /**
    * Handle element selection result
    */
@@ -272,7 +448,12 @@ class BackgroundService {
           searchThreshold: 0.3,
           maxResults: 50,
           enableNotifications: true,
-          enableAutoSearch: true
+          enableAutoSearch: true,
+          enableTranslationTracing: false,
+          copyTemplate: 'key',
+          customCopyTemplates: [],
+          importedDictionaryMode: 'fallback',
+          hostPatterns: []
         });
       });
     });
@@ -289,6 +470,97 @@ class BackgroundService {
     });
   }
 
+  /**
+   * Open the translation cache database, creating the snapshot store on first use
+   */
+  openCacheDatabase() {
+    if (!this.cacheDbPromise) {
+      this.cacheDbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(CACHE_DB_NAME, CACHE_DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(CACHE_STORE, { keyPath: 'id' });
+          store.createIndex('origin', 'origin', { unique: false });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+          this.cacheDbPromise = null;
+          reject(request.error);
+        };
+      });
+    }
+    return this.cacheDbPromise;
+  }
+
+  /**
+   * Run a request against the snapshot store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Receives the store and returns an IDBRequest
+   */
+  async runCacheRequest(mode, callback) {
+    const db = await this.openCacheDatabase();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(CACHE_STORE, mode);
+      const request = callback(transaction.objectStore(CACHE_STORE));
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  /**
+   * Get the snapshot to show for a page
+   * @param {string} origin - Page origin
+   * @param {string} locale - Locale guessed from the page URL, optional
+   */
+  async getCachedTranslations(origin, locale) {
+    if (!origin) {
+      return null;
+    }
+
+    const snapshots = await this.runCacheRequest('readonly', store =>
+      store.index('origin').getAll(origin)
+    );
+    return TranslationSnapshot.pickLatest(snapshots, locale);
+  }
+
+  /**
+   * Save fresh page data as a snapshot and prune old versions of the same origin and locale
+   * Saving identical data again only refreshes its timestamp.
+   */
+  async cacheTranslations(payload) {
+    const snapshot = TranslationSnapshot.createSnapshot(payload);
+    await this.runCacheRequest('readwrite', store => store.put(snapshot));
+
+    const snapshots = await this.runCacheRequest('readonly', store =>
+      store.index('origin').getAll(snapshot.origin)
+    );
+    const staleIds = TranslationSnapshot.getPrunableIds(snapshots);
+    if (staleIds.length > 0) {
+      await this.runCacheRequest('readwrite', store => {
+        staleIds.forEach(id => store.delete(id));
+        return store.count();
+      });
+    }
+
+    return snapshot;
+  }
+
+  /**
+   * List every cached snapshot without its data, newest first
+   */
+  async listCachedSnapshots() {
+    const snapshots = await this.runCacheRequest('readonly', store => store.getAll());
+    return snapshots
+      .map(({ id, origin, locale, hash, count, savedAt }) => ({ id, origin, locale, hash, count, savedAt }))
+      .sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * Delete every cached snapshot
+   */
+  async clearTranslationCache() {
+    await this.runCacheRequest('readwrite', store => store.clear());
+  }
+
   /**
    * Get extension stats
    */
@@ -355,41 +627,74 @@ class BackgroundService {
    */
   async handleContextMenuSearch(text, tab) {
     try {
-      // First, try to ping the content script to see if it's loaded
-      await chrome.tabs.sendMessage(tab.id, { action: 'ping' });
-
-      // If ping succeeds, send the search request
+      await this.ensureContentScript(tab.id);
       await chrome.tabs.sendMessage(tab.id, {
         action: 'searchFromContextMenu',
         query: text
       });
-
     } catch (error) {
-      // Content script not responding, try to inject it
-      try {
-        await chrome.scripting.executeScript({
-          target: { tabId: tab.id },
-          files: ['src/content/content-script-browser.js']
-        });
-
-        // Wait for content script to initialize and inject page script
-        await new Promise(resolve => setTimeout(resolve, 1000));
+      // Injection failed, show error notification
+      chrome.notifications.create({
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+        title: '搜尋失敗',
+        message: '請確認您在 KKday 網站或設定頁加入的網域上，並嘗試重新整理頁面後再試'
+      });
+    }
+  }
 
-        // Try the search again
-        await chrome.tabs.sendMessage(tab.id, {
-          action: 'searchFromContextMenu',
-          query: text
-        });
+  /**
+   * Listen for the keyboard shortcuts declared under "commands" in the manifest
+   */
+  setupCommandListener() {
+    if (!chrome.commands || !chrome.commands.onCommand) {
+      return;
+    }
 
-      } catch (injectError) {
-        // Injection failed, show error notification
-        chrome.notifications.create({
-          type: 'basic',
-          iconUrl: chrome.runtime.getURL('icons/icon128.png'),
-          title: '搜尋失敗',
-          message: '請確認您在 KKday 網站上，並嘗試重新整理頁面後再試'
-        });
+    chrome.commands.onCommand.addListener((command, tab) => {
+      if (command === 'toggle-element-picker') {
+        this.handlePickerCommand(tab);
       }
+    });
+  }
+
+  /**
+   * Start or stop the element picker from the keyboard, without opening the popup
+   */
+  async handlePickerCommand(tab) {
+    const target = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+    if (!target || !target.id) {
+      return;
+    }
+
+    try {
+      await this.ensureContentScript(target.id);
+      await chrome.tabs.sendMessage(target.id, { action: 'toggleElementPicker' });
+    } catch (error) {
+      chrome.notifications.create({
+        type: 'basic',
+        iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+        title: '無法啟動元素選取器',
+        message: '這個頁面不允許執行擴充功能腳本，請在 KKday 網站或設定頁加入的網域上使用'
+      });
+    }
+  }
+
+  /**
+   * Make sure the content script is running in a tab, injecting it when it does not answer
+   * (pages opened before the extension was installed or reloaded, or hosts without a match)
+   */
+  async ensureContentScript(tabId) {
+    try {
+      await chrome.tabs.sendMessage(tabId, { action: 'ping' });
+    } catch (error) {
+      await chrome.scripting.executeScript({
+        target: { tabId: tabId },
+        files: CONTENT_SCRIPT_FILES
+      });
+
+      // Wait for content script to initialize and inject page script
+      await new Promise(resolve => setTimeout(resolve, 1000));
     }
   }
 }
@@ -1,24 +1,105 @@
 /**
  * Content Script for I18n Key Finder Chrome Extension
- * Injected into *.kkday.com pages to extract translation data
+ * Injected into *.kkday.com pages, and hosts added on the options page, to extract translation data
  * Browser-compatible version without require statements
+ * Shared helpers from src/lib, PageContext and PageContextService are loaded before this file as content scripts
  */
 
 (function() {
   'use strict';
 
+  // Elements injected by this extension, skipped when scanning the page
+  const EXTENSION_UI_SELECTOR = '#i18n-picker-notification, #i18n-result-notification, #i18n-annotation-layer, #i18n-locate-bar, #i18n-inline-editor';
+
+  // Upper bound on text nodes processed per scan to keep large pages responsive
+  const MAX_SCANNED_TEXT_NODES = 2000;
+
+  // Distinct rendered texts kept per traced output, to bound memory on long sessions
+  const MAX_TRACES_PER_TEXT = 10;
+
+  // Wait for a client-side navigation to settle (redirects, html lang updates) before comparing pages
+  const ROUTE_SETTLE_DELAY = 300;
+
+  // Give up waiting for the page script's re-extraction after a route change
+  const ROUTE_EXTRACTION_TIMEOUT = 3000;
+
+  // Elements with longer text are not checked for a value split across child elements
+  const MAX_LOCATE_TEXT_LENGTH = 500;
+
+  // Outline of the occurrence currently stepped to; the others use the picker highlight
+  const LOCATE_OUTLINE = '2px solid #007bff';
+  const LOCATE_CURRENT_OUTLINE = '3px solid #f59e0b';
+
+  // Wrappers above a text's own element that may be the box cutting it off
+  const MAX_CLIP_DEPTH = 3;
+
+  // Picker clicks either look up the key or open the inline editor
+  const PICKER_MODES = {
+    FIND: 'find',
+    EDIT: 'edit'
+  };
+
+  // Ways translated text nodes can be rewritten in place; one is active at a time
+  const TEXT_REWRITE_MODES = {
+    PSEUDO: 'pseudo',
+    KEYS: 'keys'
+  };
+
+  // Injected into the page before page-script.js, in priority order
+  // (same order as src/lib/extraction-strategies/index.js)
+  const EXTRACTION_SCRIPT_FILES = [
+    'src/lib/extraction-registry.js',
+    'src/lib/extraction-strategies/nuxt2-state.js',
+    'src/lib/extraction-strategies/nuxt3-payload.js',
+    'src/lib/extraction-strategies/next-data.js',
+    'src/lib/extraction-strategies/vue-i18n.js',
+    'src/lib/extraction-strategies/i18next.js',
+    'src/lib/extraction-strategies/init-state.js',
+    'src/lib/extraction-strategies/storage.js',
+    'src/lib/extraction-strategies/global-scan.js'
+  ];
+
   class ContentScript {
     constructor() {
       this.isPickerActive = false;
       this.translationData = null;
+      this.localeData = {};
+      this.activeLocale = null;
+      this.dataSource = null;
+      this.settings = {};
+      this.importedDictionaries = [];
+      this.pageScriptFallbackRequested = false;
+      this.routeUrl = window.location.href;
+      this.routePageLocale = this.getPageLocale();
+      this.routeChangeTimer = null;
+      this.routeExtractionTimer = null;
+      this.pendingRouteChange = null;
+      this.isTracingActive = false;
+      this.traceIndex = new Map();
       this.highlightedElement = null;
       this.originalStyles = new WeakMap();
+      this.locateState = null;
+      this.pickerDocuments = [];
+      this.isAnnotationActive = false;
+      this.annotationTimer = null;
+      this.textRewriteMode = null;
+      this.rewrittenTexts = new Map();
+      this.rewrittenTitles = new Map();
+      this.textRewriteTimer = null;
+      this.pickerMode = PICKER_MODES.FIND;
+      this.changeSet = [];
+      this.editedTexts = new Map();
+      this.editPreviewTimer = null;
+      this.editorState = null;
+      this.exactMatchIndex = new Map();
+      this.exactMatchIndexSource = null;
 
       // Bind event handlers to preserve 'this' context
       this.boundHandleMouseOver = this.handleMouseOver.bind(this);
       this.boundHandleMouseOut = this.handleMouseOut.bind(this);
       this.boundHandleClick = this.handleClick.bind(this);
       this.boundHandleKeyDown = this.handleKeyDown.bind(this);
+      this.boundHandleLocateKeyDown = this.handleLocateKeyDown.bind(this);
 
       this.init();
     }
@@ -33,6 +114,9 @@
       // Listen for data from page script BEFORE injecting
       this.listenForPageData();
 
+      // Restore saved settings, including opt-in tracing, before the page script starts
+      this.loadSettings();
+
       // Inject page script to access page context
       this.injectPageScript();
 
@@ -45,18 +129,49 @@
 
       // Set up mutation observer for dynamic content
       this.setupMutationObserver();
+
+      // Follow client-side navigations in single-page apps
+      window.addEventListener('popstate', () => {
+        this.handleRouteChange('popstate');
+      });
     }
 
     /**
-     * Inject page script into the page context
+     * Inject the extraction strategies and page script into the page context
+     * Dynamic scripts load asynchronously by default; async=false keeps them in order.
+     * Pages outside the web accessible resource matches (hosts added on the options
+     * page) refuse to load them, so the service worker runs them instead.
      */
     injectPageScript() {
-      const script = document.createElement('script');
-      script.src = chrome.runtime.getURL('src/content/page-script.js');
-      script.onload = function() {
-        this.remove();
-      };
-      (document.head || document.documentElement).appendChild(script);
+      const parent = document.head || document.documentElement;
+
+      [...EXTRACTION_SCRIPT_FILES, 'src/content/page-script.js'].forEach(file => {
+        const script = document.createElement('script');
+        script.src = chrome.runtime.getURL(file);
+        script.async = false;
+        script.onload = function() {
+          this.remove();
+        };
+        script.onerror = () => {
+          script.remove();
+          this.requestPageScriptFallback();
+        };
+        parent.appendChild(script);
+      });
+    }
+
+    /**
+     * Ask the service worker to run the page-world scripts, once per page
+     */
+    requestPageScriptFallback() {
+      if (this.pageScriptFallbackRequested) {
+        return;
+      }
+      this.pageScriptFallbackRequested = true;
+
+      chrome.runtime.sendMessage({ action: 'injectPageScript' }).catch(() => {
+        // No host permission for this page; only isolated-world sources and imports are available
+      });
     }
 
     /**
@@ -69,207 +184,409 @@
           return;
         }
 
+        if (event.data.type === 'I18N_KEY_FINDER_TRACE') {
+          this.addTraceRecords(event.data.entries || []);
+          return;
+        }
+
+        if (event.data.type === 'I18N_KEY_FINDER_ROUTE_CHANGE') {
+          this.handleRouteChange(event.data.via);
+          return;
+        }
+
         if (event.data.type === 'I18N_KEY_FINDER_DATA') {
-          if (event.data.data) {
-            // Flatten and store the data
-            this.translationData = this.flattenTranslationData(event.data.data);
+          // Incremental updates carry their own source; keep the strategy that won extraction
+          if (event.data.source && !event.data.incremental) {
+            this.dataSource = event.data.source;
+          }
+
+          if (event.data.routeChange) {
+            // Re-extracted after a client-side navigation; keep what earlier routes loaded
+            const locales = event.data.locales && Object.keys(event.data.locales).length > 0
+              ? event.data.locales
+              : (event.data.data ? { [event.data.locale || this.getPageLocale()]: event.data.data } : {});
+            this.mergeLocaleData(locales, event.data.locale || this.getPageLocale());
+            this.finishRouteChange();
+          } else if (event.data.incremental) {
+            // Messages loaded after hydration by a live vue-i18n / i18next instance
+            this.mergeLocaleData(event.data.locales || {}, event.data.locale);
+          } else if (event.data.locales && Object.keys(event.data.locales).length > 0) {
+            // Flatten and store every locale, matching against the page's own locale
+            this.storeLocaleData(event.data.locales, event.data.locale);
+          } else if (event.data.data) {
+            // Flatten and store the data under the page's locale
+            this.storeLocaleData({ [this.getPageLocale()]: event.data.data }, this.getPageLocale());
           }
         }
       });
     }
 
+    /**
+     * Follow a client-side navigation reported by the page script or a popstate event
+     * @param {string} via - What changed the URL: pushState, replaceState, router or popstate
+     */
+    handleRouteChange(via) {
+      clearTimeout(this.routeChangeTimer);
+      this.routeChangeTimer = setTimeout(() => {
+        this.processRouteChange(via);
+      }, ROUTE_SETTLE_DELAY);
+    }
+
+    /**
+     * Compare the previous and new page contexts, and re-extract translations
+     * when the language or page type changed
+     */
+    processRouteChange(via) {
+      const url = window.location.href;
+      if (url === this.routeUrl) {
+        return;
+      }
+
+      // Located elements usually belong to the previous page
+      this.stopLocate();
+
+      const previousUrl = this.routeUrl;
+      const previousPageLocale = this.routePageLocale;
+      this.routeUrl = url;
+      this.routePageLocale = this.getPageLocale();
+
+      let comparison;
+      try {
+        comparison = PageContextService.compareContexts(
+          PageContextService.analyzeUrl(previousUrl),
+          PageContextService.analyzeUrl(url)
+        );
+      } catch (error) {
+        return;
+      }
+
+      // Sites without a locale in the path switch languages through <html lang>
+      const changes = {
+        ...comparison.changes,
+        languageChanged: comparison.changes.languageChanged || previousPageLocale !== this.routePageLocale
+      };
+      const reextract = changes.languageChanged || changes.pageTypeChanged;
+      this.pendingRouteChange = { url, via, changes, reextract };
+
+      if (!reextract) {
+        this.finishRouteChange();
+        return;
+      }
+
+      // Switch right away when the new language was already loaded, then ask the page for fresh data
+      if (changes.languageChanged) {
+        this.switchToPageLocale(url);
+      }
+      window.postMessage({ type: 'I18N_KEY_FINDER_EXTRACT' }, '*');
+
+      // Without the page script only isolated-world sources can be re-read
+      clearTimeout(this.routeExtractionTimer);
+      this.routeExtractionTimer = setTimeout(() => {
+        this.extractTranslationData();
+        this.finishRouteChange();
+      }, ROUTE_EXTRACTION_TIMEOUT);
+    }
+
+    /**
+     * Make the locale of the new route active if it is already loaded
+     */
+    switchToPageLocale(url) {
+      const pathLanguage = PageContextService.analyzeUrl(url).language.toLowerCase();
+      const locale = [pathLanguage, this.getPageLocale()].find(candidate =>
+        candidate && this.localeData[candidate]
+      );
+
+      if (locale && locale !== this.activeLocale) {
+        this.activeLocale = locale;
+        this.applyImportedDictionaries();
+      }
+    }
+
+    /**
+     * Make a loaded locale the one used for matching page text
+     * @returns {boolean} False when the locale has no data
+     */
+    setActiveLocale(locale) {
+      if (!locale || !this.localeData[locale]) {
+        return false;
+      }
+
+      this.activeLocale = locale;
+      this.applyImportedDictionaries();
+      return true;
+    }
+
+    /**
+     * Tell the popup, if it is open, that the page navigated
+     */
+    finishRouteChange() {
+      clearTimeout(this.routeExtractionTimer);
+      const change = this.pendingRouteChange;
+      if (!change) {
+        return;
+      }
+      this.pendingRouteChange = null;
+
+      chrome.runtime.sendMessage({
+        action: 'routeChanged',
+        url: change.url,
+        via: change.via,
+        changes: change.changes,
+        reextracted: change.reextract,
+        locale: this.activeLocale,
+        count: (this.translationData || []).length
+      }).catch(() => {
+        // Extension reloaded; nothing to notify
+      });
+    }
+
     /**
      * Extract translation data from page
+     * Fallback for when the page script has not reported any data. Only sources visible
+     * from the content script's isolated world (DOM JSON scripts, Web Storage) can match here.
      */
     extractTranslationData() {
-      try {
-        let data = null;
-
-        // Method 1: Check for Next.js __NEXT_DATA__
-        if (!data && window.__NEXT_DATA__) {
-          const nextData = window.__NEXT_DATA__;
-
-          // Check props
-          if (nextData.props?.pageProps) {
-            const pageProps = nextData.props.pageProps;
-
-            // Look for translation-related properties
-            const checkKeys = ['translations', 'i18n', 'locale', 'messages', '_nextI18Next', 'initialI18nStore'];
-            for (const key of checkKeys) {
-              if (pageProps[key]) {
-                data = pageProps[key];
-                break;
-              }
-            }
+      // Keep data already reported by the page script
+      if (this.hasPageData()) {
+        return;
+      }
 
-            // Also check nested structures
-            if (!data && pageProps._nextI18Next?.initialI18nStore) {
-              const store = pageProps._nextI18Next.initialI18nStore;
-              const locale = pageProps._nextI18Next.initialLocale || 'zh-tw';
-              if (store[locale]) {
-                data = store[locale];
-              }
-            }
-          }
+      try {
+        const result = ExtractionRegistry.run(window, { pageLocale: document.documentElement.lang });
+
+        if (result && result.locales) {
+          this.storeLocaleData(result.locales, result.locale);
+        } else if (result && result.data) {
+          const locale = result.locale || this.getPageLocale();
+          this.storeLocaleData({ [locale]: result.data }, locale);
+        } else if (!this.translationData) {
+          this.translationData = [];
         }
 
-        // Method 2: Check for Vue/Nuxt __NUXT__
-        if (!data && typeof window.__NUXT__ !== 'undefined') {
-          if (window.__NUXT__.state) {
-            // Check for i18n related keys
-            for (const key of Object.keys(window.__NUXT__.state)) {
-              if (key.includes('i18n') || key.includes('lang') || key.includes('locale') || key.startsWith('$s')) {
-                const value = window.__NUXT__.state[key];
-                if (value && typeof value === 'object' && Object.keys(value).length > 0) {
-                  data = value;
-                  break;
-                }
-              }
-            }
-          }
+        if (result && result.strategy) {
+          this.dataSource = {
+            strategy: result.strategy,
+            label: result.label,
+            confidence: result.confidence,
+            path: result.path
+          };
         }
+      } catch (error) {
+        this.translationData = [];
+      }
+    }
 
-        // Method 3: Look for i18n instances in window
-        if (!data) {
-          // Common i18n library patterns
-          const i18nPatterns = [
-            'i18n',
-            'I18n',
-            'i18next',
-            'I18Next',
-            '$t',
-            '_i18n',
-            '__i18n',
-            'translations',
-            'localeData',
-            'messages'
-          ];
-
-          for (const pattern of i18nPatterns) {
-            if (window[pattern]) {
-              const obj = window[pattern];
-
-              // Check if it has translation data
-              if (obj.store?.data) {
-                data = obj.store.data;
-                break;
-              } else if (obj.locale && obj.messages) {
-                data = obj.messages[obj.locale] || obj.messages;
-                break;
-              } else if (obj.messages) {
-                data = obj.messages;
-                break;
-              } else if (typeof obj === 'object' && !obj.nodeName) {
-                // Check if the object itself contains translations
-                const keys = Object.keys(obj);
-                if (keys.length > 0 && keys.some(k => typeof obj[k] === 'string' || typeof obj[k] === 'object')) {
-                  data = obj;
-                  break;
-                }
-              }
-            }
-          }
-        }
+    /**
+     * Flatten and store translation data for every locale
+     */
+    storeLocaleData(locales, activeLocale) {
+      const stored = LocaleStore.storeLocales(locales, activeLocale);
+      this.localeData = stored.localeData;
+      this.activeLocale = stored.activeLocale;
+      this.translationData = this.localeData[this.activeLocale];
+      this.applyImportedDictionaries();
+    }
 
-        // Method 4: Search React Fiber for i18n context
-        if (!data) {
-          const reactRoot = document.getElementById('__next') || document.getElementById('root');
-          if (reactRoot && reactRoot._reactRootContainer) {
-            // This is complex and might not always work, but worth trying
-          }
+    /**
+     * Locale the page is displayed in, for data reported without one
+     */
+    getPageLocale() {
+      const lang = document.documentElement.lang || '';
+      return lang.trim().replace(/_/g, '-').toLowerCase() || 'default';
+    }
+
+    /**
+     * Check for translations read from the page itself, ignoring imported ones
+     */
+    hasPageData() {
+      return Object.keys(this.localeData).some(locale =>
+        this.localeData[locale].some(entry => !entry.imported)
+      );
+    }
+
+    /**
+     * Add dictionaries imported on the options page to the page's translations
+     * In fallback mode they are used only while the page has no data of its own;
+     * in merge mode they fill in keys the page does not define.
+     */
+    applyImportedDictionaries() {
+      // Start from the page's own entries so removed files and mode changes take effect
+      for (const locale of Object.keys(this.localeData)) {
+        this.localeData[locale] = this.localeData[locale].filter(entry => !entry.imported);
+        if (this.localeData[locale].length === 0) {
+          delete this.localeData[locale];
         }
+      }
 
-        // Method 5: Check sessionStorage/localStorage
-        if (!data) {
-          const storageKeys = [...Object.keys(localStorage), ...Object.keys(sessionStorage)];
-          for (const key of storageKeys) {
-            if (key.includes('i18n') || key.includes('translation') || key.includes('locale')) {
-              try {
-                const value = localStorage.getItem(key) || sessionStorage.getItem(key);
-                if (value) {
-                  const parsed = JSON.parse(value);
-                  if (typeof parsed === 'object' && Object.keys(parsed).length > 0) {
-                    data = parsed;
-                    break;
-                  }
-                }
-              } catch (e) {
-                // Not JSON, skip
-              }
+      const mode = this.settings.importedDictionaryMode === 'merge' ? 'merge' : 'fallback';
+      const useImported = this.importedDictionaries.length > 0 &&
+        (mode === 'merge' || Object.keys(this.localeData).length === 0);
+
+      if (useImported) {
+        const imported = LocaleFiles.buildLocales(this.importedDictionaries, this.activeLocale || this.getPageLocale());
+        for (const locale of Object.keys(imported)) {
+          const entries = this.localeData[locale] || [];
+          const pageKeys = new Set(entries.map(entry => entry.key));
+          Object.keys(imported[locale]).forEach(key => {
+            if (!pageKeys.has(key)) {
+              entries.push({ key, val: imported[locale][key], imported: true });
             }
-          }
+          });
+          this.localeData[locale] = entries;
         }
+      }
 
-        // Method 6: Try to extract from page content
-        if (!data) {
-          const scripts = document.querySelectorAll('script');
-          for (const script of scripts) {
-            const content = script.innerHTML;
-            if (content.includes('i18n') || content.includes('translations') || content.includes('locale')) {
-              // Look for JSON-like structures
-              const jsonMatch = content.match(/window\.__INITIAL_STATE__\s*=\s*({[\s\S]*?});/);
-              if (jsonMatch) {
-                try {
-                  const parsed = JSON.parse(jsonMatch[1]);
-                  if (parsed.i18n || parsed.translations || parsed.locale) {
-                    data = parsed.i18n || parsed.translations || parsed;
-                    break;
-                  }
-                } catch (e) {
-                  // Not valid JSON
-                }
-              }
-            }
-          }
+      if (!this.localeData[this.activeLocale]) {
+        const pageLocale = this.getPageLocale();
+        this.activeLocale = this.localeData[pageLocale] ? pageLocale : Object.keys(this.localeData)[0] || null;
+      }
+      if (this.activeLocale) {
+        this.translationData = this.localeData[this.activeLocale];
+      } else if (this.translationData) {
+        this.translationData = [];
+      }
+
+      if (this.isAnnotationActive) {
+        this.scheduleAnnotationRefresh();
+      }
+      if (this.textRewriteMode) {
+        this.scheduleTextRewriteRefresh();
+      }
+      if (this.hasEditPreviews()) {
+        this.scheduleEditPreviewRefresh();
+      }
+    }
+
+    /**
+     * Read the settings, imported dictionaries and translation change set saved from the
+     * popup and options page, and keep them in sync
+     */
+    loadSettings() {
+      chrome.storage.local.get(['settings', 'importedDictionaries', ChangeSet.STORAGE_KEY], (result) => {
+        this.settings = (result && result.settings) || {};
+        this.importedDictionaries = (result && result.importedDictionaries) || [];
+        this.changeSet = (result && result[ChangeSet.STORAGE_KEY]) || [];
+        if (this.hasEditPreviews()) {
+          this.scheduleEditPreviewRefresh();
+        }
+        if (this.settings.enableTranslationTracing) {
+          this.setTranslationTracing(true);
+        }
+        if (this.importedDictionaries.length > 0) {
+          this.applyImportedDictionaries();
         }
+      });
 
-        if (data) {
-          // Only update if we don't already have data from page script
-          if (!this.translationData || this.translationData.length === 0) {
-            this.translationData = this.flattenTranslationData(data);
+      // Tracing is switched through messages; keep the copy template and imports in sync here
+      chrome.storage.onChanged.addListener((changes, areaName) => {
+        if (areaName !== 'local') {
+          return;
+        }
+        if (changes.settings) {
+          const previous = this.settings;
+          this.settings = changes.settings.newValue || {};
+          if (this.settings.importedDictionaryMode !== previous.importedDictionaryMode) {
+            this.applyImportedDictionaries();
           }
-        } else {
-          // Only set empty array if we don't have data from page script
-          if (!this.translationData || this.translationData.length === 0) {
-            this.translationData = [];
+          if (this.textRewriteMode === TEXT_REWRITE_MODES.PSEUDO &&
+            JSON.stringify(this.settings.pseudoLocale) !== JSON.stringify(previous.pseudoLocale)) {
+            // Redraw with the new expansion and markers
+            this.restoreRewrittenTexts();
+            this.applyTextRewrite();
           }
         }
-      } catch (error) {
-        // Don't clear existing data if extraction fails
-        if (!this.translationData || this.translationData.length === 0) {
-          this.translationData = [];
+        if (changes.importedDictionaries) {
+          this.importedDictionaries = changes.importedDictionaries.newValue || [];
+          this.applyImportedDictionaries();
+        }
+        if (changes[ChangeSet.STORAGE_KEY]) {
+          // Edits removed or cleared in the popup disappear from the page
+          this.changeSet = changes[ChangeSet.STORAGE_KEY].newValue || [];
+          this.refreshEditPreviews();
         }
+      });
+    }
+
+    /**
+     * Turn runtime translation-call tracing on or off in the page script
+     * The page script reads the <html> flag when it starts and listens for later changes.
+     */
+    setTranslationTracing(enabled) {
+      this.isTracingActive = Boolean(enabled);
+      if (this.isTracingActive) {
+        document.documentElement.dataset.i18nKeyFinderTrace = 'on';
+      } else {
+        delete document.documentElement.dataset.i18nKeyFinderTrace;
       }
+
+      window.postMessage({
+        type: 'I18N_KEY_FINDER_TRACE_CONTROL',
+        enabled: this.isTracingActive
+      }, '*');
     }
 
     /**
-     * Flatten nested translation data into key-value pairs
+     * Index traced translation calls by their normalized output
      */
-    flattenTranslationData(data, prefix = '') {
-      const result = [];
+    addTraceRecords(entries) {
+      entries.forEach(record => {
+        if (!record || typeof record.key !== 'string' || typeof record.output !== 'string') {
+          return;
+        }
 
-      const flatten = (obj, currentPrefix) => {
-        for (const key in obj) {
-          if (Object.prototype.hasOwnProperty.call(obj, key)) {
-            const fullKey = currentPrefix ? `${currentPrefix}.${key}` : key;
+        const normalized = TranslationMatcher.normalize(record.output);
+        if (!normalized) {
+          return;
+        }
 
-            if (typeof obj[key] === 'string') {
-              result.push({
-                key: fullKey,
-                val: obj[key]
-              });
-            } else if (typeof obj[key] === 'object' && obj[key] !== null && !Array.isArray(obj[key])) {
-              flatten(obj[key], fullKey);
-            }
-          }
+        const records = this.traceIndex.get(normalized) || [];
+        if (records.length < MAX_TRACES_PER_TEXT && !records.some(existing => existing.key === record.key)) {
+          records.push({ key: record.key, val: record.output, params: record.params || [] });
+          this.traceIndex.set(normalized, records);
         }
-      };
+      });
+    }
+
+    /**
+     * Get the traced calls that rendered exactly this text
+     */
+    getTracedCalls(text) {
+      if (this.traceIndex.size === 0) {
+        return [];
+      }
+      return this.traceIndex.get(TranslationMatcher.normalize(text)) || [];
+    }
 
-      if (typeof data === 'object' && data !== null) {
-        flatten(data, prefix);
+    /**
+     * Merge incrementally loaded messages into the stored locales
+     * New keys are added and existing keys updated; keys missing from the update are kept.
+     */
+    mergeLocaleData(locales, activeLocale) {
+      const merged = LocaleStore.mergeLocales(this.localeData, locales, activeLocale, this.activeLocale);
+      this.localeData = merged.localeData;
+      this.activeLocale = merged.activeLocale;
+
+      if (this.activeLocale) {
+        // A new array so derived indexes are rebuilt
+        this.translationData = this.localeData[this.activeLocale];
       }
 
-      return result;
+      // Imports fill in around the new page data; this also refreshes annotations
+      this.applyImportedDictionaries();
+    }
+
+    /**
+     * Get every loaded locale as key → value maps for the popup
+     */
+    getLocaleValueMaps() {
+      const maps = {};
+      for (const locale of Object.keys(this.localeData)) {
+        maps[locale] = {};
+        this.localeData[locale].forEach(entry => {
+          maps[locale][entry.key] = entry.val;
+        });
+      }
+      return maps;
     }
 
     /**
@@ -286,7 +603,18 @@
 
           const responseData = {
             success: true,
-            data: this.translationData || []
+            data: this.translationData || [],
+            locale: this.activeLocale,
+            locales: this.getLocaleValueMaps(),
+            source: this.dataSource,
+            importedCount: (this.translationData || []).filter(entry => entry.imported).length,
+            modes: {
+              annotation: this.isAnnotationActive,
+              tracing: this.isTracingActive,
+              pseudo: this.textRewriteMode === TEXT_REWRITE_MODES.PSEUDO,
+              keys: this.textRewriteMode === TEXT_REWRITE_MODES.KEYS
+            },
+            traceCount: this.traceIndex.size
           };
 
           sendResponse(responseData);
@@ -301,6 +629,15 @@
           });
           break;
 
+        case 'startInlineEditing':
+          this.stopElementPicker();
+          this.startElementPicker(PICKER_MODES.EDIT);
+          sendResponse({
+            success: true,
+            active: this.isPickerActive
+          });
+          break;
+
         case 'searchFromContextMenu': {
           // Handle search request from context menu
           const query = request.query;
@@ -311,18 +648,17 @@
           }
 
           if (query && this.translationData) {
-            const matchResult = this.findTranslationByText(query);
+            const candidates = this.findTranslationCandidates(query);
 
-            if (matchResult) {
-              // Copy to clipboard
-              this.copyToClipboard(matchResult.entry.key);
+            if (candidates.length > 0) {
+              // Copy the best candidate to clipboard
+              const copiedText = this.copyKey(candidates[0].entry.key);
 
               // Show success notification
               this.showResultNotification({
                 success: true,
-                key: matchResult.entry.key,
-                value: matchResult.entry.val,
-                score: matchResult.score,
+                candidates: candidates,
+                copiedText: copiedText,
                 elementText: query.substring(0, 50) + (query.length > 50 ? '...' : '')
               });
             } else {
@@ -345,6 +681,69 @@
           break;
         }
 
+        case 'toggleAnnotationMode': {
+          const stats = this.toggleAnnotationMode();
+          sendResponse({
+            success: true,
+            active: this.isAnnotationActive,
+            stats: stats
+          });
+          break;
+        }
+
+        case 'togglePseudoLocalization':
+        case 'toggleKeyDisplay': {
+          const mode = request.action === 'toggleKeyDisplay' ? TEXT_REWRITE_MODES.KEYS : TEXT_REWRITE_MODES.PSEUDO;
+          const stats = this.toggleTextRewrite(mode);
+          sendResponse({
+            success: true,
+            active: this.textRewriteMode === mode,
+            mode: this.textRewriteMode,
+            stats: stats
+          });
+          break;
+        }
+
+        case 'setTranslationTracing':
+          this.setTranslationTracing(request.enabled);
+          sendResponse({
+            success: true,
+            active: this.isTracingActive,
+            traceCount: this.traceIndex.size
+          });
+          break;
+
+        case 'locateKey': {
+          const count = this.locateKey(request.key, request.value);
+          sendResponse({
+            success: true,
+            count: count,
+            index: this.locateState ? this.locateState.index : -1
+          });
+          break;
+        }
+
+        case 'setActiveLocale':
+          sendResponse({
+            success: this.setActiveLocale(request.locale),
+            locale: this.activeLocale
+          });
+          break;
+
+        case 'getHardcodedReport':
+          sendResponse({
+            success: true,
+            report: this.buildHardcodedReport()
+          });
+          break;
+
+        case 'getOverflowReport':
+          sendResponse({
+            success: true,
+            report: this.buildOverflowReport()
+          });
+          break;
+
         case 'ping':
           sendResponse({ success: true });
           break;
@@ -356,6 +755,7 @@
             info: {
               hasNextData: typeof window.__NEXT_DATA__ !== 'undefined',
               hasNuxt: typeof window.__NUXT__ !== 'undefined',
+              source: this.dataSource,
               windowKeys: Object.keys(window).slice(0, 100),
               sampleData: this.translationData?.slice(0, 3) || []
             }
@@ -377,20 +777,60 @@
      * Set up mutation observer for dynamic content
      */
     setupMutationObserver() {
-      const observer = new MutationObserver(() => {
+      const observer = new MutationObserver((mutations) => {
+        // Ignore changes made by our own overlays
+        if (mutations.every(mutation => this.isExtensionMutation(mutation))) {
+          return;
+        }
+
         // Re-extract data if major changes detected
         if (!this.translationData || this.translationData.length === 0) {
           this.extractTranslationData();
         }
+
+        // Keep annotations in sync with newly rendered content
+        if (this.isAnnotationActive) {
+          this.scheduleAnnotationRefresh();
+        }
+        if (this.textRewriteMode) {
+          this.scheduleTextRewriteRefresh();
+        }
+        if (this.hasEditPreviews()) {
+          this.scheduleEditPreviewRefresh();
+        }
       });
 
       // Observe body for changes
       observer.observe(document.body, {
         childList: true,
-        subtree: true
+        subtree: true,
+        characterData: true
       });
     }
 
+    /**
+     * Check if a node belongs to UI injected by this extension
+     */
+    isExtensionNode(node) {
+      const element = node && node.nodeType === Node.ELEMENT_NODE ? node : node?.parentElement;
+      return Boolean(element && element.closest(EXTENSION_UI_SELECTOR));
+    }
+
+    /**
+     * Check if a mutation only touched UI injected by this extension
+     */
+    isExtensionMutation(mutation) {
+      if (mutation.type !== 'childList') {
+        return this.isExtensionNode(mutation.target);
+      }
+
+      const changedNodes = [...mutation.addedNodes, ...mutation.removedNodes];
+      return this.isExtensionNode(mutation.target) ||
+        (changedNodes.length > 0 && changedNodes.every(node =>
+          node.nodeType === Node.ELEMENT_NODE && node.matches(EXTENSION_UI_SELECTOR)
+        ));
+    }
+
     /**
      * Toggle element picker mode
      */
@@ -406,31 +846,65 @@
 
     /**
      * Start element picker
+     * @param {string} mode - One of PICKER_MODES; edit mode opens the inline editor on click
      */
-    startElementPicker() {
+    startElementPicker(mode = PICKER_MODES.FIND) {
       // Set active state first
       this.isPickerActive = true;
+      this.pickerMode = mode;
+      this.closeInlineEditor();
+
+      // Both outline elements through the same saved styles
+      this.stopLocate();
 
       // Show on-page notification
-      this.showPickerNotification();
+      this.showPickerNotification(mode);
+
+      // Same-origin iframes dispatch their own events, so listen on every document
+      this.pickerDocuments = this.getPickerDocuments();
+      this.pickerDocuments.forEach(doc => {
+        doc.addEventListener('mouseover', this.boundHandleMouseOver, true);
+        doc.addEventListener('mouseout', this.boundHandleMouseOut, true);
+        doc.addEventListener('click', this.boundHandleClick, true);
+        doc.addEventListener('keydown', this.boundHandleKeyDown, true);
+
+        if (doc.body) {
+          // Change cursor
+          doc.body.style.cursor = 'crosshair';
+
+          // Add picker overlay class
+          doc.body.classList.add('i18n-picker-active');
+        }
+      });
+    }
 
-      // Add event listeners using bound methods
-      document.addEventListener('mouseover', this.boundHandleMouseOver, true);
-      document.addEventListener('mouseout', this.boundHandleMouseOut, true);
-      document.addEventListener('click', this.boundHandleClick, true);
-      document.addEventListener('keydown', this.boundHandleKeyDown, true);
+    /**
+     * The page document and the documents of its same-origin iframes
+     */
+    getPickerDocuments() {
+      return DomRoots.collectDocuments(document);
+    }
 
-      // Change cursor
-      document.body.style.cursor = 'crosshair';
+    /**
+     * Get the element an event happened on, looking inside open shadow roots
+     */
+    getEventElement(event) {
+      return DomRoots.getEventTarget(event);
+    }
 
-      // Add picker overlay class
-      document.body.classList.add('i18n-picker-active');
+    /**
+     * Describe the iframes and shadow roots containing a node, '' for the page itself
+     */
+    describeNodeLocation(node) {
+      return DomRoots.describeLocation(node);
     }
 
     /**
      * Show picker notification on page
      */
-    showPickerNotification() {
+    showPickerNotification(mode = PICKER_MODES.FIND) {
+      const isEdit = mode === PICKER_MODES.EDIT;
+
       // Remove existing notification if any
       const existing = document.getElementById('i18n-picker-notification');
       if (existing) {
@@ -456,11 +930,11 @@
           gap: 12px;
           pointer-events: auto;
         ">
-          <span style="font-size: 24px;">🎯</span>
+          <span style="font-size: 24px;">${isEdit ? '✏️' : '🎯'}</span>
           <div style="flex: 1;">
-            <div style="font-weight: 600; margin-bottom: 6px; font-size: 15px;">元素選取模式</div>
+            <div style="font-weight: 600; margin-bottom: 6px; font-size: 15px;">${isEdit ? '翻譯編輯模式' : '元素選取模式'}</div>
             <div style="font-size: 13px; opacity: 0.95; line-height: 1.4;">
-              點擊頁面元素查找翻譯鍵值 • 按 <kbd style="background: rgba(255,255,255,0.3); padding: 2px 8px; border-radius: 4px; font-family: monospace; font-size: 12px;">ESC</kbd> 退出
+              ${isEdit ? '點擊要修改翻譯的文字' : '點擊頁面元素查找翻譯鍵值'} • 按 <kbd style="background: rgba(255,255,255,0.3); padding: 2px 8px; border-radius: 4px; font-family: monospace; font-size: 12px;">ESC</kbd> 退出
             </div>
           </div>
         </div>
@@ -661,16 +1135,21 @@
       this.hidePickerNotification();
 
       // Remove event listeners using bound methods
-      document.removeEventListener('mouseover', this.boundHandleMouseOver, true);
-      document.removeEventListener('mouseout', this.boundHandleMouseOut, true);
-      document.removeEventListener('click', this.boundHandleClick, true);
-      document.removeEventListener('keydown', this.boundHandleKeyDown, true);
-
-      // Reset cursor
-      document.body.style.cursor = '';
-
-      // Remove picker overlay class
-      document.body.classList.remove('i18n-picker-active');
+      this.pickerDocuments.forEach(doc => {
+        doc.removeEventListener('mouseover', this.boundHandleMouseOver, true);
+        doc.removeEventListener('mouseout', this.boundHandleMouseOut, true);
+        doc.removeEventListener('click', this.boundHandleClick, true);
+        doc.removeEventListener('keydown', this.boundHandleKeyDown, true);
+
+        if (doc.body) {
+          // Reset cursor
+          doc.body.style.cursor = '';
+
+          // Remove picker overlay class
+          doc.body.classList.remove('i18n-picker-active');
+        }
+      });
+      this.pickerDocuments = [];
 
       // Remove any highlights
       if (this.highlightedElement) {
@@ -687,8 +1166,8 @@
         return;
       }
 
-      const element = event.target;
-      if (element === this.highlightedElement) {
+      const element = this.getEventElement(event);
+      if (!element || element === this.highlightedElement) {
         return;
       }
 
@@ -710,7 +1189,7 @@
         return;
       }
 
-      const element = event.target;
+      const element = this.getEventElement(event);
       if (element === this.highlightedElement) {
         this.removeHighlight(element);
         this.highlightedElement = null;
@@ -726,43 +1205,53 @@
       }
 
       // Skip if clicking on the notification
-      if (event.target.closest('#i18n-picker-notification')) {
+      const element = this.getEventElement(event);
+      if (!element || element.closest('#i18n-picker-notification')) {
         return;
       }
 
       event.preventDefault();
       event.stopPropagation();
 
-      const element = event.target;
-      const text = element.textContent.trim();
+      const location = this.describeNodeLocation(element);
+      const strings = this.collectElementStrings(element);
 
-      if (!text) {
+      if (strings.length === 0) {
         // Show notification for empty element
         this.showResultNotification({
           success: false,
           elementText: '(空白元素)',
+          location: location,
           noText: true
         });
       } else {
-        const matchResult = this.findTranslationByText(text);
-
-        if (matchResult) {
-          // Copy to clipboard
-          this.copyToClipboard(matchResult.entry.key);
-
-          // Show success notification
+        // Text, attributes and pseudo-element content often use different keys, so resolve each
+        const sources = strings.map(item => ({
+          label: this.describeStringSources(item.sources),
+          text: this.truncateText(item.text),
+          candidates: this.findTranslationCandidates(item.text, element, { limit: strings.length > 1 ? 5 : 10 })
+        }));
+        const bestSource = sources.find(source => source.candidates.length > 0);
+
+        if (bestSource && this.pickerMode === PICKER_MODES.EDIT) {
+          this.openInlineEditor(element, sources);
+        } else if (bestSource) {
+          // Copy the best candidate to clipboard
+          const copiedText = this.copyKey(bestSource.candidates[0].entry.key);
+
+          // Show success notification listing every source and its candidates
           this.showResultNotification({
             success: true,
-            key: matchResult.entry.key,
-            value: matchResult.entry.val,
-            score: matchResult.score,
-            elementText: text.substring(0, 50) + (text.length > 50 ? '...' : '')
+            sources: sources,
+            location: location,
+            copiedText: copiedText
           });
         } else {
           // Show no match notification
           this.showResultNotification({
             success: false,
-            elementText: text.substring(0, 50) + (text.length > 50 ? '...' : '')
+            elementText: sources.map(source => source.text).join(' / '),
+            location: location
           });
         }
       }
@@ -772,50 +1261,122 @@
     };
 
     /**
-     * Copy text to clipboard
+     * Gather the strings an element shows: text, translatable attributes and pseudo-element content
+     * @returns {Array<{text: string, sources: Array<{type: string, name: string}>}>}
      */
-    async copyToClipboard(text) {
-      try {
-        await navigator.clipboard.writeText(text);
-      } catch (error) {
-        // Failed to copy
+    collectElementStrings(element) {
+      // Pseudo-element styles of iframe content are computed by the iframe's window
+      const strings = ElementStrings.collectElementStrings(element, element.ownerDocument.defaultView || window);
+
+      // Resolve rewritten text through the text it replaced
+      if (this.rewrittenTexts.size > 0 || this.editedTexts.size > 0) {
+        strings.forEach(item => {
+          if (item.sources.some(source => source.type === 'text')) {
+            item.text = this.getOriginalTextContent(element).trim();
+          }
+        });
+      }
+
+      // The hover title added in keys mode repeats the text and is not page copy
+      if (this.rewrittenTitles.has(element)) {
+        return strings
+          .map(item => ({
+            ...item,
+            sources: item.sources.filter(source => !(source.type === 'attribute' && source.name === 'title'))
+          }))
+          .filter(item => item.sources.length > 0);
       }
+      return strings;
     }
 
     /**
-     * Show result notification
+     * Label where a picked string came from, e.g. "文字" or "placeholder 屬性"
      */
-    showResultNotification(result) {
-      // Remove existing notification
-      const existing = document.getElementById('i18n-result-notification');
-      if (existing) {
-        existing.remove();
-      }
-
+    describeStringSources(sources) {
+      return sources.map(source => {
+        if (source.type === 'attribute') {
+          return `${source.name} 屬性`;
+        }
+        if (source.type === 'pseudo') {
+          return `${source.name} 內容`;
+        }
+        return '文字';
+      }).join('、');
+    }
+
+    /**
+     * Shorten text shown in notifications
+     */
+    truncateText(text, maxLength = 50) {
+      return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
+    }
+
+    /**
+     * Format a key with the default copy template and copy it
+     * @returns {string} Copied text
+     */
+    copyKey(key) {
+      const text = this.formatKeyForCopy(key);
+      this.copyToClipboard(text);
+      return text;
+    }
+
+    /**
+     * Apply the copy template chosen in the popup, e.g. {{ $t('key') }}
+     */
+    formatKeyForCopy(key) {
+      return CopyTemplates.formatKey(key, this.settings);
+    }
+
+    /**
+     * Copy text to clipboard
+     */
+    async copyToClipboard(text) {
+      try {
+        await navigator.clipboard.writeText(text);
+      } catch (error) {
+        // Failed to copy
+      }
+    }
+
+    /**
+     * Show result notification
+     */
+    showResultNotification(result) {
+      // Remove existing notification
+      const existing = document.getElementById('i18n-result-notification');
+      if (existing) {
+        existing.remove();
+      }
+
       const notification = document.createElement('div');
       notification.id = 'i18n-result-notification';
 
+      // Elements inside iframes or shadow roots say where they are
+      const locationLine = result.location
+        ? `<div style="font-size: 12px; color: #6b7280; margin-bottom: 8px; word-break: break-all;">位置：${this.escapeHtml(result.location)}</div>`
+        : '';
+
       if (result.success) {
-        const percentage = Math.round((result.score || 1.0) * 100);
-
-        // Determine badge color based on accuracy
-        let badgeGradient, borderColor, titleColor;
-        if (percentage >= 90) {
-          // High accuracy - Green
-          badgeGradient = 'linear-gradient(135deg, #10b981 0%, #059669 100%)';
-          borderColor = '#10b981';
-          titleColor = '#10b981';
-        } else if (percentage >= 70) {
-          // Medium accuracy - Orange
-          badgeGradient = 'linear-gradient(135deg, #f59e0b 0%, #d97706 100%)';
-          borderColor = '#f59e0b';
-          titleColor = '#f59e0b';
-        } else {
-          // Low accuracy - Blue
-          badgeGradient = 'linear-gradient(135deg, #3b82f6 0%, #2563eb 100%)';
-          borderColor = '#3b82f6';
-          titleColor = '#3b82f6';
-        }
+        // The picker reports one source per string it found; other callers a single text
+        const sources = result.sources || [{
+          label: '搜尋文字',
+          text: result.elementText,
+          candidates: result.candidates
+        }];
+        const candidates = [];
+        const sections = sources.map(source => {
+          const rows = source.candidates
+            .map(candidate => {
+              candidates.push(candidate);
+              return this.renderCandidateRow(candidate, candidates.length - 1, candidates.length === 1);
+            })
+            .join('');
+          return this.renderSourceSection(source, rows);
+        }).join('');
+
+        const percentage = Math.round((candidates[0].score || 1.0) * 100);
+        const { badgeGradient, borderColor, titleColor } = this.getAccuracyColors(percentage);
 
         notification.innerHTML = `
           <div style="
@@ -831,12 +1392,14 @@
             border: 3px solid ${borderColor};
             font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
             font-size: 14px;
-            max-width: 400px;
+            max-width: 420px;
+            max-height: 70vh;
+            overflow-y: auto;
             animation: slideInRight 0.3s ease-out;
           ">
             <div style="display: flex; align-items: start; gap: 12px;">
               <span style="font-size: 24px;">✅</span>
-              <div style="flex: 1;">
+              <div style="flex: 1; min-width: 0;">
                 <div style="display: flex; align-items: center; gap: 8px; margin-bottom: 10px;">
                   <div style="font-weight: 700; font-size: 15px; color: ${titleColor};">找到翻譯鍵值！</div>
                   <div style="
@@ -848,25 +1411,39 @@
                     font-weight: 600;
                   ">準確率 ${percentage}%</div>
                 </div>
-                <div style="margin-bottom: 8px;">
-                  <div style="font-size: 11px; color: #6b7280; font-weight: 600; margin-bottom: 4px; text-transform: uppercase; letter-spacing: 0.5px;">搜尋文字</div>
-                  <div style="background: #f9fafb; padding: 8px 10px; border-radius: 6px; font-size: 13px; color: #374151; border: 1px solid #e5e7eb; line-height: 1.5;">
-                    「${this.escapeHtml(result.elementText)}」
-                  </div>
-                </div>
-                <div style="margin-bottom: 8px;">
-                  <div style="font-size: 11px; color: #6b7280; font-weight: 600; margin-bottom: 4px; text-transform: uppercase; letter-spacing: 0.5px;">翻譯鍵值</div>
-                  <div style="background: #f3f4f6; padding: 10px 12px; border-radius: 6px; font-family: 'Courier New', monospace; font-size: 13px; word-break: break-all; color: #1f2937; border: 1px solid #e5e7eb;">
-                    ${this.escapeHtml(result.key)}
-                  </div>
-                </div>
-                <div style="font-size: 12px; color: #6b7280; font-weight: 500;">
-                  ✓ 已複製到剪貼簿
+                ${locationLine}
+                ${sections}
+                <div data-copy-status style="font-size: 12px; color: #6b7280; font-weight: 500; word-break: break-all;">
+                  ✓ 已複製 ${this.escapeHtml(result.copiedText || candidates[0].entry.key)}
                 </div>
               </div>
             </div>
           </div>
         `;
+
+        // Let the user copy any other candidate
+        notification.addEventListener('click', (event) => {
+          const row = event.target.closest('[data-candidate-index]');
+          if (!row) {
+            return;
+          }
+          event.preventDefault();
+          event.stopPropagation();
+
+          const candidate = candidates[Number(row.dataset.candidateIndex)];
+          const copiedText = this.copyKey(candidate.entry.key);
+
+          notification.querySelectorAll('[data-candidate-index]').forEach(item => {
+            const isSelected = item === row;
+            item.style.borderColor = isSelected ? '#10b981' : '#e5e7eb';
+            item.style.background = isSelected ? '#ecfdf5' : '#f3f4f6';
+          });
+
+          const status = notification.querySelector('[data-copy-status]');
+          if (status) {
+            status.textContent = `✓ 已複製 ${copiedText}`;
+          }
+        });
       } else {
         const errorTitle = result.noData ? '無法取得翻譯資料' : '找不到對應的翻譯鍵值';
         const errorMessage = result.noData
@@ -894,6 +1471,7 @@
               <span style="font-size: 24px;">❌</span>
               <div style="flex: 1;">
                 <div style="font-weight: 700; font-size: 15px; color: #ef4444; margin-bottom: 10px;">${errorTitle}</div>
+                ${locationLine}
                 <div style="background: #fef2f2; padding: 10px 12px; border-radius: 6px; font-size: 13px; color: #991b1b; border: 1px solid #fecaca;">
                   ${errorMessage}
                 </div>
@@ -921,13 +1499,120 @@
 
       document.body.appendChild(notification);
 
-      // Auto remove after 5 seconds
-      setTimeout(() => {
+      // Auto remove after 5 seconds, longer when there are several candidates to choose from
+      const candidateCount = result.sources
+        ? result.sources.reduce((count, source) => count + source.candidates.length, 0)
+        : (result.candidates || []).length;
+      const dismissDelay = candidateCount > 1 ? 10000 : 5000;
+      const dismiss = () => {
         if (notification.parentElement) {
           notification.style.animation = 'slideInRight 0.3s ease-out reverse';
           setTimeout(() => notification.remove(), 300);
         }
-      }, 5000);
+      };
+      let dismissTimer = setTimeout(dismiss, dismissDelay);
+
+      // Keep the notification open while the user is reading it
+      notification.addEventListener('mouseenter', () => clearTimeout(dismissTimer));
+      notification.addEventListener('mouseleave', () => {
+        dismissTimer = setTimeout(dismiss, dismissDelay);
+      });
+    }
+
+    /**
+     * Get badge colors for an accuracy percentage
+     */
+    getAccuracyColors(percentage) {
+      if (percentage >= 90) {
+        // High accuracy - Green
+        return {
+          badgeGradient: 'linear-gradient(135deg, #10b981 0%, #059669 100%)',
+          borderColor: '#10b981',
+          titleColor: '#10b981'
+        };
+      } else if (percentage >= 70) {
+        // Medium accuracy - Orange
+        return {
+          badgeGradient: 'linear-gradient(135deg, #f59e0b 0%, #d97706 100%)',
+          borderColor: '#f59e0b',
+          titleColor: '#f59e0b'
+        };
+      }
+
+      // Low accuracy - Blue
+      return {
+        badgeGradient: 'linear-gradient(135deg, #3b82f6 0%, #2563eb 100%)',
+        borderColor: '#3b82f6',
+        titleColor: '#3b82f6'
+      };
+    }
+
+    /**
+     * Render a searched string and its candidate rows for the result notification
+     */
+    renderSourceSection(source, rows) {
+      const count = source.candidates.length;
+      return `
+        <div style="margin-bottom: 8px;">
+          <div style="font-size: 11px; color: #6b7280; font-weight: 600; margin-bottom: 4px; text-transform: uppercase; letter-spacing: 0.5px;">${this.escapeHtml(source.label)}</div>
+          <div style="background: #f9fafb; padding: 8px 10px; border-radius: 6px; font-size: 13px; color: #374151; border: 1px solid #e5e7eb; line-height: 1.5;">
+            「${this.escapeHtml(source.text)}」
+          </div>
+        </div>
+        <div style="margin-bottom: 8px;">
+          <div style="font-size: 11px; color: #6b7280; font-weight: 600; margin-bottom: 4px; text-transform: uppercase; letter-spacing: 0.5px;">
+            翻譯鍵值${count > 1 ? `（${count} 筆候選，點擊複製）` : ''}
+          </div>
+          ${rows || '<div style="font-size: 12px; color: #991b1b;">找不到對應的翻譯鍵值</div>'}
+        </div>
+      `;
+    }
+
+    /**
+     * Render one clickable candidate row for the result notification
+     */
+    renderCandidateRow(candidate, index, isSelected) {
+      const percentage = Math.round(candidate.score * 100);
+      const { badgeGradient } = this.getAccuracyColors(percentage);
+      const matchLabels = {
+        traced: '執行期追蹤',
+        exact: '完全符合',
+        template: '樣板符合',
+        partial: '部分符合',
+        reverse: '包含於文字'
+      };
+      const value = candidate.entry.val.length > 60
+        ? candidate.entry.val.substring(0, 57) + '...'
+        : candidate.entry.val;
+      const params = candidate.params && candidate.params.length > 0
+        ? `<div style="font-size: 11px; color: #7c3aed; margin-top: 4px; word-break: break-all;">
+            ${candidate.params.map(param => `${this.escapeHtml(param.placeholder)} = ${this.escapeHtml(param.value)}`).join('、')}
+          </div>`
+        : '';
+
+      return `
+        <div data-candidate-index="${index}" title="點擊複製此鍵值" style="
+          background: ${isSelected ? '#ecfdf5' : '#f3f4f6'};
+          padding: 8px 10px;
+          border-radius: 6px;
+          border: 1px solid ${isSelected ? '#10b981' : '#e5e7eb'};
+          margin-bottom: 6px;
+          cursor: pointer;
+        ">
+          <div style="display: flex; align-items: center; gap: 6px; margin-bottom: 4px;">
+            <span style="background: ${badgeGradient}; color: white; padding: 1px 6px; border-radius: 10px; font-size: 10px; font-weight: 600;">${percentage}%</span>
+            <span style="font-size: 10px; color: #6b7280;">${matchLabels[candidate.matchType] || ''}</span>
+            ${candidate.isLikely ? '<span style="font-size: 10px; color: #7c3aed; font-weight: 600;">★ 依頁面結構最可能</span>' : ''}
+          </div>
+          <div style="font-family: 'Courier New', monospace; font-size: 13px; word-break: break-all; color: #1f2937;">
+            ${this.escapeHtml(candidate.entry.key)}
+          </div>
+          <div style="font-size: 12px; color: #6b7280; margin-top: 2px; word-break: break-all;">
+            ${this.escapeHtml(value)}
+          </div>
+          ${params}
+        </div>
+      `;
     }
 
     /**
@@ -985,50 +1670,1103 @@
     }
 
     /**
-     * Find translation entry by text
+     * Outline every visible element rendering a key, scroll to the first one and show a
+     * bar to step through them. Values with placeholders also match their interpolated forms,
+     * and text split across child elements, e.g. "共 <b>128</b> 則評論", matches on the element
+     * containing it. Locating the key that is already shown steps to its next occurrence.
+     * @param {string} key - Translation key
+     * @param {string} value - Value rendered for the key, defaults to the active locale's value
+     * @returns {number} Number of occurrences found
+     */
+    locateKey(key, value) {
+      if (this.locateState && this.locateState.key === key) {
+        this.stepLocate(1);
+        return this.locateState.elements.length;
+      }
+      this.stopLocate();
+
+      const entry = (this.translationData || []).find(item => item.key === key);
+      const target = value || (entry ? entry.val : '');
+
+      const elements = [];
+      this.collectVisibleTextNodes().forEach(({ element, text }) => {
+        if (elements.includes(element)) {
+          return;
+        }
+
+        const rendersKey = TranslationMatcher.rendersValue(target, text) ||
+          this.getTracedCalls(text).some(trace => trace.key === key) ||
+          (element.textContent.length <= MAX_LOCATE_TEXT_LENGTH &&
+            TranslationMatcher.rendersValue(target, element.textContent));
+        if (rendersKey) {
+          elements.push(element);
+        }
+      });
+
+      if (elements.length === 0) {
+        return 0;
+      }
+
+      elements.forEach(element => this.addHighlight(element));
+      this.locateState = { key, elements, index: 0 };
+      this.showLocateBar();
+      document.addEventListener('keydown', this.boundHandleLocateKeyDown, true);
+      this.stepLocate(0);
+
+      return elements.length;
+    }
+
+    /**
+     * Move to another located occurrence, wrapping around at both ends
+     * @param {number} delta - Occurrences to move, negative to go back
+     */
+    stepLocate(delta) {
+      const state = this.locateState;
+      if (!state) {
+        return;
+      }
+
+      const count = state.elements.length;
+      state.index = ((state.index + delta) % count + count) % count;
+      state.elements.forEach((element, index) => {
+        element.style.outline = index === state.index ? LOCATE_CURRENT_OUTLINE : LOCATE_OUTLINE;
+      });
+      state.elements[state.index].scrollIntoView({ behavior: 'smooth', block: 'center' });
+
+      const counter = document.getElementById('i18n-locate-counter');
+      if (counter) {
+        counter.textContent = `${state.index + 1} / ${count}`;
+      }
+    }
+
+    /**
+     * Remove the located outlines and the step bar
+     */
+    stopLocate() {
+      if (!this.locateState) {
+        return;
+      }
+
+      this.locateState.elements.forEach(element => this.removeHighlight(element));
+      this.locateState = null;
+      document.removeEventListener('keydown', this.boundHandleLocateKeyDown, true);
+
+      const bar = document.getElementById('i18n-locate-bar');
+      if (bar) {
+        bar.remove();
+      }
+    }
+
+    /**
+     * Show the bar with the located key, the current occurrence and step buttons
      */
-    findTranslationByText(text) {
-      if (!this.translationData || !text) {
+    showLocateBar() {
+      const existing = document.getElementById('i18n-locate-bar');
+      if (existing) {
+        existing.remove();
+      }
+
+      const bar = document.createElement('div');
+      bar.id = 'i18n-locate-bar';
+      bar.style.cssText = `
+        position: fixed;
+        bottom: 20px;
+        left: 50%;
+        transform: translateX(-50%);
+        z-index: 2147483647;
+        display: flex;
+        align-items: center;
+        gap: 10px;
+        max-width: calc(100vw - 40px);
+        padding: 10px 16px;
+        border-radius: 12px;
+        background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+        color: white;
+        box-shadow: 0 8px 32px rgba(0, 0, 0, 0.3);
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 13px;
+      `;
+
+      const label = document.createElement('span');
+      label.textContent = `📍 ${this.locateState.key}`;
+      label.style.cssText = `
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+        font-family: monospace;
+      `;
+
+      const counter = document.createElement('span');
+      counter.id = 'i18n-locate-counter';
+      counter.style.cssText = 'flex-shrink: 0; font-weight: 600;';
+
+      bar.appendChild(label);
+      bar.appendChild(counter);
+      bar.appendChild(this.createLocateButton('‹', '上一處 (Shift+Enter)', () => this.stepLocate(-1)));
+      bar.appendChild(this.createLocateButton('›', '下一處 (Enter)', () => this.stepLocate(1)));
+      bar.appendChild(this.createLocateButton('✕', '關閉 (ESC)', () => this.stopLocate()));
+
+      document.body.appendChild(bar);
+    }
+
+    /**
+     * Create a button for the locate bar
+     */
+    createLocateButton(text, title, onClick) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = text;
+      button.title = title;
+      button.style.cssText = `
+        flex-shrink: 0;
+        width: 26px;
+        height: 26px;
+        border: none;
+        border-radius: 6px;
+        background: rgba(255, 255, 255, 0.25);
+        color: white;
+        font-size: 15px;
+        line-height: 1;
+        cursor: pointer;
+      `;
+      button.addEventListener('click', onClick);
+      return button;
+    }
+
+    /**
+     * Keyboard stepping while the locate bar is shown
+     * Keys pressed in page fields, links and buttons (including the bar's own) are left alone.
+     */
+    handleLocateKeyDown(event) {
+      const target = event.target;
+      if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT|BUTTON|A)$/.test(target.tagName))) {
+        return;
+      }
+
+      if (event.key === 'Escape') {
+        this.stopLocate();
+      } else if (event.key === 'Enter') {
+        event.preventDefault();
+        this.stepLocate(event.shiftKey ? -1 : 1);
+      }
+    }
+
+    /**
+     * Collect visible, non-empty text nodes on the page, including open shadow roots
+     * and same-origin iframes unless a root is given
+     * @returns {Array<{node: Text, element: Element, text: string}>}
+     */
+    collectVisibleTextNodes(root = null) {
+      const results = [];
+      const roots = root ? [root] : this.getScanRoots();
+
+      roots.forEach(scanRoot => {
+        if (results.length < MAX_SCANNED_TEXT_NODES) {
+          this.collectTextNodesInRoot(scanRoot, results);
+        }
+      });
+
+      return results;
+    }
+
+    /**
+     * Roots to scan: the page body, open shadow roots and bodies of same-origin iframes
+     */
+    getScanRoots() {
+      return DomRoots.collectRoots(document)
+        .map(root => (root.nodeType === Node.DOCUMENT_NODE ? root.body : root))
+        .filter(Boolean);
+    }
+
+    /**
+     * Append the visible text nodes of one root to results
+     */
+    collectTextNodesInRoot(root, results) {
+      DomRoots.collectTextNodes(root, {
+        limit: MAX_SCANNED_TEXT_NODES - results.length,
+        isExcluded: element => this.isExtensionNode(element)
+      }).forEach(({ node, element }) => {
+        results.push({
+          node: node,
+          element: element,
+          text: this.getOriginalText(node).trim()
+        });
+      });
+    }
+
+    /**
+     * Toggle the page-wide key annotation overlay
+     */
+    toggleAnnotationMode() {
+      if (this.isAnnotationActive) {
+        this.stopAnnotationMode();
         return null;
       }
 
-      // Normalize text for comparison
-      const normalizedText = text.trim().toLowerCase();
+      this.isAnnotationActive = true;
+      this.boundAnnotationResize = () => this.scheduleAnnotationRefresh();
+      window.addEventListener('resize', this.boundAnnotationResize);
 
-      // First try exact match
-      let match = this.translationData.find(entry =>
-        entry.val && entry.val.trim().toLowerCase() === normalizedText
-      );
+      return this.renderAnnotations();
+    }
+
+    /**
+     * Remove the annotation overlay
+     */
+    stopAnnotationMode() {
+      this.isAnnotationActive = false;
+      clearTimeout(this.annotationTimer);
 
-      if (match) {
-        return { entry: match, score: 1.0 };
+      if (this.boundAnnotationResize) {
+        window.removeEventListener('resize', this.boundAnnotationResize);
+        this.boundAnnotationResize = null;
       }
 
-      // If no exact match, try partial match
-      match = this.translationData.find(entry =>
-        entry.val && entry.val.toLowerCase().includes(normalizedText)
-      );
+      const layer = document.getElementById('i18n-annotation-layer');
+      if (layer) {
+        layer.remove();
+      }
+    }
+
+    /**
+     * Debounce annotation redraws while the page is changing
+     */
+    scheduleAnnotationRefresh() {
+      clearTimeout(this.annotationTimer);
+      this.annotationTimer = setTimeout(() => {
+        if (this.isAnnotationActive) {
+          this.renderAnnotations();
+        }
+      }, 300);
+    }
+
+    /**
+     * Draw an outline and key badge over every visible text node
+     * @returns {Object} Annotation stats ({total, matched, unmatched})
+     */
+    renderAnnotations() {
+      const existing = document.getElementById('i18n-annotation-layer');
+      if (existing) {
+        existing.remove();
+      }
+
+      const layer = document.createElement('div');
+      layer.id = 'i18n-annotation-layer';
+      layer.style.cssText = `
+        position: absolute;
+        top: 0;
+        left: 0;
+        width: 0;
+        height: 0;
+        z-index: 2147483646;
+        pointer-events: none;
+      `;
+
+      const stats = { total: 0, matched: 0, unmatched: 0 };
+      const fragment = document.createDocumentFragment();
+      const frameOffsets = new Map();
+
+      this.collectVisibleTextNodes().forEach(({ node, element, text }) => {
+        const range = node.ownerDocument.createRange();
+        range.selectNodeContents(node);
+        const nodeRect = range.getBoundingClientRect();
+        if (nodeRect.width === 0 || nodeRect.height === 0) {
+          return;
+        }
+
+        // Text inside iframes is measured in the iframe's viewport
+        const view = node.ownerDocument.defaultView;
+        if (!frameOffsets.has(view)) {
+          frameOffsets.set(view, DomRoots.getFrameOffset(view));
+        }
+        const offset = frameOffsets.get(view);
+        const rect = {
+          top: nodeRect.top + offset.y,
+          left: nodeRect.left + offset.x,
+          width: nodeRect.width,
+          height: nodeRect.height
+        };
+
+        const match = this.findTranslationByText(text, element);
+        stats.total++;
+        if (match) {
+          stats.matched++;
+        } else {
+          stats.unmatched++;
+        }
+
+        fragment.appendChild(this.createAnnotation(rect, match));
+      });
 
-      if (match) {
-        // Calculate score based on text length ratio
-        const score = normalizedText.length / match.val.toLowerCase().length;
-        return { entry: match, score: Math.min(0.8, score) };
+      layer.appendChild(fragment);
+      document.body.appendChild(layer);
+
+      return stats;
+    }
+
+    /**
+     * Create one outline + badge annotation positioned over a text rect
+     */
+    createAnnotation(rect, match) {
+      let color;
+      if (!match) {
+        color = '#ef4444';
+      } else if (match.score >= 0.9) {
+        color = '#10b981';
+      } else if (match.score >= 0.7) {
+        color = '#f59e0b';
+      } else {
+        color = '#3b82f6';
       }
 
-      // If still no match, try the other way around
-      match = this.translationData.find(entry =>
-        entry.val && normalizedText.includes(entry.val.toLowerCase())
+      const annotation = document.createElement('div');
+      annotation.style.cssText = `
+        position: absolute;
+        top: ${rect.top + window.scrollY}px;
+        left: ${rect.left + window.scrollX}px;
+        width: ${rect.width}px;
+        height: ${rect.height}px;
+        outline: 2px solid ${color};
+        outline-offset: 1px;
+        box-sizing: border-box;
+      `;
+
+      const badge = document.createElement('div');
+      badge.textContent = match
+        ? `${match.entry.key} · ${Math.round(match.score * 100)}%`
+        : '無對應鍵值';
+      badge.style.cssText = `
+        position: absolute;
+        bottom: 100%;
+        left: -2px;
+        max-width: 320px;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+        background: ${color};
+        color: #ffffff;
+        font: 600 10px/1.4 'Courier New', monospace;
+        padding: 1px 4px;
+        border-radius: 3px 3px 0 0;
+      `;
+
+      annotation.appendChild(badge);
+      return annotation;
+    }
+
+    /**
+     * Toggle rewriting every text node that maps to a loaded translation
+     * Pseudo mode shows pseudo-localized text; keys mode shows the key, with the text in a hover title.
+     * Switching modes restores the page before applying the new one.
+     * @param {string} mode - One of TEXT_REWRITE_MODES
+     * @returns {Object|null} Stats ({rewritten, unmatched}) when turned on, null when turned off
+     */
+    toggleTextRewrite(mode) {
+      const wasActive = this.textRewriteMode === mode;
+      this.stopTextRewrite();
+      if (wasActive) {
+        return null;
+      }
+
+      this.textRewriteMode = mode;
+      return this.applyTextRewrite();
+    }
+
+    /**
+     * Restore the original text and stop following page changes
+     */
+    stopTextRewrite() {
+      this.textRewriteMode = null;
+      clearTimeout(this.textRewriteTimer);
+      this.restoreRewrittenTexts();
+    }
+
+    /**
+     * Put back the text of every node still showing its rewritten form, and the titles replaced
+     * Nodes the page has re-rendered since already show real text and are left alone.
+     */
+    restoreRewrittenTexts() {
+      this.rewrittenTexts.forEach(({ original, rewritten }, node) => {
+        if (node.nodeValue === rewritten) {
+          node.nodeValue = original;
+        }
+      });
+      this.rewrittenTexts.clear();
+
+      this.rewrittenTitles.forEach((title, element) => {
+        if (title === null) {
+          element.removeAttribute('title');
+        } else {
+          element.setAttribute('title', title);
+        }
+      });
+      this.rewrittenTitles.clear();
+    }
+
+    /**
+     * Debounce rewriting newly rendered text
+     */
+    scheduleTextRewriteRefresh() {
+      clearTimeout(this.textRewriteTimer);
+      this.textRewriteTimer = setTimeout(() => {
+        if (this.textRewriteMode) {
+          this.applyTextRewrite();
+        }
+      }, 300);
+    }
+
+    /**
+     * Rewrite visible text that matches a translation value; unmatched text stays as it is
+     * @returns {Object} Stats ({rewritten, unmatched})
+     */
+    applyTextRewrite() {
+      const stats = { rewritten: 0, unmatched: 0 };
+      const isPseudo = this.textRewriteMode === TEXT_REWRITE_MODES.PSEUDO;
+      const pseudoOptions = isPseudo ? PseudoLocale.normalizeOptions(this.settings.pseudoLocale) : null;
+
+      // Forget text the page has removed since the last pass
+      this.rewrittenTexts.forEach((tracked, node) => {
+        if (!node.isConnected) {
+          this.rewrittenTexts.delete(node);
+        }
+      });
+      this.rewrittenTitles.forEach((title, element) => {
+        if (!element.isConnected) {
+          this.rewrittenTitles.delete(element);
+        }
+      });
+
+      this.collectVisibleTextNodes().forEach(({ node, element, text }) => {
+        const tracked = this.rewrittenTexts.get(node);
+        if (tracked && node.nodeValue === tracked.rewritten) {
+          stats.rewritten++;
+          return;
+        }
+        if (this.editedTexts.has(node)) {
+          // Showing an edit preview, which takes precedence
+          return;
+        }
+
+        // Text left plain must mean hardcoded, and a shown key must be the real one, so only
+        // rewrite text a key surely rendered
+        const match = this.findTranslationByText(text, element, { strict: true });
+        if (!match) {
+          stats.unmatched++;
+          return;
+        }
+
+        const original = node.nodeValue;
+        const rewritten = isPseudo
+          ? PseudoLocale.pseudoLocalize(original, pseudoOptions)
+          : original.replace(/^(\s*)[\s\S]*?(\s*)$/, (all, leading, trailing) => leading + match.entry.key + trailing);
+        this.rewrittenTexts.set(node, { original, rewritten });
+        node.nodeValue = rewritten;
+        stats.rewritten++;
+
+        if (!isPseudo) {
+          this.setOriginalTextTitle(element);
+        }
+      });
+
+      return stats;
+    }
+
+    /**
+     * Show the original text of an element whose text was replaced by keys on hover
+     */
+    setOriginalTextTitle(element) {
+      if (!this.rewrittenTitles.has(element)) {
+        this.rewrittenTitles.set(element, element.getAttribute('title'));
+      }
+      element.setAttribute('title', this.getOriginalTextContent(element).trim());
+    }
+
+    /**
+     * Text a node showed before it was rewritten
+     */
+    getOriginalText(node) {
+      const tracked = this.rewrittenTexts.get(node) || this.editedTexts.get(node);
+      return tracked && node.nodeValue === tracked.rewritten ? tracked.original : node.nodeValue;
+    }
+
+    /**
+     * Text content of an element as it was before rewriting
+     */
+    getOriginalTextContent(element) {
+      const walker = element.ownerDocument.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+      let text = '';
+      while (walker.nextNode()) {
+        text += this.getOriginalText(walker.currentNode);
+      }
+      return text;
+    }
+
+    /**
+     * Open an editor for the translation behind a picked element
+     * Typing previews the value on every occurrence of the key; saving adds it to the change set.
+     * @param {Element} element - Picked element
+     * @param {Array<Object>} sources - Strings of the element with their candidates
+     */
+    openInlineEditor(element, sources) {
+      this.closeInlineEditor();
+
+      // One option per key, best candidate of each source first
+      const keys = [];
+      sources.forEach(source => {
+        source.candidates.forEach(candidate => {
+          if (!keys.some(option => option.key === candidate.entry.key)) {
+            keys.push({ key: candidate.entry.key, value: candidate.entry.val, label: source.label });
+          }
+        });
+      });
+
+      const editor = document.createElement('div');
+      editor.id = 'i18n-inline-editor';
+      editor.style.cssText = `
+        position: fixed;
+        z-index: 2147483647;
+        width: 360px;
+        background: #ffffff;
+        color: #1f2937;
+        padding: 14px 16px;
+        border-radius: 10px;
+        box-shadow: 0 8px 32px rgba(0, 0, 0, 0.25);
+        border: 2px solid #667eea;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+        font-size: 13px;
+      `;
+      editor.innerHTML = `
+        <div style="display: flex; align-items: center; justify-content: space-between; margin-bottom: 8px;">
+          <div style="font-weight: 700; font-size: 14px; color: #4c51bf;">✏️ 編輯翻譯 · ${this.escapeHtml(this.getEditLocale())}</div>
+          <button type="button" data-editor-action="cancel" title="取消" style="border: none; background: none; font-size: 18px; cursor: pointer; color: #6b7280;">×</button>
+        </div>
+        <select data-editor-key style="width: 100%; margin-bottom: 8px; padding: 4px 6px; border: 1px solid #d1d5db; border-radius: 4px; font: 12px 'Courier New', monospace;">
+          ${keys.map((option, index) => `<option value="${index}">${this.escapeHtml(option.key)}（${this.escapeHtml(option.label)}）</option>`).join('')}
+        </select>
+        <div data-editor-original style="margin-bottom: 6px; padding: 6px 8px; background: #f3f4f6; border-radius: 4px; color: #6b7280; font-size: 12px; word-break: break-all;"></div>
+        <textarea data-editor-value rows="3" style="width: 100%; box-sizing: border-box; padding: 6px 8px; border: 1px solid #d1d5db; border-radius: 4px; font: inherit; resize: vertical;"></textarea>
+        <div style="display: flex; align-items: center; gap: 6px; margin-top: 8px;">
+          <span data-editor-status style="flex: 1; font-size: 11px; color: #6b7280;">Ctrl/⌘+Enter 儲存 · Esc 取消</span>
+          <button type="button" data-editor-action="revert" style="padding: 5px 10px; border: 1px solid #d1d5db; border-radius: 4px; background: #ffffff; cursor: pointer; font-size: 12px;">還原原文</button>
+          <button type="button" data-editor-action="save" style="padding: 5px 12px; border: none; border-radius: 4px; background: #667eea; color: #ffffff; cursor: pointer; font-size: 12px; font-weight: 600;">儲存</button>
+        </div>
+      `;
+      document.body.appendChild(editor);
+
+      this.editorState = { editor, keys, key: null, locale: this.getEditLocale(), oldValue: '', draft: '' };
+      this.selectEditorKey(0);
+      this.positionInlineEditor(editor, element);
+
+      const textarea = editor.querySelector('[data-editor-value]');
+      textarea.addEventListener('input', () => {
+        this.editorState.draft = textarea.value;
+        this.scheduleEditPreviewRefresh(100);
+      });
+      textarea.addEventListener('keydown', (event) => {
+        // Keep typing from reaching page shortcuts
+        event.stopPropagation();
+        if (event.key === 'Escape') {
+          this.closeInlineEditor();
+        } else if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+          event.preventDefault();
+          this.saveInlineEdit();
+        }
+      });
+      editor.querySelector('[data-editor-key]').addEventListener('change', (event) => {
+        this.selectEditorKey(Number(event.target.value));
+      });
+      editor.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-editor-action]');
+        if (!button) {
+          return;
+        }
+        const action = button.dataset.editorAction;
+        if (action === 'save') {
+          this.saveInlineEdit();
+        } else if (action === 'revert') {
+          textarea.value = this.editorState.oldValue;
+          this.editorState.draft = textarea.value;
+          this.saveInlineEdit();
+        } else {
+          this.closeInlineEditor();
+        }
+      });
+
+      textarea.focus();
+      textarea.select();
+    }
+
+    /**
+     * Locale that edits are recorded for: the one the page is shown in
+     */
+    getEditLocale() {
+      return this.activeLocale || 'default';
+    }
+
+    /**
+     * Edit another key the picked element may render, starting from its saved edit if any
+     */
+    selectEditorKey(index) {
+      const state = this.editorState;
+      const option = state.keys[index];
+      const saved = ChangeSet.findChange(this.changeSet, option.key, state.locale);
+
+      state.key = option.key;
+      state.oldValue = saved ? saved.oldValue : option.value;
+      state.draft = saved ? saved.newValue : option.value;
+
+      state.editor.querySelector('[data-editor-original]').textContent = `原文：${state.oldValue}`;
+      state.editor.querySelector('[data-editor-value]').value = state.draft;
+      this.refreshEditPreviews();
+    }
+
+    /**
+     * Place the editor below the picked element, or above it when there is no room
+     */
+    positionInlineEditor(editor, element) {
+      const rect = element.getBoundingClientRect();
+      const offset = DomRoots.getFrameOffset(element.ownerDocument.defaultView);
+      const height = editor.offsetHeight || 200;
+      const width = editor.offsetWidth || 360;
+
+      let top = rect.bottom + offset.y + 8;
+      if (top + height > window.innerHeight) {
+        top = Math.max(8, rect.top + offset.y - height - 8);
+      }
+      const left = Math.min(Math.max(8, rect.left + offset.x), Math.max(8, window.innerWidth - width - 8));
+
+      editor.style.top = `${top}px`;
+      editor.style.left = `${left}px`;
+    }
+
+    /**
+     * Save the editor's value into the change set kept in extension storage
+     */
+    saveInlineEdit() {
+      const state = this.editorState;
+      if (!state) {
+        return;
+      }
+
+      this.changeSet = ChangeSet.upsertChange(this.changeSet, {
+        key: state.key,
+        locale: state.locale,
+        oldValue: state.oldValue,
+        newValue: state.draft,
+        url: window.location.href
+      });
+      chrome.storage.local.set({ [ChangeSet.STORAGE_KEY]: this.changeSet });
+
+      const { editor } = state;
+      editor.querySelector('[data-editor-status]').textContent = state.draft === state.oldValue
+        ? '✓ 已還原原文'
+        : `✓ 已加入變更集（共 ${this.changeSet.length} 筆）`;
+      editor.querySelectorAll('textarea, select, button').forEach(control => {
+        control.disabled = true;
+      });
+
+      // Leave the confirmation up briefly, unless another element is picked meanwhile
+      setTimeout(() => {
+        if (this.editorState && this.editorState.editor === editor) {
+          this.closeInlineEditor();
+        }
+      }, 1200);
+    }
+
+    /**
+     * Close the editor, dropping an unsaved draft from the page
+     */
+    closeInlineEditor() {
+      if (!this.editorState) {
+        return;
+      }
+      this.editorState.editor.remove();
+      this.editorState = null;
+      this.refreshEditPreviews();
+    }
+
+    /**
+     * Edits to preview on the page: ones saved on this page for the shown locale, with the
+     * open draft on top
+     * @returns {Array<{key: string, oldValue: string, newValue: string}>}
+     */
+    getPreviewChanges() {
+      const locale = this.getEditLocale();
+      const state = this.editorState;
+      const changes = ChangeSet.getPageChanges(this.changeSet, window.location.href).filter(change =>
+        change.locale === locale && !(state && change.key === state.key)
       );
 
-      if (match) {
-        // Lower score for reverse match
-        const score = match.val.toLowerCase().length / normalizedText.length;
-        return { entry: match, score: Math.min(0.6, score) };
+      if (state && state.draft !== state.oldValue) {
+        changes.push({ key: state.key, oldValue: state.oldValue, newValue: state.draft });
       }
+      return changes;
+    }
+
+    /**
+     * Check whether this page has edit previews to draw or put back
+     * Keeps pages without edits from rescanning their text on every DOM mutation.
+     */
+    hasEditPreviews() {
+      return Boolean(this.editorState) || this.editedTexts.size > 0 || this.getPreviewChanges().length > 0;
+    }
+
+    /**
+     * Debounce redrawing edit previews while the page or the draft is changing
+     */
+    scheduleEditPreviewRefresh(delay = 300) {
+      clearTimeout(this.editPreviewTimer);
+      this.editPreviewTimer = setTimeout(() => this.applyEditPreviews(), delay);
+    }
+
+    /**
+     * Redraw edit previews from scratch, e.g. after the change set or draft changed
+     */
+    refreshEditPreviews() {
+      clearTimeout(this.editPreviewTimer);
+      this.restoreEditPreviews();
+      this.applyEditPreviews();
+    }
+
+    /**
+     * Put back the text of every node still showing an edit preview
+     */
+    restoreEditPreviews() {
+      this.editedTexts.forEach(({ original, rewritten }, node) => {
+        if (node.nodeValue === rewritten) {
+          node.nodeValue = original;
+        }
+      });
+      this.editedTexts.clear();
+    }
+
+    /**
+     * Show edited values in place of the text rendered from their old values
+     * Interpolated text keeps its filled-in values, e.g. "共 128 則評論" edited as "{count} 則評論".
+     */
+    applyEditPreviews() {
+      const changes = this.getPreviewChanges();
+      if (changes.length === 0) {
+        this.restoreEditPreviews();
+        return;
+      }
+
+      this.collectVisibleTextNodes().forEach(({ node, text }) => {
+        const tracked = this.editedTexts.get(node);
+        if (tracked && node.nodeValue !== tracked.rewritten) {
+          // Re-rendered by the page since the last pass
+          this.editedTexts.delete(node);
+        } else if (!tracked && this.rewrittenTexts.has(node)) {
+          return;
+        }
 
+        for (const change of changes) {
+          const preview = TranslationMatcher.previewValue(change.oldValue, change.newValue, text);
+          if (preview === null) {
+            continue;
+          }
+
+          const original = tracked && node.nodeValue === tracked.rewritten ? tracked.original : node.nodeValue;
+          const rewritten = original.replace(/^(\s*)[\s\S]*?(\s*)$/, (all, leading, trailing) => leading + preview + trailing);
+          if (node.nodeValue !== rewritten) {
+            node.nodeValue = rewritten;
+          }
+          this.editedTexts.set(node, { original, rewritten });
+          return;
+        }
+
+        // No longer edited, e.g. the draft went back to the original value
+        if (tracked && node.nodeValue === tracked.rewritten) {
+          node.nodeValue = tracked.original;
+          this.editedTexts.delete(node);
+        }
+      });
+    }
+
+    /**
+     * Build a readable CSS selector path for an element
+     */
+    getCssSelectorPath(element, maxDepth = 5) {
+      const parts = [];
+      let current = element;
+
+      while (current && current.nodeType === Node.ELEMENT_NODE && current !== current.ownerDocument.body && parts.length < maxDepth) {
+        let part = current.tagName.toLowerCase();
+
+        // An id is unique enough to stop climbing
+        if (current.id) {
+          parts.unshift(`${part}#${CSS.escape(current.id)}`);
+          break;
+        }
+
+        const classes = typeof current.className === 'string'
+          ? current.className.trim().split(/\s+/).filter(Boolean).slice(0, 2)
+          : [];
+        if (classes.length > 0) {
+          part += classes.map(name => `.${CSS.escape(name)}`).join('');
+        }
+
+        const parent = current.parentElement;
+        if (parent) {
+          const sameTagSiblings = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+          if (sameTagSiblings.length > 1) {
+            part += `:nth-of-type(${sameTagSiblings.indexOf(current) + 1})`;
+          }
+        }
+
+        parts.unshift(part);
+        current = parent;
+      }
+
+      return parts.join(' > ');
+    }
+
+    /**
+     * Report visible text that does not match any loaded translation value
+     * Such text most likely bypasses i18n and is hardcoded in the page source
+     */
+    buildHardcodedReport() {
+      const items = new Map();
+      let scannedCount = 0;
+
+      this.collectVisibleTextNodes().forEach(({ element, text }) => {
+        // Numbers, prices and punctuation are not translatable copy
+        if (!/\p{L}/u.test(text)) {
+          return;
+        }
+
+        scannedCount++;
+        // Text sharing only a fragment with some value, e.g. a date containing "日", has no key
+        if (this.findTranslationByText(text, element, { strict: true })) {
+          return;
+        }
+
+        const selector = this.getCssSelectorPath(element);
+        const frame = this.describeNodeLocation(element);
+        const id = `${text}\u0000${frame}\u0000${selector}`;
+        if (items.has(id)) {
+          items.get(id).count++;
+        } else {
+          items.set(id, { text, selector, frame, count: 1 });
+        }
+      });
+
+      return {
+        url: window.location.href,
+        locale: this.activeLocale,
+        generatedAt: new Date().toISOString(),
+        hasTranslationData: Boolean(this.translationData && this.translationData.length > 0),
+        scannedCount: scannedCount,
+        items: Array.from(items.values()).sort((a, b) => b.count - a.count)
+      };
+    }
+
+    /**
+     * Report translated text that its box cuts off, e.g. with an ellipsis or a line clamp
+     * Only text a translation key surely rendered is checked, so each item names the key to shorten.
+     */
+    buildOverflowReport() {
+      const items = [];
+      const checkedBoxes = new Set();
+      let scannedCount = 0;
+
+      this.collectVisibleTextNodes().forEach(({ element, text }) => {
+        if (!/\p{L}/u.test(text)) {
+          return;
+        }
+
+        const match = this.findTranslationByText(text, element, { strict: true });
+        if (!match) {
+          return;
+        }
+        scannedCount++;
+
+        const clipped = this.findClippingBox(element, text);
+        if (!clipped || checkedBoxes.has(clipped.box)) {
+          return;
+        }
+        checkedBoxes.add(clipped.box);
+
+        const { box, clipping, metrics } = clipped;
+        const hasEllipsis = clipping.reasons.includes(TextOverflow.REASONS.ELLIPSIS);
+        items.push({
+          key: match.entry.key,
+          locale: this.activeLocale,
+          text: text,
+          selector: this.getCssSelectorPath(box),
+          frame: this.describeNodeLocation(box),
+          reasons: clipping.reasons,
+          // Layout measures the text as shown, which pseudo-localization may have lengthened
+          cutCharacters: TextOverflow.estimateCutCharacters(box.textContent, clipping.visibleRatio, hasEllipsis),
+          visiblePercent: Math.round(clipping.visibleRatio * 100),
+          boxSize: `${metrics.clientWidth}×${metrics.clientHeight}`,
+          contentSize: `${metrics.scrollWidth}×${metrics.scrollHeight}`
+        });
+      });
+
+      return {
+        url: window.location.href,
+        locale: this.activeLocale,
+        generatedAt: new Date().toISOString(),
+        hasTranslationData: Boolean(this.translationData && this.translationData.length > 0),
+        scannedCount: scannedCount,
+        items: items.sort((a, b) => b.cutCharacters - a.cutCharacters)
+      };
+    }
+
+    /**
+     * Find the box cutting off a text: its own element, or a wrapper holding nothing but that text
+     * Wrappers with other content are skipped, since a clipped carousel or card would
+     * otherwise flag every string inside it.
+     * @returns {Object|null} {box, clipping, metrics}
+     */
+    findClippingBox(element, text) {
+      let current = element;
+      for (let depth = 0; current && depth <= MAX_CLIP_DEPTH; depth++) {
+        if (depth > 0 && this.getOriginalTextContent(current).trim() !== text) {
+          return null;
+        }
+
+        const metrics = this.readBoxMetrics(current);
+        const clipping = TextOverflow.detectClipping(metrics);
+        if (clipping) {
+          return { box: current, clipping, metrics };
+        }
+
+        if (current === current.ownerDocument.body) {
+          return null;
+        }
+        current = current.parentElement;
+      }
       return null;
     }
 
+    /**
+     * Read the layout and overflow style TextOverflow.detectClipping needs
+     */
+    readBoxMetrics(element) {
+      const view = element.ownerDocument.defaultView || window;
+      const style = view.getComputedStyle(element);
+
+      return {
+        scrollWidth: element.scrollWidth,
+        clientWidth: element.clientWidth,
+        scrollHeight: element.scrollHeight,
+        clientHeight: element.clientHeight,
+        overflowX: style.overflowX,
+        overflowY: style.overflowY,
+        textOverflow: style.textOverflow,
+        lineClamp: style.getPropertyValue('-webkit-line-clamp') || style.getPropertyValue('line-clamp')
+      };
+    }
+
+    /**
+     * Collect identifier words from an element and its ancestors
+     * Used to rank keys like "product.booking.submit" for a button inside ".booking-form"
+     */
+    collectContextTokens(element, maxDepth = 6) {
+      const tokens = [];
+      let current = element;
+      let depth = 0;
+
+      while (current && current.nodeType === Node.ELEMENT_NODE && depth < maxDepth) {
+        const identifiers = [
+          current.tagName.toLowerCase(),
+          current.id,
+          typeof current.className === 'string' ? current.className : '',
+          current.getAttribute('name'),
+          current.getAttribute('data-testid')
+        ];
+
+        identifiers.forEach(identifier => {
+          tokens.push(...TranslationMatcher.tokenize(identifier));
+        });
+
+        current = current.parentElement;
+        depth++;
+      }
+
+      return tokens;
+    }
+
+    /**
+     * Find every translation entry that could have rendered the text, best first
+     */
+    findTranslationCandidates(text, element = null, options = {}) {
+      if (!text) {
+        return [];
+      }
+
+      const limit = options.limit || 10;
+      const candidates = TranslationMatcher.findCandidates(this.translationData || [], text, {
+        contextTokens: element ? this.collectContextTokens(element) : [],
+        limit: limit
+      });
+
+      // Keys recorded by runtime tracing are certain, so they rank above value matches
+      return TranslationMatcher.mergeTracedCandidates(this.getTracedCalls(text), candidates, limit);
+    }
+
+    /**
+     * Find the best translation entry by text
+     * @param {string} text - Rendered text
+     * @param {Element} element - Element rendering it, used to rank by DOM context
+     * @param {Object} options - {strict}: only accept traced, exact and template matches
+     * @returns {Object|null} Best candidate
+     */
+    findTranslationByText(text, element = null, options = {}) {
+      if (!text) {
+        return null;
+      }
+
+      const traced = this.getTracedCalls(text);
+      if (traced.length > 0) {
+        return TranslationMatcher.mergeTracedCandidates(traced, [], 1)[0];
+      }
+
+      if (!this.translationData) {
+        return null;
+      }
+
+      // Page-wide scans call this per text node, so try the exact-value index before a full scan
+      const exactEntries = this.getExactMatchIndex().get(TranslationMatcher.normalize(text));
+      const entries = exactEntries || this.translationData;
+
+      const candidates = TranslationMatcher.findCandidates(entries, text, {
+        contextTokens: element ? this.collectContextTokens(element) : [],
+        limit: 1
+      });
+
+      // Candidates rank by match type, so a weak best candidate means there is no confident one
+      const best = candidates.length > 0 ? candidates[0] : null;
+      if (options.strict && !TranslationMatcher.isConfidentMatch(best)) {
+        return null;
+      }
+      return best;
+    }
+
+    /**
+     * Get a normalized value → entries index, rebuilt when the translation data changes
+     */
+    getExactMatchIndex() {
+      if (this.exactMatchIndexSource !== this.translationData) {
+        this.exactMatchIndex = new Map();
+        (this.translationData || []).forEach(entry => {
+          const normalized = TranslationMatcher.normalize(entry.val);
+          if (!normalized) {
+            return;
+          }
+          if (!this.exactMatchIndex.has(normalized)) {
+            this.exactMatchIndex.set(normalized, []);
+          }
+          this.exactMatchIndex.get(normalized).push(entry);
+        });
+        this.exactMatchIndexSource = this.translationData;
+      }
+
+      return this.exactMatchIndex;
+    }
+
     /**
      * Get all translation entries
      */
@@ -6,94 +6,26 @@
 (function() {
   'use strict';
 
-  // 擷取翻譯資料的函數
-  function extractTranslationData() {
-    let data = null;
-
-    // 檢查 __NUXT__
-    if (typeof __NUXT__ !== 'undefined') {
-      if (__NUXT__.state) {
-        // 列出所有的 state keys
-        const stateKeys = Object.keys(__NUXT__.state);
-
-        // 尋找可能的翻譯資料
-        for (const key of stateKeys) {
-          if (key.includes('i18n') || key.includes('lang') || key.includes('locale') || key.startsWith('$s')) {
-            const value = __NUXT__.state[key];
-            if (value && typeof value === 'object' && Object.keys(value).length > 0) {
-              data = value;
-              break;
-            }
-          }
-        }
-      }
-    }
-
-    // 檢查 __NEXT_DATA__
-    if (!data && typeof __NEXT_DATA__ !== 'undefined') {
-      if (__NEXT_DATA__.props?.pageProps) {
-        const pageProps = __NEXT_DATA__.props.pageProps;
-
-        // 檢查常見的 i18n 屬性
-        const checkKeys = ['translations', 'i18n', 'messages', '_nextI18Next'];
-        for (const key of checkKeys) {
-          if (pageProps[key]) {
-            data = pageProps[key];
-            break;
-          }
-        }
-      }
-    }
-
-    // 檢查 __INIT_STATE__
-    if (!data && typeof __INIT_STATE__ !== 'undefined') {
-      if (__INIT_STATE__.lang) {
-        data = __INIT_STATE__.lang;
-      }
+  // 推測頁面目前使用的語系
+  function detectPageLocale(registry) {
+    const htmlLang = registry.normalizeLocale(document.documentElement.lang);
+    if (htmlLang) {
+      return htmlLang;
     }
 
-    // 檢查其他全域變數
-    if (!data) {
-      // 列出所有可能相關的全域變數
-      const globalVars = [];
-      for (const key in window) {
-        if (key.includes('i18n') || key.includes('I18n') ||
-            key.includes('trans') || key.includes('Trans') ||
-            key.includes('locale') || key.includes('Locale') ||
-            key.includes('lang') || key.includes('Lang') ||
-            key.startsWith('__') || key.startsWith('$')) {
-          globalVars.push(key);
-        }
-      }
+    const pathMatch = window.location.pathname.match(/^\/([a-z]{2}(-[a-z]{2})?)(\/|$)/i);
+    return pathMatch ? registry.normalizeLocale(pathMatch[1]) : '';
+  }
 
-      // 嘗試從這些變數中找資料
-      for (const key of globalVars) {
-        try {
-          const value = window[key];
-          if (value && typeof value === 'object' && !value.nodeName) {
-            // 檢查是否包含翻譯資料的特徵
-            const valueKeys = Object.keys(value);
-            if (valueKeys.length > 0 && valueKeys.length < 10000) {
-              // 檢查是否有字串值（可能是翻譯）
-              const hasStrings = valueKeys.some(k => typeof value[k] === 'string');
-              const hasObjects = valueKeys.some(k => typeof value[k] === 'object');
-
-              if (hasStrings || hasObjects) {
-                // 如果看起來像翻譯資料，記錄它
-                if (valueKeys.length > 10) {
-                  data = value;
-                  break;
-                }
-              }
-            }
-          }
-        } catch (e) {
-          // 忽略無法存取的屬性
-        }
-      }
+  // 擷取翻譯資料：執行所有已註冊的擷取策略，採用信心度最高的結果
+  // 策略模組由 content script 在本檔之前注入（src/lib/extraction-strategies/）
+  function extractTranslationData() {
+    const registry = window.ExtractionRegistry;
+    if (!registry) {
+      return null;
     }
 
-    return data;
+    return registry.run(window, { pageLocale: detectPageLocale(registry) });
   }
 
   // 深度複製並清理物件，移除不可序列化的屬性
@@ -159,27 +91,454 @@
     return cleaned;
   }
 
-  // 立即擷取資料
-  const translationData = extractTranslationData();
+  // 清理每個語系的資料
+  function sanitizeLocales(result) {
+    if (!result || !result.locales) {
+      return null;
+    }
 
-  // 清理並傳送資料
-  try {
-    const cleanedData = translationData ? sanitizeData(translationData) : null;
+    const cleaned = {};
+    for (const locale of Object.keys(result.locales)) {
+      cleaned[locale] = sanitizeData(result.locales[locale]);
+    }
+    return cleaned;
+  }
 
-    window.postMessage({
+  // 組成要傳給 content script 的訊息
+  function buildMessage(result) {
+    const cleanedLocales = sanitizeLocales(result);
+    const cleanedData = cleanedLocales
+      ? cleanedLocales[result.locale]
+      : (result && result.data ? sanitizeData(result.data) : null);
+
+    return {
       type: 'I18N_KEY_FINDER_DATA',
       data: cleanedData,
-      debug: {
-        hasNuxt: typeof __NUXT__ !== 'undefined',
-        hasNextData: typeof __NEXT_DATA__ !== 'undefined',
-        hasInitState: typeof __INIT_STATE__ !== 'undefined',
-        globalKeys: Object.keys(window).filter(k =>
-          k.startsWith('__') ||
-          k.includes('i18n') ||
-          k.includes('I18n')
-        ).slice(0, 50)
+      locales: cleanedLocales,
+      locale: result ? result.locale : null,
+      // 回報勝出的擷取策略
+      source: result && result.strategy ? {
+        strategy: result.strategy,
+        label: result.label,
+        confidence: result.confidence,
+        path: result.path
+      } : null
+    };
+  }
+
+  // 標記已訂閱的實例；page script 可能被注入多次，因此用全域 Symbol 而非區域 WeakSet
+  const SUBSCRIBED = Symbol.for('i18n-key-finder.subscribed');
+
+  // 等待同一批載入完成後再傳送，避免每個 chunk 各傳一次
+  const FLUSH_DELAY = 200;
+
+  function normalizeLocale(locale) {
+    return window.ExtractionRegistry ? window.ExtractionRegistry.normalizeLocale(locale) : locale;
+  }
+
+  // 建立增量更新佇列：記錄有變動的語系，延遲後一次傳送這些語系的完整訊息
+  function createUpdateQueue(source, readLocale) {
+    const pendingLocales = new Set();
+    let activeLocale = null;
+    let timer = null;
+
+    function flush() {
+      timer = null;
+      const locales = {};
+      for (const locale of pendingLocales) {
+        const messages = readLocale(locale);
+        if (messages && typeof messages === 'object') {
+          // 語系代碼與初次擷取時一致（zh_TW → zh-tw）
+          locales[normalizeLocale(locale)] = sanitizeData(messages);
+        }
       }
+      pendingLocales.clear();
+
+      try {
+        window.postMessage({
+          type: 'I18N_KEY_FINDER_DATA',
+          incremental: true,
+          locales: locales,
+          locale: activeLocale ? normalizeLocale(activeLocale) : null,
+          source: source
+        }, '*');
+      } catch (error) {
+        // Error sending incremental data
+      }
+    }
+
+    return {
+      add(locale) {
+        if (locale) {
+          pendingLocales.add(locale);
+        }
+        if (!timer) {
+          timer = setTimeout(flush, FLUSH_DELAY);
+        }
+      },
+      setActiveLocale(locale) {
+        activeLocale = locale;
+        this.add(locale);
+      }
+    };
+  }
+
+  // 包裝 vue-i18n 的 setLocaleMessage / mergeLocaleMessage，之後載入的訊息會傳給 content script
+  function subscribeVueI18n(strategy, instance) {
+    if (instance[SUBSCRIBED]) {
+      return;
+    }
+    Object.defineProperty(instance, SUBSCRIBED, { value: true });
+
+    const queue = createUpdateQueue({ strategy: 'vue-i18n', label: strategy.label }, (locale) => {
+      if (typeof instance.getLocaleMessage === 'function') {
+        return instance.getLocaleMessage(locale);
+      }
+      const messages = strategy.unref(instance.messages);
+      return messages ? messages[locale] : null;
+    });
+
+    ['setLocaleMessage', 'mergeLocaleMessage'].forEach(method => {
+      const original = instance[method];
+      if (typeof original !== 'function') {
+        return;
+      }
+
+      instance[method] = function(locale, ...args) {
+        const result = original.call(this, locale, ...args);
+        queue.add(locale);
+        return result;
+      };
+    });
+  }
+
+  // 監聽 i18next 的 store 'added' 與 'languageChanged' 事件
+  function subscribeI18next(strategy, instance) {
+    if (instance[SUBSCRIBED] || !instance.store || typeof instance.store.on !== 'function') {
+      return;
+    }
+    Object.defineProperty(instance, SUBSCRIBED, { value: true });
+
+    const queue = createUpdateQueue({ strategy: 'i18next', label: strategy.label }, (locale) => {
+      return instance.store.data ? instance.store.data[locale] : null;
+    });
+
+    // addResource / addResources / addResourceBundle 都會觸發 'added'
+    instance.store.on('added', (locale) => {
+      queue.add(locale);
+    });
+    if (typeof instance.on === 'function') {
+      instance.on('languageChanged', (locale) => {
+        queue.setActiveLocale(locale);
+      });
+    }
+  }
+
+  // 找出頁面上的 vue-i18n / i18next 實例並訂閱其變動
+  function subscribeToLiveInstances() {
+    const registry = window.ExtractionRegistry;
+    if (!registry) {
+      return;
+    }
+
+    [['vue-i18n', subscribeVueI18n], ['i18next', subscribeI18next]].forEach(([name, subscribe]) => {
+      const strategy = registry.getStrategy(name);
+      try {
+        const found = strategy ? strategy.findInstance(window) : null;
+        if (found) {
+          subscribe(strategy, found.instance);
+        }
+      } catch (error) {
+        // Ignore instances that cannot be wrapped
+      }
+    });
+  }
+
+  // ===== 翻譯呼叫追蹤（選用功能）=====
+  // 包裝頁面的 $t / i18n.t / i18next.t，記錄每次呼叫的鍵值與輸出，讓選取器能直接查出產生文字的鍵值
+
+  // content script 在注入前設定的旗標（<html data-i18n-key-finder-trace="on">）
+  const TRACE_FLAG = 'i18nKeyFinderTrace';
+  const TRACED = Symbol.for('i18n-key-finder.traced');
+
+  // 相同鍵值與輸出只記錄一次，並限制總數以免佔用過多記憶體
+  const MAX_TRACE_RECORDS = 20000;
+
+  // i18next 的選項，不屬於插值參數
+  const I18NEXT_OPTION_KEYS = new Set([
+    'ns', 'lng', 'lngs', 'fallbackLng', 'defaultValue', 'returnObjects', 'returnDetails', 'joinArrays',
+    'context', 'interpolation', 'keySeparator', 'nsSeparator', 'postProcess', 'replace', 'skipInterpolation'
+  ]);
+
+  const traceState = {
+    enabled: false,
+    seen: new Set(),
+    pending: [],
+    timer: null
+  };
+
+  function flushTraces() {
+    traceState.timer = null;
+    const entries = traceState.pending.splice(0);
+    if (entries.length === 0) {
+      return;
+    }
+
+    try {
+      window.postMessage({ type: 'I18N_KEY_FINDER_TRACE', entries: entries }, '*');
+    } catch (error) {
+      // Error sending trace records
+    }
+  }
+
+  // 記錄一次翻譯呼叫
+  function recordTrace(key, output, params) {
+    if (typeof key !== 'string' || !key || typeof output !== 'string' || !output.trim()) {
+      return;
+    }
+
+    const id = `${key}\u0000${output}`;
+    if (traceState.seen.has(id) || traceState.seen.size >= MAX_TRACE_RECORDS) {
+      return;
+    }
+    traceState.seen.add(id);
+    traceState.pending.push({ key: key, output: output, params: params });
+
+    if (!traceState.timer) {
+      traceState.timer = setTimeout(flushTraces, FLUSH_DELAY);
+    }
+  }
+
+  // 將插值參數轉成 [{ placeholder, value }]
+  function toTraceParams(values, ignoredKeys) {
+    if (!values || typeof values !== 'object') {
+      return [];
+    }
+
+    return Object.keys(values)
+      .filter(name => !(ignoredKeys && ignoredKeys.has(name)))
+      .filter(name => ['string', 'number', 'boolean'].includes(typeof values[name]))
+      .map(name => ({ placeholder: `{${name}}`, value: String(values[name]) }));
+  }
+
+  // 包裝翻譯函式；describeCall 由參數取得 { key, params }
+  function wrapTranslate(owner, method, describeCall) {
+    const original = owner ? owner[method] : null;
+    if (typeof original !== 'function' || original[TRACED]) {
+      return;
+    }
+
+    const wrapped = function(...args) {
+      const output = original.apply(this, args);
+      if (traceState.enabled) {
+        try {
+          const call = describeCall.call(this, args);
+          if (call) {
+            recordTrace(call.key, output, call.params);
+          }
+        } catch (error) {
+          // 追蹤失敗不影響頁面
+        }
+      }
+      return output;
+    };
+    Object.defineProperty(wrapped, TRACED, { value: true });
+    owner[method] = wrapped;
+  }
+
+  // vue-i18n：v8 的 $t 都會呼叫 _t(key, locale, messages, host, ...values)；v9 則呼叫 t(key, ...args)
+  function traceVueI18n(instance) {
+    if (typeof instance._t === 'function') {
+      wrapTranslate(instance, '_t', (args) => ({ key: args[0], params: toTraceParams(args[4]) }));
+      return;
+    }
+
+    const describeCall = (args) => ({
+      key: args[0],
+      params: toTraceParams(args.slice(1).find(arg => arg && typeof arg === 'object'))
+    });
+    wrapTranslate(instance, 't', describeCall);
+    wrapTranslate(instance, 'tc', describeCall);
+  }
+
+  // i18next：t(keys, options)，鍵值轉成與擷取資料相同的「namespace.key」格式
+  function traceI18next(instance) {
+    wrapTranslate(instance, 't', function(args) {
+      const rawKey = Array.isArray(args[0]) ? args[0][0] : args[0];
+      if (typeof rawKey !== 'string') {
+        return null;
+      }
+
+      const options = args[1] && typeof args[1] === 'object' ? args[1] : {};
+      const instanceOptions = instance.options || {};
+      const nsSeparator = options.nsSeparator ?? instanceOptions.nsSeparator ?? ':';
+      const defaultNamespace = options.ns || instanceOptions.defaultNS || 'translation';
+
+      // 「common:button.ok」的 namespace 寫在鍵值中
+      const separatorIndex = nsSeparator ? rawKey.indexOf(nsSeparator) : -1;
+      const namespace = separatorIndex > 0
+        ? rawKey.slice(0, separatorIndex)
+        : (Array.isArray(defaultNamespace) ? defaultNamespace[0] : defaultNamespace);
+      const key = separatorIndex > 0 ? rawKey.slice(separatorIndex + nsSeparator.length) : rawKey;
+
+      return {
+        key: `${namespace}.${key}`,
+        params: [...toTraceParams(options, I18NEXT_OPTION_KEYS), ...toTraceParams(options.replace)]
+      };
+    });
+  }
+
+  // 找出翻譯函式並包裝；可重複呼叫，已包裝的函式會略過
+  function installTracing() {
+    const registry = window.ExtractionRegistry;
+    if (registry) {
+      try {
+        const vueI18n = registry.getStrategy('vue-i18n');
+        const vueFound = vueI18n ? vueI18n.findInstance(window) : null;
+        if (vueFound) {
+          traceVueI18n(vueFound.instance);
+        }
+
+        const i18next = registry.getStrategy('i18next');
+        const i18nextFound = i18next ? i18next.findInstance(window) : null;
+        if (i18nextFound) {
+          traceI18next(i18nextFound.instance);
+        }
+      } catch (error) {
+        // Ignore instances that cannot be wrapped
+      }
+    }
+
+    // 頁面自行掛在全域的 $t
+    if (typeof window.$t === 'function') {
+      wrapTranslate(window, '$t', (args) => ({
+        key: args[0],
+        params: toTraceParams(args.slice(1).find(arg => arg && typeof arg === 'object'))
+      }));
+    }
+  }
+
+  function setTracing(enabled) {
+    traceState.enabled = Boolean(enabled);
+    if (traceState.enabled) {
+      installTracing();
+    }
+  }
+
+  // ===== 單頁應用程式的路由變更 =====
+  // 包裝 history.pushState / replaceState 並掛上 Nuxt router 的 afterEach，網址變更時通知 content script；
+  // popstate 由 content script 自行監聽
+  const ROUTE_HOOKED = Symbol.for('i18n-key-finder.route-hooked');
+
+  function notifyRouteChange(via) {
+    window.postMessage({
+      type: 'I18N_KEY_FINDER_ROUTE_CHANGE',
+      url: window.location.href,
+      via: via
     }, '*');
+  }
+
+  function hookHistory() {
+    if (history[ROUTE_HOOKED]) {
+      return;
+    }
+    history[ROUTE_HOOKED] = true;
+
+    ['pushState', 'replaceState'].forEach(method => {
+      const original = history[method];
+      history[method] = function(...args) {
+        const before = window.location.href;
+        const result = original.apply(this, args);
+        if (window.location.href !== before) {
+          notifyRouteChange(method);
+        }
+        return result;
+      };
+    });
+  }
+
+  // Nuxt 2 提供 window.$nuxt；Nuxt 3 的 Vue app 掛在 #__nuxt 上
+  function findNuxtRouter() {
+    if (window.$nuxt && window.$nuxt.$router) {
+      return window.$nuxt.$router;
+    }
+
+    const root = document.querySelector('#__nuxt');
+    const app = root && root.__vue_app__;
+    return app && app.config && app.config.globalProperties
+      ? app.config.globalProperties.$router || null
+      : null;
+  }
+
+  function hookNuxtRouter() {
+    try {
+      const router = findNuxtRouter();
+      if (!router || router[ROUTE_HOOKED] || typeof router.afterEach !== 'function') {
+        return;
+      }
+      router[ROUTE_HOOKED] = true;
+
+      // afterEach 在網址更新前執行，延後到下一輪再回報
+      router.afterEach(() => {
+        setTimeout(() => notifyRouteChange('router'), 0);
+      });
+    } catch (error) {
+      // Ignore routers that cannot be hooked
+    }
+  }
+
+  // 路由變更後重新擷取，content script 會與既有資料合併
+  function sendRouteExtraction() {
+    subscribeToLiveInstances();
+    hookNuxtRouter();
+
+    try {
+      const message = buildMessage(extractTranslationData());
+      message.routeChange = true;
+      window.postMessage(message, '*');
+    } catch (error) {
+      // Error sending route data
+    }
+  }
+
+  // 接收 content script 的指令
+  window.addEventListener('message', (event) => {
+    if (event.source !== window || !event.data) {
+      return;
+    }
+
+    if (event.data.type === 'I18N_KEY_FINDER_TRACE_CONTROL') {
+      setTracing(event.data.enabled);
+    } else if (event.data.type === 'I18N_KEY_FINDER_EXTRACT') {
+      sendRouteExtraction();
+    }
+  });
+
+  // 立即擷取資料
+  const extractionResult = extractTranslationData();
+  subscribeToLiveInstances();
+  hookHistory();
+  hookNuxtRouter();
+  if (document.documentElement.dataset[TRACE_FLAG] === 'on') {
+    setTracing(true);
+  }
+
+  // 清理並傳送資料
+  try {
+    const message = buildMessage(extractionResult);
+    message.debug = {
+      hasNuxt: typeof __NUXT__ !== 'undefined',
+      hasNextData: typeof __NEXT_DATA__ !== 'undefined',
+      hasInitState: typeof __INIT_STATE__ !== 'undefined',
+      hasRegistry: typeof window.ExtractionRegistry !== 'undefined',
+      attempts: extractionResult ? extractionResult.attempts : [],
+      globalKeys: Object.keys(window).filter(k =>
+        k.startsWith('__') ||
+        k.includes('i18n') ||
+        k.includes('I18n')
+      ).slice(0, 50)
+    };
+    window.postMessage(message, '*');
   } catch (error) {
     // 如果完整資料無法傳送，至少傳送除錯資訊
     try {
@@ -200,19 +559,23 @@
 
   // 也在延遲後再試一次
   setTimeout(() => {
-    const delayedData = extractTranslationData();
-    if (delayedData) {
+    // 實例與 router 可能在 hydration 之後才建立
+    subscribeToLiveInstances();
+    hookNuxtRouter();
+    if (traceState.enabled) {
+      installTracing();
+    }
+
+    const delayedResult = extractTranslationData();
+    if (delayedResult && delayedResult.data) {
       try {
-        const cleanedDelayedData = sanitizeData(delayedData);
-        window.postMessage({
-          type: 'I18N_KEY_FINDER_DATA',
-          data: cleanedDelayedData,
-          delayed: true
-        }, '*');
+        const message = buildMessage(delayedResult);
+        message.delayed = true;
+        window.postMessage(message, '*');
       } catch (error) {
         // Error sending delayed data
       }
     }
   }, 2000);
 
-})();
\ No newline at end of file
+})();
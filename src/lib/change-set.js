@@ -0,0 +1,337 @@
+/**
+ * ChangeSet
+ * Translation edits made on the page, kept as one change per key and locale, and the
+ * formats they are exported in: entries for a flat JSON patch or nested JSON fragment,
+ * and a unified diff against an imported JSON locale file for a pull request.
+ * Loaded as a plain script by the content script and popup, and via require() elsewhere.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ChangeSet = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // chrome.storage.local key the change set is saved under
+  const STORAGE_KEY = 'translationChangeSet';
+
+  // Unchanged lines shown around each hunk of a unified diff
+  const DIFF_CONTEXT_LINES = 3;
+
+  // Above this many LCS cells the changed region is shown as a whole replacement instead
+  const MAX_DIFF_CELLS = 250000;
+
+  /**
+   * Find the change for a key in a locale
+   * @returns {Object|undefined} Change
+   */
+  function findChange(changes, key, locale) {
+    return (changes || []).find(change => change.key === key && change.locale === locale);
+  }
+
+  /**
+   * Add or update the change for a key and locale
+   * The value before the first edit is kept as oldValue; editing back to it drops the change.
+   * @param {Array<Object>} changes - Current change set
+   * @param {Object} change - {key, locale, oldValue, newValue, url}
+   * @returns {Array<Object>} New change set
+   */
+  function upsertChange(changes, change) {
+    const existing = findChange(changes, change.key, change.locale);
+    const list = (changes || []).filter(item => item !== existing);
+    const oldValue = existing ? existing.oldValue : change.oldValue;
+
+    if (change.newValue === oldValue) {
+      return list;
+    }
+
+    list.push({
+      key: change.key,
+      locale: change.locale,
+      oldValue: oldValue,
+      newValue: change.newValue,
+      url: change.url || (existing ? existing.url : ''),
+      updatedAt: change.updatedAt || new Date().toISOString()
+    });
+    return list;
+  }
+
+  /**
+   * Drop the change for a key and locale
+   * @returns {Array<Object>} New change set
+   */
+  function removeChange(changes, key, locale) {
+    return (changes || []).filter(change => change.key !== key || change.locale !== locale);
+  }
+
+  /**
+   * Page a URL points at, without its query and hash
+   * @returns {string|null} Origin and path, or null for invalid URLs
+   */
+  function getPageAddress(url) {
+    try {
+      const parsed = new URL(url);
+      return parsed.origin + parsed.pathname;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Changes saved on a page, for previewing them there
+   * Query and hash are ignored, so filtered or scrolled views of the page still count.
+   * @param {Array<Object>} changes - Change set
+   * @param {string} url - Page URL
+   * @returns {Array<Object>} Changes whose url is the same page
+   */
+  function getPageChanges(changes, url) {
+    const page = getPageAddress(url);
+    if (!page) {
+      return [];
+    }
+    return (changes || []).filter(change => getPageAddress(change.url) === page);
+  }
+
+  /**
+   * Locales with changes, sorted
+   */
+  function getLocales(changes) {
+    return Array.from(new Set((changes || []).map(change => change.locale))).sort();
+  }
+
+  /**
+   * Changed values of one locale as translation entries, sorted by key
+   * @param {Array<Object>} changes - Change set
+   * @param {string} locale - Locale to take
+   * @returns {Array<{key: string, val: string}>} Entries for ExportFormats.toFlatObject / toNestedObject
+   */
+  function toEntries(changes, locale) {
+    return (changes || [])
+      .filter(change => change.locale === locale)
+      .map(change => ({ key: change.key, val: change.newValue }))
+      .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+  }
+
+  /**
+   * Detect the indent of a JSON file from its first indented line
+   */
+  function detectIndent(text) {
+    const match = /\n([ \t]+)\S/.exec(text);
+    return match ? match[1] : '  ';
+  }
+
+  /**
+   * Set a value in a locale object where the file keeps the key
+   * Flat files keep "a.b.c" at the top level; nested files keep it under a → b → c.
+   */
+  function setMessage(data, key, value) {
+    if (Object.prototype.hasOwnProperty.call(data, key)) {
+      data[key] = value;
+      return;
+    }
+
+    const isNested = Object.keys(data).some(name => data[name] !== null && typeof data[name] === 'object');
+    const segments = key.split('.');
+    if (!isNested || segments.length === 1) {
+      data[key] = value;
+      return;
+    }
+
+    let current = data;
+    for (let i = 0; i < segments.length - 1; i++) {
+      const segment = segments[i];
+      if (current[segment] === undefined) {
+        current[segment] = {};
+      }
+      if (current[segment] === null || typeof current[segment] !== 'object') {
+        // A value already sits where the path continues; keep the rest dot-joined
+        current[segments.slice(i).join('.')] = value;
+        return;
+      }
+      current = current[segment];
+    }
+    current[segments[segments.length - 1]] = value;
+  }
+
+  /**
+   * Apply changed values to the text of a JSON locale file, keeping its key order and indent
+   * @param {string} text - JSON file content
+   * @param {Array<{key: string, val: string}>} entries - Values to write
+   * @returns {string} Updated file content
+   */
+  function applyToJSON(text, entries) {
+    const data = JSON.parse(text);
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('Locale file must contain a JSON object');
+    }
+
+    entries.forEach(entry => setMessage(data, entry.key, entry.val));
+    return JSON.stringify(data, null, detectIndent(text)) + (/\n$/.test(text) ? '\n' : '');
+  }
+
+  /**
+   * Split text into lines, without the empty line after a trailing newline
+   */
+  function splitLines(text) {
+    const lines = text.split('\n');
+    if (lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+    return lines;
+  }
+
+  /**
+   * Diff two line lists into ' ', '-' and '+' operations
+   * Common leading and trailing lines are skipped before the LCS, so files that differ in a
+   * few values stay cheap to compare.
+   */
+  function diffLines(before, after) {
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) {
+      start++;
+    }
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+      endBefore--;
+      endAfter--;
+    }
+
+    const ops = before.slice(0, start).map(line => ({ type: ' ', line }));
+    const oldMiddle = before.slice(start, endBefore);
+    const newMiddle = after.slice(start, endAfter);
+
+    if (oldMiddle.length * newMiddle.length > MAX_DIFF_CELLS) {
+      oldMiddle.forEach(line => ops.push({ type: '-', line }));
+      newMiddle.forEach(line => ops.push({ type: '+', line }));
+    } else {
+      // lengths[i][j] = LCS length of oldMiddle[i..] and newMiddle[j..]
+      const lengths = Array.from({ length: oldMiddle.length + 1 }, () => new Array(newMiddle.length + 1).fill(0));
+      for (let i = oldMiddle.length - 1; i >= 0; i--) {
+        for (let j = newMiddle.length - 1; j >= 0; j--) {
+          lengths[i][j] = oldMiddle[i] === newMiddle[j]
+            ? lengths[i + 1][j + 1] + 1
+            : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+      }
+
+      let i = 0;
+      let j = 0;
+      while (i < oldMiddle.length || j < newMiddle.length) {
+        if (i < oldMiddle.length && j < newMiddle.length && oldMiddle[i] === newMiddle[j]) {
+          ops.push({ type: ' ', line: oldMiddle[i++] });
+          j++;
+        } else if (i < oldMiddle.length && (j === newMiddle.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+          // Deleted lines go before the lines replacing them
+          ops.push({ type: '-', line: oldMiddle[i++] });
+        } else {
+          ops.push({ type: '+', line: newMiddle[j++] });
+        }
+      }
+    }
+
+    before.slice(endBefore).forEach(line => ops.push({ type: ' ', line }));
+    return ops;
+  }
+
+  /**
+   * Format a hunk range, e.g. "12,7"; empty ranges point at the line before them
+   */
+  function formatRange(start, count) {
+    const line = count === 0 ? start - 1 : start;
+    return count === 1 ? String(line) : `${line},${count}`;
+  }
+
+  /**
+   * Unified diff of two texts, as produced by `diff -u` and applied by `git apply`
+   * @param {string} before - Old text
+   * @param {string} after - New text
+   * @param {Object} options - {fromFile, toFile, context}
+   * @returns {string} Diff, or '' when the texts are the same
+   */
+  function unifiedDiff(before, after, options = {}) {
+    const context = options.context === undefined ? DIFF_CONTEXT_LINES : options.context;
+    const ops = diffLines(splitLines(before), splitLines(after));
+
+    // Number each operation with the old and new line it sits at
+    let oldLine = 1;
+    let newLine = 1;
+    ops.forEach(op => {
+      op.oldLine = oldLine;
+      op.newLine = newLine;
+      if (op.type !== '+') {
+        oldLine++;
+      }
+      if (op.type !== '-') {
+        newLine++;
+      }
+    });
+
+    const changed = ops.map((op, index) => (op.type === ' ' ? -1 : index)).filter(index => index >= 0);
+    if (changed.length === 0) {
+      return '';
+    }
+
+    // Group changes whose context would touch into one hunk
+    const hunks = [];
+    changed.forEach(index => {
+      const last = hunks[hunks.length - 1];
+      if (last && index - last.end <= context * 2 + 1) {
+        last.end = index;
+      } else {
+        hunks.push({ start: index, end: index });
+      }
+    });
+
+    const lines = [
+      `--- ${options.fromFile || 'a'}`,
+      `+++ ${options.toFile || 'b'}`
+    ];
+    hunks.forEach(hunk => {
+      const slice = ops.slice(Math.max(0, hunk.start - context), Math.min(ops.length, hunk.end + context + 1));
+      const oldCount = slice.filter(op => op.type !== '+').length;
+      const newCount = slice.filter(op => op.type !== '-').length;
+
+      lines.push(`@@ -${formatRange(slice[0].oldLine, oldCount)} +${formatRange(slice[0].newLine, newCount)} @@`);
+      slice.forEach(op => lines.push(op.type + op.line));
+    });
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Unified diff of an imported JSON locale file with the changes of its locale applied
+   * @param {Array<Object>} changes - Change set
+   * @param {Object} dictionary - Imported dictionary ({name, locale, source})
+   * @param {string} locale - Locale to apply when the dictionary has none
+   * @returns {string} Diff with a/ and b/ paths, or '' when nothing changes
+   */
+  function toUnifiedDiff(changes, dictionary, locale) {
+    if (!dictionary || typeof dictionary.source !== 'string') {
+      throw new Error('The original file content is not available');
+    }
+
+    const entries = toEntries(changes, dictionary.locale || locale);
+    const updated = applyToJSON(dictionary.source, entries);
+    return unifiedDiff(dictionary.source, updated, {
+      fromFile: `a/${dictionary.name}`,
+      toFile: `b/${dictionary.name}`
+    });
+  }
+
+  return {
+    STORAGE_KEY,
+    findChange,
+    upsertChange,
+    removeChange,
+    getPageChanges,
+    getLocales,
+    toEntries,
+    applyToJSON,
+    unifiedDiff,
+    toUnifiedDiff
+  };
+});
@@ -0,0 +1,112 @@
+/**
+ * CommandPalette
+ * Keyboard helpers for the popup: filtering palette commands by a typed query,
+ * moving the selection through a list, and mapping key presses to actions.
+ * Loaded as a plain script by the popup, and via require() elsewhere.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CommandPalette = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // Actions for Enter on a selected search result, by modifier
+  const RESULT_ACTIONS = {
+    COPY: 'copy',
+    COPY_TEMPLATE: 'copyTemplate',
+    LOCATE: 'locate'
+  };
+
+  /**
+   * Score how well a command matches a query
+   * Every word of the query must appear in the label or keywords; label prefixes rank highest.
+   * @param {{label: string, keywords: Array<string>}} command - Palette command
+   * @param {string} query - Typed query
+   * @returns {number} Score, or -1 when the command does not match
+   */
+  function scoreCommand(command, query) {
+    const label = String(command.label || '').toLowerCase();
+    const haystack = [label, ...(command.keywords || [])].join(' ').toLowerCase();
+    const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+    if (words.length === 0) {
+      return 0;
+    }
+    if (!words.every(word => haystack.includes(word))) {
+      return -1;
+    }
+
+    const phrase = words.join(' ');
+    if (label.startsWith(phrase)) {
+      return 3;
+    }
+    return label.includes(phrase) ? 2 : 1;
+  }
+
+  /**
+   * Filter commands by a query, best matches first
+   * @param {Array<Object>} commands - Palette commands
+   * @param {string} query - Typed query; empty keeps every command in order
+   * @returns {Array<Object>} Matching commands
+   */
+  function filterCommands(commands, query) {
+    return (Array.isArray(commands) ? commands : [])
+      .map((command, index) => ({ command, index, score: scoreCommand(command, query) }))
+      .filter(item => item.score >= 0)
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .map(item => item.command);
+  }
+
+  /**
+   * Move a list selection, wrapping around at both ends
+   * @param {number} index - Current index, -1 when nothing is selected
+   * @param {number} delta - Steps to move, negative to go up
+   * @param {number} length - List length
+   * @returns {number} New index, -1 for an empty list
+   */
+  function moveIndex(index, delta, length) {
+    if (length <= 0) {
+      return -1;
+    }
+    if (index < 0) {
+      return delta < 0 ? length - 1 : 0;
+    }
+    return ((index + delta) % length + length) % length;
+  }
+
+  /**
+   * Check for the shortcut that opens the palette (Ctrl+K, or Cmd+K on macOS)
+   */
+  function isPaletteShortcut(event) {
+    return Boolean(event && (event.ctrlKey || event.metaKey) && !event.altKey &&
+      String(event.key).toLowerCase() === 'k');
+  }
+
+  /**
+   * Map Enter on a selected result to an action
+   * @param {KeyboardEvent} event - Key event
+   * @returns {string|null} One of RESULT_ACTIONS, or null for other keys
+   */
+  function getResultAction(event) {
+    if (!event || event.key !== 'Enter') {
+      return null;
+    }
+    if (event.altKey) {
+      return RESULT_ACTIONS.LOCATE;
+    }
+    return event.shiftKey ? RESULT_ACTIONS.COPY_TEMPLATE : RESULT_ACTIONS.COPY;
+  }
+
+  return {
+    RESULT_ACTIONS,
+    scoreCommand,
+    filterCommands,
+    moveIndex,
+    isPaletteShortcut,
+    getResultAction
+  };
+});
@@ -0,0 +1,136 @@
+/**
+ * CopyTemplates
+ * Formats translation keys as code snippets (e.g. {{ $t('key') }}) before copying.
+ * Templates use {key} as the placeholder; custom templates are kept in the
+ * extension settings as customCopyTemplates and the default as copyTemplate.
+ * Loaded as a plain script by the popup and content script, and via require() in tests.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.CopyTemplates = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const KEY_PLACEHOLDER = '{key}';
+
+  const DEFAULT_TEMPLATE_ID = 'key';
+
+  const BUILT_IN_TEMPLATES = [
+    { id: 'key', label: '鍵值', template: '{key}' },
+    { id: 'vue-template', label: 'Vue 模板', template: '{{ $t(\'{key}\') }}' },
+    { id: 'vue-script', label: 'Vue Script', template: 'this.$t(\'{key}\')' },
+    { id: 'react', label: 'React', template: 't(\'{key}\')' },
+    { id: 'php', label: 'PHP', template: '__(\'{key}\')' }
+  ];
+
+  /**
+   * Check that a template can produce a snippet
+   * @param {string} template - Template text
+   * @returns {boolean} True when the template contains {key}
+   */
+  function isValidTemplate(template) {
+    return typeof template === 'string' && template.includes(KEY_PLACEHOLDER);
+  }
+
+  /**
+   * Fill a template with a translation key
+   * @param {Object|string} template - Template object or template text
+   * @param {string} key - Translation key
+   * @returns {string} Snippet; the bare key when the template is unusable
+   */
+  function applyTemplate(template, key) {
+    const text = template && typeof template === 'object' ? template.template : template;
+    if (!isValidTemplate(text)) {
+      return key;
+    }
+    return text.split(KEY_PLACEHOLDER).join(key);
+  }
+
+  /**
+   * List built-in and custom templates
+   * @param {Object} settings - Extension settings
+   * @returns {Array<{id: string, label: string, template: string, custom: boolean}>} Templates
+   */
+  function getTemplates(settings) {
+    const builtIns = BUILT_IN_TEMPLATES.map(template => ({ ...template, custom: false }));
+    const customs = (settings && Array.isArray(settings.customCopyTemplates)
+      ? settings.customCopyTemplates
+      : []
+    ).filter(template =>
+      template && typeof template.id === 'string' && isValidTemplate(template.template)
+    ).map(template => ({
+      id: template.id,
+      label: template.label || template.template,
+      template: template.template,
+      custom: true
+    }));
+
+    return builtIns.concat(customs);
+  }
+
+  /**
+   * Find a template by id, falling back to the default template
+   * @param {Object} settings - Extension settings
+   * @param {string} id - Template id; omitted for settings.copyTemplate
+   * @returns {Object} Template
+   */
+  function getTemplate(settings, id) {
+    const templates = getTemplates(settings);
+    const wanted = id || (settings && settings.copyTemplate) || DEFAULT_TEMPLATE_ID;
+    return templates.find(template => template.id === wanted) ||
+      templates.find(template => template.id === DEFAULT_TEMPLATE_ID);
+  }
+
+  /**
+   * Format a key with the chosen or default template
+   * @param {string} key - Translation key
+   * @param {Object} settings - Extension settings
+   * @param {string} id - Template id (optional)
+   * @returns {string} Snippet to copy
+   */
+  function formatKey(key, settings, id) {
+    return applyTemplate(getTemplate(settings, id), key);
+  }
+
+  /**
+   * Create a custom template with an id unique among the existing ones
+   * @param {string} label - Name shown in template menus
+   * @param {string} template - Template text containing {key}
+   * @param {Array<Object>} existing - Current custom templates
+   * @returns {{id: string, label: string, template: string}} New template
+   */
+  function createCustomTemplate(label, template, existing = []) {
+    const text = typeof template === 'string' ? template.trim() : '';
+    if (!isValidTemplate(text)) {
+      throw new Error(`Copy template must contain ${KEY_PLACEHOLDER}`);
+    }
+
+    const usedIds = new Set(existing.map(item => item.id));
+    let index = existing.length + 1;
+    while (usedIds.has(`custom-${index}`)) {
+      index++;
+    }
+
+    return {
+      id: `custom-${index}`,
+      label: (typeof label === 'string' && label.trim()) || text,
+      template: text
+    };
+  }
+
+  return {
+    KEY_PLACEHOLDER,
+    DEFAULT_TEMPLATE_ID,
+    BUILT_IN_TEMPLATES,
+    isValidTemplate,
+    applyTemplate,
+    getTemplates,
+    getTemplate,
+    formatKey,
+    createCustomTemplate
+  };
+});
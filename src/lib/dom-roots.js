@@ -0,0 +1,254 @@
+/**
+ * DomRoots
+ * Finds the parts of a page a document-level scan misses: open shadow roots of web
+ * components and documents of same-origin iframes. Also resolves the real target of
+ * events retargeted at a shadow host, maps iframe coordinates to the top document,
+ * describes where a node lives so results can be attributed to their frame, and collects
+ * the visible text nodes features such as annotations and text rewriting work on.
+ * Closed shadow roots and cross-origin iframes cannot be reached from a content script.
+ * Loaded as a plain script by the content script, and via require() elsewhere.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.DomRoots = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // Upper bound on roots returned per scan, for pages with thousands of components
+  const MAX_ROOTS = 100;
+
+  const DOCUMENT_NODE = 9;
+  const DOCUMENT_FRAGMENT_NODE = 11;
+  const TEXT_NODE = 3;
+
+  // NodeFilter values, spelled out so the module also runs where NodeFilter is not global
+  const SHOW_TEXT = 4;
+  const FILTER_ACCEPT = 1;
+  const FILTER_REJECT = 2;
+
+  // Tags whose text is never rendered as translated copy
+  const NON_CONTENT_TAGS = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'TEXTAREA', 'CODE', 'PRE']);
+
+  /**
+   * Get an iframe's document when it is same-origin and loaded
+   * @returns {Document|null} Document, or null for cross-origin frames
+   */
+  function getFrameDocument(frame) {
+    try {
+      const doc = frame.contentDocument;
+      return doc && doc.documentElement ? doc : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Collect a document and every open shadow root and same-origin iframe document inside it
+   * @param {Document} doc - Top document
+   * @param {number} maxRoots - Maximum roots to return
+   * @returns {Array<Document|ShadowRoot>} Roots, the document first, each followed by the roots nested in it
+   */
+  function collectRoots(doc, maxRoots = MAX_ROOTS) {
+    const roots = [];
+
+    const visit = (root) => {
+      if (!root || roots.length >= maxRoots || roots.includes(root)) {
+        return;
+      }
+      roots.push(root);
+
+      const ownerDocument = root.nodeType === DOCUMENT_NODE ? root : root.ownerDocument;
+      const walker = ownerDocument.createTreeWalker(root, 1 /* NodeFilter.SHOW_ELEMENT */);
+      while (walker.nextNode()) {
+        const element = walker.currentNode;
+        if (element.shadowRoot) {
+          visit(element.shadowRoot);
+        }
+        if (element.tagName === 'IFRAME' || element.tagName === 'FRAME') {
+          visit(getFrameDocument(element));
+        }
+      }
+    };
+
+    visit(doc);
+    return roots;
+  }
+
+  /**
+   * Collect a document and the documents of its same-origin iframes, for attaching event listeners
+   * Shadow roots need none, since composed events reach their document.
+   */
+  function collectDocuments(doc, maxRoots = MAX_ROOTS) {
+    return collectRoots(doc, maxRoots).filter(root => root.nodeType === DOCUMENT_NODE);
+  }
+
+  /**
+   * Get the element an event really happened on
+   * Events from inside an open shadow root reach document listeners retargeted at the host.
+   * @param {Event} event - DOM event
+   * @returns {Element|null} Innermost element
+   */
+  function getEventTarget(event) {
+    const path = event && typeof event.composedPath === 'function' ? event.composedPath() : [];
+    let target = path.length > 0 ? path[0] : (event ? event.target : null);
+    if (target && target.nodeType === TEXT_NODE) {
+      target = target.parentElement;
+    }
+    return target || null;
+  }
+
+  /**
+   * Offset from a frame's viewport to the top window's viewport
+   * @param {Window} view - Window of the frame the coordinates are in
+   * @returns {{x: number, y: number}} Offset to add to client coordinates
+   */
+  function getFrameOffset(view) {
+    const offset = { x: 0, y: 0 };
+    let current = view;
+
+    while (current) {
+      let frame = null;
+      try {
+        frame = current.frameElement;
+      } catch (error) {
+        // Cross-origin parent; the offset cannot be known
+      }
+      if (!frame) {
+        break;
+      }
+
+      const rect = frame.getBoundingClientRect();
+      offset.x += rect.left + (frame.clientLeft || 0);
+      offset.y += rect.top + (frame.clientTop || 0);
+      current = frame.ownerDocument ? frame.ownerDocument.defaultView : null;
+    }
+
+    return offset;
+  }
+
+  /**
+   * Short label for an iframe, e.g. iframe#checkout or iframe[src="/widget/pay"]
+   */
+  function describeFrame(frame) {
+    const tag = frame.tagName.toLowerCase();
+    if (frame.id) {
+      return `${tag}#${frame.id}`;
+    }
+    if (frame.getAttribute('name')) {
+      return `${tag}[name="${frame.getAttribute('name')}"]`;
+    }
+
+    const src = frame.getAttribute('src');
+    if (src) {
+      try {
+        return `${tag}[src="${new URL(src, frame.ownerDocument.baseURI).pathname}"]`;
+      } catch (error) {
+        return `${tag}[src="${src}"]`;
+      }
+    }
+    return tag;
+  }
+
+  /**
+   * Describe which iframes and shadow roots a node is inside, outermost first
+   * @param {Node} node - Node to locate
+   * @returns {string} E.g. "iframe#checkout › kk-price::shadow", or '' for the top document
+   */
+  function describeLocation(node) {
+    const parts = [];
+    let current = node;
+
+    while (current) {
+      const root = current.getRootNode();
+      if (root.nodeType === DOCUMENT_FRAGMENT_NODE && root.host) {
+        parts.unshift(`${root.host.tagName.toLowerCase()}::shadow`);
+        current = root.host;
+        continue;
+      }
+
+      let frame = null;
+      try {
+        frame = root.defaultView ? root.defaultView.frameElement : null;
+      } catch (error) {
+        // Cross-origin parent
+      }
+      if (!frame) {
+        break;
+      }
+      parts.unshift(describeFrame(frame));
+      current = frame;
+    }
+
+    return parts.join(' › ');
+  }
+
+  /**
+   * Check if an element is rendered and visible
+   */
+  function isElementVisible(element) {
+    if (element.getClientRects().length === 0) {
+      return false;
+    }
+
+    const view = element.ownerDocument.defaultView || (typeof window !== 'undefined' ? window : null);
+    if (!view) {
+      return false;
+    }
+    const style = view.getComputedStyle(element);
+    return style.visibility !== 'hidden' && style.display !== 'none' && style.opacity !== '0';
+  }
+
+  /**
+   * Collect the visible, non-empty text nodes of one root, in document order
+   * Text in scripts, styles, code, form fields and editable regions is skipped.
+   * @param {Node} root - Element or shadow root to walk
+   * @param {Object} options - {limit, isExcluded(element)} where isExcluded skips e.g. the extension's own UI
+   * @returns {Array<{node: Text, element: Element}>} Text nodes with their parent element
+   */
+  function collectTextNodes(root, options = {}) {
+    const limit = options.limit === undefined ? Infinity : options.limit;
+    const isExcluded = options.isExcluded || (() => false);
+    const results = [];
+
+    const ownerDocument = root.ownerDocument || root;
+    const walker = ownerDocument.createTreeWalker(root, SHOW_TEXT, {
+      acceptNode: (node) => {
+        const element = node.parentElement;
+        if (!element || !node.nodeValue.trim()) {
+          return FILTER_REJECT;
+        }
+        if (NON_CONTENT_TAGS.has(element.tagName) || element.isContentEditable || isExcluded(element)) {
+          return FILTER_REJECT;
+        }
+        return FILTER_ACCEPT;
+      }
+    });
+
+    while (results.length < limit && walker.nextNode()) {
+      const node = walker.currentNode;
+      if (isElementVisible(node.parentElement)) {
+        results.push({ node, element: node.parentElement });
+      }
+    }
+
+    return results;
+  }
+
+  return {
+    MAX_ROOTS,
+    NON_CONTENT_TAGS,
+    getFrameDocument,
+    collectRoots,
+    collectDocuments,
+    getEventTarget,
+    getFrameOffset,
+    describeFrame,
+    describeLocation,
+    isElementVisible,
+    collectTextNodes
+  };
+});
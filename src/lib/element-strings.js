@@ -0,0 +1,125 @@
+/**
+ * ElementStrings
+ * Gathers every string an element shows to users, so the picker can resolve more than
+ * its text: attributes such as placeholder, title, alt and aria-label, the value of
+ * input buttons, and CSS ::before / ::after content.
+ * Loaded as a plain script by the content script, and via require() elsewhere.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ElementStrings = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // Attributes whose values are shown to users or read by assistive technology
+  const TRANSLATABLE_ATTRIBUTES = ['placeholder', 'title', 'alt', 'aria-label', 'aria-placeholder', 'aria-description'];
+
+  // Input types that render their value attribute as the button label
+  const BUTTON_INPUT_TYPES = new Set(['button', 'submit', 'reset']);
+
+  const PSEUDO_ELEMENTS = ['::before', '::after'];
+
+  // Quoted strings and attr() references in a computed `content` value
+  const CONTENT_TOKEN_REGEX = /"((?:[^"\\]|\\[\s\S])*)"|'((?:[^'\\]|\\[\s\S])*)'|attr\(\s*([\w-]+)\s*\)/g;
+
+  /**
+   * Resolve CSS escapes such as \201C, \A and \"
+   */
+  function unescapeCss(text) {
+    return text
+      .replace(/\\([0-9a-fA-F]{1,6})\s?/g, (match, hex) => {
+        const codePoint = parseInt(hex, 16);
+        return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : '';
+      })
+      .replace(/\\([\s\S])/g, '$1');
+  }
+
+  /**
+   * Read the text a computed `content` value renders
+   * Counters, quotes and images render no translatable text and are skipped.
+   * @param {string} content - Computed style content, e.g. "\"Sale: \" attr(data-label)"
+   * @param {Function} getAttribute - Looks up attribute values for attr()
+   * @returns {string} Rendered text, '' for none / normal
+   */
+  function parseCssContent(content, getAttribute = () => null) {
+    if (!content || content === 'none' || content === 'normal') {
+      return '';
+    }
+
+    let text = '';
+    let match;
+    CONTENT_TOKEN_REGEX.lastIndex = 0;
+    while ((match = CONTENT_TOKEN_REGEX.exec(content)) !== null) {
+      if (match[3]) {
+        text += getAttribute(match[3]) || '';
+      } else {
+        text += unescapeCss(match[1] !== undefined ? match[1] : match[2]);
+      }
+    }
+    return text;
+  }
+
+  /**
+   * Check whether a string has letters or digits, so separators and icon-font glyphs are skipped
+   */
+  function isTranslatableText(text) {
+    return typeof text === 'string' && /[\p{L}\p{N}]/u.test(text);
+  }
+
+  /**
+   * Collect the strings an element shows, merging sources that show the same text
+   * @param {Element} element - Picked element
+   * @param {Window} view - Window used for computed pseudo-element styles
+   * @returns {Array<{text: string, sources: Array<{type: string, name: string}>}>} Strings in display
+   * order; source types are 'text', 'attribute' and 'pseudo'
+   */
+  function collectElementStrings(element, view = typeof window !== 'undefined' ? window : null) {
+    const strings = [];
+    if (!element) {
+      return strings;
+    }
+
+    const add = (text, type, name) => {
+      const trimmed = typeof text === 'string' ? text.trim() : '';
+      if (!isTranslatableText(trimmed)) {
+        return;
+      }
+      const existing = strings.find(item => item.text === trimmed);
+      if (existing) {
+        existing.sources.push({ type, name });
+      } else {
+        strings.push({ text: trimmed, sources: [{ type, name }] });
+      }
+    };
+
+    add(element.textContent, 'text', '');
+
+    TRANSLATABLE_ATTRIBUTES.forEach(name => {
+      add(element.getAttribute(name), 'attribute', name);
+    });
+    if (element.tagName === 'INPUT' && BUTTON_INPUT_TYPES.has(String(element.type).toLowerCase())) {
+      add(element.value, 'attribute', 'value');
+    }
+
+    if (view && typeof view.getComputedStyle === 'function') {
+      PSEUDO_ELEMENTS.forEach(pseudo => {
+        const style = view.getComputedStyle(element, pseudo);
+        const content = style ? style.getPropertyValue('content') || style.content : '';
+        add(parseCssContent(content, name => element.getAttribute(name)), 'pseudo', pseudo);
+      });
+    }
+
+    return strings;
+  }
+
+  return {
+    TRANSLATABLE_ATTRIBUTES,
+    parseCssContent,
+    isTranslatableText,
+    collectElementStrings
+  };
+});
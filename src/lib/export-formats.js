@@ -0,0 +1,260 @@
+/**
+ * ExportFormats
+ * Serializes reports and translation data into downloadable file formats.
+ * Loaded as a plain script by the popup, and via require() in tests.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ExportFormats = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  /**
+   * Quote a single CSV field when needed (RFC 4180)
+   * @param {*} value - Field value
+   * @returns {string} CSV-safe field
+   */
+  function escapeCsvField(value) {
+    if (value === null || value === undefined) {
+      return '';
+    }
+
+    const text = String(value);
+    if (/[",\r\n]/.test(text) || text !== text.trim()) {
+      return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+  }
+
+  /**
+   * Serialize rows into CSV
+   * @param {Array<Object>} rows - Row objects
+   * @param {Array<string>} columns - Column names, in order, read from each row
+   * @returns {string} CSV text with a header line
+   */
+  function toCSV(rows, columns) {
+    if (!Array.isArray(rows) || !Array.isArray(columns) || columns.length === 0) {
+      throw new Error('CSV export requires rows and columns');
+    }
+
+    const lines = [columns.map(escapeCsvField).join(',')];
+    rows.forEach(row => {
+      lines.push(columns.map(column => escapeCsvField(row[column])).join(','));
+    });
+
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Serialize data into pretty-printed JSON
+   * @param {*} data - Data to serialize
+   * @returns {string} JSON text
+   */
+  function toJSON(data) {
+    return JSON.stringify(data, null, 2) + '\n';
+  }
+
+  /**
+   * Convert translation entries into a flat key → value object
+   * @param {Array<{key: string, val: string}>} entries - Flattened translation entries
+   * @returns {Object} Flat translation object
+   */
+  function toFlatObject(entries) {
+    const result = {};
+    entries.forEach(entry => {
+      result[entry.key] = entry.val;
+    });
+    return result;
+  }
+
+  /**
+   * Convert dot-separated translation entries back into a nested object
+   * When a key is both a value and a prefix (e.g. "a.b" and "a.b.c"), the
+   * conflicting key is kept dot-joined so flattening the result restores it.
+   * @param {Array<{key: string, val: string}>} entries - Flattened translation entries
+   * @returns {Object} Nested translation object
+   */
+  function toNestedObject(entries) {
+    const result = {};
+
+    entries.forEach(entry => {
+      const segments = entry.key.split('.');
+      let current = result;
+
+      for (let i = 0; i < segments.length - 1; i++) {
+        const segment = segments[i];
+        if (current[segment] === undefined) {
+          current[segment] = {};
+        }
+        if (typeof current[segment] !== 'object') {
+          current[segments.slice(i).join('.')] = entry.val;
+          return;
+        }
+        current = current[segment];
+      }
+
+      const leaf = segments[segments.length - 1];
+      if (typeof current[leaf] === 'object') {
+        // Keep the nested keys and store the full key at the top level
+        result[entry.key] = entry.val;
+      } else {
+        current[leaf] = entry.val;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Build key,value,locale CSV rows for every locale
+   * @param {Array<string>} keys - Translation keys in export order
+   * @param {Object} localeValues - { locale: { key: value } }
+   * @returns {Array<{key: string, value: string, locale: string}>} CSV rows
+   */
+  function toLocaleRows(keys, localeValues) {
+    const rows = [];
+    keys.forEach(key => {
+      Object.keys(localeValues).forEach(locale => {
+        const value = localeValues[locale][key];
+        if (value !== undefined) {
+          rows.push({ key, value, locale });
+        }
+      });
+    });
+    return rows;
+  }
+
+  /**
+   * Escape text for XML element content and attribute values
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  function escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Serialize translation entries into XLIFF
+   * @param {Array<{key: string, val: string}>} entries - Source locale entries
+   * @param {Object} options - XLIFF options
+   * @param {string} options.version - '1.2' or '2.0'
+   * @param {string} options.sourceLocale - Source language code
+   * @param {string} options.targetLocale - Target language code (optional)
+   * @param {Object} options.targetValues - { key: value } for the target language (optional)
+   * @param {string} options.original - Original document name
+   * @returns {string} XLIFF document
+   */
+  function toXLIFF(entries, options = {}) {
+    const version = options.version || '1.2';
+    const sourceLocale = options.sourceLocale || 'zh-tw';
+    const targetLocale = options.targetLocale || '';
+    const targetValues = options.targetValues || {};
+    const original = options.original || 'translations';
+
+    if (version === '2.0') {
+      return toXLIFF20(entries, sourceLocale, targetLocale, targetValues, original);
+    }
+    if (version === '1.2') {
+      return toXLIFF12(entries, sourceLocale, targetLocale, targetValues, original);
+    }
+    throw new Error(`Unsupported XLIFF version: ${version}`);
+  }
+
+  function toXLIFF12(entries, sourceLocale, targetLocale, targetValues, original) {
+    const targetAttr = targetLocale ? ` target-language="${escapeXml(targetLocale)}"` : '';
+    const units = entries.map(entry => {
+      const target = targetLocale && targetValues[entry.key] !== undefined
+        ? `\n        <target>${escapeXml(targetValues[entry.key])}</target>`
+        : '';
+      return `      <trans-unit id="${escapeXml(entry.key)}" resname="${escapeXml(entry.key)}">
+        <source>${escapeXml(entry.val)}</source>${target}
+      </trans-unit>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">
+  <file original="${escapeXml(original)}" source-language="${escapeXml(sourceLocale)}"${targetAttr} datatype="plaintext">
+    <body>
+${units.join('\n')}
+    </body>
+  </file>
+</xliff>
+`;
+  }
+
+  function toXLIFF20(entries, sourceLocale, targetLocale, targetValues, original) {
+    const targetAttr = targetLocale ? ` trgLang="${escapeXml(targetLocale)}"` : '';
+    const usedIds = new Set();
+    const units = entries.map(entry => {
+      const id = toNmToken(entry.key, usedIds);
+      const target = targetLocale && targetValues[entry.key] !== undefined
+        ? `\n        <target>${escapeXml(targetValues[entry.key])}</target>`
+        : '';
+      return `    <unit id="${escapeXml(id)}" name="${escapeXml(entry.key)}">
+      <segment>
+        <source>${escapeXml(entry.val)}</source>${target}
+      </segment>
+    </unit>`;
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<xliff version="2.0" xmlns="urn:oasis:names:tc:xliff:document:2.0" srcLang="${escapeXml(sourceLocale)}"${targetAttr}>
+  <file id="${escapeXml(toNmToken(original, new Set()))}" original="${escapeXml(original)}">
+${units.join('\n')}
+  </file>
+</xliff>
+`;
+  }
+
+  /**
+   * XLIFF 2.0 ids must be NMTOKENs; the original key is kept in the name attribute
+   */
+  function toNmToken(value, usedIds) {
+    const base = String(value).replace(/[^\w.:-]/g, '_') || 'unit';
+    let id = base;
+    let suffix = 2;
+    while (usedIds.has(id)) {
+      id = `${base}_${suffix++}`;
+    }
+    usedIds.add(id);
+    return id;
+  }
+
+  /**
+   * Build a file name safe for downloads
+   * @param {string} prefix - File name prefix, e.g. "hardcoded-strings"
+   * @param {string} host - Page host name
+   * @param {string} extension - File extension without dot
+   * @param {Date} date - Timestamp for the file name
+   * @returns {string} File name
+   */
+  function buildFileName(prefix, host, extension, date = new Date()) {
+    const pad = (number) => String(number).padStart(2, '0');
+    const stamp = `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+      `-${pad(date.getHours())}${pad(date.getMinutes())}`;
+    const safeHost = (host || 'page').replace(/[^a-z0-9.-]+/gi, '_');
+
+    return `${prefix}-${safeHost}-${stamp}.${extension}`;
+  }
+
+  return {
+    escapeCsvField,
+    toCSV,
+    toJSON,
+    toFlatObject,
+    toNestedObject,
+    toLocaleRows,
+    escapeXml,
+    toXLIFF,
+    buildFileName
+  };
+});
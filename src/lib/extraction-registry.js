@@ -0,0 +1,262 @@
+/**
+ * ExtractionRegistry
+ * Runs pluggable translation data extraction strategies and picks the most confident result.
+ * Each strategy lives in src/lib/extraction-strategies/ and provides:
+ *   name        - Unique strategy id, reported as the winning source
+ *   label       - Human-readable source name
+ *   detect      - (scope) => boolean, cheap check that the source exists
+ *   extract     - (scope, options) => {locales, locale, data, path} or null
+ *   confidence  - (result, scope) => number between 0 and 1
+ * Loaded as a plain script by the content script and page script, and via require() in tests.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.ExtractionRegistry = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  /**
+   * Normalize a locale code (zh_TW → zh-tw)
+   * @param {string} locale - Raw locale code
+   * @returns {string} Normalized locale code, or '' when missing
+   */
+  function normalizeLocale(locale) {
+    return typeof locale === 'string' ? locale.trim().replace(/_/g, '-').toLowerCase() : '';
+  }
+
+  /**
+   * Check for a plain object with at least one key
+   * @param {*} value - Value to check
+   * @returns {boolean} True for a non-empty object
+   */
+  function isNonEmptyObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0;
+  }
+
+  /**
+   * Parse the JSON content of a <script id="..."> element
+   * @param {Object} scope - Global scope with a document
+   * @param {string} id - Script element id
+   * @returns {*} Parsed JSON, or null when missing or invalid
+   */
+  function readJsonScript(scope, id) {
+    const script = scope && scope.document && scope.document.getElementById
+      ? scope.document.getElementById(id)
+      : null;
+    if (!script || !script.textContent) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(script.textContent);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Count string leaves of a translation object
+   * @param {Object} data - Nested translation data
+   * @param {number} limit - Stop counting after this many leaves
+   * @returns {number} Number of string values
+   */
+  function countEntries(data, limit = 100000) {
+    let count = 0;
+    const seen = new Set();
+
+    const walk = (obj) => {
+      if (count >= limit || seen.has(obj)) {
+        return;
+      }
+      seen.add(obj);
+
+      for (const key of Object.keys(obj)) {
+        const value = obj[key];
+        if (typeof value === 'string') {
+          count++;
+        } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+          walk(value);
+        }
+      }
+    };
+
+    if (data && typeof data === 'object') {
+      walk(data);
+    }
+    return count;
+  }
+
+  /**
+   * Fill in the active locale and its data for a raw strategy result
+   * @param {Object} result - Raw result from strategy.extract()
+   * @param {Object} options - Run options
+   * @returns {Object|null} {locales, locale, data, path}, or null when nothing usable was found
+   */
+  function normalizeResult(result, options) {
+    if (!result) {
+      return null;
+    }
+
+    let locales = null;
+    if (isNonEmptyObject(result.locales)) {
+      locales = {};
+      for (const locale of Object.keys(result.locales)) {
+        if (isNonEmptyObject(result.locales[locale])) {
+          locales[normalizeLocale(locale) || locale] = result.locales[locale];
+        }
+      }
+      if (Object.keys(locales).length === 0) {
+        locales = null;
+      }
+    }
+
+    if (locales) {
+      // Prefer the locale named by the source, then the page's own locale, then the first one
+      const preferred = [normalizeLocale(result.locale), normalizeLocale(options.pageLocale)];
+      const locale = preferred.find(candidate => candidate && locales[candidate]) || Object.keys(locales)[0];
+      return { locales, locale, data: locales[locale], path: result.path || '' };
+    }
+
+    if (isNonEmptyObject(result.data)) {
+      return {
+        locales: null,
+        locale: normalizeLocale(result.locale) || null,
+        data: result.data,
+        path: result.path || ''
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Create a strategy registry
+   * @param {Array<Object>} strategies - Initial strategies, in priority order
+   * @returns {Object} Registry ({register, getStrategies, getStrategy, run})
+   */
+  function createRegistry(strategies = []) {
+    const registered = [];
+
+    /**
+     * Add a strategy, replacing any strategy with the same name
+     * @param {Object} strategy - Strategy module
+     */
+    function register(strategy) {
+      if (!strategy || typeof strategy.name !== 'string' ||
+          typeof strategy.detect !== 'function' || typeof strategy.extract !== 'function') {
+        throw new Error('Extraction strategy requires name, detect and extract');
+      }
+
+      const index = registered.findIndex(existing => existing.name === strategy.name);
+      if (index >= 0) {
+        registered[index] = strategy;
+      } else {
+        registered.push(strategy);
+      }
+    }
+
+    /**
+     * @returns {Array<Object>} Registered strategies in priority order
+     */
+    function getStrategies() {
+      return registered.slice();
+    }
+
+    /**
+     * @param {string} name - Strategy name
+     * @returns {Object|null} Registered strategy
+     */
+    function getStrategy(name) {
+      return registered.find(strategy => strategy.name === name) || null;
+    }
+
+    /**
+     * Run every detected strategy and keep the most confident result
+     * Ties go to the strategy registered first.
+     * @param {Object} scope - Global scope (window, or a plain object in tests)
+     * @param {Object} options - Run options
+     * @param {string} options.pageLocale - Locale the page is displayed in
+     * @returns {Object} {strategy, label, confidence, locales, locale, data, path, attempts}
+     */
+    function run(scope, options = {}) {
+      const attempts = [];
+      let best = null;
+
+      for (const strategy of registered) {
+        const attempt = { name: strategy.name, detected: false, confidence: 0, count: 0 };
+        attempts.push(attempt);
+
+        try {
+          if (!strategy.detect(scope)) {
+            continue;
+          }
+          attempt.detected = true;
+
+          const result = normalizeResult(strategy.extract(scope, options), options);
+          if (!result) {
+            continue;
+          }
+
+          attempt.count = countEntries(result.data);
+          if (attempt.count === 0) {
+            continue;
+          }
+
+          const confidence = typeof strategy.confidence === 'function'
+            ? strategy.confidence(result, scope)
+            : 0.5;
+          attempt.confidence = Math.max(0, Math.min(1, Number(confidence) || 0));
+
+          if (!best || attempt.confidence > best.confidence) {
+            best = {
+              strategy: strategy.name,
+              label: strategy.label || strategy.name,
+              confidence: attempt.confidence,
+              ...result
+            };
+          }
+        } catch (error) {
+          attempt.error = error.message;
+        }
+      }
+
+      if (!best) {
+        return {
+          strategy: null,
+          label: null,
+          confidence: 0,
+          locales: null,
+          locale: null,
+          data: null,
+          path: '',
+          attempts
+        };
+      }
+
+      return { ...best, attempts };
+    }
+
+    strategies.forEach(register);
+
+    return { register, getStrategies, getStrategy, run };
+  }
+
+  // Strategies loaded as plain scripts register themselves on this default registry
+  const defaultRegistry = createRegistry();
+
+  return {
+    createRegistry,
+    register: defaultRegistry.register,
+    getStrategies: defaultRegistry.getStrategies,
+    getStrategy: defaultRegistry.getStrategy,
+    run: defaultRegistry.run,
+    normalizeLocale,
+    isNonEmptyObject,
+    readJsonScript,
+    countEntries
+  };
+});
@@ -0,0 +1,59 @@
+/**
+ * Extraction strategy: global variable scan
+ * Last resort that picks the first large object among i18n-looking globals.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('../extraction-registry'));
+  } else {
+    root.ExtractionRegistry.register(factory(root.ExtractionRegistry));
+  }
+})(typeof self !== 'undefined' ? self : this, function(registry) {
+  'use strict';
+
+  const NAME_PATTERN = /i18n|trans|locale|lang|^__|^\$/i;
+
+  // Globals owned by this extension or by framework sources other strategies handle
+  const IGNORED_NAMES = new Set(['ExtractionRegistry', '__NUXT__', '__NEXT_DATA__', '__INIT_STATE__']);
+
+  const MIN_KEYS = 10;
+  const MAX_KEYS = 10000;
+
+  return {
+    name: 'global-scan',
+    label: '全域變數掃描',
+
+    detect(scope) {
+      return Boolean(scope) && typeof scope === 'object';
+    },
+
+    extract(scope) {
+      for (const name in scope) {
+        if (!NAME_PATTERN.test(name) || IGNORED_NAMES.has(name)) {
+          continue;
+        }
+
+        try {
+          const value = scope[name];
+          if (!registry.isNonEmptyObject(value) || value.nodeName) {
+            continue;
+          }
+
+          const keys = Object.keys(value);
+          if (keys.length > MIN_KEYS && keys.length < MAX_KEYS &&
+              keys.some(key => typeof value[key] === 'string' || typeof value[key] === 'object')) {
+            return { data: value, path: `window.${name}` };
+          }
+        } catch (error) {
+          // Ignore inaccessible properties
+        }
+      }
+      return null;
+    },
+
+    confidence() {
+      return 0.1;
+    }
+  };
+});
@@ -0,0 +1,62 @@
+/**
+ * Extraction strategy: i18next store
+ * Reads every loaded language from a global i18next instance ({ language: { namespace: {...} } }).
+ * The page script also uses findInstance() to follow resources added later.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('../extraction-registry'));
+  } else {
+    root.ExtractionRegistry.register(factory(root.ExtractionRegistry));
+  }
+})(typeof self !== 'undefined' ? self : this, function(registry) {
+  'use strict';
+
+  const GLOBAL_NAMES = ['i18next', 'i18n', '__i18next'];
+
+  /**
+   * Find a global i18next instance
+   * A live store (one that emits events) may still be empty when namespaces are lazy-loaded.
+   * @param {Object} scope - Global scope
+   * @returns {Object|null} {instance, path}
+   */
+  function findInstance(scope) {
+    for (const name of GLOBAL_NAMES) {
+      const candidate = scope[name];
+      const store = candidate ? candidate.store : null;
+      if (store && store.data && typeof store.data === 'object' &&
+          (typeof store.on === 'function' || registry.isNonEmptyObject(store.data))) {
+        return { instance: candidate, path: `window.${name}.store.data` };
+      }
+    }
+    return null;
+  }
+
+  return {
+    name: 'i18next',
+    label: 'i18next',
+    findInstance,
+
+    detect(scope) {
+      return Boolean(scope) && findInstance(scope) !== null;
+    },
+
+    extract(scope) {
+      const found = findInstance(scope);
+      if (!found) {
+        return null;
+      }
+
+      return {
+        locales: found.instance.store.data,
+        locale: found.instance.resolvedLanguage || found.instance.language,
+        path: found.path
+      };
+    },
+
+    confidence() {
+      return 0.85;
+    }
+  };
+});
@@ -0,0 +1,16 @@
+/**
+ * Built-in extraction strategies, in priority order
+ * The browser loads the same files as plain scripts; keep EXTRACTION_SCRIPT_FILES
+ * in content-script-browser.js in the same order.
+ */
+
+module.exports = [
+  require('./nuxt2-state'),
+  require('./nuxt3-payload'),
+  require('./next-data'),
+  require('./vue-i18n'),
+  require('./i18next'),
+  require('./init-state'),
+  require('./storage'),
+  require('./global-scan')
+];
@@ -0,0 +1,40 @@
+/**
+ * Extraction strategy: __INIT_STATE__
+ * Non-product pages embed the current locale's translations in __INIT_STATE__.lang.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('../extraction-registry'));
+  } else {
+    root.ExtractionRegistry.register(factory(root.ExtractionRegistry));
+  }
+})(typeof self !== 'undefined' ? self : this, function(registry) {
+  'use strict';
+
+  return {
+    name: 'init-state',
+    label: '__INIT_STATE__',
+
+    detect(scope) {
+      return Boolean(scope && scope.__INIT_STATE__ && registry.isNonEmptyObject(scope.__INIT_STATE__.lang));
+    },
+
+    extract(scope, options = {}) {
+      const initState = scope.__INIT_STATE__;
+      // Only the current locale is available; name it after the page when the state does not
+      const locale = registry.normalizeLocale(initState.locale || initState.lang_code) ||
+        registry.normalizeLocale(options.pageLocale) || 'default';
+
+      return {
+        locales: { [locale]: initState.lang },
+        locale,
+        path: '__INIT_STATE__.lang'
+      };
+    },
+
+    confidence() {
+      return 0.8;
+    }
+  };
+});
@@ -0,0 +1,72 @@
+/**
+ * Extraction strategy: Next.js __NEXT_DATA__
+ * next-i18next ships every loaded locale in pageProps._nextI18Next.initialI18nStore.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('../extraction-registry'));
+  } else {
+    root.ExtractionRegistry.register(factory(root.ExtractionRegistry));
+  }
+})(typeof self !== 'undefined' ? self : this, function(registry) {
+  'use strict';
+
+  // Other pageProps keys commonly holding translations
+  const PAGE_PROPS_KEYS = ['translations', 'i18n', 'messages'];
+
+  /**
+   * Read __NEXT_DATA__ from the page global, or from its JSON script in the DOM
+   */
+  function getNextData(scope) {
+    if (scope.__NEXT_DATA__ && typeof scope.__NEXT_DATA__ === 'object') {
+      return scope.__NEXT_DATA__;
+    }
+    return registry.readJsonScript(scope, '__NEXT_DATA__');
+  }
+
+  return {
+    name: 'next-data',
+    label: 'Next.js (__NEXT_DATA__)',
+
+    detect(scope) {
+      if (!scope) {
+        return false;
+      }
+      if (scope.__NEXT_DATA__) {
+        return true;
+      }
+      return Boolean(scope.document && scope.document.getElementById &&
+        scope.document.getElementById('__NEXT_DATA__'));
+    },
+
+    extract(scope) {
+      const nextData = getNextData(scope);
+      const pageProps = nextData && nextData.props ? nextData.props.pageProps : null;
+      if (!pageProps) {
+        return null;
+      }
+
+      const nextI18Next = pageProps._nextI18Next;
+      if (nextI18Next && registry.isNonEmptyObject(nextI18Next.initialI18nStore)) {
+        return {
+          locales: nextI18Next.initialI18nStore,
+          locale: nextI18Next.initialLocale,
+          path: '__NEXT_DATA__.props.pageProps._nextI18Next.initialI18nStore'
+        };
+      }
+
+      for (const key of PAGE_PROPS_KEYS) {
+        if (registry.isNonEmptyObject(pageProps[key])) {
+          return { data: pageProps[key], path: `__NEXT_DATA__.props.pageProps.${key}` };
+        }
+      }
+
+      return null;
+    },
+
+    confidence(result) {
+      return result.locales ? 0.9 : 0.5;
+    }
+  };
+});
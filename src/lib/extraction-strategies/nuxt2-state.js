@@ -0,0 +1,56 @@
+/**
+ * Extraction strategy: Nuxt 2 state
+ * Product pages keep one translation store per locale in __NUXT__.state['$si18n_{locale}'].
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('../extraction-registry'));
+  } else {
+    root.ExtractionRegistry.register(factory(root.ExtractionRegistry));
+  }
+})(typeof self !== 'undefined' ? self : this, function(registry) {
+  'use strict';
+
+  const LOCALE_KEY_PATTERN = /^\$si18n_(.+)$/;
+
+  // Fallback for state keys that look like a translation store
+  const HINT_KEY_PATTERN = /i18n|lang|locale|^\$s/;
+
+  return {
+    name: 'nuxt2-state',
+    label: 'Nuxt 2 (__NUXT__.state)',
+
+    detect(scope) {
+      return Boolean(scope && scope.__NUXT__ && registry.isNonEmptyObject(scope.__NUXT__.state));
+    },
+
+    extract(scope) {
+      const state = scope.__NUXT__.state;
+      const locales = {};
+
+      for (const key of Object.keys(state)) {
+        const match = key.match(LOCALE_KEY_PATTERN);
+        if (match && registry.isNonEmptyObject(state[key])) {
+          locales[match[1]] = state[key];
+        }
+      }
+
+      if (Object.keys(locales).length > 0) {
+        return { locales, path: '__NUXT__.state[\'$si18n_*\']' };
+      }
+
+      for (const key of Object.keys(state)) {
+        if (HINT_KEY_PATTERN.test(key) && registry.isNonEmptyObject(state[key])) {
+          return { data: state[key], path: `__NUXT__.state['${key}']` };
+        }
+      }
+
+      return null;
+    },
+
+    confidence(result) {
+      return result.locales ? 0.95 : 0.4;
+    }
+  };
+});
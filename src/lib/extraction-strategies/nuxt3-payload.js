@@ -0,0 +1,122 @@
+/**
+ * Extraction strategy: Nuxt 3 payload
+ * Nuxt 3 keeps useState() values in payload.state, serialized into <script id="__NUXT_DATA__">
+ * and available live on the Nuxt app instance.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('../extraction-registry'));
+  } else {
+    root.ExtractionRegistry.register(factory(root.ExtractionRegistry));
+  }
+})(typeof self !== 'undefined' ? self : this, function(registry) {
+  'use strict';
+
+  const LOCALE_KEY_PATTERN = /^\$si18n_(.+)$/;
+
+  // devalue wrappers whose second item is the wrapped value
+  const WRAPPER_TYPES = new Set(['Reactive', 'ShallowReactive', 'Ref', 'ShallowRef', 'EmptyRef', 'EmptyShallowRef']);
+
+  /**
+   * Rebuild a devalue-flattened payload (the __NUXT_DATA__ format)
+   * Every number inside an object or array is an index into the flat value list.
+   * @param {Array} values - Parsed __NUXT_DATA__ content
+   * @returns {*} Root payload value
+   */
+  function unflatten(values) {
+    if (!Array.isArray(values) || values.length === 0) {
+      return null;
+    }
+
+    const hydrated = new Map();
+
+    const hydrate = (index) => {
+      // Negative indices encode undefined, NaN, Infinity and similar
+      if (typeof index !== 'number' || index < 0 || index >= values.length) {
+        return null;
+      }
+      if (hydrated.has(index)) {
+        return hydrated.get(index);
+      }
+
+      const value = values[index];
+      if (!value || typeof value !== 'object') {
+        hydrated.set(index, value);
+        return value;
+      }
+
+      if (Array.isArray(value)) {
+        if (typeof value[0] === 'string') {
+          hydrated.set(index, null);
+          const typed = WRAPPER_TYPES.has(value[0]) ? hydrate(value[1]) : null;
+          hydrated.set(index, typed);
+          return typed;
+        }
+
+        const array = [];
+        hydrated.set(index, array);
+        value.forEach(item => array.push(hydrate(item)));
+        return array;
+      }
+
+      const object = {};
+      hydrated.set(index, object);
+      for (const key of Object.keys(value)) {
+        object[key] = hydrate(value[key]);
+      }
+      return object;
+    };
+
+    return hydrate(0);
+  }
+
+  /**
+   * Read the payload from the running Nuxt app, or parse it from the page
+   */
+  function getPayload(scope) {
+    const rootElement = scope.document && scope.document.getElementById
+      ? scope.document.getElementById('__nuxt')
+      : null;
+    const nuxtApp = rootElement && rootElement.__vue_app__ ? rootElement.__vue_app__.$nuxt : null;
+    if (nuxtApp && nuxtApp.payload) {
+      return { payload: nuxtApp.payload, path: 'nuxtApp.payload.state' };
+    }
+
+    const payload = unflatten(registry.readJsonScript(scope, '__NUXT_DATA__'));
+    return payload ? { payload, path: '__NUXT_DATA__ state' } : null;
+  }
+
+  return {
+    name: 'nuxt3-payload',
+    label: 'Nuxt 3 payload',
+    unflatten,
+
+    detect(scope) {
+      return Boolean(scope && scope.document && scope.document.getElementById &&
+        (scope.document.getElementById('__NUXT_DATA__') || scope.document.getElementById('__nuxt')));
+    },
+
+    extract(scope) {
+      const source = getPayload(scope);
+      const state = source && source.payload ? source.payload.state : null;
+      if (!registry.isNonEmptyObject(state)) {
+        return null;
+      }
+
+      const locales = {};
+      for (const key of Object.keys(state)) {
+        const match = key.match(LOCALE_KEY_PATTERN);
+        if (match && registry.isNonEmptyObject(state[key])) {
+          locales[match[1]] = state[key];
+        }
+      }
+
+      return Object.keys(locales).length > 0 ? { locales, path: source.path } : null;
+    },
+
+    confidence() {
+      return 0.9;
+    }
+  };
+});
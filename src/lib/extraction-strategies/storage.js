@@ -0,0 +1,71 @@
+/**
+ * Extraction strategy: Web Storage
+ * Some frontends cache translations as JSON in localStorage or sessionStorage.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('../extraction-registry'));
+  } else {
+    root.ExtractionRegistry.register(factory(root.ExtractionRegistry));
+  }
+})(typeof self !== 'undefined' ? self : this, function(registry) {
+  'use strict';
+
+  const KEY_PATTERN = /i18n|translation|locale/i;
+  const STORAGE_NAMES = ['localStorage', 'sessionStorage'];
+
+  /**
+   * List storage keys that may hold translations
+   * @param {Object} scope - Global scope
+   * @returns {Array<{storage: Storage, storageName: string, key: string}>} Candidate items
+   */
+  function findCandidateKeys(scope) {
+    const candidates = [];
+
+    for (const storageName of STORAGE_NAMES) {
+      try {
+        const storage = scope[storageName];
+        if (!storage) {
+          continue;
+        }
+        for (const key of Object.keys(storage)) {
+          if (KEY_PATTERN.test(key)) {
+            candidates.push({ storage, storageName, key });
+          }
+        }
+      } catch (error) {
+        // Storage is blocked for sandboxed or opaque origins
+      }
+    }
+
+    return candidates;
+  }
+
+  return {
+    name: 'storage',
+    label: 'Web Storage',
+
+    detect(scope) {
+      return Boolean(scope) && findCandidateKeys(scope).length > 0;
+    },
+
+    extract(scope) {
+      for (const { storage, storageName, key } of findCandidateKeys(scope)) {
+        try {
+          const parsed = JSON.parse(storage.getItem(key));
+          if (registry.isNonEmptyObject(parsed)) {
+            return { data: parsed, path: `${storageName}['${key}']` };
+          }
+        } catch (error) {
+          // Not JSON, skip
+        }
+      }
+      return null;
+    },
+
+    confidence() {
+      return 0.3;
+    }
+  };
+});
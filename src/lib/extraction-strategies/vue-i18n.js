@@ -0,0 +1,142 @@
+/**
+ * Extraction strategy: vue-i18n instance
+ * Reads messages from the vue-i18n instance mounted on the Vue 2 or Vue 3 root component,
+ * or on window.$nuxt. The page script also uses findInstance() to watch for lazy-loaded messages.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('../extraction-registry'));
+  } else {
+    root.ExtractionRegistry.register(factory(root.ExtractionRegistry));
+  }
+})(typeof self !== 'undefined' ? self : this, function(registry) {
+  'use strict';
+
+  const ROOT_SELECTORS = ['#__nuxt', '#app', '[data-v-app]'];
+
+  /**
+   * Unwrap a Vue ref (Composer exposes messages and locale as refs)
+   */
+  function unref(value) {
+    return value && typeof value === 'object' && value.__v_isRef ? value.value : value;
+  }
+
+  /**
+   * Check that an object looks like a vue-i18n instance or composer
+   * Messages may still be empty when locales are lazy-loaded after hydration.
+   */
+  function isVueI18n(candidate) {
+    if (!candidate || typeof candidate !== 'object') {
+      return false;
+    }
+
+    const messages = unref(candidate.messages);
+    return Boolean(messages) && typeof messages === 'object' &&
+      (typeof candidate.setLocaleMessage === 'function' || registry.isNonEmptyObject(messages));
+  }
+
+  /**
+   * Find the i18n plugin among a Vue 3 app's provides (keyed by a symbol)
+   */
+  function findProvidedI18n(app) {
+    const provides = app._context ? app._context.provides : null;
+    if (!provides) {
+      return null;
+    }
+
+    for (const key of [...Object.getOwnPropertySymbols(provides), ...Object.keys(provides)]) {
+      const provided = provides[key];
+      if (provided && typeof provided === 'object' && isVueI18n(provided.global)) {
+        return provided.global;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the vue-i18n instance on a root element or in the global scope
+   * @param {Object} scope - Global scope
+   * @returns {Object|null} {instance, path}
+   */
+  function findInstance(scope) {
+    const document = scope.document;
+    if (document && document.querySelector) {
+      for (const selector of ROOT_SELECTORS) {
+        const element = document.querySelector(selector);
+        if (!element) {
+          continue;
+        }
+
+        // Vue 3: app.config.globalProperties.$i18n (legacy API) or the i18n plugin's global composer
+        const app = element.__vue_app__;
+        if (app) {
+          const globalProperties = app.config ? app.config.globalProperties : null;
+          if (globalProperties && isVueI18n(globalProperties.$i18n)) {
+            return { instance: globalProperties.$i18n, path: 'app.config.globalProperties.$i18n' };
+          }
+          if (globalProperties && globalProperties.$i18n && isVueI18n(globalProperties.$i18n.global)) {
+            return { instance: globalProperties.$i18n.global, path: 'app.config.globalProperties.$i18n.global' };
+          }
+
+          // Composition API mode only exposes the composer through provide/inject
+          const composer = findProvidedI18n(app);
+          if (composer) {
+            return { instance: composer, path: 'app.provides[i18n].global' };
+          }
+        }
+
+        // Vue 2: root component instance
+        const vm = element.__vue__;
+        if (vm && vm.$root && isVueI18n(vm.$root.$i18n)) {
+          return { instance: vm.$root.$i18n, path: 'vm.$root.$i18n' };
+        }
+      }
+    }
+
+    // Nuxt 2 exposes the root component as window.$nuxt
+    if (scope.$nuxt && isVueI18n(scope.$nuxt.$i18n)) {
+      return { instance: scope.$nuxt.$i18n, path: 'window.$nuxt.$i18n' };
+    }
+
+    for (const name of ['$i18n', 'i18n']) {
+      const candidate = scope[name];
+      if (isVueI18n(candidate)) {
+        return { instance: candidate, path: `window.${name}` };
+      }
+      if (candidate && isVueI18n(candidate.global)) {
+        return { instance: candidate.global, path: `window.${name}.global` };
+      }
+    }
+
+    return null;
+  }
+
+  return {
+    name: 'vue-i18n',
+    label: 'vue-i18n',
+    findInstance,
+    unref,
+
+    detect(scope) {
+      return Boolean(scope) && findInstance(scope) !== null;
+    },
+
+    extract(scope) {
+      const found = findInstance(scope);
+      if (!found) {
+        return null;
+      }
+
+      return {
+        locales: unref(found.instance.messages),
+        locale: unref(found.instance.locale),
+        path: `${found.path}.messages`
+      };
+    },
+
+    confidence() {
+      return 0.85;
+    }
+  };
+});
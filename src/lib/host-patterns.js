@@ -0,0 +1,214 @@
+/**
+ * HostPatterns
+ * Decides which sites the extension runs on. The built-in *.kkday.com pattern is
+ * always allowed; extra match patterns (staging, localhost, white-label domains)
+ * are kept in the extension settings as hostPatterns and need an optional host
+ * permission granted at runtime.
+ * Patterns use Chrome match pattern syntax: <scheme>://<host>[:port]<path>.
+ * Loaded as a plain script by the popup, options page and service worker, and via require() elsewhere.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.HostPatterns = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const DEFAULT_PATTERNS = ['*://*.kkday.com/*'];
+
+  const PATTERN_REGEX = /^(\*|https?):\/\/([^/]+)(\/.*)$/;
+  const HOST_REGEX = /^(\*\.)?([a-z0-9-]+(\.[a-z0-9-]+)*|\[[0-9a-f:]+\])(:\d{1,5})?$/;
+
+  /**
+   * Split a match pattern into its parts
+   * @param {string} pattern - Match pattern, e.g. *://*.example.com/*
+   * @returns {{scheme: string, host: string, wildcard: boolean, port: string, path: string}|null} Parts, or null when invalid
+   */
+  function parsePattern(pattern) {
+    const match = PATTERN_REGEX.exec(typeof pattern === 'string' ? pattern : '');
+    if (!match) {
+      return null;
+    }
+
+    const hostMatch = HOST_REGEX.exec(match[2]);
+    if (!hostMatch) {
+      return null;
+    }
+
+    return {
+      scheme: match[1],
+      host: hostMatch[2],
+      wildcard: Boolean(hostMatch[1]),
+      port: hostMatch[4] ? hostMatch[4].slice(1) : '',
+      path: match[3]
+    };
+  }
+
+  /**
+   * Turn user input into a match pattern
+   * Accepts full patterns or shorthand such as "localhost:3000", "staging.example.com"
+   * and "*.partner.com"; shorthand matches http and https on every path.
+   * @param {string} input - Pattern or host typed by the user
+   * @returns {string} Match pattern
+   */
+  function normalizePattern(input) {
+    const text = typeof input === 'string' ? input.trim().toLowerCase() : '';
+    if (!text) {
+      throw new Error('Host pattern is required');
+    }
+
+    let pattern = text;
+    if (!text.includes('://')) {
+      const slash = text.indexOf('/');
+      pattern = slash >= 0 ? `*://${text}` : `*://${text}/*`;
+    } else if (/^[a-z*]+:\/\/[^/]+$/.test(text)) {
+      pattern = `${text}/*`;
+    }
+
+    if (!parsePattern(pattern)) {
+      throw new Error(`Invalid host pattern: ${input}`);
+    }
+    return pattern;
+  }
+
+  /**
+   * List the built-in patterns followed by the valid extra patterns, without duplicates
+   * @param {Array<string>} extraPatterns - Patterns from settings.hostPatterns
+   * @returns {Array<string>} Patterns
+   */
+  function getPatterns(extraPatterns) {
+    const patterns = DEFAULT_PATTERNS.slice();
+    (Array.isArray(extraPatterns) ? extraPatterns : []).forEach(pattern => {
+      if (parsePattern(pattern) && !patterns.includes(pattern)) {
+        patterns.push(pattern);
+      }
+    });
+    return patterns;
+  }
+
+  /**
+   * Match a host name against a pattern's host; *.example.com also matches example.com
+   */
+  function hostMatches(hostname, parts) {
+    const host = String(hostname || '').toLowerCase();
+    if (!parts.wildcard) {
+      return host === parts.host;
+    }
+    return host === parts.host || host.endsWith(`.${parts.host}`);
+  }
+
+  /**
+   * Check a host name against a pattern, ignoring scheme, port and path
+   * @param {string} hostname - Host name such as www.kkday.com
+   * @param {string} pattern - Match pattern
+   * @returns {boolean} True when the host matches
+   */
+  function matchesHost(hostname, pattern) {
+    const parts = parsePattern(pattern);
+    return Boolean(parts) && hostMatches(hostname, parts);
+  }
+
+  /**
+   * Check a URL against a pattern
+   * @param {string} url - Page URL
+   * @param {string} pattern - Match pattern
+   * @returns {boolean} True when the URL matches
+   */
+  function matchesUrl(url, pattern) {
+    const parts = parsePattern(pattern);
+    if (!parts) {
+      return false;
+    }
+
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return false;
+    }
+
+    const scheme = parsed.protocol.replace(/:$/, '');
+    if (parts.scheme === '*' ? !['http', 'https'].includes(scheme) : scheme !== parts.scheme) {
+      return false;
+    }
+    if (!hostMatches(parsed.hostname, parts)) {
+      return false;
+    }
+    if (parts.port && parsed.port !== parts.port) {
+      return false;
+    }
+
+    const pathRegex = new RegExp(`^${parts.path.split('*').map(escapeRegex).join('.*')}$`);
+    return pathRegex.test(parsed.pathname + parsed.search);
+  }
+
+  function escapeRegex(text) {
+    return text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Check a URL against the built-in and extra patterns
+   * @param {string} url - Page URL
+   * @param {Array<string>} extraPatterns - Patterns from settings.hostPatterns
+   * @returns {boolean} True when the extension should run on the URL
+   */
+  function isAllowedUrl(url, extraPatterns) {
+    return getPatterns(extraPatterns).some(pattern => matchesUrl(url, pattern));
+  }
+
+  /**
+   * Check a host name against the built-in and extra patterns
+   * @param {string} hostname - Host name
+   * @param {Array<string>} extraPatterns - Patterns from settings.hostPatterns
+   * @returns {boolean} True when the extension should run on the host
+   */
+  function isAllowedHost(hostname, extraPatterns) {
+    return getPatterns(extraPatterns).some(pattern => matchesHost(hostname, pattern));
+  }
+
+  /**
+   * Keep the extra patterns whose optional host permission was granted
+   * Patterns saved in settings do not count until the user grants their permission.
+   * @param {Array<string>} extraPatterns - Patterns from settings.hostPatterns
+   * @param {Object} permissions - chrome.permissions
+   * @returns {Promise<Array<string>>} Granted extra patterns, without the built-in ones
+   */
+  async function getGrantedPatterns(extraPatterns, permissions) {
+    const patterns = getPatterns(extraPatterns).filter(pattern => !DEFAULT_PATTERNS.includes(pattern));
+    if (!permissions || typeof permissions.contains !== 'function') {
+      return [];
+    }
+
+    const granted = await Promise.all(patterns.map(pattern =>
+      Promise.resolve(permissions.contains({ origins: [pattern] })).catch(() => false)
+    ));
+    return patterns.filter((pattern, index) => granted[index]);
+  }
+
+  /**
+   * Check whether the extension runs on a URL: the built-in patterns, or a granted extra pattern
+   * @param {string} url - Page URL
+   * @param {Array<string>} extraPatterns - Patterns from settings.hostPatterns
+   * @param {Object} permissions - chrome.permissions
+   * @returns {Promise<boolean>} True when the extension should be active on the URL
+   */
+  async function isActiveUrl(url, extraPatterns, permissions) {
+    return isAllowedUrl(url, await getGrantedPatterns(extraPatterns, permissions));
+  }
+
+  return {
+    DEFAULT_PATTERNS,
+    parsePattern,
+    normalizePattern,
+    getPatterns,
+    matchesHost,
+    matchesUrl,
+    isAllowedUrl,
+    isAllowedHost,
+    getGrantedPatterns,
+    isActiveUrl
+  };
+});
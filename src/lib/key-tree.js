@@ -0,0 +1,170 @@
+/**
+ * KeyTree
+ * Builds a namespace tree from dot-separated translation keys for browsing by prefix.
+ * Loaded as a plain script by the popup, and via require() in tests.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.KeyTree = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  /**
+   * Create an empty tree node
+   * @param {string} name - Last key segment
+   * @param {string} path - Full dot-separated path from the root
+   * @returns {Object} Node ({name, path, children, entry, count})
+   */
+  function createNode(name, path) {
+    return {
+      name,
+      path,
+      // Map keeps insertion order and is safe for segments like "constructor"
+      children: new Map(),
+      // Set when the path itself is a translation key
+      entry: null,
+      // Number of translation keys at or below this node
+      count: 0
+    };
+  }
+
+  /**
+   * Build a tree from flattened translation entries
+   * @param {Array<{key: string, val: string}>} entries - Flattened translation entries
+   * @returns {Object} Root node
+   */
+  function buildTree(entries) {
+    const rootNode = createNode('', '');
+
+    (entries || []).forEach(entry => {
+      if (!entry || typeof entry.key !== 'string' || !entry.key) {
+        return;
+      }
+
+      let node = rootNode;
+      node.count++;
+
+      entry.key.split('.').forEach(segment => {
+        if (!node.children.has(segment)) {
+          node.children.set(segment, createNode(segment, node.path ? `${node.path}.${segment}` : segment));
+        }
+        node = node.children.get(segment);
+        node.count++;
+      });
+
+      node.entry = entry;
+    });
+
+    return rootNode;
+  }
+
+  /**
+   * Find the node for a key prefix
+   * @param {Object} rootNode - Tree root
+   * @param {string} path - Dot-separated path; empty for the root
+   * @returns {Object|null} Node, or null when the prefix does not exist
+   */
+  function findNode(rootNode, path) {
+    if (!path) {
+      return rootNode;
+    }
+
+    let node = rootNode;
+    for (const segment of path.split('.')) {
+      node = node.children.get(segment);
+      if (!node) {
+        return null;
+      }
+    }
+    return node;
+  }
+
+  /**
+   * Collect every translation entry at or below a node
+   * @param {Object} node - Tree node
+   * @returns {Array<{key: string, val: string}>} Entries in tree order
+   */
+  function collectEntries(node) {
+    const entries = [];
+    const walk = (current) => {
+      if (current.entry) {
+        entries.push(current.entry);
+      }
+      current.children.forEach(walk);
+    };
+    walk(node);
+    return entries;
+  }
+
+  /**
+   * Keep only the keys below a node whose key or value contains the query
+   * @param {Object} node - Subtree to filter
+   * @param {string} query - Case-insensitive text to look for
+   * @returns {Object} Filtered copy of the subtree, with counts of matching keys
+   */
+  function filterTree(node, query) {
+    const needle = typeof query === 'string' ? query.trim().toLowerCase() : '';
+    if (!needle) {
+      return node;
+    }
+
+    const matches = collectEntries(node).filter(entry =>
+      entry.key.toLowerCase().includes(needle) ||
+      (typeof entry.val === 'string' && entry.val.toLowerCase().includes(needle))
+    );
+
+    return findNode(buildTree(matches), node.path) || createNode(node.name, node.path);
+  }
+
+  /**
+   * Get a node's children, namespaces first, then alphabetically
+   * @param {Object} node - Tree node
+   * @returns {Array<Object>} Sorted child nodes
+   */
+  function getChildren(node) {
+    return [...node.children.values()].sort((a, b) => {
+      const branchDiff = (b.children.size > 0) - (a.children.size > 0);
+      return branchDiff !== 0 ? branchDiff : a.name.localeCompare(b.name);
+    });
+  }
+
+  /**
+   * Get the prefix new keys under a node would start with
+   * @param {Object} node - Tree node
+   * @returns {string} Prefix such as "product.booking."
+   */
+  function getPrefix(node) {
+    return node.path ? `${node.path}.` : '';
+  }
+
+  /**
+   * Split a path into breadcrumb segments
+   * @param {string} path - Dot-separated path
+   * @returns {Array<{name: string, path: string}>} Segments from the top level down
+   */
+  function getBreadcrumbs(path) {
+    if (!path) {
+      return [];
+    }
+
+    const segments = path.split('.');
+    return segments.map((name, index) => ({
+      name,
+      path: segments.slice(0, index + 1).join('.')
+    }));
+  }
+
+  return {
+    buildTree,
+    findNode,
+    collectEntries,
+    filterTree,
+    getChildren,
+    getPrefix,
+    getBreadcrumbs
+  };
+});
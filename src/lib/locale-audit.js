@@ -0,0 +1,221 @@
+/**
+ * LocaleAudit
+ * Cross-checks loaded locales key by key: values missing from a locale, left empty, still
+ * identical to the source locale (likely untranslated), or written in another script than
+ * the locale uses, such as Latin text in a `ja` value.
+ * Loaded as a plain script by the popup, and via require() elsewhere.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LocaleAudit = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const ISSUE_TYPES = {
+    MISSING: 'missing',
+    EMPTY: 'empty',
+    UNTRANSLATED: 'untranslated',
+    WRONG_SCRIPT: 'wrong-script'
+  };
+
+  // Values with fewer letters, e.g. "OK" or "5 km", say too little about their language
+  const MIN_LETTERS = 2;
+
+  // Scripts a locale's copy is written in, by base language
+  const LATIN = /\p{Script=Latin}/u;
+  const HAN = /\p{Script=Han}/u;
+  const LANGUAGE_SCRIPTS = {
+    ja: [HAN, /\p{Script=Hiragana}/u, /\p{Script=Katakana}/u],
+    zh: [HAN],
+    ko: [/\p{Script=Hangul}/u, HAN],
+    th: [/\p{Script=Thai}/u],
+    ru: [/\p{Script=Cyrillic}/u],
+    uk: [/\p{Script=Cyrillic}/u],
+    bg: [/\p{Script=Cyrillic}/u],
+    ar: [/\p{Script=Arabic}/u],
+    fa: [/\p{Script=Arabic}/u],
+    he: [/\p{Script=Hebrew}/u],
+    el: [/\p{Script=Greek}/u],
+    hi: [/\p{Script=Devanagari}/u]
+  };
+  const LATIN_LANGUAGES = new Set([
+    'en', 'de', 'fr', 'es', 'it', 'pt', 'nl', 'id', 'ms', 'vi', 'tl', 'fil', 'tr', 'pl',
+    'sv', 'da', 'no', 'nb', 'fi', 'cs', 'ro', 'hu'
+  ]);
+
+  // Parts of a value that are not copy: placeholders, HTML tags and URLs
+  const NON_COPY_REGEX = /\{\{\s*[\w.]+\s*\}\}|\{\s*[\w.]+\s*\}|%(?:\d+\$)?[sdif@]|(?<![\w:/]):[a-zA-Z_]\w*|<[^>]*>|https?:\/\/\S+/g;
+
+  /**
+   * Base language of a locale, e.g. "zh" for "zh-TW" or "zh_tw"
+   */
+  function getBaseLanguage(locale) {
+    return typeof locale === 'string' ? locale.trim().toLowerCase().split(/[-_]/)[0] : '';
+  }
+
+  /**
+   * Scripts a locale is written in
+   * @returns {Array<RegExp>|null} One pattern per script, or null for unknown locales
+   */
+  function getExpectedScripts(locale) {
+    const language = getBaseLanguage(locale);
+    if (LANGUAGE_SCRIPTS[language]) {
+      return LANGUAGE_SCRIPTS[language];
+    }
+    return LATIN_LANGUAGES.has(language) ? [LATIN] : null;
+  }
+
+  /**
+   * Letters of a value's copy, without placeholders, markup and URLs
+   */
+  function getCopyLetters(value) {
+    return Array.from(String(value).replace(NON_COPY_REGEX, ' ')).filter(char => /\p{L}/u.test(char));
+  }
+
+  /**
+   * Check whether a value is written in none of its locale's scripts
+   * Mixed copy such as "KKday のおすすめ" passes as long as some letters use the locale's script.
+   * @param {string} value - Translation value
+   * @param {string} locale - Locale the value belongs to
+   * @returns {boolean} True when the value has letters and none of them fit the locale
+   */
+  function isWrongScript(value, locale) {
+    const scripts = getExpectedScripts(locale);
+    if (!scripts || typeof value !== 'string') {
+      return false;
+    }
+
+    const letters = getCopyLetters(value);
+    return letters.length >= MIN_LETTERS &&
+      !letters.some(letter => scripts.some(script => script.test(letter)));
+  }
+
+  /**
+   * Pick the locale other locales are translated from: English if loaded, else the largest
+   * @param {Object} locales - Locale name → {key: value}
+   * @returns {string|null} Locale name
+   */
+  function pickSourceLocale(locales) {
+    const names = Object.keys(locales || {});
+    if (names.length === 0) {
+      return null;
+    }
+
+    const english = names.find(name => name.toLowerCase() === 'en') ||
+      names.find(name => getBaseLanguage(name) === 'en');
+    if (english) {
+      return english;
+    }
+    return names.reduce((largest, name) =>
+      (Object.keys(locales[name]).length > Object.keys(locales[largest]).length ? name : largest)
+    );
+  }
+
+  /**
+   * Find the issue of one key in one locale
+   * @returns {string|null} One of ISSUE_TYPES
+   */
+  function checkValue(value, locale, sourceValue, sourceLocale) {
+    if (value === undefined || value === null) {
+      return ISSUE_TYPES.MISSING;
+    }
+    if (typeof value !== 'string') {
+      return null;
+    }
+    if (!value.trim()) {
+      return ISSUE_TYPES.EMPTY;
+    }
+
+    // Regional variants such as en-GB and en-US share most of their copy
+    const sameLanguage = getBaseLanguage(locale) === getBaseLanguage(sourceLocale);
+    if (locale !== sourceLocale && !sameLanguage && value === sourceValue &&
+      getCopyLetters(value).length >= MIN_LETTERS) {
+      return ISSUE_TYPES.UNTRANSLATED;
+    }
+    return isWrongScript(value, locale) ? ISSUE_TYPES.WRONG_SCRIPT : null;
+  }
+
+  /**
+   * Audit every key across the loaded locales
+   * @param {Object} locales - Locale name → flattened {key: value}
+   * @param {Object} options - {sourceLocale}, defaults to pickSourceLocale()
+   * @returns {Object} {sourceLocale, locales, keyCount, issues, counts}; issues are
+   *   [{key, locale, type, value, sourceValue}] sorted by key, counts are per type and per locale
+   */
+  function auditLocales(locales, options = {}) {
+    const localeNames = Object.keys(locales || {});
+    const sourceLocale = options.sourceLocale && localeNames.includes(options.sourceLocale)
+      ? options.sourceLocale
+      : pickSourceLocale(locales);
+
+    const keys = new Set();
+    localeNames.forEach(locale => Object.keys(locales[locale] || {}).forEach(key => keys.add(key)));
+
+    const issues = [];
+    const counts = { byType: {}, byLocale: {} };
+    Object.values(ISSUE_TYPES).forEach(type => {
+      counts.byType[type] = 0;
+    });
+    localeNames.forEach(locale => {
+      counts.byLocale[locale] = 0;
+    });
+
+    Array.from(keys).sort().forEach(key => {
+      const sourceValue = sourceLocale ? locales[sourceLocale][key] : undefined;
+      localeNames.forEach(locale => {
+        const value = locales[locale][key];
+        const type = checkValue(value, locale, sourceValue, sourceLocale);
+        if (!type) {
+          return;
+        }
+
+        issues.push({
+          key,
+          locale,
+          type,
+          value: value === undefined ? null : value,
+          sourceValue: sourceValue === undefined ? null : sourceValue
+        });
+        counts.byType[type]++;
+        counts.byLocale[locale]++;
+      });
+    });
+
+    return {
+      sourceLocale,
+      locales: localeNames,
+      keyCount: keys.size,
+      issues,
+      counts
+    };
+  }
+
+  /**
+   * Group audit issues by key, for looking up the issues of a search result
+   * @returns {Map<string, Array<Object>>} Key → issues
+   */
+  function indexByKey(issues) {
+    const index = new Map();
+    (issues || []).forEach(issue => {
+      if (!index.has(issue.key)) {
+        index.set(issue.key, []);
+      }
+      index.get(issue.key).push(issue);
+    });
+    return index;
+  }
+
+  return {
+    ISSUE_TYPES,
+    getBaseLanguage,
+    getExpectedScripts,
+    isWrongScript,
+    pickSourceLocale,
+    auditLocales,
+    indexByKey
+  };
+});
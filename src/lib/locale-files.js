@@ -0,0 +1,545 @@
+/**
+ * LocaleFiles
+ * Parses locale files (JSON, YAML, gettext .po, Java .properties) into flat
+ * key → value dictionaries, and combines imported dictionaries by locale.
+ * Imported dictionaries are kept in chrome.storage.local as importedDictionaries:
+ *   [{id, name, format, locale, messages, count, importedAt}]
+ * Loaded as a plain script by the options page and content script, and via require() in tests.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LocaleFiles = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const FORMATS_BY_EXTENSION = {
+    json: 'json',
+    yaml: 'yaml',
+    yml: 'yaml',
+    po: 'po',
+    properties: 'properties'
+  };
+
+  /**
+   * Normalize a locale code (zh_TW → zh-tw)
+   * @param {string} locale - Raw locale code
+   * @returns {string} Normalized locale code, or '' when missing
+   */
+  function normalizeLocale(locale) {
+    return typeof locale === 'string' ? locale.trim().replace(/_/g, '-').toLowerCase() : '';
+  }
+
+  /**
+   * Detect the file format from its extension
+   * @param {string} fileName - File name
+   * @returns {string|null} 'json', 'yaml', 'po' or 'properties'
+   */
+  function detectFormat(fileName) {
+    const match = /\.([a-z]+)$/i.exec(fileName || '');
+    return match ? FORMATS_BY_EXTENSION[match[1].toLowerCase()] || null : null;
+  }
+
+  /**
+   * Guess the locale from a file name such as zh-TW.json or messages_en.properties
+   * @param {string} fileName - File name
+   * @returns {string} Normalized locale, or '' when the name has none
+   */
+  function guessLocale(fileName) {
+    const baseName = String(fileName || '').split(/[\\/]/).pop().replace(/\.[^.]+$/, '');
+    const match = /(?:^|[._-])([a-z]{2}(?:[-_](?:[a-z]{2}|[a-z]{4}))?)$/i.exec(baseName);
+    return match ? normalizeLocale(match[1]) : '';
+  }
+
+  /**
+   * Flatten nested messages into dot-separated keys
+   * Only string values are kept, as with data read from pages.
+   * @param {Object} data - Nested or flat messages
+   * @param {string} prefix - Key prefix
+   * @param {Object} result - Object to fill
+   * @returns {Object} Flat key → value object
+   */
+  function flattenMessages(data, prefix = '', result = {}) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return result;
+    }
+
+    Object.keys(data).forEach(key => {
+      const fullKey = prefix ? `${prefix}.${key}` : key;
+      const value = data[key];
+      if (typeof value === 'string') {
+        result[fullKey] = value;
+      } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        flattenMessages(value, fullKey, result);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Parse nested or flat JSON messages
+   * @param {string} text - File content
+   * @returns {Object} Flat key → value object
+   */
+  function parseJSON(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Invalid JSON: ${error.message}`);
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      throw new Error('JSON locale file must contain an object');
+    }
+    return flattenMessages(data);
+  }
+
+  /**
+   * Read a quoted YAML scalar starting at text[0]
+   * @returns {{value: string, rest: string}} Unquoted value and the text after it
+   */
+  function readYamlQuoted(text, lineNumber) {
+    const quote = text[0];
+    let value = '';
+
+    for (let i = 1; i < text.length; i++) {
+      const char = text[i];
+      if (quote === '\'' && char === '\'') {
+        if (text[i + 1] === '\'') {
+          value += '\'';
+          i++;
+          continue;
+        }
+        return { value, rest: text.slice(i + 1) };
+      }
+      if (quote === '"' && char === '\\') {
+        value += unescapeSequence(text, i);
+        i += escapeLength(text, i) - 1;
+        continue;
+      }
+      if (quote === '"' && char === '"') {
+        return { value, rest: text.slice(i + 1) };
+      }
+      value += char;
+    }
+
+    throw new Error(`Line ${lineNumber}: unterminated quoted string`);
+  }
+
+  /**
+   * Length of the backslash escape at text[index], including the backslash
+   */
+  function escapeLength(text, index) {
+    return text[index + 1] === 'u' && /^[0-9a-f]{4}$/i.test(text.substr(index + 2, 4)) ? 6 : 2;
+  }
+
+  /**
+   * Decode the backslash escape at text[index]
+   */
+  function unescapeSequence(text, index) {
+    const next = text[index + 1];
+    if (escapeLength(text, index) === 6) {
+      return String.fromCharCode(parseInt(text.substr(index + 2, 4), 16));
+    }
+    const escapes = { n: '\n', t: '\t', r: '\r', f: '\f', '0': '\0' };
+    if (next === undefined) {
+      return '';
+    }
+    return Object.prototype.hasOwnProperty.call(escapes, next) ? escapes[next] : next;
+  }
+
+  /**
+   * Remove a trailing " # comment" from a plain YAML scalar
+   */
+  function stripYamlComment(text) {
+    const index = text.search(/\s#/);
+    return (index >= 0 ? text.slice(0, index) : text).trim();
+  }
+
+  /**
+   * Parse YAML messages
+   * Supports the subset used by locale files: nested mappings, plain and quoted
+   * scalars, block scalars (| and >) and comments. Sequences are skipped.
+   * @param {string} text - File content
+   * @returns {Object} Flat key → value object
+   */
+  function parseYAML(text) {
+    const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+    const result = {};
+    const stack = [];
+    let skipIndent = -1;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const lineNumber = i + 1;
+      const trimmed = line.trim();
+
+      if (!trimmed || trimmed.startsWith('#') || trimmed === '---' || trimmed === '...') {
+        continue;
+      }
+
+      const indentMatch = /^[ \t]*/.exec(line)[0];
+      if (indentMatch.includes('\t')) {
+        throw new Error(`Line ${lineNumber}: tabs are not allowed for indentation`);
+      }
+      const indent = indentMatch.length;
+
+      // Lines nested under a skipped sequence
+      if (skipIndent >= 0 && indent > skipIndent) {
+        continue;
+      }
+      skipIndent = -1;
+
+      if (trimmed === '-' || trimmed.startsWith('- ')) {
+        skipIndent = indent;
+        continue;
+      }
+
+      let key;
+      let rest;
+      if (trimmed[0] === '"' || trimmed[0] === '\'') {
+        const quoted = readYamlQuoted(trimmed, lineNumber);
+        key = quoted.value;
+        rest = quoted.rest.trimStart();
+        if (rest[0] !== ':') {
+          throw new Error(`Line ${lineNumber}: expected "key: value"`);
+        }
+        rest = rest.slice(1);
+      } else {
+        const colon = trimmed.search(/:(\s|$)/);
+        if (colon <= 0) {
+          throw new Error(`Line ${lineNumber}: expected "key: value"`);
+        }
+        key = trimmed.slice(0, colon).trim();
+        rest = trimmed.slice(colon + 1);
+      }
+
+      while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+        stack.pop();
+      }
+      const path = stack.map(item => item.key).concat(key);
+      rest = rest.trim();
+
+      if (!rest || rest.startsWith('#')) {
+        stack.push({ indent, key });
+        continue;
+      }
+
+      let value;
+      const block = /^([|>])([+-]?)\s*(#.*)?$/.exec(rest);
+      if (block) {
+        const blockLines = [];
+        let blockIndent = -1;
+        while (i + 1 < lines.length) {
+          const next = lines[i + 1];
+          const nextIndent = /^ */.exec(next)[0].length;
+          if (next.trim() && nextIndent <= indent) {
+            break;
+          }
+          if (next.trim() && blockIndent < 0) {
+            blockIndent = nextIndent;
+          }
+          blockLines.push(next);
+          i++;
+        }
+        value = readYamlBlock(blockLines, Math.max(blockIndent, 0), block[1], block[2]);
+      } else if (rest[0] === '"' || rest[0] === '\'') {
+        value = readYamlQuoted(rest, lineNumber).value;
+      } else {
+        value = stripYamlComment(rest);
+        if (value === '~' || value === 'null') {
+          continue;
+        }
+      }
+
+      result[path.join('.')] = value;
+    }
+
+    return result;
+  }
+
+  /**
+   * Join the lines of a YAML block scalar
+   * @param {Array<string>} lines - Raw lines of the block
+   * @param {number} indent - Indentation of the block content
+   * @param {string} style - '|' keeps line breaks, '>' folds them into spaces
+   * @param {string} chomping - '' (single trailing newline), '-' (none) or '+' (keep all)
+   * @returns {string} Block value
+   */
+  function readYamlBlock(lines, indent, style, chomping) {
+    const content = lines.map(line => line.slice(indent));
+    let trailing = 0;
+    while (trailing < content.length && !content[content.length - 1 - trailing].trim()) {
+      trailing++;
+    }
+    const body = content.slice(0, content.length - trailing);
+
+    let value;
+    if (style === '|') {
+      value = body.join('\n');
+    } else {
+      value = body.reduce((text, line, index) => {
+        if (index === 0) {
+          return line;
+        }
+        if (!line.trim()) {
+          return `${text}\n`;
+        }
+        return text.endsWith('\n') ? text + line : `${text} ${line}`;
+      }, '');
+    }
+
+    if (chomping === '-' || body.length === 0) {
+      return value;
+    }
+    return value + (chomping === '+' ? '\n'.repeat(trailing + 1) : '\n');
+  }
+
+  /**
+   * Decode a gettext string literal
+   */
+  function readPoString(text, lineNumber) {
+    const match = /^"(.*)"$/.exec(text.trim());
+    if (!match) {
+      throw new Error(`Line ${lineNumber}: expected a quoted string`);
+    }
+
+    const raw = match[1];
+    let value = '';
+    for (let i = 0; i < raw.length; i++) {
+      if (raw[i] === '\\') {
+        value += unescapeSequence(raw, i);
+        i += escapeLength(raw, i) - 1;
+      } else {
+        value += raw[i];
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Read the raw fields of every gettext entry
+   * @returns {Array<Object>} Entries with msgctxt, msgid and msgstr (msgstr[0] for plurals)
+   */
+  function readPoEntries(text) {
+    const entries = [];
+    let entry = null;
+    let field = null;
+
+    const flush = () => {
+      if (entry && entry.msgid !== undefined) {
+        entries.push(entry);
+      }
+      entry = null;
+      field = null;
+    };
+
+    String(text).replace(/^\uFEFF/, '').split(/\r?\n/).forEach((line, index) => {
+      const lineNumber = index + 1;
+      const trimmed = line.trim();
+
+      if (!trimmed) {
+        flush();
+        return;
+      }
+      if (trimmed.startsWith('#')) {
+        // Obsolete entries (#~) are commented out and ignored with other comments
+        return;
+      }
+      if (trimmed.startsWith('"')) {
+        if (!entry || !field) {
+          throw new Error(`Line ${lineNumber}: string without a keyword`);
+        }
+        entry[field] += readPoString(trimmed, lineNumber);
+        return;
+      }
+
+      const match = /^(msgctxt|msgid|msgid_plural|msgstr(?:\[(\d+)\])?)\s+(".*")$/.exec(trimmed);
+      if (!match) {
+        throw new Error(`Line ${lineNumber}: unexpected "${trimmed}"`);
+      }
+
+      let keyword = match[1].replace(/\[\d+\]$/, '');
+      if ((keyword === 'msgctxt' || keyword === 'msgid') && entry && entry.msgid !== undefined && entry.msgstr !== undefined) {
+        flush();
+      }
+      entry = entry || {};
+
+      // Plural forms: keep msgstr[0] and read the rest without storing them
+      if (match[2] !== undefined && match[2] !== '0') {
+        keyword = 'ignored';
+      }
+      field = keyword;
+      entry[field] = readPoString(match[3], lineNumber);
+    });
+    flush();
+
+    return entries;
+  }
+
+  /**
+   * Parse gettext .po messages
+   * msgid is the key; entries with msgctxt are keyed as "context.msgid".
+   * Untranslated entries (empty msgstr) and the header are skipped.
+   * @param {string} text - File content
+   * @returns {Object} Flat key → value object
+   */
+  function parsePO(text) {
+    const result = {};
+    readPoEntries(text).forEach(entry => {
+      if (!entry.msgid || !entry.msgstr) {
+        return;
+      }
+      result[entry.msgctxt ? `${entry.msgctxt}.${entry.msgid}` : entry.msgid] = entry.msgstr;
+    });
+    return result;
+  }
+
+  /**
+   * Read the Language header of a .po file
+   * @param {string} text - File content
+   * @returns {string} Normalized locale, or '' when missing
+   */
+  function parsePoLanguage(text) {
+    const header = readPoEntries(text).find(entry => entry.msgid === '');
+    const match = header && /^Language:\s*(\S+)\s*$/im.exec(header.msgstr || '');
+    return match ? normalizeLocale(match[1]) : '';
+  }
+
+  /**
+   * Decode escapes in a .properties key or value
+   */
+  function unescapeProperties(text) {
+    let value = '';
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '\\') {
+        value += unescapeSequence(text, i);
+        i += escapeLength(text, i) - 1;
+      } else {
+        value += text[i];
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Parse Java .properties messages
+   * @param {string} text - File content
+   * @returns {Object} Flat key → value object
+   */
+  function parseProperties(text) {
+    const result = {};
+    const lines = String(text).replace(/^\uFEFF/, '').split(/\r?\n/);
+
+    for (let i = 0; i < lines.length; i++) {
+      let line = lines[i].replace(/^\s+/, '');
+      if (!line || line[0] === '#' || line[0] === '!') {
+        continue;
+      }
+
+      // An odd number of trailing backslashes continues the value on the next line
+      while (/(^|[^\\])(\\\\)*\\$/.test(line) && i + 1 < lines.length) {
+        line = line.slice(0, -1) + lines[++i].replace(/^\s+/, '');
+      }
+
+      let keyEnd = 0;
+      while (keyEnd < line.length && !/[=:\s]/.test(line[keyEnd])) {
+        keyEnd += line[keyEnd] === '\\' ? 2 : 1;
+      }
+      const key = unescapeProperties(line.slice(0, keyEnd));
+      const value = line.slice(keyEnd).replace(/^\s*[=:]?\s*/, '');
+
+      if (key) {
+        result[key] = unescapeProperties(value);
+      }
+    }
+
+    return result;
+  }
+
+  const PARSERS = {
+    json: parseJSON,
+    yaml: parseYAML,
+    po: parsePO,
+    properties: parseProperties
+  };
+
+  /**
+   * Parse a locale file by its extension
+   * @param {string} fileName - File name, used for the format and locale
+   * @param {string} text - File content
+   * @param {Object} options - Parse options
+   * @param {string} options.locale - Locale to use instead of the guessed one
+   * @returns {{name: string, format: string, locale: string, messages: Object, count: number}} Dictionary
+   */
+  function parseLocaleFile(fileName, text, options = {}) {
+    const format = detectFormat(fileName);
+    if (!format) {
+      throw new Error(`Unsupported file type: ${fileName}`);
+    }
+
+    const messages = PARSERS[format](text);
+    const count = Object.keys(messages).length;
+    if (count === 0) {
+      throw new Error(`No translations found in ${fileName}`);
+    }
+
+    const locale = normalizeLocale(options.locale) ||
+      (format === 'po' ? parsePoLanguage(text) : '') ||
+      guessLocale(fileName);
+
+    return { name: fileName, format, locale, messages, count };
+  }
+
+  /**
+   * Add a dictionary, replacing an earlier import of the same file and locale
+   * @param {Array<Object>} dictionaries - Imported dictionaries
+   * @param {Object} dictionary - Dictionary to add
+   * @returns {Array<Object>} New dictionary list
+   */
+  function upsertDictionary(dictionaries, dictionary) {
+    const list = (dictionaries || []).filter(existing =>
+      existing.name !== dictionary.name || existing.locale !== dictionary.locale
+    );
+    list.push(dictionary);
+    return list;
+  }
+
+  /**
+   * Combine dictionaries into one key → value object per locale
+   * Later dictionaries win when they define the same key.
+   * @param {Array<Object>} dictionaries - Imported dictionaries
+   * @param {string} fallbackLocale - Locale for dictionaries imported without one
+   * @returns {Object} { locale: { key: value } }
+   */
+  function buildLocales(dictionaries, fallbackLocale) {
+    const locales = {};
+    (dictionaries || []).forEach(dictionary => {
+      if (!dictionary || !dictionary.messages) {
+        return;
+      }
+      const locale = normalizeLocale(dictionary.locale) || normalizeLocale(fallbackLocale) || 'default';
+      locales[locale] = Object.assign(locales[locale] || {}, dictionary.messages);
+    });
+    return locales;
+  }
+
+  return {
+    normalizeLocale,
+    detectFormat,
+    guessLocale,
+    flattenMessages,
+    parseJSON,
+    parseYAML,
+    parsePO,
+    parsePoLanguage,
+    parseProperties,
+    parseLocaleFile,
+    upsertDictionary,
+    buildLocales
+  };
+});
@@ -0,0 +1,110 @@
+/**
+ * LocaleStore
+ * Keeps the translations read from the page per locale, as flattened {key, val}
+ * entries, and picks the locale the page is matched against. Data extracted on load
+ * replaces every locale; messages loaded later or on client-side navigations are
+ * merged into them.
+ * Loaded as a plain script by the content script, and via require() elsewhere.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.LocaleStore = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  /**
+   * Flatten nested translation data into key-value pairs
+   * Only string values are kept; arrays and other values are skipped.
+   * @param {Object} data - Nested messages, e.g. {btn: {book: '立即預訂'}}
+   * @param {string} prefix - Key prefix
+   * @returns {Array<{key: string, val: string}>} Entries with dotted keys
+   */
+  function flattenMessages(data, prefix = '') {
+    const result = [];
+
+    const flatten = (obj, currentPrefix) => {
+      for (const key in obj) {
+        if (Object.prototype.hasOwnProperty.call(obj, key)) {
+          const fullKey = currentPrefix ? `${currentPrefix}.${key}` : key;
+
+          if (typeof obj[key] === 'string') {
+            result.push({
+              key: fullKey,
+              val: obj[key]
+            });
+          } else if (typeof obj[key] === 'object' && obj[key] !== null && !Array.isArray(obj[key])) {
+            flatten(obj[key], fullKey);
+          }
+        }
+      }
+    };
+
+    if (typeof data === 'object' && data !== null) {
+      flatten(data, prefix);
+    }
+
+    return result;
+  }
+
+  /**
+   * Flatten every locale, replacing what was stored before
+   * @param {Object} locales - Locale name → nested messages
+   * @param {string} activeLocale - Locale the page is shown in
+   * @returns {{localeData: Object, activeLocale: string|undefined}} Locale name → entries, and
+   *   the given locale when it has data, else the first one
+   */
+  function storeLocales(locales, activeLocale) {
+    const localeData = {};
+    for (const locale of Object.keys(locales || {})) {
+      localeData[locale] = flattenMessages(locales[locale]);
+    }
+
+    return {
+      localeData,
+      activeLocale: localeData[activeLocale] ? activeLocale : Object.keys(localeData)[0]
+    };
+  }
+
+  /**
+   * Merge incrementally loaded messages into the stored locales
+   * New keys are added and existing keys updated; keys missing from the update are kept.
+   * @param {Object} localeData - Stored locale name → entries
+   * @param {Object} locales - Locale name → nested messages to merge
+   * @param {string} activeLocale - Locale the update was loaded for, if known
+   * @param {string} currentLocale - Locale active before the update
+   * @returns {{localeData: Object, activeLocale: string|null}} Merged locales, and the updated
+   *   locale when it has data, else the current one while it still has data, else the first one
+   */
+  function mergeLocales(localeData, locales, activeLocale, currentLocale) {
+    const merged = Object.assign({}, localeData);
+    for (const locale of Object.keys(locales || {})) {
+      const entries = new Map((merged[locale] || []).map(entry => [entry.key, entry]));
+      flattenMessages(locales[locale]).forEach(entry => {
+        entries.set(entry.key, entry);
+      });
+      merged[locale] = [...entries.values()];
+    }
+
+    let nextLocale = currentLocale;
+    if (activeLocale && merged[activeLocale]) {
+      nextLocale = activeLocale;
+    } else if (!currentLocale || !merged[currentLocale]) {
+      nextLocale = Object.keys(merged)[0] || null;
+    }
+
+    return {
+      localeData: merged,
+      activeLocale: nextLocale
+    };
+  }
+
+  return {
+    flattenMessages,
+    storeLocales,
+    mergeLocales
+  };
+});
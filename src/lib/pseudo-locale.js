@@ -0,0 +1,110 @@
+/**
+ * PseudoLocale
+ * Turns text into pseudo-localized text for QA: Latin letters become accented look-alikes,
+ * the text grows to mimic longer languages and is wrapped in bracket markers. Text left
+ * plain on a pseudo-localized page is hardcoded; a missing closing bracket means clipping.
+ * Loaded as a plain script by the content script and options page, and via require() elsewhere.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PseudoLocale = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const ACCENTED_CHARACTERS = {
+    a: 'á', b: 'ƀ', c: 'ç', d: 'ð', e: 'é', f: 'ƒ', g: 'ĝ', h: 'ĥ', i: 'î', j: 'ĵ', k: 'ķ', l: 'ļ', m: 'ɱ',
+    n: 'ñ', o: 'ö', p: 'þ', q: 'ǫ', r: 'ŕ', s: 'š', t: 'ţ', u: 'û', v: 'ṽ', w: 'ŵ', x: 'ẋ', y: 'ý', z: 'ž',
+    A: 'Å', B: 'Ɓ', C: 'Ç', D: 'Ð', E: 'É', F: 'Ƒ', G: 'Ĝ', H: 'Ĥ', I: 'Î', J: 'Ĵ', K: 'Ķ', L: 'Ļ', M: 'Ṁ',
+    N: 'Ñ', O: 'Ö', P: 'Þ', Q: 'Ǫ', R: 'Ŕ', S: 'Š', T: 'Ţ', U: 'Û', V: 'Ṽ', W: 'Ŵ', X: 'Ẋ', Y: 'Ý', Z: 'Ž'
+  };
+
+  // Same placeholder syntaxes TranslationMatcher understands; they must survive untouched
+  const PLACEHOLDER_REGEX = /\{\{\s*[\w.]+\s*\}\}|\{\s*[\w.]+\s*\}|%(?:\d+\$)?[sdif@]|(?<![\w:/]):[a-zA-Z_]\w*/g;
+
+  const EXPANSION_FILLER = '~';
+  const OPEN_MARKER = '[';
+  const CLOSE_MARKER = ']';
+
+  // Longer languages such as German run about 30% past English
+  const DEFAULT_OPTIONS = {
+    expansion: 0.3,
+    accents: true,
+    brackets: true
+  };
+
+  const MAX_EXPANSION = 2;
+
+  /**
+   * Fill in defaults and clamp the expansion ratio to 0–2
+   * @param {Object} options - {expansion, accents, brackets}
+   * @returns {Object} Complete options
+   */
+  function normalizeOptions(options = {}) {
+    const merged = { ...DEFAULT_OPTIONS, ...(options || {}) };
+    const expansion = Number(merged.expansion);
+
+    return {
+      expansion: Number.isFinite(expansion) ? Math.min(Math.max(expansion, 0), MAX_EXPANSION) : DEFAULT_OPTIONS.expansion,
+      accents: merged.accents !== false,
+      brackets: merged.brackets !== false
+    };
+  }
+
+  /**
+   * Replace Latin letters with accented look-alikes, leaving placeholders intact
+   */
+  function accentText(text) {
+    let result = '';
+    let lastIndex = 0;
+    const accent = segment => segment.replace(/[a-zA-Z]/g, char => ACCENTED_CHARACTERS[char]);
+
+    PLACEHOLDER_REGEX.lastIndex = 0;
+    let match;
+    while ((match = PLACEHOLDER_REGEX.exec(text)) !== null) {
+      result += accent(text.slice(lastIndex, match.index)) + match[0];
+      lastIndex = match.index + match[0].length;
+    }
+    return result + accent(text.slice(lastIndex));
+  }
+
+  /**
+   * Pseudo-localize a string
+   * Surrounding whitespace is kept so text nodes can be rewritten in place.
+   * @param {string} text - Text to transform
+   * @param {Object} options - {expansion, accents, brackets}, see DEFAULT_OPTIONS
+   * @returns {string} Pseudo-localized text, e.g. "[Ɓöößķ ñöŵ ~~~]"
+   */
+  function pseudoLocalize(text, options = {}) {
+    if (typeof text !== 'string' || !text.trim()) {
+      return text;
+    }
+
+    const { expansion, accents, brackets } = normalizeOptions(options);
+    const [, leading, content, trailing] = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+
+    let result = accents ? accentText(content) : content;
+
+    // Measure in code points so CJK and emoji expand by what users see
+    const padding = Math.round(Array.from(content).length * expansion);
+    if (padding > 0) {
+      result += ' ' + EXPANSION_FILLER.repeat(padding);
+    }
+    if (brackets) {
+      result = OPEN_MARKER + result + CLOSE_MARKER;
+    }
+
+    return leading + result + trailing;
+  }
+
+  return {
+    DEFAULT_OPTIONS,
+    MAX_EXPANSION,
+    normalizeOptions,
+    accentText,
+    pseudoLocalize
+  };
+});
@@ -0,0 +1,146 @@
+/**
+ * TextDiff
+ * Word-level diff of two translation values, used to highlight what changed between
+ * snapshots. Latin text is split into words, CJK text into single characters, and the
+ * longest common subsequence of the tokens is kept as unchanged.
+ * Loaded as a plain script by the popup, and via require() elsewhere.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TextDiff = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // Above this many LCS cells the values are shown as a whole replacement instead
+  const MAX_CELLS = 250000;
+
+  // Words, runs of whitespace, single CJK characters, or single other symbols
+  const TOKEN_REGEX = /[\p{L}\p{N}_]+|\s+|./gu;
+  const CJK_REGEX = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}]/u;
+
+  /**
+   * Split text into diff tokens
+   * @param {string} text - Text to split
+   * @returns {Array<string>} Tokens that join back into the text
+   */
+  function tokenize(text) {
+    const tokens = [];
+    (String(text === null || text === undefined ? '' : text).match(TOKEN_REGEX) || []).forEach(token => {
+      if (CJK_REGEX.test(token)) {
+        // Scripts without spaces between words are compared character by character
+        tokens.push(...Array.from(token));
+      } else {
+        tokens.push(token);
+      }
+    });
+    return tokens;
+  }
+
+  /**
+   * Add a part, merging it into the previous one of the same type
+   */
+  function pushPart(parts, type, text) {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.text += text;
+    } else {
+      parts.push({ type, text });
+    }
+  }
+
+  /**
+   * Diff two token lists
+   * @param {Array<string>} before - Old tokens
+   * @param {Array<string>} after - New tokens
+   * @returns {Array<{type: string, text: string}>} Parts typed 'equal', 'delete' or 'insert'
+   */
+  function diffTokens(before, after) {
+    const parts = [];
+
+    // Common prefix and suffix need no table
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) {
+      start++;
+    }
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+      endBefore--;
+      endAfter--;
+    }
+
+    if (start > 0) {
+      pushPart(parts, 'equal', before.slice(0, start).join(''));
+    }
+
+    const a = before.slice(start, endBefore);
+    const b = after.slice(start, endAfter);
+    if ((a.length + 1) * (b.length + 1) > MAX_CELLS) {
+      if (a.length > 0) {
+        pushPart(parts, 'delete', a.join(''));
+      }
+      if (b.length > 0) {
+        pushPart(parts, 'insert', b.join(''));
+      }
+    } else {
+      // lengths[i][j] = LCS length of a[i..] and b[j..]
+      const lengths = [];
+      for (let i = a.length; i >= 0; i--) {
+        lengths[i] = new Array(b.length + 1).fill(0);
+        for (let j = b.length - 1; i < a.length && j >= 0; j--) {
+          lengths[i][j] = a[i] === b[j]
+            ? lengths[i + 1][j + 1] + 1
+            : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+      }
+
+      let i = 0;
+      let j = 0;
+      while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+          pushPart(parts, 'equal', a[i]);
+          i++;
+          j++;
+        } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+          pushPart(parts, 'delete', a[i]);
+          i++;
+        } else {
+          pushPart(parts, 'insert', b[j]);
+          j++;
+        }
+      }
+      while (i < a.length) {
+        pushPart(parts, 'delete', a[i++]);
+      }
+      while (j < b.length) {
+        pushPart(parts, 'insert', b[j++]);
+      }
+    }
+
+    if (endBefore < before.length) {
+      pushPart(parts, 'equal', before.slice(endBefore).join(''));
+    }
+    return parts;
+  }
+
+  /**
+   * Word-level diff of two strings
+   * @param {string} before - Old value
+   * @param {string} after - New value
+   * @returns {Array<{type: string, text: string}>} Parts typed 'equal', 'delete' or 'insert'
+   */
+  function diffWords(before, after) {
+    return diffTokens(tokenize(before), tokenize(after));
+  }
+
+  return {
+    MAX_CELLS,
+    tokenize,
+    diffTokens,
+    diffWords
+  };
+});
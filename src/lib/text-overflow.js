@@ -0,0 +1,115 @@
+/**
+ * TextOverflow
+ * Decides from an element's box metrics and computed style whether its text is clipped,
+ * e.g. by `text-overflow: ellipsis`, `-webkit-line-clamp` or plain hidden overflow, and
+ * estimates how many characters the reader does not see. Longer copy such as German or
+ * Japanese usually breaks layouts this way.
+ * Loaded as a plain script by the content script, and via require() elsewhere.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TextOverflow = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // Sub-pixel layout can leave scroll sizes a pixel over the box without cutting anything
+  const OVERFLOW_TOLERANCE = 1;
+
+  // Overflow values that cut content instead of letting it spill or scroll
+  const CLIPPING_OVERFLOW = new Set(['hidden', 'clip']);
+
+  const REASONS = {
+    ELLIPSIS: 'ellipsis',
+    LINE_CLAMP: 'line-clamp',
+    HIDDEN_OVERFLOW: 'hidden-overflow'
+  };
+
+  /**
+   * Check whether a line clamp is set, e.g. "-webkit-line-clamp: 2"
+   */
+  function hasLineClamp(value) {
+    const lines = parseInt(value, 10);
+    return Number.isFinite(lines) && lines > 0;
+  }
+
+  /**
+   * Detect clipped text from box metrics
+   * @param {Object} metrics - {scrollWidth, clientWidth, scrollHeight, clientHeight,
+   *   overflowX, overflowY, textOverflow, lineClamp} as read from the element and its computed style
+   * @returns {Object|null} {reasons, visibleRatio} when content is cut, otherwise null
+   */
+  function detectClipping(metrics) {
+    if (!metrics) {
+      return null;
+    }
+
+    const overflowX = metrics.overflowX || 'visible';
+    const overflowY = metrics.overflowY || 'visible';
+    const clampedLines = hasLineClamp(metrics.lineClamp);
+
+    const cutX = CLIPPING_OVERFLOW.has(overflowX) &&
+      metrics.clientWidth > 0 && metrics.scrollWidth - metrics.clientWidth > OVERFLOW_TOLERANCE;
+    // A line clamp cuts the text even where the box leaves vertical overflow visible
+    const cutY = (CLIPPING_OVERFLOW.has(overflowY) || clampedLines) &&
+      metrics.clientHeight > 0 && metrics.scrollHeight - metrics.clientHeight > OVERFLOW_TOLERANCE;
+
+    if (!cutX && !cutY) {
+      return null;
+    }
+
+    const reasons = [];
+    if (cutX && metrics.textOverflow === 'ellipsis') {
+      reasons.push(REASONS.ELLIPSIS);
+    }
+    if (cutY && clampedLines) {
+      reasons.push(REASONS.LINE_CLAMP);
+    }
+    if (reasons.length === 0) {
+      reasons.push(REASONS.HIDDEN_OVERFLOW);
+    }
+
+    // Share of the content box the reader sees; both axes cut means both shrink it
+    const ratioX = cutX ? metrics.clientWidth / metrics.scrollWidth : 1;
+    const ratioY = cutY ? metrics.clientHeight / metrics.scrollHeight : 1;
+
+    return {
+      reasons,
+      visibleRatio: ratioX * ratioY
+    };
+  }
+
+  /**
+   * Estimate how many characters of a text are cut off
+   * Assumes characters are spread evenly over the content box, so the visible share of the box
+   * is the visible share of the text. An ellipsis takes the place of one more character.
+   * @param {string} text - Text of the clipped element
+   * @param {number} visibleRatio - Visible share of the content, 0–1
+   * @param {boolean} hasEllipsis - Whether the cut is marked with an ellipsis
+   * @returns {number} Hidden characters, at least 1 for clipped non-empty text
+   */
+  function estimateCutCharacters(text, visibleRatio, hasEllipsis = false) {
+    // Count code points so CJK and emoji count as what users see
+    const length = Array.from((text || '').trim()).length;
+    if (length === 0) {
+      return 0;
+    }
+
+    const ratio = Math.min(Math.max(Number(visibleRatio) || 0, 0), 1);
+    let visible = Math.floor(length * ratio);
+    if (hasEllipsis) {
+      visible--;
+    }
+    return Math.min(length, Math.max(1, length - visible));
+  }
+
+  return {
+    OVERFLOW_TOLERANCE,
+    REASONS,
+    detectClipping,
+    estimateCutCharacters
+  };
+});
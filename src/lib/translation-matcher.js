@@ -0,0 +1,424 @@
+/**
+ * TranslationMatcher
+ * Resolves rendered page text back to the translation entries that may have produced it.
+ * Loaded as a plain script by the content script and popup, and via require() in tests.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TranslationMatcher = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  const MATCH_TYPES = {
+    TRACED: 'traced',
+    EXACT: 'exact',
+    TEMPLATE: 'template',
+    PARTIAL: 'partial',
+    REVERSE: 'reverse'
+  };
+
+  // Lower index ranks first
+  const MATCH_TYPE_ORDER = [
+    MATCH_TYPES.TRACED,
+    MATCH_TYPES.EXACT,
+    MATCH_TYPES.TEMPLATE,
+    MATCH_TYPES.PARTIAL,
+    MATCH_TYPES.REVERSE
+  ];
+
+  // Match types showing the entry rendered the text; partial and reverse matches only share a fragment
+  const CONFIDENT_MATCH_TYPES = new Set([
+    MATCH_TYPES.TRACED,
+    MATCH_TYPES.EXACT,
+    MATCH_TYPES.TEMPLATE
+  ]);
+
+  // {{name}}, {name}, %s / %d / %1$s and :name (not preceded by a word character, colon or slash)
+  const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}|\{\s*([\w.]+)\s*\}|%(?:\d+\$)?([sd])|(?<![\w:/]):([A-Za-z_]\w*)/g;
+
+  // Quick pre-check so values without placeholder syntax skip compilation
+  const PLACEHOLDER_HINT = /[{%:]/;
+
+  const MAX_TEMPLATE_CACHE_SIZE = 20000;
+  const templateCache = new Map();
+
+  /**
+   * Normalize text for comparison
+   * @param {string} text - Raw text
+   * @returns {string} Trimmed, lowercased text
+   */
+  function normalize(text) {
+    return typeof text === 'string' ? text.trim().toLowerCase() : '';
+  }
+
+  /**
+   * Split an identifier (translation key, CSS class, element id) into lowercase words
+   * @param {string} identifier - Identifier such as "product.bookingButton" or "btn-book_now"
+   * @returns {Array<string>} Words of at least two characters
+   */
+  function tokenize(identifier) {
+    if (!identifier || typeof identifier !== 'string') {
+      return [];
+    }
+
+    return identifier
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter(word => word.length >= 2);
+  }
+
+  /**
+   * Score how well a translation key fits the DOM context it was picked from
+   * @param {string} key - Translation key
+   * @param {Array<string>} contextTokens - Words collected from the element and its ancestors
+   * @returns {number} Share of key words found in the context (0 - 1)
+   */
+  function scoreContext(key, contextTokens) {
+    if (!contextTokens || contextTokens.length === 0) {
+      return 0;
+    }
+
+    const keyTokens = [...new Set(tokenize(key))];
+    if (keyTokens.length === 0) {
+      return 0;
+    }
+
+    const context = new Set(contextTokens);
+    const hits = keyTokens.filter(token => context.has(token)).length;
+    return hits / keyTokens.length;
+  }
+
+  /**
+   * Escape a literal string for use inside a RegExp
+   * @param {string} text - Literal text
+   * @returns {string} Escaped text
+   */
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Compile a translation value with placeholders into a matching pattern
+   * @param {string} value - Translation value, e.g. "共 {count} 則評論"
+   * @returns {Object|null} Compiled template ({regex, placeholders, literalLength}) or null when
+   * the value has no placeholders or no literal text to anchor on
+   */
+  function compileTemplate(value) {
+    if (!value || typeof value !== 'string' || !PLACEHOLDER_HINT.test(value)) {
+      return null;
+    }
+
+    if (templateCache.has(value)) {
+      return templateCache.get(value);
+    }
+
+    const placeholders = [];
+    let pattern = '';
+    let literal = '';
+    let lastIndex = 0;
+
+    const appendLiteral = (text) => {
+      literal += text;
+      pattern += text
+        .split(/\s+/)
+        .map(escapeRegExp)
+        .join('\\s+');
+    };
+
+    PLACEHOLDER_PATTERN.lastIndex = 0;
+    let match;
+    while ((match = PLACEHOLDER_PATTERN.exec(value)) !== null) {
+      appendLiteral(value.slice(lastIndex, match.index));
+
+      placeholders.push(match[0]);
+      // %d only ever renders numbers (possibly with separators)
+      pattern += match[3] === 'd' ? '([-+]?\\d[\\d,.]*)' : '(.+?)';
+
+      lastIndex = match.index + match[0].length;
+    }
+    appendLiteral(value.slice(lastIndex));
+
+    const literalLength = literal.replace(/\s+/g, '').length;
+    let compiled = null;
+
+    if (placeholders.length > 0 && literalLength > 0) {
+      compiled = {
+        regex: new RegExp(`^\\s*${pattern}\\s*$`, 'i'),
+        placeholders,
+        literalLength
+      };
+    }
+
+    if (templateCache.size >= MAX_TEMPLATE_CACHE_SIZE) {
+      templateCache.clear();
+    }
+    templateCache.set(value, compiled);
+
+    return compiled;
+  }
+
+  /**
+   * Match rendered text against a translation value with placeholders
+   * @param {string} value - Translation value (template)
+   * @param {string} text - Rendered text
+   * @returns {Object|null} {params, score} where params lists the value filled into each placeholder
+   */
+  function matchTemplate(value, text) {
+    const template = compileTemplate(value);
+    if (!template || !text) {
+      return null;
+    }
+
+    const match = template.regex.exec(text);
+    if (!match) {
+      return null;
+    }
+
+    const params = template.placeholders.map((placeholder, index) => ({
+      placeholder,
+      value: match[index + 1]
+    }));
+
+    // More literal text matched means less room for coincidence
+    const textLength = text.replace(/\s+/g, '').length || 1;
+    const score = Math.min(0.95, 0.7 + 0.3 * (template.literalLength / textLength));
+
+    return { params, score };
+  }
+
+  /**
+   * Check whether rendered text shows a translation value, as-is or with its placeholders filled in
+   * Whitespace runs are collapsed, since text gathered from several nodes keeps the markup's line breaks.
+   * @param {string} value - Translation value
+   * @param {string} text - Rendered text
+   * @returns {boolean} True when the text renders the value
+   */
+  function rendersValue(value, text) {
+    const collapse = input => normalize(typeof input === 'string' ? input.replace(/\s+/g, ' ') : input);
+    const normalizedValue = collapse(value);
+    if (!normalizedValue || !text) {
+      return false;
+    }
+
+    return collapse(text) === normalizedValue || matchTemplate(value, text) !== null;
+  }
+
+  /**
+   * Render what text showing an old translation value would show with a new value
+   * Placeholders in the new value are filled with what the same placeholders rendered in the
+   * old one, so editing "共 {count} 則評論" to "{count} 則評論" turns "共 128 則評論" into "128 則評論".
+   * @param {string} oldValue - Value the text was rendered from
+   * @param {string} newValue - Edited value
+   * @param {string} text - Rendered text
+   * @returns {string|null} Text to show, or null when the text does not render the old value
+   */
+  function previewValue(oldValue, newValue, text) {
+    const collapse = input => normalize(typeof input === 'string' ? input.replace(/\s+/g, ' ') : input);
+    if (!text || typeof newValue !== 'string') {
+      return null;
+    }
+    if (collapse(text) === collapse(oldValue)) {
+      return newValue;
+    }
+
+    const match = matchTemplate(oldValue, text);
+    if (!match) {
+      return null;
+    }
+
+    // Repeated positional placeholders such as %s are filled in order
+    const filled = new Map();
+    match.params.forEach(({ placeholder, value }) => {
+      filled.set(placeholder, [...(filled.get(placeholder) || []), value]);
+    });
+    const used = new Map();
+
+    return newValue.replace(PLACEHOLDER_PATTERN, placeholder => {
+      const values = filled.get(placeholder);
+      if (!values) {
+        return placeholder;
+      }
+      const index = used.get(placeholder) || 0;
+      used.set(placeholder, index + 1);
+      return values[Math.min(index, values.length - 1)];
+    });
+  }
+
+  /**
+   * Find every entry whose value matches the text, ranked best first
+   * Exact matches rank above placeholder template matches, then partial matches
+   * (value contains text), then reverse matches (text contains value).
+   * @param {Array<{key: string, val: string}>} entries - Flattened translation entries
+   * @param {string} text - Rendered text to resolve
+   * @param {Object} options - Matching options
+   * @param {Array<string>} options.contextTokens - DOM context words used to break ties
+   * @param {number} options.limit - Maximum candidates to return
+   * @returns {Array<Object>} Candidates ({entry, score, matchType, params, contextScore, isLikely})
+   */
+  function findCandidates(entries, text, options = {}) {
+    const normalizedText = normalize(text);
+    if (!Array.isArray(entries) || !normalizedText) {
+      return [];
+    }
+
+    const contextTokens = options.contextTokens || [];
+    const limit = options.limit || 10;
+    const candidates = [];
+
+    for (const entry of entries) {
+      if (!entry || !entry.val || typeof entry.val !== 'string') {
+        continue;
+      }
+
+      const normalizedVal = normalize(entry.val);
+      if (!normalizedVal) {
+        continue;
+      }
+
+      let matchType = null;
+      let score = 0;
+      let params = null;
+      let templateMatch = null;
+
+      if (normalizedVal === normalizedText) {
+        matchType = MATCH_TYPES.EXACT;
+        score = 1.0;
+      } else if ((templateMatch = matchTemplate(entry.val, text))) {
+        matchType = MATCH_TYPES.TEMPLATE;
+        score = templateMatch.score;
+        params = templateMatch.params;
+      } else if (normalizedVal.includes(normalizedText)) {
+        matchType = MATCH_TYPES.PARTIAL;
+        score = Math.min(0.8, normalizedText.length / normalizedVal.length);
+      } else if (normalizedText.includes(normalizedVal)) {
+        matchType = MATCH_TYPES.REVERSE;
+        score = Math.min(0.6, normalizedVal.length / normalizedText.length);
+      }
+
+      if (matchType) {
+        candidates.push({
+          entry,
+          score,
+          matchType,
+          params,
+          contextScore: scoreContext(entry.key, contextTokens),
+          isLikely: false
+        });
+      }
+    }
+
+    candidates.sort(compareCandidates);
+
+    const ranked = candidates.slice(0, limit);
+
+    // Only hint when there is actually a choice to make and the context supports it
+    if (ranked.length > 1 && ranked[0].contextScore > 0) {
+      ranked[0].isLikely = true;
+    }
+
+    return ranked;
+  }
+
+  /**
+   * Find entries whose placeholder template renders to the text, best first
+   * @param {Array<{key: string, val: string}>} entries - Flattened translation entries
+   * @param {string} text - Rendered, interpolated text
+   * @param {number} limit - Maximum matches to return
+   * @returns {Array<Object>} Matches ({entry, score, params})
+   */
+  function findTemplateMatches(entries, text, limit = 10) {
+    if (!Array.isArray(entries) || !text || !text.trim()) {
+      return [];
+    }
+
+    const matches = [];
+    for (const entry of entries) {
+      if (!entry || typeof entry.val !== 'string') {
+        continue;
+      }
+
+      const templateMatch = matchTemplate(entry.val, text);
+      if (templateMatch) {
+        matches.push({ entry, score: templateMatch.score, params: templateMatch.params });
+      }
+    }
+
+    return matches
+      .sort((a, b) => b.score - a.score || a.entry.key.length - b.entry.key.length)
+      .slice(0, limit);
+  }
+
+  /**
+   * Put keys recorded by runtime translation-call tracing ahead of value-matched candidates
+   * A traced key is known to have produced the text, so it replaces any heuristic match for the same key.
+   * @param {Array<{key: string, val: string, params: Array}>} traces - Traced calls whose output is the text
+   * @param {Array<Object>} candidates - Candidates from findCandidates()
+   * @param {number} limit - Maximum candidates to return
+   * @returns {Array<Object>} Candidates with traced keys first
+   */
+  function mergeTracedCandidates(traces, candidates, limit = 10) {
+    if (!Array.isArray(traces) || traces.length === 0) {
+      return candidates.slice(0, limit);
+    }
+
+    const traced = traces.map(trace => ({
+      entry: { key: trace.key, val: trace.val },
+      score: 1.0,
+      matchType: MATCH_TYPES.TRACED,
+      params: trace.params && trace.params.length > 0 ? trace.params : null,
+      contextScore: 0,
+      isLikely: false
+    }));
+    const tracedKeys = new Set(traced.map(candidate => candidate.entry.key));
+
+    return [...traced, ...candidates.filter(candidate => !tracedKeys.has(candidate.entry.key))].slice(0, limit);
+  }
+
+  /**
+   * Check whether a candidate's entry rendered the text: traced, exact or template matches
+   * Page-wide scans that classify text as translated or not must not count partial or reverse
+   * matches, e.g. "限時優惠至 12 月 31 日" only contains the value "日".
+   * @param {Object} candidate - Candidate from findCandidates() or mergeTracedCandidates()
+   * @returns {boolean} True for a confident match
+   */
+  function isConfidentMatch(candidate) {
+    return Boolean(candidate) && CONFIDENT_MATCH_TYPES.has(candidate.matchType);
+  }
+
+  /**
+   * Sort comparator: match type, then DOM context, then score, then shorter key
+   */
+  function compareCandidates(a, b) {
+    const typeDiff = MATCH_TYPE_ORDER.indexOf(a.matchType) - MATCH_TYPE_ORDER.indexOf(b.matchType);
+    if (typeDiff !== 0) {
+      return typeDiff;
+    }
+    if (b.contextScore !== a.contextScore) {
+      return b.contextScore - a.contextScore;
+    }
+    if (b.score !== a.score) {
+      return b.score - a.score;
+    }
+    return a.entry.key.length - b.entry.key.length;
+  }
+
+  return {
+    MATCH_TYPES,
+    normalize,
+    tokenize,
+    scoreContext,
+    compileTemplate,
+    matchTemplate,
+    rendersValue,
+    previewValue,
+    findCandidates,
+    findTemplateMatches,
+    mergeTracedCandidates,
+    isConfidentMatch
+  };
+});
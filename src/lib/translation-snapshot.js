@@ -0,0 +1,213 @@
+/**
+ * TranslationSnapshot
+ * Builds and compares the versioned translation snapshots the service worker keeps
+ * in IndexedDB. A snapshot is identified by origin + locale + content hash, so the
+ * popup can search a cached copy right away and diff it against fresh page data.
+ * Loaded as a plain script by the popup and service worker, and via require() elsewhere.
+ */
+
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.TranslationSnapshot = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function() {
+  'use strict';
+
+  // Cached data older than this is flagged as stale in the popup
+  const STALE_AFTER_MS = 60 * 60 * 1000;
+
+  // Versions kept for each origin + locale; older ones are pruned when a new one is saved
+  const MAX_VERSIONS = 3;
+
+  /**
+   * 32-bit FNV-1a hash of a string
+   * @param {string} text - Text to hash
+   * @returns {string} 8-character hex hash
+   */
+  function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+
+  /**
+   * Hash translation entries independently of their order
+   * @param {Array<{key: string, val: string}>} entries - Flattened translations
+   * @returns {string} Content hash
+   */
+  function hashEntries(entries) {
+    const lines = (Array.isArray(entries) ? entries : [])
+      .map(entry => `${entry.key}\u0000${entry.val}`)
+      .sort();
+    return hashString(lines.join('\n'));
+  }
+
+  /**
+   * Normalize a locale code so "zh_TW" and "zh-tw" share a cache entry
+   */
+  function normalizeLocale(locale) {
+    return typeof locale === 'string' ? locale.trim().replace(/_/g, '-').toLowerCase() : '';
+  }
+
+  /**
+   * Build the IndexedDB key of a snapshot
+   */
+  function getSnapshotId(origin, locale, hash) {
+    return `${origin}|${normalizeLocale(locale)}|${hash}`;
+  }
+
+  /**
+   * Create a snapshot from a getTranslations response
+   * @param {Object} payload - { origin, locale, data, locales, source }
+   * @param {number} now - Timestamp to save, defaults to Date.now()
+   * @returns {Object} Snapshot ready to store
+   */
+  function createSnapshot(payload, now = Date.now()) {
+    if (!payload || !payload.origin) {
+      throw new Error('Snapshot origin is required');
+    }
+
+    const data = Array.isArray(payload.data) ? payload.data : [];
+    const locale = normalizeLocale(payload.locale);
+    const hash = hashEntries(data);
+
+    return {
+      id: getSnapshotId(payload.origin, locale, hash),
+      origin: payload.origin,
+      locale: locale,
+      hash: hash,
+      count: data.length,
+      data: data,
+      locales: payload.locales || {},
+      source: payload.source || null,
+      savedAt: now
+    };
+  }
+
+  /**
+   * Pick the snapshot to show for a page: the newest one in the page's locale,
+   * or the newest one for the origin when none matches
+   * @param {Array<Object>} snapshots - Snapshots saved for the origin
+   * @param {string} locale - Locale guessed from the page URL, optional
+   * @returns {Object|null} Snapshot
+   */
+  function pickLatest(snapshots, locale) {
+    const list = Array.isArray(snapshots) ? snapshots : [];
+    const wanted = normalizeLocale(locale);
+    const candidates = wanted && list.some(snapshot => snapshot.locale === wanted)
+      ? list.filter(snapshot => snapshot.locale === wanted)
+      : list;
+
+    return candidates.reduce((latest, snapshot) =>
+      !latest || snapshot.savedAt > latest.savedAt ? snapshot : latest, null);
+  }
+
+  /**
+   * List the snapshots to delete so each origin + locale keeps its newest versions
+   * @param {Array<Object>} snapshots - Snapshots saved for an origin
+   * @param {number} maxVersions - Versions to keep per locale
+   * @returns {Array<string>} Snapshot ids to delete
+   */
+  function getPrunableIds(snapshots, maxVersions = MAX_VERSIONS) {
+    const groups = {};
+    (Array.isArray(snapshots) ? snapshots : []).forEach(snapshot => {
+      const group = `${snapshot.origin}|${snapshot.locale}`;
+      (groups[group] = groups[group] || []).push(snapshot);
+    });
+
+    const ids = [];
+    Object.keys(groups).forEach(group => {
+      groups[group]
+        .sort((a, b) => b.savedAt - a.savedAt)
+        .slice(maxVersions)
+        .forEach(snapshot => ids.push(snapshot.id));
+    });
+    return ids;
+  }
+
+  /**
+   * Compare cached entries with fresh ones
+   * @param {Array<{key: string, val: string}>} before - Cached entries
+   * @param {Array<{key: string, val: string}>} after - Fresh entries
+   * @returns {{added: Array, removed: Array, changed: Array, unchanged: number}} Differences by key
+   */
+  function diffEntries(before, after) {
+    const previous = new Map((before || []).map(entry => [entry.key, entry.val]));
+    const current = new Map((after || []).map(entry => [entry.key, entry.val]));
+    const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+
+    current.forEach((val, key) => {
+      if (!previous.has(key)) {
+        diff.added.push({ key, val });
+      } else if (previous.get(key) !== val) {
+        diff.changed.push({ key, before: previous.get(key), after: val });
+      } else {
+        diff.unchanged++;
+      }
+    });
+    previous.forEach((val, key) => {
+      if (!current.has(key)) {
+        diff.removed.push({ key, val });
+      }
+    });
+
+    const byKey = (a, b) => a.key.localeCompare(b.key);
+    diff.added.sort(byKey);
+    diff.removed.sort(byKey);
+    diff.changed.sort(byKey);
+    return diff;
+  }
+
+  /**
+   * Check whether a diff found any differences
+   */
+  function hasChanges(diff) {
+    return Boolean(diff) && (diff.added.length + diff.removed.length + diff.changed.length) > 0;
+  }
+
+  /**
+   * Check whether a snapshot is older than the staleness threshold
+   * @param {Object} snapshot - Cached snapshot
+   * @param {number} now - Current timestamp, defaults to Date.now()
+   * @param {number} maxAge - Threshold in milliseconds
+   * @returns {boolean} True when the snapshot is stale
+   */
+  function isStale(snapshot, now = Date.now(), maxAge = STALE_AFTER_MS) {
+    return !snapshot || now - snapshot.savedAt > maxAge;
+  }
+
+  /**
+   * Guess the locale of a KKday-style URL from its first path segment, e.g. /zh-tw/product/1
+   * @param {string} url - Page URL
+   * @returns {string} Locale, or '' when the path has none
+   */
+  function getUrlLocale(url) {
+    try {
+      const segment = new URL(url).pathname.split('/')[1] || '';
+      return /^[a-z]{2}(-[a-z]{2,4})?$/i.test(segment) ? normalizeLocale(segment) : '';
+    } catch (error) {
+      return '';
+    }
+  }
+
+  return {
+    STALE_AFTER_MS,
+    MAX_VERSIONS,
+    hashString,
+    hashEntries,
+    normalizeLocale,
+    getSnapshotId,
+    createSnapshot,
+    pickLatest,
+    getPrunableIds,
+    diffEntries,
+    hasChanges,
+    isStale,
+    getUrlLocale
+  };
+});
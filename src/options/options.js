@@ -0,0 +1,441 @@
+/**
+ * Options Page Logic for I18n Key Finder Chrome Extension
+ * Manages extra hosts the extension runs on, imports locale files into
+ * chrome.storage.local for pages without usable translation data, and sets
+ * how pseudo-localization rewrites page text
+ */
+
+// Sample shown in the pseudo-localization preview
+const PSEUDO_PREVIEW_TEXT = 'Book now · 共 {count} 則評論';
+
+// Use browser-compatible code without require
+
+class OptionsController {
+  constructor() {
+    this.elements = {};
+    this.dictionaries = [];
+    this.hostPatterns = [];
+    this.pseudoLocale = {};
+
+    this.init();
+  }
+
+  /**
+   * Initialize the options page
+   */
+  async init() {
+    this.cacheElements();
+    this.setupEventListeners();
+
+    await this.loadSettings();
+    await this.renderHostPatterns();
+    await this.loadDictionaries();
+    this.renderDictionaries();
+  }
+
+  /**
+   * Cache DOM elements
+   */
+  cacheElements() {
+    this.elements = {
+      hostInput: document.getElementById('host-input'),
+      hostAddBtn: document.getElementById('host-add-btn'),
+      hostMessage: document.getElementById('host-message'),
+      hostList: document.getElementById('host-list'),
+      importFiles: document.getElementById('import-files'),
+      importLocale: document.getElementById('import-locale'),
+      importBtn: document.getElementById('import-btn'),
+      importMessages: document.getElementById('import-messages'),
+      importMode: document.getElementById('import-mode'),
+      pseudoExpansion: document.getElementById('pseudo-expansion'),
+      pseudoAccents: document.getElementById('pseudo-accents'),
+      pseudoBrackets: document.getElementById('pseudo-brackets'),
+      pseudoPreview: document.getElementById('pseudo-preview'),
+      clearBtn: document.getElementById('clear-btn'),
+      dictionarySummary: document.getElementById('dictionary-summary'),
+      dictionaryTable: document.getElementById('dictionary-table'),
+      dictionaryList: document.getElementById('dictionary-list')
+    };
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    this.elements.hostAddBtn.addEventListener('click', () => {
+      this.addHostPattern();
+    });
+
+    this.elements.hostInput.addEventListener('keypress', (event) => {
+      if (event.key === 'Enter') {
+        this.addHostPattern();
+      }
+    });
+
+    this.elements.hostList.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-host-action]');
+      if (!button) {
+        return;
+      }
+      if (button.dataset.hostAction === 'grant') {
+        this.grantHostPattern(button.dataset.pattern);
+      } else {
+        this.removeHostPattern(button.dataset.pattern);
+      }
+    });
+
+    this.elements.importFiles.addEventListener('change', () => {
+      this.elements.importBtn.disabled = this.elements.importFiles.files.length === 0;
+    });
+
+    this.elements.importBtn.addEventListener('click', () => {
+      this.importFiles();
+    });
+
+    this.elements.importMode.addEventListener('change', () => {
+      this.saveSettings({ importedDictionaryMode: this.elements.importMode.value });
+    });
+
+    [this.elements.pseudoExpansion, this.elements.pseudoAccents, this.elements.pseudoBrackets].forEach(input => {
+      input.addEventListener('change', () => {
+        this.savePseudoLocale();
+      });
+    });
+
+    this.elements.clearBtn.addEventListener('click', () => {
+      this.clearDictionaries();
+    });
+
+    this.elements.dictionaryList.addEventListener('click', (event) => {
+      const button = event.target.closest('[data-remove-id]');
+      if (button) {
+        this.removeDictionary(button.dataset.removeId);
+      }
+    });
+  }
+
+  /**
+   * Show the saved import mode and read the extra hosts
+   */
+  async loadSettings() {
+    try {
+      const settings = await chrome.runtime.sendMessage({ action: 'getSettings' }) || {};
+      this.elements.importMode.value = settings.importedDictionaryMode === 'merge' ? 'merge' : 'fallback';
+      this.hostPatterns = Array.isArray(settings.hostPatterns) ? settings.hostPatterns : [];
+      this.pseudoLocale = PseudoLocale.normalizeOptions(settings.pseudoLocale);
+    } catch (error) {
+      this.elements.importMode.value = 'fallback';
+      this.pseudoLocale = PseudoLocale.normalizeOptions();
+    }
+    this.renderPseudoLocale();
+  }
+
+  /**
+   * Show the pseudo-localization options and a preview of their output
+   */
+  renderPseudoLocale() {
+    const { pseudoExpansion, pseudoAccents, pseudoBrackets, pseudoPreview } = this.elements;
+    const expansion = String(this.pseudoLocale.expansion);
+
+    // Keep a ratio saved outside the preset list selectable
+    if (!Array.from(pseudoExpansion.options).some(option => option.value === expansion)) {
+      pseudoExpansion.appendChild(new Option(`${Math.round(this.pseudoLocale.expansion * 100)}%`, expansion));
+    }
+    pseudoExpansion.value = expansion;
+    pseudoAccents.checked = this.pseudoLocale.accents;
+    pseudoBrackets.checked = this.pseudoLocale.brackets;
+    pseudoPreview.textContent = PseudoLocale.pseudoLocalize(PSEUDO_PREVIEW_TEXT, this.pseudoLocale);
+  }
+
+  /**
+   * Save the pseudo-localization options; pages already pseudo-localized redraw with them
+   */
+  async savePseudoLocale() {
+    this.pseudoLocale = PseudoLocale.normalizeOptions({
+      expansion: this.elements.pseudoExpansion.value,
+      accents: this.elements.pseudoAccents.checked,
+      brackets: this.elements.pseudoBrackets.checked
+    });
+    this.renderPseudoLocale();
+    await this.saveSettings({ pseudoLocale: this.pseudoLocale });
+  }
+
+  /**
+   * Add a host after the user grants access to it
+   * The permission prompt must open from the click, before any other await.
+   */
+  async addHostPattern() {
+    const { hostInput, hostMessage } = this.elements;
+    hostMessage.textContent = '';
+
+    let pattern;
+    try {
+      pattern = HostPatterns.normalizePattern(hostInput.value);
+    } catch (error) {
+      hostMessage.textContent = '網域格式不正確，例如 localhost:3000 或 *.example.com';
+      return;
+    }
+    if (HostPatterns.getPatterns(this.hostPatterns).includes(pattern)) {
+      hostMessage.textContent = `${pattern} 已在清單中`;
+      return;
+    }
+
+    const granted = await chrome.permissions.request({ origins: [pattern] });
+    if (!granted) {
+      hostMessage.textContent = `未取得 ${pattern} 的存取權限`;
+      return;
+    }
+
+    this.hostPatterns = this.hostPatterns.concat(pattern);
+    await this.saveSettings({ hostPatterns: this.hostPatterns });
+    hostInput.value = '';
+    await this.renderHostPatterns();
+  }
+
+  /**
+   * Request access again for a host whose permission was removed
+   */
+  async grantHostPattern(pattern) {
+    const granted = await chrome.permissions.request({ origins: [pattern] });
+    this.elements.hostMessage.textContent = granted ? '' : `未取得 ${pattern} 的存取權限`;
+    await this.renderHostPatterns();
+  }
+
+  /**
+   * Remove a host and give its permission back
+   */
+  async removeHostPattern(pattern) {
+    this.hostPatterns = this.hostPatterns.filter(existing => existing !== pattern);
+    await this.saveSettings({ hostPatterns: this.hostPatterns });
+
+    try {
+      await chrome.permissions.remove({ origins: [pattern] });
+    } catch (error) {
+      // Already removed, or still required by another pattern
+    }
+    await this.renderHostPatterns();
+  }
+
+  /**
+   * Render the built-in and extra hosts with their permission state
+   */
+  async renderHostPatterns() {
+    const list = this.elements.hostList;
+    const granted = await HostPatterns.getGrantedPatterns(this.hostPatterns, chrome.permissions);
+
+    list.innerHTML = '';
+    HostPatterns.DEFAULT_PATTERNS.forEach(pattern => {
+      list.appendChild(this.createHostItem(pattern, 'builtin'));
+    });
+    this.hostPatterns.forEach(pattern => {
+      list.appendChild(this.createHostItem(pattern, granted.includes(pattern) ? 'granted' : 'missing'));
+    });
+  }
+
+  /**
+   * Create a host list row
+   * @param {string} pattern - Match pattern
+   * @param {string} state - 'builtin', 'granted' or 'missing'
+   */
+  createHostItem(pattern, state) {
+    const item = document.createElement('li');
+    item.className = 'host-item';
+
+    const text = document.createElement('span');
+    text.className = 'host-pattern';
+    text.textContent = pattern;
+    item.appendChild(text);
+
+    const status = document.createElement('span');
+    status.className = `host-status ${state === 'granted' ? '' : state}`.trim();
+    status.textContent = { builtin: '內建', granted: '已授權', missing: '未授權' }[state];
+    item.appendChild(status);
+
+    if (state === 'builtin') {
+      return item;
+    }
+
+    if (state === 'missing') {
+      item.appendChild(this.createHostAction('grant', pattern, '授權'));
+    }
+    item.appendChild(this.createHostAction('remove', pattern, '刪除'));
+    return item;
+  }
+
+  /**
+   * Create a button for a host list row
+   */
+  createHostAction(action, pattern, label) {
+    const button = document.createElement('button');
+    button.className = action === 'grant' ? 'btn-link grant' : 'btn-link';
+    button.dataset.hostAction = action;
+    button.dataset.pattern = pattern;
+    button.textContent = label;
+    return button;
+  }
+
+  /**
+   * Merge changes into the extension settings kept by the service worker
+   */
+  async saveSettings(changes) {
+    const settings = await chrome.runtime.sendMessage({ action: 'getSettings' });
+    await chrome.runtime.sendMessage({
+      action: 'updateSettings',
+      settings: { ...settings, ...changes }
+    });
+  }
+
+  /**
+   * Read imported dictionaries from storage
+   */
+  async loadDictionaries() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['importedDictionaries'], (result) => {
+        this.dictionaries = Array.isArray(result.importedDictionaries) ? result.importedDictionaries : [];
+        resolve(this.dictionaries);
+      });
+    });
+  }
+
+  /**
+   * Save imported dictionaries to storage
+   */
+  async saveDictionaries(dictionaries) {
+    return new Promise((resolve, reject) => {
+      chrome.storage.local.set({ importedDictionaries: dictionaries }, () => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+        this.dictionaries = dictionaries;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Parse the selected files and store them
+   */
+  async importFiles() {
+    const files = Array.from(this.elements.importFiles.files);
+    const locale = this.elements.importLocale.value;
+    const messages = [];
+    let dictionaries = this.dictionaries;
+
+    this.elements.importBtn.disabled = true;
+
+    for (const [index, file] of files.entries()) {
+      try {
+        const text = await file.text();
+        const dictionary = LocaleFiles.parseLocaleFile(file.name, text, { locale });
+        dictionaries = LocaleFiles.upsertDictionary(dictionaries, {
+          id: `${Date.now().toString(36)}-${index}`,
+          ...dictionary,
+          // Kept so the popup can export translation edits as a diff of this file
+          ...(dictionary.format === 'json' ? { source: text } : {}),
+          importedAt: new Date().toISOString()
+        });
+        messages.push({
+          success: true,
+          text: `✓ ${file.name}：${dictionary.count} 筆（${dictionary.locale || '未指定語系'}）`
+        });
+      } catch (error) {
+        messages.push({ success: false, text: `✗ ${file.name}：${error.message}` });
+      }
+    }
+
+    try {
+      await this.saveDictionaries(dictionaries);
+      this.elements.importFiles.value = '';
+    } catch (error) {
+      messages.push({ success: false, text: `✗ 無法儲存翻譯檔：${error.message}` });
+      this.elements.importBtn.disabled = false;
+    }
+
+    this.renderImportMessages(messages);
+    this.renderDictionaries();
+  }
+
+  /**
+   * Remove one imported dictionary
+   */
+  async removeDictionary(id) {
+    await this.saveDictionaries(this.dictionaries.filter(dictionary => dictionary.id !== id));
+    this.renderDictionaries();
+  }
+
+  /**
+   * Remove every imported dictionary
+   */
+  async clearDictionaries() {
+    if (this.dictionaries.length === 0 || !confirm('確定要刪除所有匯入的翻譯檔嗎？')) {
+      return;
+    }
+    await this.saveDictionaries([]);
+    this.renderDictionaries();
+  }
+
+  /**
+   * Show the result of each imported file
+   */
+  renderImportMessages(messages) {
+    const list = this.elements.importMessages;
+    list.innerHTML = '';
+    messages.forEach(message => {
+      const item = document.createElement('li');
+      item.className = message.success ? 'success' : 'error';
+      item.textContent = message.text;
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Render the imported dictionary table
+   */
+  renderDictionaries() {
+    const { dictionarySummary, dictionaryTable, dictionaryList, clearBtn } = this.elements;
+    const total = this.dictionaries.reduce((sum, dictionary) => sum + (dictionary.count || 0), 0);
+
+    dictionarySummary.textContent = this.dictionaries.length > 0
+      ? `共 ${this.dictionaries.length} 個檔案、${total} 筆翻譯`
+      : '尚未匯入任何翻譯檔';
+    dictionaryTable.classList.toggle('hidden', this.dictionaries.length === 0);
+    clearBtn.disabled = this.dictionaries.length === 0;
+
+    dictionaryList.innerHTML = '';
+    this.dictionaries.forEach(dictionary => {
+      const row = document.createElement('tr');
+
+      const cells = [
+        dictionary.name,
+        dictionary.locale || '（頁面語系）',
+        dictionary.format,
+        String(dictionary.count || 0),
+        dictionary.importedAt ? new Date(dictionary.importedAt).toLocaleString() : ''
+      ];
+      cells.forEach((text, index) => {
+        const cell = document.createElement('td');
+        cell.textContent = text;
+        if (index === 0) {
+          cell.className = 'dictionary-name';
+        }
+        row.appendChild(cell);
+      });
+
+      const actionCell = document.createElement('td');
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'btn-link';
+      removeBtn.dataset.removeId = dictionary.id;
+      removeBtn.textContent = '刪除';
+      actionCell.appendChild(removeBtn);
+      row.appendChild(actionCell);
+
+      dictionaryList.appendChild(row);
+    });
+  }
+}
+
+// Initialize options page when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+  new OptionsController();
+});
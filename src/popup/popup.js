@@ -4,6 +4,27 @@
  */
 
 // Use browser-compatible code without require
+
+// Rows rendered at once in the key tree; larger namespaces need scoping or a filter
+const MAX_TREE_ROWS = 300;
+
+// Keys listed per group in snapshot diffs
+const MAX_DIFF_ROWS = 100;
+
+// Compare panel option for the translations loaded from the current page
+const CURRENT_SNAPSHOT_ID = 'current';
+
+// Issues listed at once in the locale audit; narrow down with the filters to see the rest
+const MAX_AUDIT_ROWS = 200;
+
+// Labels of LocaleAudit.ISSUE_TYPES
+const AUDIT_ISSUE_LABELS = {
+  'missing': '缺少翻譯',
+  'empty': '空白',
+  'untranslated': '與來源相同',
+  'wrong-script': '文字系統不符'
+};
+
 class PopupController {
   constructor() {
     this.extensionState = {
@@ -13,6 +34,7 @@ class PopupController {
       currentDomain: '',
       currentPath: '',
       isKKdayDomain: false,
+      isAllowedHost: false,
       isProductPage: false,
       errorMessage: null,
       timestamp: new Date()
@@ -22,6 +44,35 @@ class PopupController {
     this.debounceTimer = null;
     this.elements = {};
     this.translations = [];
+    this.locales = {};
+    this.activeLocale = null;
+    this.hardcodedReport = null;
+    this.overflowReport = null;
+    this.localeAudit = null;
+    this.localeAuditSource = null;
+    this.localeAuditIndex = new Map();
+    this.auditSourceLocale = null;
+    this.auditFilterTimer = null;
+    this.keyTree = null;
+    this.keyTreeSource = null;
+    this.treeScope = '';
+    this.treeExpanded = new Set();
+    this.treeFilterTimer = null;
+    this.lastResults = [];
+    this.settings = {};
+    this.importedDictionaryCount = 0;
+    this.cachedSnapshot = null;
+    this.cacheDiff = null;
+    this.snapshotList = [];
+    this.snapshotData = new Map();
+    this.compareRequest = 0;
+    this.selectedResultIndex = -1;
+    this.paletteCommands = [];
+    this.filteredCommands = [];
+    this.paletteIndex = -1;
+    this.pickerShortcut = '';
+    this.changeSet = [];
+    this.changeDictionaries = [];
 
     this.init();
   }
@@ -37,17 +88,24 @@ class PopupController {
       // Get current tab
       await this.getCurrentTab();
 
-      // Check if on KKday domain
+      // Load saved settings such as the default copy template and extra hosts
+      await this.loadSettings();
+      await this.loadImportedDictionaryCount();
+
+      // Check if on KKday domain or a host added on the options page
       await this.checkDomain();
 
       // Set up event listeners
       this.setupEventListeners();
 
-      // Load translations if on valid domain
-      if (this.extensionState.isKKdayDomain) {
+      // Load translations if on valid domain, or anywhere once locale files are imported
+      if (this.extensionState.isAllowedHost) {
+        await this.loadTranslations();
+      } else if (this.importedDictionaryCount > 0) {
+        this.hideDomainWarning();
         await this.loadTranslations();
       } else {
-        this.showError('請在 KKday 網站上使用此擴充功能');
+        this.showError('請在 KKday 網站上使用此擴充功能，或點擊 ⚙️ 加入網域或匯入翻譯檔');
       }
 
     } catch (error) {
@@ -60,12 +118,99 @@ class PopupController {
    */
   cacheElements() {
     this.elements = {
+      // Header elements
+      optionsBtn: document.getElementById('options-btn'),
+
       // Search elements
       searchInput: document.getElementById('search-input'),
       clearBtn: document.getElementById('clear-search-btn'),
       pickerBtn: document.getElementById('select-element-btn'),
       cancelPickerBtn: document.getElementById('cancel-picker-btn'),
 
+      // Tool bar elements
+      annotateBtn: document.getElementById('annotate-btn'),
+      traceBtn: document.getElementById('trace-btn'),
+      pseudoBtn: document.getElementById('pseudo-btn'),
+      keysBtn: document.getElementById('keys-btn'),
+      hardcodedBtn: document.getElementById('hardcoded-btn'),
+
+      // Tool panels
+      resultsSection: document.querySelector('.results-section'),
+      hardcodedPanel: document.getElementById('hardcoded-panel'),
+      hardcodedSummary: document.getElementById('hardcoded-summary'),
+      hardcodedList: document.getElementById('hardcoded-list'),
+      hardcodedRefreshBtn: document.getElementById('hardcoded-refresh-btn'),
+      hardcodedExportJsonBtn: document.getElementById('hardcoded-export-json-btn'),
+      hardcodedExportCsvBtn: document.getElementById('hardcoded-export-csv-btn'),
+      auditBtn: document.getElementById('audit-btn'),
+      auditPanel: document.getElementById('audit-panel'),
+      auditSource: document.getElementById('audit-source'),
+      auditType: document.getElementById('audit-type'),
+      auditLocale: document.getElementById('audit-locale'),
+      auditFilter: document.getElementById('audit-filter'),
+      auditSummary: document.getElementById('audit-summary'),
+      auditList: document.getElementById('audit-list'),
+      auditExportJsonBtn: document.getElementById('audit-export-json-btn'),
+      auditExportCsvBtn: document.getElementById('audit-export-csv-btn'),
+      overflowBtn: document.getElementById('overflow-btn'),
+      overflowPanel: document.getElementById('overflow-panel'),
+      overflowSummary: document.getElementById('overflow-summary'),
+      overflowList: document.getElementById('overflow-list'),
+      overflowRefreshBtn: document.getElementById('overflow-refresh-btn'),
+      overflowExportJsonBtn: document.getElementById('overflow-export-json-btn'),
+      overflowExportCsvBtn: document.getElementById('overflow-export-csv-btn'),
+      treeBtn: document.getElementById('tree-btn'),
+      treePanel: document.getElementById('tree-panel'),
+      treeBreadcrumb: document.getElementById('tree-breadcrumb'),
+      treeFilter: document.getElementById('tree-filter'),
+      treeSummary: document.getElementById('tree-summary'),
+      treeList: document.getElementById('tree-list'),
+      exportBtn: document.getElementById('export-btn'),
+      exportPanel: document.getElementById('export-panel'),
+      exportScope: document.getElementById('export-scope'),
+      exportFormat: document.getElementById('export-format'),
+      exportLocale: document.getElementById('export-locale'),
+      exportTargetRow: document.getElementById('export-target-row'),
+      exportTargetLocale: document.getElementById('export-target-locale'),
+      exportSummary: document.getElementById('export-summary'),
+      exportDownloadBtn: document.getElementById('export-download-btn'),
+      templateBtn: document.getElementById('template-btn'),
+      templatePanel: document.getElementById('template-panel'),
+      templateDefault: document.getElementById('template-default'),
+      templatePreview: document.getElementById('template-preview'),
+      templateList: document.getElementById('template-list'),
+      templateLabel: document.getElementById('template-label'),
+      templateText: document.getElementById('template-text'),
+      templateAddBtn: document.getElementById('template-add-btn'),
+      cacheBtn: document.getElementById('cache-btn'),
+      cachePanel: document.getElementById('cache-panel'),
+      cacheSummary: document.getElementById('cache-summary'),
+      cacheDiffList: document.getElementById('cache-diff-list'),
+      cacheClearBtn: document.getElementById('cache-clear-btn'),
+      dataSourceInfo: document.getElementById('data-source-info'),
+      compareBtn: document.getElementById('compare-btn'),
+      comparePanel: document.getElementById('compare-panel'),
+      compareBase: document.getElementById('compare-base'),
+      compareTarget: document.getElementById('compare-target'),
+      compareSummary: document.getElementById('compare-summary'),
+      compareList: document.getElementById('compare-list'),
+      changesBtn: document.getElementById('changes-btn'),
+      changesPanel: document.getElementById('changes-panel'),
+      changesSummary: document.getElementById('changes-summary'),
+      changesEditBtn: document.getElementById('changes-edit-btn'),
+      changesClearBtn: document.getElementById('changes-clear-btn'),
+      changesLocale: document.getElementById('changes-locale'),
+      changesDictionary: document.getElementById('changes-dictionary'),
+      changesExportFlatBtn: document.getElementById('changes-export-flat-btn'),
+      changesExportNestedBtn: document.getElementById('changes-export-nested-btn'),
+      changesExportDiffBtn: document.getElementById('changes-export-diff-btn'),
+      changesList: document.getElementById('changes-list'),
+
+      // Command palette
+      commandPalette: document.getElementById('command-palette'),
+      commandInput: document.getElementById('command-input'),
+      commandList: document.getElementById('command-list'),
+
       // Container elements
       loadingContainer: document.getElementById('loading-container'),
       errorContainer: document.getElementById('error-container'),
@@ -110,11 +255,12 @@ class PopupController {
   }
 
   /**
-   * Check if current domain is KKday
+   * Check if current domain is KKday or a host added on the options page
    */
   async checkDomain() {
     if (!this.currentTab || !this.currentTab.url) {
       this.extensionState.isKKdayDomain = false;
+      this.extensionState.isAllowedHost = false;
       this.showDomainWarning();
       return;
     }
@@ -124,32 +270,35 @@ class PopupController {
       const domain = url.hostname.toLowerCase();
       const pathname = url.pathname;
 
-      // Check if domain matches *.kkday.com pattern
-      const isKKdayDomain = domain === 'kkday.com' || domain.endsWith('.kkday.com');
+      // Check if domain matches the built-in *.kkday.com pattern, then the granted extra host patterns
+      const isKKdayDomain = HostPatterns.isAllowedHost(domain, []);
+      const isAllowedHost = await HostPatterns.isActiveUrl(this.currentTab.url, this.settings.hostPatterns, chrome.permissions);
 
       // Check if it's a product page
       const isProductPage = /^\/[a-z]{2}(-[a-z]{2})?\/product\/\d+/i.test(pathname);
 
       // Update state
       this.extensionState = {
-        isActive: isKKdayDomain,
+        isActive: isAllowedHost,
         hasData: false,
         dataCount: 0,
         currentDomain: domain,
         currentPath: pathname,
         isKKdayDomain: isKKdayDomain,
+        isAllowedHost: isAllowedHost,
         isProductPage: isProductPage,
         errorMessage: null,
         timestamp: new Date()
       };
 
-      if (!isKKdayDomain) {
+      if (!isAllowedHost) {
         this.showDomainWarning();
       } else {
         this.hideDomainWarning();
       }
     } catch (error) {
       this.extensionState.isKKdayDomain = false;
+      this.extensionState.isAllowedHost = false;
       this.showDomainWarning();
     }
   }
@@ -160,7 +309,7 @@ class PopupController {
   showDomainWarning() {
     if (this.elements.domainWarning) {
       this.elements.domainWarning.style.display = 'block';
-      this.elements.domainWarning.textContent = '⚠️ 此擴充功能僅在 *.kkday.com 網域上運作';
+      this.elements.domainWarning.textContent = '⚠️ 此擴充功能僅在 *.kkday.com 或設定頁加入的網域上運作';
     }
 
     // Disable search functionality
@@ -173,6 +322,7 @@ class PopupController {
     if (this.elements.pickerBtn) {
       this.elements.pickerBtn.disabled = true;
     }
+    this.setToolButtonsDisabled(true);
   }
 
   /**
@@ -193,14 +343,17 @@ class PopupController {
     if (this.elements.pickerBtn) {
       this.elements.pickerBtn.disabled = false;
     }
+    this.setToolButtonsDisabled(false);
   }
 
   /**
    * Load translations from content script
+   * Cached data for the origin is shown first and replaced once the page responds.
    */
   async loadTranslations() {
     this.showLoading(true);
-    this.updateStatus('正在連接頁面...');
+    await this.loadCachedTranslations();
+    this.updateStatus(this.cachedSnapshot ? this.getCachedStatus('正在更新...') : '正在連接頁面...');
 
     try {
       // First, check if content script is already injected
@@ -231,7 +384,9 @@ class PopupController {
         }
       }
 
-      this.updateStatus('正在載入翻譯資料...');
+      if (!this.cachedSnapshot) {
+        this.updateStatus('正在載入翻譯資料...');
+      }
 
       // Now try to get translations
       response = await this.sendMessageToTab({
@@ -240,14 +395,13 @@ class PopupController {
 
       if (response && response.success) {
         if (response.data && response.data.length > 0) {
-          this.translations = response.data;
-          this.extensionState.hasData = true;
-          this.extensionState.dataCount = this.translations.length;
-
-          // Initialize search with translations
-          this.initializeSearch();
-
-          this.updateStatus(`已載入 ${this.translations.length} 筆翻譯資料`);
+          this.applyTranslations(response);
+          this.setToolButtonActive(this.elements.annotateBtn, Boolean(response.modes?.annotation));
+          this.setToolButtonActive(this.elements.traceBtn, Boolean(response.modes?.tracing));
+          this.setToolButtonActive(this.elements.pseudoBtn, Boolean(response.modes?.pseudo));
+          this.setToolButtonActive(this.elements.keysBtn, Boolean(response.modes?.keys));
+          await this.updateTranslationCache(response);
+          this.updateStatus(this.getLoadedStatus(response));
         } else {
           throw new Error('頁面上沒有找到翻譯資料，請確認這是一個有效的 KKday 頁面');
         }
@@ -255,13 +409,490 @@ class PopupController {
         throw new Error(response?.error || '無法取得翻譯資料');
       }
     } catch (error) {
-      this.showError('無法載入翻譯資料: ' + error.message);
-      this.extensionState.hasData = false;
+      if (this.cachedSnapshot) {
+        // Keep searching the cached copy; the page may still be loading or block the script
+        this.updateStatus(this.getCachedStatus('無法取得最新資料：' + error.message));
+        this.renderDataSourceInfo();
+      } else {
+        this.showError('無法載入翻譯資料: ' + error.message);
+        this.extensionState.hasData = false;
+      }
     } finally {
       this.showLoading(false);
     }
   }
 
+  /**
+   * Status text after translations were loaded from the page
+   */
+  getLoadedStatus(response) {
+    const localeNames = Object.keys(this.locales);
+    const details = [];
+    if (localeNames.length > 1) {
+      details.push(localeNames.join('、'));
+    }
+    if (response.source) {
+      details.push(`來源：${response.source.label}`);
+    }
+    if (response.importedCount > 0) {
+      details.push(`匯入 ${response.importedCount} 筆`);
+    }
+    return `已載入 ${this.translations.length} 筆翻譯資料` +
+      (details.length > 0 ? `（${details.join('，')}）` : '');
+  }
+
+  /**
+   * Reload the results when the page navigates client-side while the popup is open
+   * The content script re-extracts first when the language or page type changed.
+   */
+  async handlePageRouteChange(message) {
+    this.currentTab.url = message.url;
+    try {
+      const url = new URL(message.url);
+      this.extensionState.currentPath = url.pathname;
+      this.extensionState.isProductPage = /^\/[a-z]{2}(-[a-z]{2})?\/product\/\d+/i.test(url.pathname);
+    } catch (error) {
+      // Keep the previous path
+    }
+
+    if (!message.reextracted || !this.extensionState.hasData) {
+      return;
+    }
+
+    try {
+      const response = await this.sendMessageToTab({ action: 'getTranslations' });
+      if (response && response.success && response.data && response.data.length > 0) {
+        this.applyTranslations(response);
+        await this.updateTranslationCache(response);
+
+        const reason = message.changes && message.changes.languageChanged
+          ? `語系已切換為 ${response.locale || '未知'}`
+          : '頁面類型已變更';
+        this.updateStatus(`${reason}，${this.getLoadedStatus(response)}`);
+      }
+    } catch (error) {
+      this.updateStatus('頁面已切換，請重新開啟以載入翻譯資料');
+    }
+  }
+
+  /**
+   * Use fresh or cached translation data for searching
+   * @param {Object} response - getTranslations response or cached snapshot
+   */
+  applyTranslations(response) {
+    this.translations = response.data;
+    this.locales = response.locales || {};
+    this.activeLocale = response.locale || null;
+    this.extensionState.hasData = true;
+    this.extensionState.dataCount = this.translations.length;
+
+    // Initialize search with translations, and refresh the current search
+    this.initializeSearch();
+    if (this.elements.searchInput && this.elements.searchInput.value.trim()) {
+      this.performSearch();
+    }
+  }
+
+  /**
+   * Show the cached snapshot for this origin while the page is contacted
+   */
+  async loadCachedTranslations() {
+    this.cachedSnapshot = null;
+    this.cacheDiff = null;
+    if (!this.currentTab || !this.currentTab.url) {
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'getCachedTranslations',
+        origin: new URL(this.currentTab.url).origin,
+        locale: TranslationSnapshot.getUrlLocale(this.currentTab.url)
+      });
+      const snapshot = response && response.success ? response.snapshot : null;
+      if (!snapshot || !Array.isArray(snapshot.data) || snapshot.data.length === 0) {
+        return;
+      }
+
+      this.cachedSnapshot = snapshot;
+      this.applyTranslations(snapshot);
+      this.renderDataSourceInfo();
+      this.showLoading(false);
+    } catch (error) {
+      // No usable cache; wait for the page
+    }
+  }
+
+  /**
+   * Compare fresh page data with the cached snapshot and save it as the new version
+   * Imported locale files are left out, since they are not part of the page.
+   */
+  async updateTranslationCache(response) {
+    const pageEntries = response.data.filter(entry => !entry.imported);
+    const locale = TranslationSnapshot.normalizeLocale(response.locale);
+    this.cacheDiff = this.cachedSnapshot && this.cachedSnapshot.locale === locale
+      ? TranslationSnapshot.diffEntries(this.cachedSnapshot.data, pageEntries)
+      : null;
+    this.renderDataSourceInfo(true);
+
+    if (pageEntries.length === 0) {
+      return;
+    }
+
+    try {
+      await chrome.runtime.sendMessage({
+        action: 'cacheTranslations',
+        snapshot: {
+          origin: new URL(this.currentTab.url).origin,
+          locale: response.locale,
+          data: pageEntries,
+          locales: response.locales,
+          source: response.source
+        }
+      });
+    } catch (error) {
+      // Caching is best effort
+    }
+  }
+
+  /**
+   * Describe how old the cached snapshot is
+   */
+  formatCacheAge(savedAt) {
+    const minutes = Math.floor((Date.now() - savedAt) / 60000);
+    if (minutes < 1) {
+      return '剛剛';
+    }
+    if (minutes < 60) {
+      return `${minutes} 分鐘前`;
+    }
+    if (minutes < 60 * 24) {
+      return `${Math.floor(minutes / 60)} 小時前`;
+    }
+    return `${Math.floor(minutes / (60 * 24))} 天前`;
+  }
+
+  /**
+   * Status text while cached data is shown
+   */
+  getCachedStatus(detail) {
+    const snapshot = this.cachedSnapshot;
+    return `已從快取載入 ${snapshot.count} 筆翻譯資料（${this.formatCacheAge(snapshot.savedAt)}），${detail}`;
+  }
+
+  /**
+   * Show whether the results come from the cache and what changed since it was saved
+   * @param {boolean} fresh - True once fresh page data replaced the cached copy
+   */
+  renderDataSourceInfo(fresh = false) {
+    const info = this.elements.dataSourceInfo;
+    if (!info) {
+      return;
+    }
+
+    info.classList.remove('stale', 'changed');
+    if (!this.cachedSnapshot) {
+      info.textContent = '';
+      return;
+    }
+
+    if (!fresh) {
+      const stale = TranslationSnapshot.isStale(this.cachedSnapshot);
+      info.textContent = `🗄️ 快取・${this.formatCacheAge(this.cachedSnapshot.savedAt)}`;
+      info.classList.toggle('stale', stale);
+      return;
+    }
+
+    if (!this.cacheDiff) {
+      info.textContent = '';
+    } else if (TranslationSnapshot.hasChanges(this.cacheDiff)) {
+      const { added, removed, changed } = this.cacheDiff;
+      info.textContent = `🔄 與快取相比：+${added.length} −${removed.length} ~${changed.length}`;
+      info.classList.add('changed');
+    } else {
+      info.textContent = '✓ 與快取相同';
+    }
+  }
+
+  /**
+   * Open the cache panel with the differences between cached and fresh data
+   */
+  openCachePanel() {
+    this.showToolPanel(this.elements.cachePanel);
+    this.renderCachePanel();
+  }
+
+  /**
+   * Render the cached snapshot details and its diff
+   */
+  renderCachePanel() {
+    const { cacheSummary, cacheDiffList } = this.elements;
+    if (!cacheSummary || !cacheDiffList) {
+      return;
+    }
+
+    cacheDiffList.innerHTML = '';
+    const snapshot = this.cachedSnapshot;
+    if (!snapshot) {
+      cacheSummary.textContent = '此網站尚無快取資料；載入翻譯後會自動保存';
+      return;
+    }
+
+    const savedAt = new Date(snapshot.savedAt).toLocaleString();
+    const parts = [`快取於 ${savedAt}（${this.formatCacheAge(snapshot.savedAt)}），共 ${snapshot.count} 筆`];
+    if (snapshot.locale) {
+      parts.push(`語系 ${snapshot.locale}`);
+    }
+    if (TranslationSnapshot.isStale(snapshot)) {
+      parts.push('已過時');
+    }
+    if (!this.cacheDiff) {
+      parts.push('尚未取得可比較的最新資料');
+    } else if (!TranslationSnapshot.hasChanges(this.cacheDiff)) {
+      parts.push('與頁面最新資料相同');
+    }
+    cacheSummary.textContent = parts.join('，');
+
+    if (!this.cacheDiff) {
+      return;
+    }
+
+    this.renderDiffList(cacheDiffList, this.cacheDiff);
+  }
+
+  /**
+   * Render added, removed and changed keys, with word-level changes highlighted
+   * @param {HTMLElement} list - Container to fill
+   * @param {Object} diff - Result of TranslationSnapshot.diffEntries
+   * @param {number} limit - Rows rendered per group
+   */
+  renderDiffList(list, diff, limit = MAX_DIFF_ROWS) {
+    const groups = [
+      { type: 'added', label: '新增', items: diff.added },
+      { type: 'removed', label: '移除', items: diff.removed },
+      { type: 'changed', label: '變更', items: diff.changed }
+    ];
+    groups.forEach(group => {
+      group.items.slice(0, limit).forEach(item => {
+        const row = document.createElement('div');
+        row.className = 'report-item';
+
+        const header = document.createElement('div');
+        header.className = 'report-item-header';
+
+        const key = document.createElement('div');
+        key.className = 'report-item-text';
+        key.textContent = item.key;
+
+        const badge = document.createElement('span');
+        badge.className = `diff-badge diff-${group.type}`;
+        badge.textContent = group.label;
+
+        header.appendChild(key);
+        header.appendChild(badge);
+        row.appendChild(header);
+        row.appendChild(group.type === 'changed'
+          ? this.createWordDiff(item.before, item.after)
+          : this.createDiffValue(item.val));
+        list.appendChild(row);
+      });
+
+      if (group.items.length > limit) {
+        const more = document.createElement('p');
+        more.className = 'tool-panel-summary';
+        more.textContent = `另有 ${group.items.length - limit} 筆${group.label}未顯示`;
+        list.appendChild(more);
+      }
+    });
+  }
+
+  /**
+   * Show an added or removed value
+   */
+  createDiffValue(value) {
+    const element = document.createElement('div');
+    element.className = 'report-item-meta diff-value';
+    element.textContent = value;
+    return element;
+  }
+
+  /**
+   * Show a changed value with deleted and inserted words marked
+   */
+  createWordDiff(before, after) {
+    const element = document.createElement('div');
+    element.className = 'report-item-meta diff-value';
+    TextDiff.diffWords(before, after).forEach(part => {
+      const tag = { insert: 'ins', delete: 'del' }[part.type];
+      const node = tag ? document.createElement(tag) : document.createTextNode(part.text);
+      if (tag) {
+        node.className = `diff-${part.type}`;
+        node.textContent = part.text;
+      }
+      element.appendChild(node);
+    });
+    return element;
+  }
+
+  /**
+   * Open the compare panel with the current page and every cached snapshot
+   */
+  async openComparePanel() {
+    this.showToolPanel(this.elements.comparePanel);
+    if (this.elements.compareSummary) {
+      this.elements.compareSummary.textContent = '正在讀取快取...';
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'listCachedSnapshots' });
+      this.snapshotList = response && response.success ? response.snapshots : [];
+    } catch (error) {
+      this.snapshotList = [];
+    }
+
+    this.fillCompareSelects();
+    await this.renderComparison();
+  }
+
+  /**
+   * Fill both snapshot selects, defaulting to the current page against its previous version
+   */
+  fillCompareSelects() {
+    const { compareBase, compareTarget } = this.elements;
+    if (!compareBase || !compareTarget) {
+      return;
+    }
+
+    const options = this.snapshotList.map(snapshot => ({
+      value: snapshot.id,
+      label: `${snapshot.origin.replace(/^https?:\/\//, '')}・${snapshot.locale || '未指定語系'}・` +
+        `${new Date(snapshot.savedAt).toLocaleString()}（${snapshot.count} 筆）`
+    }));
+    const currentCount = this.translations.filter(entry => !entry.imported).length;
+    if (currentCount > 0) {
+      options.unshift({ value: CURRENT_SNAPSHOT_ID, label: `目前頁面（${currentCount} 筆）` });
+    }
+
+    const previousBase = compareBase.value;
+    const previousTarget = compareTarget.value;
+    [compareBase, compareTarget].forEach(select => {
+      select.innerHTML = '';
+      options.forEach(option => {
+        const element = document.createElement('option');
+        element.value = option.value;
+        element.textContent = option.label;
+        select.appendChild(element);
+      });
+    });
+
+    const values = options.map(option => option.value);
+    compareTarget.value = values.includes(previousTarget) ? previousTarget : values[0] || '';
+    compareBase.value = values.includes(previousBase) && previousBase !== compareTarget.value
+      ? previousBase
+      : this.getDefaultCompareBase(compareTarget.value) || '';
+  }
+
+  /**
+   * Pick the snapshot to compare against: an older version of the same origin and locale,
+   * or any other snapshot
+   */
+  getDefaultCompareBase(targetId) {
+    const origin = this.currentTab && this.currentTab.url ? new URL(this.currentTab.url).origin : '';
+    const target = targetId === CURRENT_SNAPSHOT_ID
+      ? { id: targetId, origin, locale: TranslationSnapshot.normalizeLocale(this.activeLocale), hash: null }
+      : this.snapshotList.find(snapshot => snapshot.id === targetId);
+    if (!target) {
+      return null;
+    }
+
+    if (target.id === CURRENT_SNAPSHOT_ID) {
+      target.hash = TranslationSnapshot.hashEntries(this.translations.filter(entry => !entry.imported));
+    }
+    const others = this.snapshotList.filter(snapshot => snapshot.id !== target.id && snapshot.hash !== target.hash);
+    const sameSite = others.find(snapshot => snapshot.origin === target.origin && snapshot.locale === target.locale);
+    const fallback = others[0] || this.snapshotList.find(snapshot => snapshot.id !== target.id);
+    return (sameSite || fallback || {}).id || null;
+  }
+
+  /**
+   * Get the entries of the current page or of a cached snapshot
+   */
+  async getSnapshotEntries(id) {
+    if (id === CURRENT_SNAPSHOT_ID) {
+      return this.translations.filter(entry => !entry.imported);
+    }
+    if (!this.snapshotData.has(id)) {
+      const response = await chrome.runtime.sendMessage({ action: 'getCachedSnapshot', id });
+      const snapshot = response && response.success ? response.snapshot : null;
+      if (!snapshot) {
+        throw new Error('快取資料已不存在');
+      }
+      this.snapshotData.set(id, snapshot.data);
+    }
+    return this.snapshotData.get(id);
+  }
+
+  /**
+   * Diff the two selected snapshots and render the result
+   */
+  async renderComparison() {
+    const { compareBase, compareTarget, compareSummary, compareList } = this.elements;
+    if (!compareBase || !compareTarget || !compareSummary || !compareList) {
+      return;
+    }
+
+    const request = ++this.compareRequest;
+    compareList.innerHTML = '';
+
+    if (compareBase.options.length < 2) {
+      compareSummary.textContent = '需要至少兩份翻譯資料才能比較；在不同網站（例如測試站與正式站）或不同時間載入翻譯後會自動保存快取';
+      return;
+    }
+    if (compareBase.value === compareTarget.value) {
+      compareSummary.textContent = '請選擇兩份不同的翻譯資料';
+      return;
+    }
+
+    compareSummary.textContent = '正在比較...';
+    try {
+      const [before, after] = await Promise.all([
+        this.getSnapshotEntries(compareBase.value),
+        this.getSnapshotEntries(compareTarget.value)
+      ]);
+      if (request !== this.compareRequest) {
+        return;
+      }
+
+      const diff = TranslationSnapshot.diffEntries(before, after);
+      compareSummary.textContent = TranslationSnapshot.hasChanges(diff)
+        ? `新增 ${diff.added.length}、移除 ${diff.removed.length}、變更 ${diff.changed.length}，相同 ${diff.unchanged} 筆`
+        : `兩份翻譯資料相同（${diff.unchanged} 筆）`;
+      this.renderDiffList(compareList, diff);
+    } catch (error) {
+      if (request === this.compareRequest) {
+        compareSummary.textContent = '無法比較: ' + error.message;
+      }
+    }
+  }
+
+  /**
+   * Delete every cached snapshot
+   */
+  async clearTranslationCache() {
+    try {
+      await chrome.runtime.sendMessage({ action: 'clearTranslationCache' });
+      this.cachedSnapshot = null;
+      this.cacheDiff = null;
+      this.snapshotList = [];
+      this.snapshotData.clear();
+      this.renderDataSourceInfo();
+      this.renderCachePanel();
+      this.updateStatus('已清除翻譯快取');
+    } catch (error) {
+      this.showError('無法清除翻譯快取');
+    }
+  }
+
   /**
    * Inject content script manually
    */
@@ -277,11 +908,14 @@ class PopupController {
       throw new Error('Cannot inject script into this page');
     }
 
-    // Use Chrome scripting API to inject content script
-    await chrome.scripting.executeScript({
-      target: { tabId: this.currentTab.id },
-      files: ['src/content/content-script-browser.js']
+    // The service worker keeps the content script's file list, in manifest order
+    const response = await chrome.runtime.sendMessage({
+      action: 'ensureContentScript',
+      tabId: this.currentTab.id
     });
+    if (!response || !response.success) {
+      throw new Error(response?.error || 'Injection failed');
+    }
   }
 
   /**
@@ -328,6 +962,21 @@ class PopupController {
           score: 1 - result.score // Invert score (Fuse uses 0=best, we use 1=best)
         }));
 
+        // Map rendered, interpolated text (e.g. "共 128 則評論") back to its template
+        if (typeof TranslationMatcher !== 'undefined') {
+          const templateMatches = TranslationMatcher.findTemplateMatches(this.translations, query, limit);
+          const templateKeys = new Set(templateMatches.map(match => match.entry.key));
+
+          return [
+            ...templateMatches.map(match => ({
+              item: match.entry,
+              score: match.score,
+              params: match.params
+            })),
+            ...results.filter(result => !templateKeys.has(result.item.key))
+          ].slice(0, limit);
+        }
+
         return results;
       }
     };
@@ -337,15 +986,63 @@ class PopupController {
    * Set up event listeners
    */
   setupEventListeners() {
+    // Client-side navigations reported by the content script of this tab
+    chrome.runtime.onMessage.addListener((message, sender) => {
+      if (message.action === 'routeChanged' && sender.tab && this.currentTab && sender.tab.id === this.currentTab.id) {
+        this.handlePageRouteChange(message);
+      }
+    });
+
+    // Options page with locale file import
+    if (this.elements.optionsBtn) {
+      this.elements.optionsBtn.addEventListener('click', () => {
+        chrome.runtime.openOptionsPage();
+      });
+    }
+
     // Search input
     if (this.elements.searchInput) {
       this.elements.searchInput.addEventListener('input', (e) => {
         this.handleSearchInput(e.target.value);
       });
 
-      this.elements.searchInput.addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') {
-          this.performSearch();
+      // Arrow keys move through the results; Enter acts on the selected one or searches
+      this.elements.searchInput.addEventListener('keydown', (e) => {
+        this.handleSearchKeyDown(e);
+      });
+    }
+
+    // Command palette
+    document.addEventListener('keydown', (e) => {
+      if (CommandPalette.isPaletteShortcut(e)) {
+        e.preventDefault();
+        if (this.isCommandPaletteOpen()) {
+          this.closeCommandPalette();
+        } else {
+          this.openCommandPalette();
+        }
+      }
+    });
+    if (this.elements.commandInput) {
+      this.elements.commandInput.addEventListener('input', () => {
+        this.renderCommandPalette();
+      });
+      this.elements.commandInput.addEventListener('keydown', (e) => {
+        this.handlePaletteKeyDown(e);
+      });
+    }
+    if (this.elements.commandList) {
+      this.elements.commandList.addEventListener('click', (event) => {
+        const item = event.target.closest('[data-index]');
+        if (item) {
+          this.runPaletteCommand(Number(item.dataset.index));
+        }
+      });
+    }
+    if (this.elements.commandPalette) {
+      this.elements.commandPalette.addEventListener('click', (event) => {
+        if (event.target === this.elements.commandPalette) {
+          this.closeCommandPalette();
         }
       });
     }
@@ -370,40 +1067,1454 @@ class PopupController {
         this.activateElementPicker();
       });
     }
-  }
 
-  /**
-   * Activate element picker and close popup
-   */
-  async activateElementPicker() {
-    try {
-      // Send message to content script to activate picker
-      const response = await this.sendMessageToTab({
-        action: 'toggleElementPicker'
+    // Annotate all keys button
+    if (this.elements.annotateBtn) {
+      this.elements.annotateBtn.addEventListener('click', () => {
+        this.toggleAnnotationMode();
       });
+    }
 
-      if (response && response.success) {
-        // Close the popup by closing the window
-        window.close();
-      }
-    } catch (error) {
-      this.showError('無法啟動元素選取器');
+    // Pseudo-localize the page
+    if (this.elements.pseudoBtn) {
+      this.elements.pseudoBtn.addEventListener('click', () => {
+        this.toggleTextRewrite('togglePseudoLocalization');
+      });
     }
-  }
 
-  /**
-   * Handle search input with debounce
-   */
-  handleSearchInput(value) {
-    clearTimeout(this.debounceTimer);
-    this.debounceTimer = setTimeout(() => {
-      if (value.length >= 2) {
-        this.performSearch(value);
-      } else if (value.length === 0) {
-        this.clearResults();
-      }
-    }, 300);
-  }
+    // Show translation keys in place of their text
+    if (this.elements.keysBtn) {
+      this.elements.keysBtn.addEventListener('click', () => {
+        this.toggleTextRewrite('toggleKeyDisplay');
+      });
+    }
+
+    // Runtime translation-call tracing
+    if (this.elements.traceBtn) {
+      this.elements.traceBtn.addEventListener('click', () => {
+        this.toggleTranslationTracing();
+      });
+    }
+
+    // Hardcoded string report
+    if (this.elements.hardcodedBtn) {
+      this.elements.hardcodedBtn.addEventListener('click', () => {
+        this.openHardcodedReport();
+      });
+    }
+    if (this.elements.hardcodedRefreshBtn) {
+      this.elements.hardcodedRefreshBtn.addEventListener('click', () => {
+        this.openHardcodedReport();
+      });
+    }
+    if (this.elements.hardcodedExportJsonBtn) {
+      this.elements.hardcodedExportJsonBtn.addEventListener('click', () => {
+        this.exportHardcodedReport('json');
+      });
+    }
+    if (this.elements.hardcodedExportCsvBtn) {
+      this.elements.hardcodedExportCsvBtn.addEventListener('click', () => {
+        this.exportHardcodedReport('csv');
+      });
+    }
+
+    // Cross-locale audit report
+    if (this.elements.auditBtn) {
+      this.elements.auditBtn.addEventListener('click', () => {
+        this.openLocaleAudit();
+      });
+    }
+    if (this.elements.auditSource) {
+      this.elements.auditSource.addEventListener('change', () => {
+        this.auditSourceLocale = this.elements.auditSource.value;
+        this.renderLocaleAudit();
+        // Untranslated values depend on the source, so result badges change with it
+        if (this.elements.searchInput && this.elements.searchInput.value.trim()) {
+          this.performSearch();
+        }
+      });
+    }
+    [this.elements.auditType, this.elements.auditLocale].forEach(select => {
+      if (select) {
+        select.addEventListener('change', () => {
+          this.renderLocaleAudit();
+        });
+      }
+    });
+    if (this.elements.auditFilter) {
+      this.elements.auditFilter.addEventListener('input', () => {
+        clearTimeout(this.auditFilterTimer);
+        this.auditFilterTimer = setTimeout(() => this.renderLocaleAudit(), 200);
+      });
+    }
+    if (this.elements.auditExportJsonBtn) {
+      this.elements.auditExportJsonBtn.addEventListener('click', () => {
+        this.exportLocaleAudit('json');
+      });
+    }
+    if (this.elements.auditExportCsvBtn) {
+      this.elements.auditExportCsvBtn.addEventListener('click', () => {
+        this.exportLocaleAudit('csv');
+      });
+    }
+
+    // Text overflow report
+    if (this.elements.overflowBtn) {
+      this.elements.overflowBtn.addEventListener('click', () => {
+        this.openOverflowReport();
+      });
+    }
+    if (this.elements.overflowRefreshBtn) {
+      this.elements.overflowRefreshBtn.addEventListener('click', () => {
+        this.openOverflowReport();
+      });
+    }
+    if (this.elements.overflowExportJsonBtn) {
+      this.elements.overflowExportJsonBtn.addEventListener('click', () => {
+        this.exportOverflowReport('json');
+      });
+    }
+    if (this.elements.overflowExportCsvBtn) {
+      this.elements.overflowExportCsvBtn.addEventListener('click', () => {
+        this.exportOverflowReport('csv');
+      });
+    }
+
+    // Key tree panel
+    if (this.elements.treeBtn) {
+      this.elements.treeBtn.addEventListener('click', () => {
+        this.openKeyTree();
+      });
+    }
+    if (this.elements.treeFilter) {
+      this.elements.treeFilter.addEventListener('input', () => {
+        clearTimeout(this.treeFilterTimer);
+        this.treeFilterTimer = setTimeout(() => this.renderKeyTree(), 200);
+      });
+    }
+    if (this.elements.treeBreadcrumb) {
+      this.elements.treeBreadcrumb.addEventListener('click', (event) => {
+        const crumb = event.target.closest('[data-path]');
+        if (crumb) {
+          this.setTreeScope(crumb.dataset.path);
+        }
+      });
+    }
+    if (this.elements.treeList) {
+      this.elements.treeList.addEventListener('click', (event) => {
+        this.handleTreeAction(event);
+      });
+    }
+
+    // Export panel
+    if (this.elements.exportBtn) {
+      this.elements.exportBtn.addEventListener('click', () => {
+        this.openExportPanel();
+      });
+    }
+    [this.elements.exportScope, this.elements.exportFormat, this.elements.exportLocale].forEach(select => {
+      if (select) {
+        select.addEventListener('change', () => {
+          this.updateExportSummary();
+        });
+      }
+    });
+    if (this.elements.exportDownloadBtn) {
+      this.elements.exportDownloadBtn.addEventListener('click', () => {
+        this.exportTranslations();
+      });
+    }
+
+    // Copy template panel
+    if (this.elements.templateBtn) {
+      this.elements.templateBtn.addEventListener('click', () => {
+        this.openTemplatePanel();
+      });
+    }
+    if (this.elements.templateDefault) {
+      this.elements.templateDefault.addEventListener('change', () => {
+        this.setDefaultCopyTemplate(this.elements.templateDefault.value);
+      });
+    }
+    if (this.elements.templateAddBtn) {
+      this.elements.templateAddBtn.addEventListener('click', () => {
+        this.addCopyTemplate();
+      });
+    }
+    if (this.elements.templateList) {
+      this.elements.templateList.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-remove-template]');
+        if (button) {
+          this.removeCopyTemplate(button.dataset.removeTemplate);
+        }
+      });
+    }
+
+    // Translation cache panel
+    if (this.elements.cacheBtn) {
+      this.elements.cacheBtn.addEventListener('click', () => {
+        this.openCachePanel();
+      });
+    }
+    if (this.elements.cacheClearBtn) {
+      this.elements.cacheClearBtn.addEventListener('click', () => {
+        this.clearTranslationCache();
+      });
+    }
+
+    // Snapshot compare panel
+    if (this.elements.compareBtn) {
+      this.elements.compareBtn.addEventListener('click', () => {
+        this.openComparePanel();
+      });
+    }
+    [this.elements.compareBase, this.elements.compareTarget].forEach(select => {
+      if (select) {
+        select.addEventListener('change', () => {
+          this.renderComparison();
+        });
+      }
+    });
+
+    // Translation change set panel
+    if (this.elements.changesBtn) {
+      this.elements.changesBtn.addEventListener('click', () => {
+        this.openChangeSetPanel();
+      });
+    }
+    if (this.elements.changesEditBtn) {
+      this.elements.changesEditBtn.addEventListener('click', () => {
+        this.startInlineEditing();
+      });
+    }
+    if (this.elements.changesClearBtn) {
+      this.elements.changesClearBtn.addEventListener('click', () => {
+        this.saveChangeSet([]);
+      });
+    }
+    if (this.elements.changesLocale) {
+      this.elements.changesLocale.addEventListener('change', () => {
+        this.fillChangeDictionarySelect();
+      });
+    }
+    if (this.elements.changesList) {
+      this.elements.changesList.addEventListener('click', (event) => {
+        const button = event.target.closest('[data-remove-change]');
+        if (button) {
+          this.saveChangeSet(ChangeSet.removeChange(this.changeSet, button.dataset.removeChange, button.dataset.locale));
+        }
+      });
+    }
+    [
+      [this.elements.changesExportFlatBtn, 'flat'],
+      [this.elements.changesExportNestedBtn, 'nested'],
+      [this.elements.changesExportDiffBtn, 'diff']
+    ].forEach(([button, format]) => {
+      if (button) {
+        button.addEventListener('click', () => {
+          this.exportChangeSet(format);
+        });
+      }
+    });
+
+    // Tool panel close buttons
+    document.querySelectorAll('[data-close-panel]').forEach(button => {
+      button.addEventListener('click', () => {
+        this.closeToolPanels();
+      });
+    });
+  }
+
+  /**
+   * Open the change set panel with the saved edits and the JSON files they can be diffed against
+   */
+  async openChangeSetPanel() {
+    this.showToolPanel(this.elements.changesPanel);
+
+    const result = await new Promise(resolve => {
+      chrome.storage.local.get([ChangeSet.STORAGE_KEY, 'importedDictionaries'], resolve);
+    });
+    this.changeSet = (result && result[ChangeSet.STORAGE_KEY]) || [];
+    this.changeDictionaries = ((result && result.importedDictionaries) || [])
+      .filter(dictionary => typeof dictionary.source === 'string');
+
+    this.renderChangeSet();
+  }
+
+  /**
+   * Save the change set; the content script updates its page preview from storage
+   */
+  async saveChangeSet(changes) {
+    this.changeSet = changes;
+    await chrome.storage.local.set({ [ChangeSet.STORAGE_KEY]: changes });
+    this.renderChangeSet();
+  }
+
+  /**
+   * Render the change set list, its locales and the export controls
+   */
+  renderChangeSet() {
+    const { changesSummary, changesList, changesLocale } = this.elements;
+    if (!changesSummary || !changesList) {
+      return;
+    }
+
+    const locales = ChangeSet.getLocales(this.changeSet);
+    changesSummary.textContent = this.changeSet.length > 0
+      ? `共 ${this.changeSet.length} 筆修改（${locales.join('、')}）`
+      : '尚未修改任何翻譯。點擊「在頁面上編輯」後選取頁面文字即可修改';
+
+    // Keep the chosen locale while it still has changes
+    const selected = locales.includes(changesLocale.value)
+      ? changesLocale.value
+      : (locales.includes(this.activeLocale) ? this.activeLocale : locales[0]);
+    changesLocale.innerHTML = '';
+    locales.forEach(locale => changesLocale.appendChild(new Option(locale, locale)));
+    if (selected) {
+      changesLocale.value = selected;
+    }
+    this.fillChangeDictionarySelect();
+
+    [this.elements.changesClearBtn, this.elements.changesExportFlatBtn, this.elements.changesExportNestedBtn].forEach(button => {
+      if (button) {
+        button.disabled = this.changeSet.length === 0;
+      }
+    });
+
+    changesList.innerHTML = '';
+    this.changeSet.forEach(change => {
+      const row = document.createElement('div');
+      row.className = 'report-item';
+
+      const header = document.createElement('div');
+      header.className = 'report-item-header';
+
+      const key = document.createElement('div');
+      key.className = 'report-item-text';
+      key.textContent = change.key;
+
+      const badge = document.createElement('span');
+      badge.className = 'diff-badge diff-changed';
+      badge.textContent = change.locale;
+
+      const removeBtn = document.createElement('button');
+      removeBtn.className = 'change-remove-btn';
+      removeBtn.dataset.removeChange = change.key;
+      removeBtn.dataset.locale = change.locale;
+      removeBtn.textContent = '刪除';
+
+      header.appendChild(key);
+      header.appendChild(badge);
+      header.appendChild(removeBtn);
+      row.appendChild(header);
+      row.appendChild(this.createWordDiff(change.oldValue, change.newValue));
+      changesList.appendChild(row);
+    });
+  }
+
+  /**
+   * List the imported JSON files of the selected locale for the diff export
+   */
+  fillChangeDictionarySelect() {
+    const { changesDictionary, changesLocale, changesExportDiffBtn } = this.elements;
+    if (!changesDictionary) {
+      return;
+    }
+
+    const locale = changesLocale.value;
+    const dictionaries = this.changeDictionaries.filter(dictionary => !dictionary.locale || dictionary.locale === locale);
+
+    changesDictionary.innerHTML = '';
+    dictionaries.forEach(dictionary => {
+      changesDictionary.appendChild(new Option(`${dictionary.name}（${dictionary.locale || '未指定語系'}）`, dictionary.id));
+    });
+    if (dictionaries.length === 0) {
+      const option = new Option('沒有可比對的 JSON 檔，請先在設定頁匯入', '');
+      option.disabled = true;
+      changesDictionary.appendChild(option);
+    }
+
+    changesDictionary.disabled = dictionaries.length === 0;
+    if (changesExportDiffBtn) {
+      changesExportDiffBtn.disabled = dictionaries.length === 0 || this.changeSet.length === 0;
+    }
+  }
+
+  /**
+   * Download the selected locale's changes as a flat JSON patch, a nested JSON fragment
+   * or a unified diff of the selected imported file
+   * @param {string} format - 'flat', 'nested' or 'diff'
+   */
+  async exportChangeSet(format) {
+    const locale = this.elements.changesLocale.value;
+    const host = this.extensionState.currentDomain;
+    const entries = ChangeSet.toEntries(this.changeSet, locale);
+    if (entries.length === 0) {
+      return;
+    }
+
+    if (format === 'diff') {
+      const dictionary = this.changeDictionaries.find(item => item.id === this.elements.changesDictionary.value);
+      let diff;
+      try {
+        diff = ChangeSet.toUnifiedDiff(this.changeSet, dictionary, locale);
+      } catch (error) {
+        this.showError('無法產生 diff: ' + error.message);
+        return;
+      }
+      if (!diff) {
+        this.updateStatus(`${dictionary.name} 已包含這些修改`);
+        return;
+      }
+      await this.downloadFile(ExportFormats.buildFileName(`i18n-changes-${locale}`, host, 'diff'), diff, 'text/x-diff');
+      return;
+    }
+
+    const data = format === 'nested' ? ExportFormats.toNestedObject(entries) : ExportFormats.toFlatObject(entries);
+    await this.downloadFile(ExportFormats.buildFileName(`i18n-changes-${locale}`, host, 'json'), ExportFormats.toJSON(data), 'application/json');
+  }
+
+  /**
+   * Start the picker in edit mode and close the popup so the page can be clicked
+   */
+  async startInlineEditing() {
+    try {
+      const response = await this.sendMessageToTab({
+        action: 'startInlineEditing'
+      });
+
+      if (response && response.success) {
+        window.close();
+      }
+    } catch (error) {
+      this.showError('無法啟動翻譯編輯');
+    }
+  }
+
+  /**
+   * Show a tool panel in place of the search results
+   */
+  showToolPanel(panel) {
+    document.querySelectorAll('.tool-panel').forEach(item => {
+      item.classList.toggle('hidden', item !== panel);
+    });
+    if (this.elements.resultsSection) {
+      this.elements.resultsSection.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Close all tool panels and return to the search results
+   */
+  closeToolPanels() {
+    document.querySelectorAll('.tool-panel').forEach(item => {
+      item.classList.add('hidden');
+    });
+    if (this.elements.resultsSection) {
+      this.elements.resultsSection.classList.remove('hidden');
+    }
+  }
+
+  /**
+   * Scan the page for hardcoded strings and show the report
+   */
+  async openHardcodedReport() {
+    this.showToolPanel(this.elements.hardcodedPanel);
+    if (this.elements.hardcodedSummary) {
+      this.elements.hardcodedSummary.textContent = '正在掃描頁面...';
+    }
+
+    try {
+      const response = await this.sendMessageToTab({
+        action: 'getHardcodedReport'
+      });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || '掃描失敗');
+      }
+
+      this.hardcodedReport = response.report;
+      this.renderHardcodedReport(response.report);
+    } catch (error) {
+      if (this.elements.hardcodedSummary) {
+        this.elements.hardcodedSummary.textContent = '無法掃描頁面: ' + error.message;
+      }
+    }
+  }
+
+  /**
+   * Render the hardcoded string report
+   */
+  renderHardcodedReport(report) {
+    const { hardcodedSummary, hardcodedList } = this.elements;
+    if (!hardcodedSummary || !hardcodedList) {
+      return;
+    }
+
+    const totalOccurrences = report.items.reduce((sum, item) => sum + item.count, 0);
+    hardcodedSummary.textContent = report.hasTranslationData
+      ? `掃描 ${report.scannedCount} 段文字，找到 ${report.items.length} 個疑似硬編碼字串（共出現 ${totalOccurrences} 次）`
+      : '尚未載入翻譯資料，無法判斷哪些文字是硬編碼';
+
+    hardcodedList.innerHTML = '';
+    report.items.forEach(item => {
+      const row = document.createElement('div');
+      row.className = 'report-item';
+
+      const header = document.createElement('div');
+      header.className = 'report-item-header';
+
+      const text = document.createElement('div');
+      text.className = 'report-item-text';
+      text.textContent = item.text;
+
+      const count = document.createElement('span');
+      count.className = 'report-item-count';
+      count.textContent = `×${item.count}`;
+
+      const selector = document.createElement('div');
+      selector.className = 'report-item-meta';
+      // Text inside iframes or shadow roots is prefixed with where it is
+      selector.textContent = item.frame ? `${item.frame} › ${item.selector}` : item.selector;
+
+      header.appendChild(text);
+      header.appendChild(count);
+      row.appendChild(header);
+      row.appendChild(selector);
+      hardcodedList.appendChild(row);
+    });
+  }
+
+  /**
+   * Export the hardcoded string report as JSON or CSV
+   */
+  async exportHardcodedReport(format) {
+    if (!this.hardcodedReport) {
+      return;
+    }
+
+    const host = this.extensionState.currentDomain;
+    if (format === 'csv') {
+      const csv = ExportFormats.toCSV(this.hardcodedReport.items, ['text', 'frame', 'selector', 'count']);
+      await this.downloadFile(ExportFormats.buildFileName('hardcoded-strings', host, 'csv'), csv, 'text/csv');
+    } else {
+      const json = ExportFormats.toJSON(this.hardcodedReport);
+      await this.downloadFile(ExportFormats.buildFileName('hardcoded-strings', host, 'json'), json, 'application/json');
+    }
+  }
+
+  /**
+   * Get the cross-locale audit of the loaded locales, rerun when they or the source locale changed
+   */
+  getLocaleAudit() {
+    if (!this.localeAudit || this.localeAuditSource !== this.locales ||
+      (this.auditSourceLocale && this.localeAudit.sourceLocale !== this.auditSourceLocale)) {
+      this.localeAudit = LocaleAudit.auditLocales(this.locales, { sourceLocale: this.auditSourceLocale });
+      this.localeAuditSource = this.locales;
+      this.localeAuditIndex = LocaleAudit.indexByKey(this.localeAudit.issues);
+    }
+    return this.localeAudit;
+  }
+
+  /**
+   * Describe an audit issue in one line, e.g. "ja：與 en 相同"
+   */
+  describeAuditIssue(issue) {
+    const label = issue.type === 'untranslated'
+      ? `與 ${this.localeAudit.sourceLocale} 相同`
+      : AUDIT_ISSUE_LABELS[issue.type];
+    return `${issue.locale}：${label}`;
+  }
+
+  /**
+   * Open the locale audit report, optionally filtered to one key
+   */
+  openLocaleAudit(key = '') {
+    this.showToolPanel(this.elements.auditPanel);
+
+    const { auditSource, auditLocale, auditFilter } = this.elements;
+    const audit = this.getLocaleAudit();
+
+    // Rebuild the locale options, keeping the current choices where they still exist
+    [auditSource, auditLocale].forEach(select => {
+      if (!select) {
+        return;
+      }
+      const previous = select.value;
+      select.innerHTML = '';
+      if (select === auditLocale) {
+        select.appendChild(new Option('全部', ''));
+      }
+      audit.locales.forEach(locale => select.appendChild(new Option(locale, locale)));
+      select.value = audit.locales.includes(previous) ? previous : (select === auditSource ? audit.sourceLocale || '' : '');
+    });
+
+    if (auditFilter) {
+      auditFilter.value = key;
+    }
+    this.renderLocaleAudit();
+  }
+
+  /**
+   * Issues passing the type, locale and text filters of the audit panel
+   */
+  getFilteredAuditIssues() {
+    const { auditType, auditLocale, auditFilter } = this.elements;
+    const type = auditType ? auditType.value : '';
+    const locale = auditLocale ? auditLocale.value : '';
+    const filter = auditFilter ? auditFilter.value.trim().toLowerCase() : '';
+
+    return this.getLocaleAudit().issues.filter(issue =>
+      (!type || issue.type === type) &&
+      (!locale || issue.locale === locale) &&
+      (!filter || issue.key.toLowerCase().includes(filter) ||
+        [issue.value, issue.sourceValue].some(value => typeof value === 'string' && value.toLowerCase().includes(filter)))
+    );
+  }
+
+  /**
+   * Render the locale audit report
+   */
+  renderLocaleAudit() {
+    const { auditSummary, auditList } = this.elements;
+    if (!auditSummary || !auditList) {
+      return;
+    }
+
+    const audit = this.getLocaleAudit();
+    const issues = this.getFilteredAuditIssues();
+
+    auditList.innerHTML = '';
+    if (audit.locales.length < 2) {
+      auditSummary.textContent = '需要載入兩個以上的語系才能比對缺少或未翻譯的鍵值';
+    } else {
+      const counts = Object.keys(AUDIT_ISSUE_LABELS)
+        .map(type => `${AUDIT_ISSUE_LABELS[type]} ${audit.counts.byType[type]}`)
+        .join('、');
+      auditSummary.textContent = `比對 ${audit.locales.length} 個語系的 ${audit.keyCount} 個鍵值：${counts}` +
+        (issues.length !== audit.issues.length ? `；篩選後 ${issues.length} 筆` : '');
+    }
+
+    issues.slice(0, MAX_AUDIT_ROWS).forEach(issue => {
+      const row = document.createElement('div');
+      row.className = 'report-item';
+
+      const header = document.createElement('div');
+      header.className = 'report-item-header';
+
+      const key = document.createElement('div');
+      key.className = 'report-item-text';
+      key.textContent = issue.key;
+
+      const badge = document.createElement('span');
+      badge.className = `audit-badge audit-${issue.type}`;
+      badge.textContent = `${issue.locale} · ${AUDIT_ISSUE_LABELS[issue.type]}`;
+
+      const value = document.createElement('div');
+      value.className = 'report-item-meta diff-value';
+      value.textContent = issue.type === 'missing' || issue.type === 'empty'
+        ? `${audit.sourceLocale}：${issue.sourceValue === null ? '（來源語系也沒有）' : issue.sourceValue}`
+        : issue.value;
+
+      header.appendChild(key);
+      header.appendChild(badge);
+      row.appendChild(header);
+      row.appendChild(value);
+      auditList.appendChild(row);
+    });
+
+    if (issues.length > MAX_AUDIT_ROWS) {
+      const more = document.createElement('p');
+      more.className = 'tool-panel-summary';
+      more.textContent = `只顯示前 ${MAX_AUDIT_ROWS} 筆，請用上方條件篩選`;
+      auditList.appendChild(more);
+    }
+  }
+
+  /**
+   * Export the filtered locale audit as JSON or CSV
+   */
+  async exportLocaleAudit(format) {
+    const audit = this.getLocaleAudit();
+    const issues = this.getFilteredAuditIssues();
+    const host = this.extensionState.currentDomain;
+
+    if (format === 'csv') {
+      const csv = ExportFormats.toCSV(issues, ['key', 'locale', 'type', 'value', 'sourceValue']);
+      await this.downloadFile(ExportFormats.buildFileName('locale-audit', host, 'csv'), csv, 'text/csv');
+    } else {
+      const json = ExportFormats.toJSON({
+        sourceLocale: audit.sourceLocale,
+        locales: audit.locales,
+        keyCount: audit.keyCount,
+        counts: audit.counts,
+        issues: issues
+      });
+      await this.downloadFile(ExportFormats.buildFileName('locale-audit', host, 'json'), json, 'application/json');
+    }
+  }
+
+  /**
+   * Scan the page for clipped translations and show the report
+   */
+  async openOverflowReport() {
+    this.showToolPanel(this.elements.overflowPanel);
+    if (this.elements.overflowSummary) {
+      this.elements.overflowSummary.textContent = '正在檢查頁面版面...';
+    }
+
+    try {
+      const response = await this.sendMessageToTab({
+        action: 'getOverflowReport'
+      });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || '掃描失敗');
+      }
+
+      this.overflowReport = response.report;
+      this.renderOverflowReport(response.report);
+    } catch (error) {
+      if (this.elements.overflowSummary) {
+        this.elements.overflowSummary.textContent = '無法掃描頁面: ' + error.message;
+      }
+    }
+  }
+
+  /**
+   * Render the text overflow report
+   */
+  renderOverflowReport(report) {
+    const { overflowSummary, overflowList } = this.elements;
+    if (!overflowSummary || !overflowList) {
+      return;
+    }
+
+    const reasonLabels = {
+      'ellipsis': '省略號',
+      'line-clamp': '行數限制',
+      'hidden-overflow': '隱藏溢位'
+    };
+
+    overflowSummary.textContent = report.hasTranslationData
+      ? `檢查 ${report.scannedCount} 段翻譯文字，找到 ${report.items.length} 處被截斷${report.locale ? `（語系 ${report.locale}）` : ''}`
+      : '尚未載入翻譯資料，無法判斷哪些文字對應翻譯鍵值';
+
+    overflowList.innerHTML = '';
+    report.items.forEach(item => {
+      const row = document.createElement('div');
+      row.className = 'report-item';
+
+      const header = document.createElement('div');
+      header.className = 'report-item-header';
+
+      const text = document.createElement('div');
+      text.className = 'report-item-text';
+      text.textContent = item.text;
+
+      const cut = document.createElement('span');
+      cut.className = 'report-item-count';
+      cut.textContent = `約截掉 ${item.cutCharacters} 字`;
+
+      const key = document.createElement('div');
+      key.className = 'report-item-meta';
+      key.textContent = `${item.key} · ${item.reasons.map(reason => reasonLabels[reason] || reason).join('、')} · ` +
+        `可見 ${item.visiblePercent}%（${item.boxSize} / ${item.contentSize}）`;
+
+      const selector = document.createElement('div');
+      selector.className = 'report-item-meta';
+      selector.textContent = item.frame ? `${item.frame} › ${item.selector}` : item.selector;
+
+      const locateBtn = document.createElement('button');
+      locateBtn.className = 'locate-btn';
+      locateBtn.textContent = '📍 定位';
+      locateBtn.title = '在頁面上標示使用這個鍵值的位置';
+      locateBtn.onclick = () => this.locateKeyOnPage(item.key);
+
+      header.appendChild(text);
+      header.appendChild(cut);
+      row.appendChild(header);
+      row.appendChild(key);
+      row.appendChild(selector);
+      row.appendChild(locateBtn);
+      overflowList.appendChild(row);
+    });
+  }
+
+  /**
+   * Export the text overflow report as JSON or CSV
+   */
+  async exportOverflowReport(format) {
+    if (!this.overflowReport) {
+      return;
+    }
+
+    const host = this.extensionState.currentDomain;
+    if (format === 'csv') {
+      const rows = this.overflowReport.items.map(item => ({ ...item, reasons: item.reasons.join(' ') }));
+      const csv = ExportFormats.toCSV(rows, ['key', 'locale', 'text', 'cutCharacters', 'reasons', 'visiblePercent', 'frame', 'selector']);
+      await this.downloadFile(ExportFormats.buildFileName('text-overflow', host, 'csv'), csv, 'text/csv');
+    } else {
+      const json = ExportFormats.toJSON(this.overflowReport);
+      await this.downloadFile(ExportFormats.buildFileName('text-overflow', host, 'json'), json, 'application/json');
+    }
+  }
+
+  /**
+   * Open the key tree, rebuilding it when the translations changed
+   */
+  openKeyTree() {
+    if (this.keyTreeSource !== this.translations) {
+      this.keyTree = KeyTree.buildTree(this.translations);
+      this.keyTreeSource = this.translations;
+      this.treeScope = '';
+      this.treeExpanded.clear();
+    }
+
+    this.showToolPanel(this.elements.treePanel);
+    this.renderKeyTree();
+  }
+
+  /**
+   * Show only the keys under a prefix
+   */
+  setTreeScope(path) {
+    this.treeScope = path;
+    if (this.elements.treeFilter) {
+      this.elements.treeFilter.value = '';
+    }
+    this.renderKeyTree();
+  }
+
+  /**
+   * Render the breadcrumb, summary and visible rows of the key tree
+   */
+  renderKeyTree() {
+    const { treeBreadcrumb, treeSummary, treeList, treeFilter } = this.elements;
+    if (!this.keyTree || !treeList) {
+      return;
+    }
+
+    const scopeNode = KeyTree.findNode(this.keyTree, this.treeScope) || this.keyTree;
+    const filter = treeFilter ? treeFilter.value.trim() : '';
+    const view = KeyTree.filterTree(scopeNode, filter);
+
+    if (treeBreadcrumb) {
+      treeBreadcrumb.innerHTML = '';
+      [{ name: '全部', path: '' }, ...KeyTree.getBreadcrumbs(scopeNode.path)].forEach((crumb, index) => {
+        if (index > 0) {
+          const separator = document.createElement('span');
+          separator.className = 'tree-crumb-separator';
+          separator.textContent = '›';
+          treeBreadcrumb.appendChild(separator);
+        }
+
+        const button = document.createElement('button');
+        button.className = 'tree-crumb';
+        button.dataset.path = crumb.path;
+        button.textContent = crumb.name;
+        treeBreadcrumb.appendChild(button);
+      });
+    }
+
+    if (treeSummary) {
+      treeSummary.textContent = filter
+        ? `${scopeNode.path || '全部'} 中有 ${view.count} / ${scopeNode.count} 個鍵值符合「${filter}」`
+        : `${scopeNode.path || '全部'} 底下共有 ${scopeNode.count} 個鍵值`;
+    }
+
+    // While filtering, every matching branch is shown expanded
+    const rows = [];
+    const appendRows = (node, depth) => {
+      for (const child of KeyTree.getChildren(node)) {
+        if (rows.length >= MAX_TREE_ROWS) {
+          return;
+        }
+        const expanded = Boolean(filter) || this.treeExpanded.has(child.path);
+        rows.push(this.createTreeRow(child, depth, expanded));
+        if (expanded && child.children.size > 0) {
+          appendRows(child, depth + 1);
+        }
+      }
+    };
+    appendRows(view, 0);
+
+    treeList.innerHTML = '';
+    rows.forEach(row => treeList.appendChild(row));
+
+    if (rows.length >= MAX_TREE_ROWS) {
+      const more = document.createElement('div');
+      more.className = 'tree-more';
+      more.textContent = `只顯示前 ${MAX_TREE_ROWS} 列，請進入子層或輸入篩選條件`;
+      treeList.appendChild(more);
+    }
+  }
+
+  /**
+   * Create one row of the key tree
+   */
+  createTreeRow(node, depth, expanded) {
+    const isBranch = node.children.size > 0;
+    const row = document.createElement('div');
+    row.className = 'tree-row';
+    row.style.paddingLeft = `${4 + depth * 14}px`;
+    row.dataset.path = node.path;
+
+    const toggle = document.createElement('button');
+    toggle.className = 'tree-toggle';
+    if (isBranch) {
+      toggle.dataset.action = 'toggle';
+      toggle.textContent = expanded ? '▾' : '▸';
+    }
+    row.appendChild(toggle);
+
+    const name = document.createElement('span');
+    name.className = 'tree-name';
+    name.textContent = node.name;
+    row.appendChild(name);
+
+    if (node.entry) {
+      const value = document.createElement('span');
+      value.className = 'tree-value';
+      value.textContent = node.entry.val;
+      value.title = node.entry.val;
+      row.appendChild(value);
+    }
+
+    if (isBranch) {
+      const count = document.createElement('span');
+      count.className = 'tree-count';
+      count.textContent = node.count;
+      row.appendChild(count);
+
+      row.appendChild(this.createTreeAction('scope', '⤵', '只看此層'));
+      row.appendChild(this.createTreeAction('copy-prefix', '複製前綴', `複製 ${KeyTree.getPrefix(node)}`));
+    }
+    if (node.entry) {
+      row.appendChild(this.createTreeAction('copy-key', '複製', `複製 ${node.path}`));
+    }
+
+    return row;
+  }
+
+  /**
+   * Create a small action button for a key tree row
+   */
+  createTreeAction(action, label, title) {
+    const button = document.createElement('button');
+    button.className = 'tree-action';
+    button.dataset.action = action;
+    button.textContent = label;
+    button.title = title;
+    return button;
+  }
+
+  /**
+   * Handle expand, scope and copy actions in the key tree
+   */
+  handleTreeAction(event) {
+    const button = event.target.closest('[data-action]');
+    const row = event.target.closest('.tree-row');
+    if (!button || !row) {
+      return;
+    }
+
+    const path = row.dataset.path;
+    switch (button.dataset.action) {
+    case 'toggle':
+      if (this.treeExpanded.has(path)) {
+        this.treeExpanded.delete(path);
+      } else {
+        this.treeExpanded.add(path);
+      }
+      this.renderKeyTree();
+      break;
+
+    case 'scope':
+      this.setTreeScope(path);
+      break;
+
+    case 'copy-prefix':
+      this.copyToClipboard(`${path}.`, button);
+      break;
+
+    case 'copy-key':
+      this.copyToClipboard(CopyTemplates.formatKey(path, this.settings), button);
+      break;
+    }
+  }
+
+  /**
+   * Open the export panel with locale options for the loaded data
+   */
+  openExportPanel() {
+    const { exportScope, exportLocale, exportTargetLocale } = this.elements;
+    const localeNames = this.getLocaleNames();
+
+    if (exportLocale) {
+      exportLocale.innerHTML = '';
+      localeNames.forEach(locale => {
+        exportLocale.appendChild(new Option(locale, locale, false, locale === this.activeLocale));
+      });
+    }
+
+    if (exportTargetLocale) {
+      exportTargetLocale.innerHTML = '';
+      exportTargetLocale.appendChild(new Option('（無）', ''));
+      localeNames.forEach(locale => {
+        exportTargetLocale.appendChild(new Option(locale, locale));
+      });
+    }
+
+    if (exportScope) {
+      exportScope.value = this.lastResults.length > 0 ? 'results' : 'all';
+    }
+
+    this.showToolPanel(this.elements.exportPanel);
+    this.updateExportSummary();
+  }
+
+  /**
+   * Get loaded locale names, falling back to a single unnamed locale
+   */
+  getLocaleNames() {
+    const localeNames = Object.keys(this.locales);
+    return localeNames.length > 0 ? localeNames : [this.activeLocale || 'default'];
+  }
+
+  /**
+   * Get translation entries for a locale as [{key, val}]
+   */
+  getLocaleEntries(locale) {
+    if (!this.locales[locale] || locale === this.activeLocale) {
+      return this.translations;
+    }
+
+    return Object.entries(this.locales[locale]).map(([key, val]) => ({ key, val }));
+  }
+
+  /**
+   * Get the translation keys selected by the export scope
+   */
+  getExportKeys() {
+    const entries = this.elements.exportScope?.value === 'results'
+      ? this.lastResults.map(result => result.item)
+      : this.translations;
+
+    return [...new Set(entries.map(entry => entry.key))];
+  }
+
+  /**
+   * Update the export summary and show target locale only for XLIFF
+   */
+  updateExportSummary() {
+    const format = this.elements.exportFormat?.value || 'json-flat';
+    const isXliff = format.startsWith('xliff');
+
+    if (this.elements.exportTargetRow) {
+      this.elements.exportTargetRow.classList.toggle('hidden', !isXliff);
+    }
+    if (this.elements.exportSummary) {
+      const count = this.getExportKeys().length;
+      this.elements.exportSummary.textContent = count > 0
+        ? `將匯出 ${count} 筆鍵值`
+        : '沒有可匯出的鍵值，請先搜尋或改為匯出全部翻譯';
+    }
+  }
+
+  /**
+   * Export translations in the selected format
+   */
+  async exportTranslations() {
+    const format = this.elements.exportFormat?.value || 'json-flat';
+    const locale = this.elements.exportLocale?.value || this.getLocaleNames()[0];
+    const keys = this.getExportKeys();
+    const keySet = new Set(keys);
+
+    if (keys.length === 0) {
+      return;
+    }
+
+    const entries = this.getLocaleEntries(locale).filter(entry => keySet.has(entry.key));
+    const host = this.extensionState.currentDomain;
+    let content, extension, mimeType;
+
+    switch (format) {
+    case 'json-nested':
+      content = ExportFormats.toJSON(ExportFormats.toNestedObject(entries));
+      extension = 'json';
+      mimeType = 'application/json';
+      break;
+
+    case 'csv': {
+      const localeValues = Object.keys(this.locales).length > 0
+        ? this.locales
+        : { [locale]: ExportFormats.toFlatObject(this.translations) };
+      content = ExportFormats.toCSV(ExportFormats.toLocaleRows(keys, localeValues), ['key', 'value', 'locale']);
+      extension = 'csv';
+      mimeType = 'text/csv';
+      break;
+    }
+
+    case 'xliff-1.2':
+    case 'xliff-2.0': {
+      const targetLocale = this.elements.exportTargetLocale?.value || '';
+      content = ExportFormats.toXLIFF(entries, {
+        version: format === 'xliff-2.0' ? '2.0' : '1.2',
+        sourceLocale: locale,
+        targetLocale: targetLocale,
+        targetValues: targetLocale ? ExportFormats.toFlatObject(this.getLocaleEntries(targetLocale)) : {},
+        original: host
+      });
+      extension = 'xlf';
+      mimeType = 'application/xliff+xml';
+      break;
+    }
+
+    default:
+      content = ExportFormats.toJSON(ExportFormats.toFlatObject(entries));
+      extension = 'json';
+      mimeType = 'application/json';
+    }
+
+    await this.downloadFile(ExportFormats.buildFileName(`i18n-${locale}`, host, extension), content, mimeType);
+  }
+
+  /**
+   * Download text content as a file through the extension
+   */
+  async downloadFile(filename, content, mimeType) {
+    // Byte order mark so spreadsheet apps read CSV as UTF-8
+    const parts = mimeType === 'text/csv' ? ['\uFEFF', content] : [content];
+    const blob = new Blob(parts, { type: `${mimeType};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+
+    try {
+      if (chrome.downloads) {
+        await chrome.downloads.download({ url, filename, saveAs: false });
+      } else {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+      }
+      this.updateStatus(`已下載 ${filename}`);
+    } catch (error) {
+      this.showError('下載失敗: ' + error.message);
+    } finally {
+      // Give the download time to read the blob before releasing it
+      setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+  }
+
+  /**
+   * Toggle the page-wide key annotation overlay
+   */
+  async toggleAnnotationMode() {
+    try {
+      const response = await this.sendMessageToTab({
+        action: 'toggleAnnotationMode'
+      });
+
+      if (response && response.success) {
+        this.setToolButtonActive(this.elements.annotateBtn, response.active);
+
+        if (response.active && response.stats) {
+          this.updateStatus(`已標註 ${response.stats.total} 段文字，其中 ${response.stats.unmatched} 段沒有對應鍵值`);
+        } else {
+          this.updateStatus('已關閉頁面標註');
+        }
+      }
+    } catch (error) {
+      this.showError('無法切換頁面標註模式');
+    }
+  }
+
+  /**
+   * Toggle rewriting the translated text on the page as pseudo-localized text or as keys
+   * Only one rewrite is active at a time, so both buttons follow the returned mode.
+   * @param {string} action - togglePseudoLocalization or toggleKeyDisplay
+   */
+  async toggleTextRewrite(action) {
+    const label = action === 'toggleKeyDisplay' ? '翻譯鍵值' : '偽語系';
+
+    try {
+      const response = await this.sendMessageToTab({ action });
+
+      if (response && response.success) {
+        this.setToolButtonActive(this.elements.pseudoBtn, response.mode === 'pseudo');
+        this.setToolButtonActive(this.elements.keysBtn, response.mode === 'keys');
+
+        if (response.active && response.stats) {
+          this.updateStatus(`已將 ${response.stats.rewritten} 段文字改為${label}，${response.stats.unmatched} 段沒有對應鍵值而維持原文`);
+        } else {
+          this.updateStatus('已還原頁面文字');
+        }
+      }
+    } catch (error) {
+      this.showError(`無法切換${label}模式`);
+    }
+  }
+
+  /**
+   * Enable or disable every tool bar button
+   */
+  setToolButtonsDisabled(disabled) {
+    document.querySelectorAll('#tool-bar .tool-btn').forEach(button => {
+      button.disabled = disabled;
+    });
+  }
+
+  /**
+   * Toggle runtime translation-call tracing and remember the choice
+   */
+  async toggleTranslationTracing() {
+    const enabled = !this.elements.traceBtn.classList.contains('active');
+
+    try {
+      const response = await this.sendMessageToTab({
+        action: 'setTranslationTracing',
+        enabled: enabled
+      });
+
+      if (response && response.success) {
+        this.setToolButtonActive(this.elements.traceBtn, response.active);
+        await this.saveSettings({ enableTranslationTracing: response.active });
+
+        this.updateStatus(response.active
+          ? '已開啟翻譯呼叫追蹤，重新整理頁面可記錄首次渲染的文字'
+          : '已關閉翻譯呼叫追蹤');
+      }
+    } catch (error) {
+      this.showError('無法切換翻譯呼叫追蹤');
+    }
+  }
+
+  /**
+   * Read the extension settings kept by the service worker
+   */
+  async loadSettings() {
+    try {
+      this.settings = await chrome.runtime.sendMessage({ action: 'getSettings' }) || {};
+    } catch (error) {
+      this.settings = {};
+    }
+  }
+
+  /**
+   * Count the locale files imported on the options page
+   */
+  async loadImportedDictionaryCount() {
+    return new Promise((resolve) => {
+      chrome.storage.local.get(['importedDictionaries'], (result) => {
+        const dictionaries = result && Array.isArray(result.importedDictionaries) ? result.importedDictionaries : [];
+        this.importedDictionaryCount = dictionaries.length;
+        resolve(this.importedDictionaryCount);
+      });
+    });
+  }
+
+  /**
+   * Merge changes into the extension settings kept by the service worker
+   */
+  async saveSettings(changes) {
+    const settings = await chrome.runtime.sendMessage({ action: 'getSettings' });
+    this.settings = { ...settings, ...changes };
+    await chrome.runtime.sendMessage({
+      action: 'updateSettings',
+      settings: this.settings
+    });
+  }
+
+  /**
+   * Open the copy template panel
+   */
+  openTemplatePanel() {
+    this.showToolPanel(this.elements.templatePanel);
+    this.renderTemplatePanel();
+  }
+
+  /**
+   * Render the default template choice, its preview and the custom templates
+   */
+  renderTemplatePanel() {
+    const { templateDefault, templatePreview, templateList } = this.elements;
+    const defaultTemplate = CopyTemplates.getTemplate(this.settings);
+
+    if (templateDefault) {
+      this.fillTemplateSelect(templateDefault, defaultTemplate.id);
+    }
+
+    if (templatePreview) {
+      const sampleKey = this.lastResults.length > 0 ? this.lastResults[0].item.key : 'common.ok';
+      templatePreview.textContent = `預覽：${CopyTemplates.applyTemplate(defaultTemplate, sampleKey)}`;
+    }
+
+    if (templateList) {
+      templateList.innerHTML = '';
+      const customs = CopyTemplates.getTemplates(this.settings).filter(template => template.custom);
+
+      if (customs.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'tool-panel-summary';
+        empty.textContent = '尚未新增自訂格式';
+        templateList.appendChild(empty);
+      }
+
+      customs.forEach(template => {
+        const item = document.createElement('div');
+        item.className = 'report-item';
+
+        const header = document.createElement('div');
+        header.className = 'report-item-header';
+
+        const label = document.createElement('span');
+        label.className = 'report-item-text';
+        label.textContent = template.label;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'template-remove-btn';
+        removeBtn.dataset.removeTemplate = template.id;
+        removeBtn.textContent = '刪除';
+
+        const text = document.createElement('div');
+        text.className = 'report-item-meta';
+        text.textContent = template.template;
+
+        header.appendChild(label);
+        header.appendChild(removeBtn);
+        item.appendChild(header);
+        item.appendChild(text);
+        templateList.appendChild(item);
+      });
+    }
+  }
+
+  /**
+   * Fill a select with every copy template
+   */
+  fillTemplateSelect(select, selectedId) {
+    select.innerHTML = '';
+    CopyTemplates.getTemplates(this.settings).forEach(template => {
+      const option = document.createElement('option');
+      option.value = template.id;
+      option.textContent = template.label;
+      option.title = template.template;
+      select.appendChild(option);
+    });
+    select.value = selectedId;
+  }
+
+  /**
+   * Remember the template used by copy buttons and the element picker
+   */
+  async setDefaultCopyTemplate(id) {
+    try {
+      await this.saveSettings({ copyTemplate: id });
+      this.renderTemplatePanel();
+      this.refreshResultTemplateSelects();
+    } catch (error) {
+      this.showError('無法儲存複製格式');
+    }
+  }
+
+  /**
+   * Add a custom template from the panel inputs
+   */
+  async addCopyTemplate() {
+    const { templateLabel, templateText } = this.elements;
+    const customs = Array.isArray(this.settings.customCopyTemplates) ? this.settings.customCopyTemplates : [];
+
+    let template;
+    try {
+      template = CopyTemplates.createCustomTemplate(templateLabel.value, templateText.value, customs);
+    } catch (error) {
+      this.showError('格式必須包含 {key}');
+      return;
+    }
+
+    try {
+      await this.saveSettings({ customCopyTemplates: customs.concat(template) });
+      templateLabel.value = '';
+      templateText.value = '';
+      this.renderTemplatePanel();
+      this.refreshResultTemplateSelects();
+      this.updateStatus(`已新增複製格式 ${template.label}`);
+    } catch (error) {
+      this.showError('無法儲存複製格式');
+    }
+  }
+
+  /**
+   * Remove a custom template; copies fall back to the bare key if it was the default
+   */
+  async removeCopyTemplate(id) {
+    const customs = Array.isArray(this.settings.customCopyTemplates) ? this.settings.customCopyTemplates : [];
+    const changes = { customCopyTemplates: customs.filter(template => template.id !== id) };
+    if (this.settings.copyTemplate === id) {
+      changes.copyTemplate = CopyTemplates.DEFAULT_TEMPLATE_ID;
+    }
+
+    try {
+      await this.saveSettings(changes);
+      this.renderTemplatePanel();
+      this.refreshResultTemplateSelects();
+    } catch (error) {
+      this.showError('無法儲存複製格式');
+    }
+  }
+
+  /**
+   * Reset the per-result template menus after the templates changed
+   */
+  refreshResultTemplateSelects() {
+    const defaultId = CopyTemplates.getTemplate(this.settings).id;
+    document.querySelectorAll('.copy-template-select').forEach(select => {
+      this.fillTemplateSelect(select, defaultId);
+    });
+  }
+
+  /**
+   * Reflect a page mode's on/off state on its tool bar button
+   */
+  setToolButtonActive(button, active) {
+    if (button) {
+      button.classList.toggle('active', active);
+    }
+  }
+
+  /**
+   * Activate element picker and close popup
+   */
+  async activateElementPicker() {
+    try {
+      // Send message to content script to activate picker
+      const response = await this.sendMessageToTab({
+        action: 'toggleElementPicker'
+      });
+
+      if (response && response.success) {
+        // Close the popup by closing the window
+        window.close();
+      }
+    } catch (error) {
+      this.showError('無法啟動元素選取器');
+    }
+  }
+
+  /**
+   * Handle search input with debounce
+   */
+  handleSearchInput(value) {
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => {
+      if (value.length >= 2) {
+        this.performSearch(value);
+      } else if (value.length === 0) {
+        this.clearResults();
+      }
+    }, 300);
+  }
 
   /**
    * Perform search
@@ -450,6 +2561,8 @@ class PopupController {
 
     // Clear previous results
     this.elements.resultsContainer.innerHTML = '';
+    this.lastResults = [];
+    this.selectedResultIndex = -1;
 
     if (results.length === 0) {
       // Show no results message
@@ -467,8 +2580,9 @@ class PopupController {
     }
 
     // Display results
+    this.lastResults = results;
     results.forEach((result, index) => {
-      const resultItem = this.createResultItem(result.item, result.score, index);
+      const resultItem = this.createResultItem(result.item, result.score, index, result.params);
       this.elements.resultsContainer.appendChild(resultItem);
     });
   }
@@ -476,7 +2590,7 @@ class PopupController {
   /**
    * Create result item element
    */
-  createResultItem(item, score, index) {
+  createResultItem(item, score, index, params = null) {
     const div = document.createElement('div');
     div.className = 'result-item';
     div.dataset.index = index;
@@ -503,6 +2617,29 @@ class PopupController {
     keyLabel.className = 'result-label';
     keyLabel.textContent = '鍵值';
 
+    if (item.imported) {
+      const sourceBadge = document.createElement('span');
+      sourceBadge.className = 'result-source-badge';
+      sourceBadge.textContent = '匯入';
+      sourceBadge.title = '來自設定頁匯入的翻譯檔';
+      keyLabel.appendChild(sourceBadge);
+    }
+
+    // Warn about the key's problems in other locales, e.g. missing or left untranslated
+    if (Object.keys(this.locales).length > 1) {
+      this.getLocaleAudit();
+      const issues = this.localeAuditIndex.get(item.key) || [];
+      if (issues.length > 0) {
+        const auditBadge = document.createElement('button');
+        auditBadge.type = 'button';
+        auditBadge.className = 'result-audit-badge';
+        auditBadge.textContent = `⚠️ ${issues.length}`;
+        auditBadge.title = issues.map(issue => this.describeAuditIssue(issue)).join('\n');
+        auditBadge.onclick = () => this.openLocaleAudit(item.key);
+        keyLabel.appendChild(auditBadge);
+      }
+    }
+
     const keyValue = document.createElement('div');
     keyValue.className = 'result-key';
     keyValue.textContent = item.key;
@@ -525,22 +2662,457 @@ class PopupController {
     valueSection.appendChild(valueLabel);
     valueSection.appendChild(valueValue);
 
+    // Side-by-side values for every loaded locale
+    const localeNames = Object.keys(this.locales);
+    if (localeNames.length > 1) {
+      valueSection.appendChild(this.createLocaleValues(item.key, localeNames));
+    }
+
+    // Placeholder values filled in by the rendered text
+    if (params && params.length > 0) {
+      const paramsValue = document.createElement('div');
+      paramsValue.className = 'result-params';
+      paramsValue.textContent = params
+        .map(param => `${param.placeholder} = ${param.value}`)
+        .join('、');
+      valueSection.appendChild(paramsValue);
+    }
+
     // Copy button
     const copyBtn = document.createElement('button');
     copyBtn.className = 'copy-btn';
     copyBtn.innerHTML = '<span class="copy-icon">📋</span><span class="copy-text">複製</span>';
     copyBtn.title = '複製鍵值到剪貼簿';
-    copyBtn.onclick = () => this.copyToClipboard(item.key, copyBtn);
+
+    // Copy template for this result, starting from the default
+    const templateSelect = document.createElement('select');
+    templateSelect.className = 'copy-template-select';
+    templateSelect.title = '複製格式';
+    this.fillTemplateSelect(templateSelect, CopyTemplates.getTemplate(this.settings).id);
+
+    copyBtn.onclick = () => this.copyToClipboard(
+      CopyTemplates.formatKey(item.key, this.settings, templateSelect.value),
+      copyBtn
+    );
+
+    // Locate button, pressed again to step to the next occurrence
+    const locateBtn = document.createElement('button');
+    locateBtn.className = 'locate-btn';
+    locateBtn.textContent = '📍 定位';
+    locateBtn.title = '在頁面上標示使用這個鍵值的位置，再按一次跳到下一處 (Alt+Enter)';
+    locateBtn.onclick = () => this.locateKeyOnPage(item.key, item.val);
+
+    const copySection = document.createElement('div');
+    copySection.className = 'result-copy';
+    copySection.appendChild(templateSelect);
+    copySection.appendChild(copyBtn);
+    copySection.appendChild(locateBtn);
 
     // Assemble
     div.appendChild(scoreBadge);
     div.appendChild(keySection);
     div.appendChild(valueSection);
-    div.appendChild(copyBtn);
+    div.appendChild(copySection);
 
     return div;
   }
 
+  /**
+   * Create the per-locale value list for a result item
+   */
+  createLocaleValues(key, localeNames) {
+    const list = document.createElement('div');
+    list.className = 'result-locales';
+
+    localeNames.forEach(locale => {
+      const value = this.locales[locale][key];
+      const isMissing = value === undefined || value === '';
+
+      const row = document.createElement('div');
+      row.className = 'result-locale-row';
+      if (locale === this.activeLocale) {
+        row.classList.add('active');
+      }
+      if (isMissing) {
+        row.classList.add('missing');
+      }
+
+      const localeLabel = document.createElement('span');
+      localeLabel.className = 'result-locale-name';
+      localeLabel.textContent = locale;
+
+      const localeValue = document.createElement('span');
+      localeValue.className = 'result-locale-value';
+      localeValue.textContent = isMissing ? '（缺少翻譯）' : value;
+
+      row.appendChild(localeLabel);
+      row.appendChild(localeValue);
+      list.appendChild(row);
+    });
+
+    return list;
+  }
+
+  /**
+   * Keyboard handling in the search input
+   * Enter copies the selected result's key, Shift+Enter copies it with its copy template,
+   * and Alt+Enter locates it on the page. Without a selection Enter searches.
+   */
+  handleSearchKeyDown(event) {
+    if (event.isComposing) {
+      return;
+    }
+
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault();
+      this.moveResultSelection(event.key === 'ArrowDown' ? 1 : -1);
+      return;
+    }
+
+    if (event.key === 'Escape' && this.selectedResultIndex >= 0) {
+      event.preventDefault();
+      this.setSelectedResult(-1);
+      return;
+    }
+
+    const action = CommandPalette.getResultAction(event);
+    if (!action) {
+      return;
+    }
+    event.preventDefault();
+
+    if (this.selectedResultIndex >= 0) {
+      this.runResultAction(action);
+    } else {
+      this.performSearch();
+    }
+  }
+
+  /**
+   * Get the rendered result items
+   */
+  getResultItems() {
+    return this.elements.resultsContainer
+      ? Array.from(this.elements.resultsContainer.querySelectorAll('.result-item'))
+      : [];
+  }
+
+  /**
+   * Move the keyboard selection through the search results
+   */
+  moveResultSelection(delta) {
+    this.setSelectedResult(CommandPalette.moveIndex(this.selectedResultIndex, delta, this.getResultItems().length));
+  }
+
+  /**
+   * Mark a search result as selected, -1 to clear the selection
+   */
+  setSelectedResult(index) {
+    const items = this.getResultItems();
+    items.forEach((item, itemIndex) => {
+      item.classList.toggle('selected', itemIndex === index);
+    });
+
+    this.selectedResultIndex = items[index] ? index : -1;
+    if (items[index]) {
+      items[index].scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * Run a keyboard action on the selected search result
+   * @param {string} action - One of CommandPalette.RESULT_ACTIONS
+   */
+  async runResultAction(action) {
+    const result = this.lastResults[this.selectedResultIndex];
+    const item = this.getResultItems()[this.selectedResultIndex];
+    if (!result || !item) {
+      return;
+    }
+
+    const key = result.item.key;
+    const copyBtn = item.querySelector('.copy-btn');
+
+    switch (action) {
+    case CommandPalette.RESULT_ACTIONS.COPY:
+      await this.copyToClipboard(key, copyBtn);
+      break;
+
+    case CommandPalette.RESULT_ACTIONS.COPY_TEMPLATE: {
+      const templateSelect = item.querySelector('.copy-template-select');
+      await this.copyToClipboard(
+        CopyTemplates.formatKey(key, this.settings, templateSelect ? templateSelect.value : undefined),
+        copyBtn
+      );
+      break;
+    }
+
+    case CommandPalette.RESULT_ACTIONS.LOCATE:
+      await this.locateKeyOnPage(key, result.item.val);
+      break;
+    }
+  }
+
+  /**
+   * Outline the page elements rendering a key and scroll to the first one
+   * Locating the same key again moves to its next occurrence.
+   */
+  async locateKeyOnPage(key, value) {
+    try {
+      const response = await this.sendMessageToTab({
+        action: 'locateKey',
+        key: key,
+        value: value
+      });
+
+      if (response && response.success) {
+        this.updateStatus(response.count > 0
+          ? `${key} 在頁面上出現 ${response.count} 處，目前在第 ${response.index + 1} 處`
+          : `頁面上沒有看到 ${key} 的文字`);
+      }
+    } catch (error) {
+      this.showError('無法在頁面上定位鍵值');
+    }
+  }
+
+  /**
+   * Check whether the command palette is shown
+   */
+  isCommandPaletteOpen() {
+    return Boolean(this.elements.commandPalette) && !this.elements.commandPalette.classList.contains('hidden');
+  }
+
+  /**
+   * Open the command palette with the current commands
+   */
+  async openCommandPalette() {
+    if (!this.elements.commandPalette) {
+      return;
+    }
+
+    await this.loadPickerShortcut();
+    this.paletteCommands = this.getPaletteCommands();
+    this.elements.commandInput.value = '';
+    this.elements.commandPalette.classList.remove('hidden');
+    this.elements.commandInput.focus();
+    this.renderCommandPalette();
+  }
+
+  /**
+   * Close the command palette and return to the search input
+   */
+  closeCommandPalette() {
+    if (this.elements.commandPalette) {
+      this.elements.commandPalette.classList.add('hidden');
+    }
+    if (this.elements.searchInput) {
+      this.elements.searchInput.focus();
+    }
+  }
+
+  /**
+   * Read the shortcut the user assigned to the global picker command
+   */
+  async loadPickerShortcut() {
+    if (!chrome.commands || this.pickerShortcut) {
+      return;
+    }
+
+    try {
+      const commands = await chrome.commands.getAll();
+      const picker = commands.find(command => command.name === 'toggle-element-picker');
+      this.pickerShortcut = picker && picker.shortcut ? picker.shortcut : '';
+    } catch (error) {
+      this.pickerShortcut = '';
+    }
+  }
+
+  /**
+   * Build the palette commands: the picker, every tool bar button, locale switches and settings
+   */
+  getPaletteCommands() {
+    const commands = [{
+      id: 'picker',
+      label: '🎯 開始選取頁面元素',
+      hint: this.pickerShortcut,
+      keywords: ['picker', 'select', 'element'],
+      run: () => this.activateElementPicker()
+    }, {
+      id: 'inline-edit',
+      label: '✏️ 在頁面上編輯翻譯',
+      keywords: ['edit', 'translate', 'change'],
+      run: () => this.startInlineEditing()
+    }];
+
+    document.querySelectorAll('#tool-bar .tool-btn').forEach(button => {
+      commands.push({
+        id: button.id,
+        label: button.textContent.trim(),
+        hint: button.classList.contains('active') ? '開啟中' : '',
+        keywords: [button.id.replace(/-btn$/, ''), button.title],
+        disabled: button.disabled,
+        run: () => button.click()
+      });
+    });
+
+    const localeNames = Object.keys(this.locales);
+    if (localeNames.length > 1) {
+      localeNames.forEach(locale => {
+        commands.push({
+          id: `locale:${locale}`,
+          label: `🌐 切換語系：${locale}`,
+          hint: locale === this.activeLocale ? '目前語系' : '',
+          keywords: ['locale', 'language', 'switch'],
+          disabled: locale === this.activeLocale,
+          run: () => this.switchLocale(locale)
+        });
+      });
+    }
+
+    commands.push({
+      id: 'options',
+      label: '⚙️ 開啟設定',
+      keywords: ['options', 'settings'],
+      run: () => chrome.runtime.openOptionsPage()
+    }, {
+      id: 'shortcuts',
+      label: '⌨️ 設定快捷鍵',
+      keywords: ['shortcut', 'keyboard', 'commands'],
+      run: () => chrome.tabs.create({ url: 'chrome://extensions/shortcuts' })
+    });
+
+    return commands;
+  }
+
+  /**
+   * Render the commands matching the palette input
+   */
+  renderCommandPalette() {
+    const { commandInput, commandList } = this.elements;
+    if (!commandList) {
+      return;
+    }
+
+    this.filteredCommands = CommandPalette.filterCommands(this.paletteCommands, commandInput ? commandInput.value : '');
+    commandList.innerHTML = '';
+
+    if (this.filteredCommands.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'command-empty';
+      empty.textContent = '沒有符合的指令';
+      commandList.appendChild(empty);
+    }
+
+    this.filteredCommands.forEach((command, index) => {
+      const item = document.createElement('div');
+      item.className = 'command-item';
+      item.dataset.index = index;
+      item.setAttribute('role', 'option');
+      if (command.disabled) {
+        item.classList.add('disabled');
+      }
+
+      const label = document.createElement('span');
+      label.className = 'command-label';
+      label.textContent = command.label;
+      item.appendChild(label);
+
+      if (command.hint) {
+        const hint = document.createElement('span');
+        hint.className = 'command-hint';
+        hint.textContent = command.hint;
+        item.appendChild(hint);
+      }
+
+      commandList.appendChild(item);
+    });
+
+    this.setPaletteSelection(this.filteredCommands.findIndex(command => !command.disabled));
+  }
+
+  /**
+   * Mark a palette command as selected
+   */
+  setPaletteSelection(index) {
+    const items = this.elements.commandList.querySelectorAll('.command-item');
+    items.forEach((item, itemIndex) => {
+      item.classList.toggle('selected', itemIndex === index);
+    });
+
+    this.paletteIndex = items[index] ? index : -1;
+    if (items[index]) {
+      items[index].scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * Keyboard handling in the palette input
+   */
+  handlePaletteKeyDown(event) {
+    if (event.isComposing) {
+      return;
+    }
+
+    switch (event.key) {
+    case 'ArrowDown':
+    case 'ArrowUp':
+      event.preventDefault();
+      this.setPaletteSelection(CommandPalette.moveIndex(
+        this.paletteIndex,
+        event.key === 'ArrowDown' ? 1 : -1,
+        this.filteredCommands.length
+      ));
+      break;
+
+    case 'Enter':
+      event.preventDefault();
+      this.runPaletteCommand(this.paletteIndex);
+      break;
+
+    case 'Escape':
+      event.preventDefault();
+      this.closeCommandPalette();
+      break;
+    }
+  }
+
+  /**
+   * Close the palette and run one of the listed commands
+   */
+  runPaletteCommand(index) {
+    const command = this.filteredCommands[index];
+    if (!command || command.disabled) {
+      return;
+    }
+
+    this.closeCommandPalette();
+    command.run();
+  }
+
+  /**
+   * Make another loaded locale the one searched and matched on the page
+   */
+  async switchLocale(locale) {
+    try {
+      const response = await this.sendMessageToTab({
+        action: 'setActiveLocale',
+        locale: locale
+      });
+      if (!response || !response.success) {
+        this.updateStatus(`頁面沒有 ${locale} 的翻譯資料`);
+        return;
+      }
+
+      const translations = await this.sendMessageToTab({ action: 'getTranslations' });
+      if (translations && translations.success) {
+        this.applyTranslations(translations);
+        this.updateStatus(`已切換語系為 ${locale}，${this.getLoadedStatus(translations)}`);
+      }
+    } catch (error) {
+      this.showError('無法切換語系');
+    }
+  }
+
   /**
    * Copy text to clipboard
    */
@@ -647,6 +3219,8 @@ class PopupController {
    * Clear results
    */
   clearResults() {
+    this.lastResults = [];
+    this.selectedResultIndex = -1;
     if (this.elements.resultsContainer) {
       this.elements.resultsContainer.innerHTML = '';
     }
@@ -5,6 +5,10 @@
 
 const TranslationEntry = require('../models/TranslationEntry');
 const PageContext = require('../models/PageContext');
+const ExtractionRegistry = require('../lib/extraction-registry');
+const extractionStrategies = require('../lib/extraction-strategies');
+
+const registry = ExtractionRegistry.createRegistry(extractionStrategies);
 
 class DataExtractionService {
   /**
@@ -29,26 +33,9 @@ class DataExtractionService {
     }
 
     try {
-      const strategy = pageContext.getDataSourceStrategy();
-      let rawData = null;
-      let dataSourcePath = '';
-
-      if (strategy === 'nuxt') {
-        const result = this.extractFromNuxt(pageContext, globalScope);
-        rawData = result.data;
-        dataSourcePath = result.path;
-      } else if (strategy === 'init_state') {
-        const result = this.extractFromInitState(globalScope);
-        rawData = result.data;
-        dataSourcePath = result.path;
-      } else {
-        return {
-          success: false,
-          error: `Unknown extraction strategy: ${strategy}`
-        };
-      }
+      const result = registry.run(globalScope, { pageLocale: pageContext.language });
 
-      if (!rawData) {
+      if (!result.strategy) {
         return {
           success: false,
           error: 'No translation data found in global variables'
@@ -56,7 +43,7 @@ class DataExtractionService {
       }
 
       // Convert raw data to TranslationEntry objects
-      const translationEntries = this.convertToTranslationEntries(rawData);
+      const translationEntries = this.convertToTranslationEntries(result.data);
 
       if (translationEntries.length === 0) {
         return {
@@ -68,8 +55,10 @@ class DataExtractionService {
       return {
         success: true,
         data: translationEntries,
-        dataSource: dataSourcePath,
-        strategy: strategy,
+        dataSource: result.path,
+        strategy: result.strategy,
+        confidence: result.confidence,
+        locale: result.locale,
         count: translationEntries.length
       };
 
@@ -83,16 +72,15 @@ class DataExtractionService {
 
   /**
    * Extract data from __NUXT__ global variable
+   * Reads through the nuxt2-state strategy; kept for callers of the per-source API.
    * @param {PageContext} pageContext - Page context for language detection
    * @param {Object} globalScope - Global scope object
    * @returns {Object} Extraction result
    */
   static extractFromNuxt(pageContext, globalScope) {
     const language = pageContext.language || 'zh-tw';
-    const i18nKey = `$si18n_${language}`;
-    const path = `__NUXT__.state['${i18nKey}']`;
+    const path = `__NUXT__.state['$si18n_${language}']`;
 
-    // Try to access __NUXT__.state[i18nKey]
     if (!globalScope.__NUXT__) {
       throw new Error('__NUXT__ global variable not found');
     }
@@ -101,7 +89,9 @@ class DataExtractionService {
       throw new Error('__NUXT__.state not found');
     }
 
-    const i18nData = globalScope.__NUXT__.state[i18nKey];
+    const strategy = registry.getStrategy('nuxt2-state');
+    const result = strategy.detect(globalScope) ? strategy.extract(globalScope) : null;
+    const i18nData = result && result.locales ? result.locales[language] : null;
     if (!i18nData) {
       throw new Error(`Translation data not found at ${path}`);
     }
@@ -114,28 +104,35 @@ class DataExtractionService {
 
   /**
    * Extract data from __INIT_STATE__ global variable
+   * Reads through the init-state strategy; kept for callers of the per-source API.
    * @param {Object} globalScope - Global scope object
    * @returns {Object} Extraction result
    */
   static extractFromInitState(globalScope) {
-    const path = '__INIT_STATE__.lang';
-
-    // Try to access __INIT_STATE__.lang
     if (!globalScope.__INIT_STATE__) {
       throw new Error('__INIT_STATE__ global variable not found');
     }
 
-    const langData = globalScope.__INIT_STATE__.lang;
-    if (!langData) {
-      throw new Error(`Translation data not found at ${path}`);
+    const strategy = registry.getStrategy('init-state');
+    if (!strategy.detect(globalScope)) {
+      throw new Error('Translation data not found at __INIT_STATE__.lang');
     }
 
+    const result = strategy.extract(globalScope);
     return {
-      data: langData,
-      path: path
+      data: result.locales[result.locale],
+      path: result.path
     };
   }
 
+  /**
+   * Register an additional extraction strategy
+   * @param {Object} strategy - Strategy module ({name, label, detect, extract, confidence})
+   */
+  static registerStrategy(strategy) {
+    registry.register(strategy);
+  }
+
   /**
    * Convert raw data object to TranslationEntry array
    * @param {Object} rawData - Raw translation data object
@@ -148,18 +145,25 @@ class DataExtractionService {
 
     const entries = [];
 
-    // Convert object entries to TranslationEntry format
-    for (const [key, value] of Object.entries(rawData)) {
-      try {
-        // Only include string values
-        if (typeof value === 'string' && value.trim() !== '') {
-          entries.push(new TranslationEntry(key, value));
+    // Convert object entries to TranslationEntry format, joining nested keys with dots
+    const convert = (obj, prefix) => {
+      for (const [key, value] of Object.entries(obj)) {
+        const fullKey = prefix ? `${prefix}.${key}` : key;
+        try {
+          // Only include string values
+          if (typeof value === 'string' && value.trim() !== '') {
+            entries.push(new TranslationEntry(fullKey, value));
+          } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+            convert(value, fullKey);
+          }
+        } catch (error) {
+          // Skip invalid entries
+          console.warn(`Skipping invalid translation entry: ${fullKey}`, error);
         }
-      } catch (error) {
-        // Skip invalid entries
-        console.warn(`Skipping invalid translation entry: ${key}`, error);
       }
-    }
+    };
+
+    convert(rawData, '');
 
     return entries;
   }
@@ -192,25 +196,27 @@ class DataExtractionService {
   /**
    * Get available data sources for current page
    * @param {Object} globalScope - Global scope object
-   * @returns {Array<string>} Available data sources
+   * @returns {Array<string>} Paths of the data found, e.g. "__NUXT__.state['$si18n_zh-tw']"
    */
   static getAvailableDataSources(globalScope = window) {
     const sources = [];
 
-    // Check for __NUXT__
-    if (globalScope.__NUXT__ && globalScope.__NUXT__.state) {
-      const state = globalScope.__NUXT__.state;
-      // Look for i18n keys
-      for (const key of Object.keys(state)) {
-        if (key.startsWith('$si18n_')) {
-          sources.push(`__NUXT__.state['${key}']`);
+    for (const strategy of registry.getStrategies()) {
+      try {
+        const result = strategy.detect(globalScope) ? strategy.extract(globalScope) : null;
+        if (!result || !result.path) {
+          continue;
         }
-      }
-    }
 
-    // Check for __INIT_STATE__
-    if (globalScope.__INIT_STATE__ && globalScope.__INIT_STATE__.lang) {
-      sources.push('__INIT_STATE__.lang');
+        // One path per locale for sources that keep each locale separately
+        if (result.path.includes('*') && result.locales) {
+          Object.keys(result.locales).forEach(locale => sources.push(result.path.replace('*', locale)));
+        } else {
+          sources.push(result.path);
+        }
+      } catch (error) {
+        // A source that fails to read is not available
+      }
     }
 
     return sources;
@@ -146,7 +146,9 @@ describe('Browser Compatibility Tests', () => {
         'utf8'
       ));
 
-      expect(manifest.content_scripts[0].js[0]).toBe('src/content/content-script-browser.js');
+      // The content script uses the libraries at startup, so it loads after all of them
+      const contentScripts = manifest.content_scripts[0].js;
+      expect(contentScripts[contentScripts.length - 1]).toBe('src/content/content-script-browser.js');
       expect(manifest.background.service_worker).toBe('src/background/service-worker-browser.js');
     });
 
@@ -177,6 +179,9 @@ describe('Browser Compatibility Tests', () => {
         'src/popup/popup.js',
         'src/popup/popup.html',
         'src/popup/popup.css',
+        'src/options/options.js',
+        'src/options/options.html',
+        'src/options/options.css',
         'src/content/content-script-browser.js',
         'src/content/page-script.js',
         'src/background/service-worker-browser.js',
@@ -202,7 +207,9 @@ describe('Browser Compatibility Tests', () => {
 
       expect(popupScript).toContain('chrome.tabs.query');
       expect(popupScript).toContain('chrome.tabs.sendMessage');
-      expect(popupScript).toContain('chrome.scripting');
+      // Injection goes through the service worker, which keeps the content script file list
+      expect(popupScript).toContain('ensureContentScript');
+      expect(popupScript).not.toContain('chrome.scripting');
     });
 
     test('content script should use Chrome runtime API correctly', () => {
@@ -0,0 +1,123 @@
+/**
+ * Unit Test: ChangeSet
+ * Tests how on-page translation edits are collected and exported as patches and diffs
+ */
+
+const ChangeSet = require('../../src/lib/change-set');
+
+describe('ChangeSet Unit Tests', () => {
+  const edit = (key, oldValue, newValue, locale = 'zh-tw') => ({ key, locale, oldValue, newValue, url: 'https://www.kkday.com/zh-tw/' });
+
+  describe('upsertChange', () => {
+    test('should keep one change per key and locale with the value before the first edit', () => {
+      let changes = ChangeSet.upsertChange([], edit('btn.book', '立即預訂', '馬上預訂'));
+      changes = ChangeSet.upsertChange(changes, edit('btn.book', '馬上預訂', '現在預訂'));
+      changes = ChangeSet.upsertChange(changes, edit('btn.book', 'Book now', 'Reserve', 'en'));
+
+      expect(changes).toHaveLength(2);
+      expect(ChangeSet.findChange(changes, 'btn.book', 'zh-tw')).toMatchObject({ oldValue: '立即預訂', newValue: '現在預訂' });
+      expect(ChangeSet.getLocales(changes)).toEqual(['en', 'zh-tw']);
+    });
+
+    test('should drop a change edited back to its original value', () => {
+      let changes = ChangeSet.upsertChange([], edit('btn.book', '立即預訂', '馬上預訂'));
+      changes = ChangeSet.upsertChange(changes, edit('btn.book', '馬上預訂', '立即預訂'));
+      expect(changes).toEqual([]);
+    });
+
+    test('should remove a change by key and locale', () => {
+      const changes = [edit('a', '1', '2'), edit('a', '1', '2', 'en')];
+      expect(ChangeSet.removeChange(changes, 'a', 'en')).toEqual([changes[0]]);
+    });
+  });
+
+  describe('getPageChanges', () => {
+    test('should keep the changes saved on the same page, ignoring query and hash', () => {
+      const changes = [
+        edit('a', '1', '2'),
+        { ...edit('b', '1', '2'), url: 'https://www.kkday.com/zh-tw/product/1' },
+        { ...edit('c', '1', '2'), url: '' }
+      ];
+
+      expect(ChangeSet.getPageChanges(changes, 'https://www.kkday.com/zh-tw/?sort=price#top')).toEqual([changes[0]]);
+      expect(ChangeSet.getPageChanges(changes, 'https://www.kkday.com/en/')).toEqual([]);
+      expect(ChangeSet.getPageChanges(changes, 'not a url')).toEqual([]);
+    });
+  });
+
+  describe('toEntries', () => {
+    test('should list the new values of one locale sorted by key', () => {
+      const changes = [edit('b.title', 'B', 'B2'), edit('a.title', 'A', 'A2'), edit('a.title', 'A', 'X', 'en')];
+      expect(ChangeSet.toEntries(changes, 'zh-tw')).toEqual([
+        { key: 'a.title', val: 'A2' },
+        { key: 'b.title', val: 'B2' }
+      ]);
+    });
+  });
+
+  describe('applyToJSON', () => {
+    test('should update nested files in place and keep key order and indent', () => {
+      const text = '{\n    "btn": {\n        "book": "立即預訂",\n        "cancel": "取消"\n    }\n}\n';
+      expect(ChangeSet.applyToJSON(text, [{ key: 'btn.book', val: '馬上預訂' }, { key: 'btn.new', val: '新' }]))
+        .toBe('{\n    "btn": {\n        "book": "馬上預訂",\n        "cancel": "取消",\n        "new": "新"\n    }\n}\n');
+    });
+
+    test('should update flat files by their dotted keys', () => {
+      const text = '{"btn.book": "立即預訂", "btn.cancel": "取消"}';
+      expect(JSON.parse(ChangeSet.applyToJSON(text, [{ key: 'btn.book', val: '馬上預訂' }, { key: 'btn.new', val: '新' }])))
+        .toEqual({ 'btn.book': '馬上預訂', 'btn.cancel': '取消', 'btn.new': '新' });
+    });
+
+    test('should reject files that are not a JSON object', () => {
+      expect(() => ChangeSet.applyToJSON('[]', [])).toThrow('JSON object');
+    });
+  });
+
+  describe('unifiedDiff', () => {
+    test('should produce hunks with context and line ranges', () => {
+      const before = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h', 'i'].join('\n') + '\n';
+      const after = ['a', 'b', 'c', 'd', 'E', 'f', 'g', 'h', 'i'].join('\n') + '\n';
+
+      expect(ChangeSet.unifiedDiff(before, after, { fromFile: 'a/x.json', toFile: 'b/x.json' })).toBe([
+        '--- a/x.json',
+        '+++ b/x.json',
+        '@@ -2,7 +2,7 @@',
+        ' b', ' c', ' d', '-e', '+E', ' f', ' g', ' h',
+        ''
+      ].join('\n'));
+    });
+
+    test('should split distant changes into separate hunks and return nothing for equal texts', () => {
+      const lines = Array.from({ length: 20 }, (value, index) => `line ${index + 1}`);
+      const changed = [...lines];
+      changed[1] = 'changed 2';
+      changed[18] = 'changed 19';
+
+      const diff = ChangeSet.unifiedDiff(lines.join('\n'), changed.join('\n'));
+      expect(diff.match(/^@@ .* @@$/gm)).toEqual(['@@ -1,5 +1,5 @@', '@@ -16,5 +16,5 @@']);
+      expect(ChangeSet.unifiedDiff('same\n', 'same\n')).toBe('');
+    });
+  });
+
+  describe('toUnifiedDiff', () => {
+    test('should diff an imported file against the changes of its locale', () => {
+      const dictionary = { name: 'zh-tw.json', locale: 'zh-tw', source: '{\n  "btn.book": "立即預訂"\n}\n' };
+      const changes = [edit('btn.book', '立即預訂', '馬上預訂'), edit('btn.book', 'Book', 'Reserve', 'en')];
+
+      expect(ChangeSet.toUnifiedDiff(changes, dictionary)).toBe([
+        '--- a/zh-tw.json',
+        '+++ b/zh-tw.json',
+        '@@ -1,3 +1,3 @@',
+        ' {',
+        '-  "btn.book": "立即預訂"',
+        '+  "btn.book": "馬上預訂"',
+        ' }',
+        ''
+      ].join('\n'));
+    });
+
+    test('should require the original file content', () => {
+      expect(() => ChangeSet.toUnifiedDiff([], { name: 'en.yml', locale: 'en' })).toThrow('not available');
+    });
+  });
+});
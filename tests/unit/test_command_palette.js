@@ -0,0 +1,70 @@
+/**
+ * Unit Test: CommandPalette
+ * Tests the keyboard helpers behind the popup command palette and result navigation
+ */
+
+const CommandPalette = require('../../src/lib/command-palette');
+
+describe('CommandPalette Unit Tests', () => {
+  const commands = [
+    { id: 'picker', label: '開始選取元素', keywords: ['picker', 'select'] },
+    { id: 'export', label: '📤 匯出', keywords: ['export', 'download'] },
+    { id: 'locale:en', label: '切換語系：en', keywords: ['locale', 'language', 'en'] },
+    { id: 'locale:zh-tw', label: '切換語系：zh-tw', keywords: ['locale', 'language', 'zh-tw'] }
+  ];
+  const ids = list => list.map(command => command.id);
+
+  describe('filterCommands', () => {
+    test('should keep every command in order for an empty query', () => {
+      expect(ids(CommandPalette.filterCommands(commands, ''))).toEqual(['picker', 'export', 'locale:en', 'locale:zh-tw']);
+      expect(CommandPalette.filterCommands(null, 'x')).toEqual([]);
+    });
+
+    test('should match labels and keywords case-insensitively', () => {
+      expect(ids(CommandPalette.filterCommands(commands, 'EXPORT'))).toEqual(['export']);
+      expect(ids(CommandPalette.filterCommands(commands, '匯出'))).toEqual(['export']);
+      expect(ids(CommandPalette.filterCommands(commands, 'locale zh'))).toEqual(['locale:zh-tw']);
+      expect(CommandPalette.filterCommands(commands, 'nothing')).toEqual([]);
+    });
+
+    test('should rank label prefixes above keyword matches', () => {
+      const list = [
+        { id: 'keyword', label: 'Open cache', keywords: ['tree'] },
+        { id: 'contains', label: 'Key tree', keywords: [] },
+        { id: 'prefix', label: 'Tree view', keywords: [] }
+      ];
+      expect(ids(CommandPalette.filterCommands(list, 'tree'))).toEqual(['prefix', 'contains', 'keyword']);
+    });
+  });
+
+  describe('moveIndex', () => {
+    test('should wrap around both ends of the list', () => {
+      expect(CommandPalette.moveIndex(0, 1, 3)).toBe(1);
+      expect(CommandPalette.moveIndex(2, 1, 3)).toBe(0);
+      expect(CommandPalette.moveIndex(0, -1, 3)).toBe(2);
+    });
+
+    test('should start from the first or last item when nothing is selected', () => {
+      expect(CommandPalette.moveIndex(-1, 1, 3)).toBe(0);
+      expect(CommandPalette.moveIndex(-1, -1, 3)).toBe(2);
+      expect(CommandPalette.moveIndex(-1, 1, 0)).toBe(-1);
+    });
+  });
+
+  describe('keyboard shortcuts', () => {
+    test('should open the palette with Ctrl+K or Cmd+K', () => {
+      expect(CommandPalette.isPaletteShortcut({ key: 'k', ctrlKey: true })).toBe(true);
+      expect(CommandPalette.isPaletteShortcut({ key: 'K', metaKey: true })).toBe(true);
+      expect(CommandPalette.isPaletteShortcut({ key: 'k' })).toBe(false);
+      expect(CommandPalette.isPaletteShortcut({ key: 'k', ctrlKey: true, altKey: true })).toBe(false);
+    });
+
+    test('should map Enter modifiers to result actions', () => {
+      const { RESULT_ACTIONS } = CommandPalette;
+      expect(CommandPalette.getResultAction({ key: 'Enter' })).toBe(RESULT_ACTIONS.COPY);
+      expect(CommandPalette.getResultAction({ key: 'Enter', shiftKey: true })).toBe(RESULT_ACTIONS.COPY_TEMPLATE);
+      expect(CommandPalette.getResultAction({ key: 'Enter', altKey: true })).toBe(RESULT_ACTIONS.LOCATE);
+      expect(CommandPalette.getResultAction({ key: 'ArrowDown' })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Unit Test: CopyTemplates
+ * Tests formatting translation keys as code snippets for copying
+ */
+
+const CopyTemplates = require('../../src/lib/copy-templates');
+
+describe('CopyTemplates Unit Tests', () => {
+  const settings = {
+    copyTemplate: 'vue-template',
+    customCopyTemplates: [
+      { id: 'custom-1', label: 'Blade', template: '@lang(\'{key}\')' },
+      { id: 'custom-2', label: 'Broken', template: 'no placeholder' }
+    ]
+  };
+
+  describe('applyTemplate', () => {
+    test('should replace every placeholder with the key', () => {
+      expect(CopyTemplates.applyTemplate('{{ $t(\'{key}\') }}', 'common.ok')).toBe('{{ $t(\'common.ok\') }}');
+      expect(CopyTemplates.applyTemplate({ template: '{key} / {key}' }, 'a')).toBe('a / a');
+    });
+
+    test('should fall back to the bare key for unusable templates', () => {
+      expect(CopyTemplates.applyTemplate('t()', 'common.ok')).toBe('common.ok');
+      expect(CopyTemplates.applyTemplate(null, 'common.ok')).toBe('common.ok');
+    });
+  });
+
+  describe('getTemplates', () => {
+    test('should list built-ins first and skip invalid custom templates', () => {
+      const ids = CopyTemplates.getTemplates(settings).map(template => template.id);
+      expect(ids).toEqual(['key', 'vue-template', 'vue-script', 'react', 'php', 'custom-1']);
+    });
+
+    test('should work with settings saved before templates existed', () => {
+      expect(CopyTemplates.getTemplates({ maxResults: 50 })).toHaveLength(CopyTemplates.BUILT_IN_TEMPLATES.length);
+      expect(CopyTemplates.getTemplates(null)).toHaveLength(CopyTemplates.BUILT_IN_TEMPLATES.length);
+    });
+  });
+
+  describe('getTemplate and formatKey', () => {
+    test('should use the default template from settings', () => {
+      expect(CopyTemplates.formatKey('common.ok', settings)).toBe('{{ $t(\'common.ok\') }}');
+      expect(CopyTemplates.formatKey('common.ok', {})).toBe('common.ok');
+    });
+
+    test('should prefer an explicitly chosen template', () => {
+      expect(CopyTemplates.formatKey('common.ok', settings, 'react')).toBe('t(\'common.ok\')');
+      expect(CopyTemplates.formatKey('common.ok', settings, 'custom-1')).toBe('@lang(\'common.ok\')');
+    });
+
+    test('should fall back to the bare key for removed templates', () => {
+      expect(CopyTemplates.getTemplate({ copyTemplate: 'custom-9' }).id).toBe('key');
+      expect(CopyTemplates.formatKey('common.ok', settings, 'custom-2')).toBe('common.ok');
+    });
+  });
+
+  describe('createCustomTemplate', () => {
+    test('should create a template with an unused id', () => {
+      const created = CopyTemplates.createCustomTemplate(' Blade ', ' @lang(\'{key}\') ', [{ id: 'custom-2' }]);
+      expect(created).toEqual({ id: 'custom-3', label: 'Blade', template: '@lang(\'{key}\')' });
+    });
+
+    test('should label unnamed templates with their text', () => {
+      expect(CopyTemplates.createCustomTemplate('', 'i18n.t(\'{key}\')').label).toBe('i18n.t(\'{key}\')');
+    });
+
+    test('should reject templates without a placeholder', () => {
+      expect(() => CopyTemplates.createCustomTemplate('x', 't()')).toThrow('Copy template must contain {key}');
+    });
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Unit Test: DomRoots
+ * Tests how scanning and picking reach open shadow roots and same-origin iframes
+ */
+
+const DomRoots = require('../../src/lib/dom-roots');
+
+describe('DomRoots Unit Tests', () => {
+  let frame;
+  let host;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<p>Top</p><kk-widget id="widget"></kk-widget>';
+
+    host = document.getElementById('widget');
+    const shadow = host.attachShadow({ mode: 'open' });
+    shadow.innerHTML = '<span class="price">共 3 晚</span><kk-inner></kk-inner>';
+    shadow.querySelector('kk-inner').attachShadow({ mode: 'open' }).innerHTML = '<b>Inner</b>';
+
+    frame = document.createElement('iframe');
+    frame.id = 'checkout';
+    document.body.appendChild(frame);
+    frame.contentDocument.body.innerHTML = '<button>Pay now</button>';
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  describe('collectRoots', () => {
+    test('should include nested open shadow roots and same-origin iframe documents', () => {
+      const roots = DomRoots.collectRoots(document);
+
+      expect(roots[0]).toBe(document);
+      expect(roots).toContain(host.shadowRoot);
+      expect(roots).toContain(host.shadowRoot.querySelector('kk-inner').shadowRoot);
+      expect(roots).toContain(frame.contentDocument);
+      expect(roots).toHaveLength(4);
+    });
+
+    test('should stop at the root limit', () => {
+      expect(DomRoots.collectRoots(document, 2)).toHaveLength(2);
+    });
+
+    test('should list only documents for event listeners', () => {
+      expect(DomRoots.collectDocuments(document)).toEqual([document, frame.contentDocument]);
+    });
+  });
+
+  describe('getEventTarget', () => {
+    test('should return the element inside the shadow root instead of the host', () => {
+      const price = host.shadowRoot.querySelector('.price');
+      let target = null;
+      document.addEventListener('click', event => {
+        target = DomRoots.getEventTarget(event);
+      }, { once: true });
+
+      price.dispatchEvent(new MouseEvent('click', { bubbles: true, composed: true }));
+      expect(target).toBe(price);
+    });
+
+    test('should fall back to the event target', () => {
+      const element = document.querySelector('p');
+      expect(DomRoots.getEventTarget({ target: element })).toBe(element);
+      expect(DomRoots.getEventTarget(null)).toBeNull();
+    });
+  });
+
+  describe('getFrameOffset', () => {
+    test('should add up the position of every enclosing frame', () => {
+      const top = { frameElement: null };
+      const outerFrame = {
+        getBoundingClientRect: () => ({ left: 100, top: 50 }),
+        clientLeft: 2,
+        clientTop: 2,
+        ownerDocument: { defaultView: top }
+      };
+      const outer = { frameElement: outerFrame };
+      const innerFrame = {
+        getBoundingClientRect: () => ({ left: 10, top: 20 }),
+        clientLeft: 0,
+        clientTop: 0,
+        ownerDocument: { defaultView: outer }
+      };
+
+      expect(DomRoots.getFrameOffset({ frameElement: innerFrame })).toEqual({ x: 112, y: 72 });
+      expect(DomRoots.getFrameOffset(top)).toEqual({ x: 0, y: 0 });
+    });
+  });
+
+  describe('describeLocation', () => {
+    test('should describe shadow roots and iframes from the outside in', () => {
+      const inner = host.shadowRoot.querySelector('kk-inner').shadowRoot.querySelector('b');
+
+      expect(DomRoots.describeLocation(document.querySelector('p'))).toBe('');
+      expect(DomRoots.describeLocation(inner)).toBe('kk-widget::shadow › kk-inner::shadow');
+      expect(DomRoots.describeLocation(frame.contentDocument.querySelector('button'))).toBe('iframe#checkout');
+    });
+
+    test('should label frames without an id by name or source path', () => {
+      const named = document.createElement('iframe');
+      named.setAttribute('name', 'pay');
+      const sourced = document.createElement('iframe');
+      sourced.setAttribute('src', 'https://www.kkday.com/widget/pay?x=1');
+
+      expect(DomRoots.describeFrame(named)).toBe('iframe[name="pay"]');
+      expect(DomRoots.describeFrame(sourced)).toBe('iframe[src="/widget/pay"]');
+    });
+  });
+
+  describe('collectTextNodes', () => {
+    let rects;
+
+    beforeEach(() => {
+      // jsdom has no layout; treat elements as rendered unless marked otherwise
+      rects = jest.spyOn(Element.prototype, 'getClientRects').mockImplementation(function() {
+        return this.hasAttribute('data-unrendered') ? [] : [{}];
+      });
+      document.body.innerHTML = `
+        <h1>立即預訂</h1>
+        <p>  </p>
+        <p style="display: none">Hidden</p>
+        <p style="visibility: hidden">Invisible</p>
+        <p style="opacity: 0">Transparent</p>
+        <p data-unrendered>Collapsed</p>
+        <script>var a = 1;</script>
+        <style>p { color: red; }</style>
+        <textarea>Draft</textarea>
+        <pre><code>npm test</code></pre>
+        <div id="i18n-annotation-layer"><span>btn.book · 100%</span></div>
+        <span>共 3 晚</span>
+      `;
+    });
+
+    afterEach(() => {
+      rects.mockRestore();
+    });
+
+    const texts = results => results.map(({ node }) => node.nodeValue.trim());
+
+    test('should keep visible copy and skip empty, hidden, code and form text', () => {
+      const results = DomRoots.collectTextNodes(document.body);
+
+      expect(texts(results)).toEqual(['立即預訂', 'btn.book · 100%', '共 3 晚']);
+      expect(results[0].element).toBe(document.querySelector('h1'));
+    });
+
+    test('should skip excluded elements and stop at the limit', () => {
+      const isExcluded = element => Boolean(element.closest('#i18n-annotation-layer'));
+
+      expect(texts(DomRoots.collectTextNodes(document.body, { isExcluded }))).toEqual(['立即預訂', '共 3 晚']);
+      expect(texts(DomRoots.collectTextNodes(document.body, { isExcluded, limit: 1 }))).toEqual(['立即預訂']);
+      expect(DomRoots.collectTextNodes(document.body, { limit: 0 })).toEqual([]);
+    });
+
+    test('should walk shadow roots', () => {
+      host = document.createElement('kk-widget');
+      document.body.appendChild(host);
+      host.attachShadow({ mode: 'open' }).innerHTML = '<span>Inner</span><script>1</script>';
+
+      expect(texts(DomRoots.collectTextNodes(host.shadowRoot))).toEqual(['Inner']);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Unit Test: ElementStrings
+ * Tests how the picker gathers text, attribute and pseudo-element strings from an element
+ */
+
+const ElementStrings = require('../../src/lib/element-strings');
+
+describe('ElementStrings Unit Tests', () => {
+  const create = html => {
+    const container = document.createElement('div');
+    container.innerHTML = html;
+    return container.firstElementChild;
+  };
+  const pseudoView = contents => ({
+    getComputedStyle: (element, pseudo) => ({
+      getPropertyValue: () => (pseudo ? contents[pseudo] || 'none' : '')
+    })
+  });
+
+  describe('parseCssContent', () => {
+    test('should read quoted strings and resolve escapes', () => {
+      expect(ElementStrings.parseCssContent('"Sale"')).toBe('Sale');
+      expect(ElementStrings.parseCssContent('"Say \\"hi\\""')).toBe('Say "hi"');
+      expect(ElementStrings.parseCssContent('"\\201C 限時優惠"')).toBe('“限時優惠');
+    });
+
+    test('should join strings with attr() values and skip other tokens', () => {
+      const getAttribute = name => (name === 'data-label' ? '熱賣' : null);
+      expect(ElementStrings.parseCssContent('"標籤：" attr(data-label)', getAttribute)).toBe('標籤：熱賣');
+      expect(ElementStrings.parseCssContent('open-quote counter(item) "."')).toBe('.');
+    });
+
+    test('should return an empty string for none and normal', () => {
+      expect(ElementStrings.parseCssContent('none')).toBe('');
+      expect(ElementStrings.parseCssContent('normal')).toBe('');
+      expect(ElementStrings.parseCssContent('')).toBe('');
+    });
+  });
+
+  describe('isTranslatableText', () => {
+    test('should skip separators and icon-font glyphs', () => {
+      expect(ElementStrings.isTranslatableText('Book now')).toBe(true);
+      expect(ElementStrings.isTranslatableText('立即預訂')).toBe(true);
+      expect(ElementStrings.isTranslatableText(' • ')).toBe(false);
+      expect(ElementStrings.isTranslatableText('')).toBe(false);
+      expect(ElementStrings.isTranslatableText(null)).toBe(false);
+    });
+  });
+
+  describe('collectElementStrings', () => {
+    test('should collect text and translatable attributes', () => {
+      const element = create('<button title="加入購物車" aria-label="Add to cart">加入</button>');
+      expect(ElementStrings.collectElementStrings(element, null)).toEqual([
+        { text: '加入', sources: [{ type: 'text', name: '' }] },
+        { text: '加入購物車', sources: [{ type: 'attribute', name: 'title' }] },
+        { text: 'Add to cart', sources: [{ type: 'attribute', name: 'aria-label' }] }
+      ]);
+    });
+
+    test('should read placeholders and input button values', () => {
+      const input = create('<input placeholder="搜尋目的地">');
+      const submit = create('<input type="submit" value="送出">');
+
+      expect(ElementStrings.collectElementStrings(input, null).map(item => item.text)).toEqual(['搜尋目的地']);
+      expect(ElementStrings.collectElementStrings(submit, null)).toEqual([
+        { text: '送出', sources: [{ type: 'attribute', name: 'value' }] }
+      ]);
+    });
+
+    test('should merge sources that show the same text', () => {
+      const element = create('<img alt="Taipei 101" title="Taipei 101">');
+      expect(ElementStrings.collectElementStrings(element, null)).toEqual([
+        { text: 'Taipei 101', sources: [{ type: 'attribute', name: 'title' }, { type: 'attribute', name: 'alt' }] }
+      ]);
+    });
+
+    test('should read ::before and ::after content', () => {
+      const element = create('<span data-tag="熱賣">商品</span>');
+      const view = pseudoView({ '::before': 'attr(data-tag)', '::after': '"\\f101"' });
+
+      expect(ElementStrings.collectElementStrings(element, view)).toEqual([
+        { text: '商品', sources: [{ type: 'text', name: '' }] },
+        { text: '熱賣', sources: [{ type: 'pseudo', name: '::before' }] }
+      ]);
+    });
+  });
+});
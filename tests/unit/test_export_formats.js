@@ -0,0 +1,162 @@
+/**
+ * Unit Test: ExportFormats
+ * Tests serialization of reports and translation data for download
+ */
+
+const ExportFormats = require('../../src/lib/export-formats');
+
+describe('ExportFormats Unit Tests', () => {
+  describe('escapeCsvField', () => {
+    test('should leave plain values untouched', () => {
+      expect(ExportFormats.escapeCsvField('立即訂購')).toBe('立即訂購');
+      expect(ExportFormats.escapeCsvField(3)).toBe('3');
+    });
+
+    test('should quote values with commas, quotes and newlines', () => {
+      expect(ExportFormats.escapeCsvField('a,b')).toBe('"a,b"');
+      expect(ExportFormats.escapeCsvField('say "hi"')).toBe('"say ""hi"""');
+      expect(ExportFormats.escapeCsvField('line1\nline2')).toBe('"line1\nline2"');
+    });
+
+    test('should quote values with leading or trailing spaces', () => {
+      expect(ExportFormats.escapeCsvField(' padded ')).toBe('" padded "');
+    });
+
+    test('should render null and undefined as empty fields', () => {
+      expect(ExportFormats.escapeCsvField(null)).toBe('');
+      expect(ExportFormats.escapeCsvField(undefined)).toBe('');
+    });
+  });
+
+  describe('toCSV', () => {
+    test('should write a header and one line per row', () => {
+      const csv = ExportFormats.toCSV([
+        { text: '免費取消', selector: 'div.badge', count: 2 },
+        { text: 'Book, now', selector: 'button', count: 1 }
+      ], ['text', 'selector', 'count']);
+
+      expect(csv).toBe('text,selector,count\r\n免費取消,div.badge,2\r\n"Book, now",button,1\r\n');
+    });
+
+    test('should throw without columns', () => {
+      expect(() => ExportFormats.toCSV([], [])).toThrow('CSV export requires rows and columns');
+    });
+  });
+
+  describe('toJSON', () => {
+    test('should pretty-print with a trailing newline', () => {
+      expect(ExportFormats.toJSON({ a: 1 })).toBe('{\n  "a": 1\n}\n');
+    });
+  });
+
+  describe('toFlatObject', () => {
+    test('should map entries to a key → value object', () => {
+      const flat = ExportFormats.toFlatObject([
+        { key: 'common.ok', val: '確定' },
+        { key: 'common.cancel', val: '取消' }
+      ]);
+      expect(flat).toEqual({ 'common.ok': '確定', 'common.cancel': '取消' });
+    });
+  });
+
+  describe('toNestedObject', () => {
+    test('should nest dot-separated keys', () => {
+      const nested = ExportFormats.toNestedObject([
+        { key: 'common.button.ok', val: '確定' },
+        { key: 'common.button.cancel', val: '取消' },
+        { key: 'common.title', val: '標題' }
+      ]);
+      expect(nested).toEqual({
+        common: { button: { ok: '確定', cancel: '取消' }, title: '標題' }
+      });
+    });
+
+    test('should keep a longer key dot-joined when its prefix is a value', () => {
+      const nested = ExportFormats.toNestedObject([
+        { key: 'a.b', val: 'x' },
+        { key: 'a.b.c', val: 'y' }
+      ]);
+      expect(nested).toEqual({ a: { b: 'x', 'b.c': 'y' } });
+    });
+
+    test('should keep a shorter key at the top level when it is already a prefix', () => {
+      const nested = ExportFormats.toNestedObject([
+        { key: 'a.b.c', val: 'y' },
+        { key: 'a.b', val: 'x' }
+      ]);
+      expect(nested).toEqual({ a: { b: { c: 'y' } }, 'a.b': 'x' });
+    });
+  });
+
+  describe('toLocaleRows', () => {
+    test('should emit one row per key and locale with a value', () => {
+      const rows = ExportFormats.toLocaleRows(['common.ok', 'common.cancel'], {
+        'zh-tw': { 'common.ok': '確定', 'common.cancel': '取消' },
+        en: { 'common.ok': 'OK' }
+      });
+      expect(rows).toEqual([
+        { key: 'common.ok', value: '確定', locale: 'zh-tw' },
+        { key: 'common.ok', value: 'OK', locale: 'en' },
+        { key: 'common.cancel', value: '取消', locale: 'zh-tw' }
+      ]);
+    });
+  });
+
+  describe('escapeXml', () => {
+    test('should escape XML special characters', () => {
+      expect(ExportFormats.escapeXml('<b>"A" & \'B\'</b>')).toBe('&lt;b&gt;&quot;A&quot; &amp; &apos;B&apos;&lt;/b&gt;');
+    });
+  });
+
+  describe('toXLIFF', () => {
+    const entries = [
+      { key: 'common.ok', val: '確定' },
+      { key: 'review.count', val: '共 {count} 則 <評論>' }
+    ];
+
+    test('should write XLIFF 1.2 trans-units with optional targets', () => {
+      const xliff = ExportFormats.toXLIFF(entries, {
+        version: '1.2',
+        sourceLocale: 'zh-tw',
+        targetLocale: 'en',
+        targetValues: { 'common.ok': 'OK' },
+        original: 'zh-tw.kkday.com'
+      });
+
+      expect(xliff).toContain('<xliff version="1.2" xmlns="urn:oasis:names:tc:xliff:document:1.2">');
+      expect(xliff).toContain('source-language="zh-tw" target-language="en"');
+      expect(xliff).toContain('<trans-unit id="common.ok" resname="common.ok">');
+      expect(xliff).toContain('<target>OK</target>');
+      expect(xliff).toContain('<source>共 {count} 則 &lt;評論&gt;</source>');
+      expect(xliff.match(/<target>/g)).toHaveLength(1);
+    });
+
+    test('should write XLIFF 2.0 units with NMTOKEN ids and original key names', () => {
+      const xliff = ExportFormats.toXLIFF([
+        { key: 'page title', val: '標題' },
+        { key: 'page_title', val: '頁面標題' }
+      ], { version: '2.0', sourceLocale: 'zh-tw' });
+
+      expect(xliff).toContain('<xliff version="2.0" xmlns="urn:oasis:names:tc:xliff:document:2.0" srcLang="zh-tw">');
+      expect(xliff).toContain('<unit id="page_title" name="page title">');
+      expect(xliff).toContain('<unit id="page_title_2" name="page_title">');
+      expect(xliff).not.toContain('trgLang');
+    });
+
+    test('should reject unsupported versions', () => {
+      expect(() => ExportFormats.toXLIFF(entries, { version: '3.0' })).toThrow('Unsupported XLIFF version: 3.0');
+    });
+  });
+
+  describe('buildFileName', () => {
+    test('should include prefix, host and timestamp', () => {
+      const name = ExportFormats.buildFileName('hardcoded-strings', 'zh-tw.kkday.com', 'csv', new Date(2024, 0, 5, 9, 7));
+      expect(name).toBe('hardcoded-strings-zh-tw.kkday.com-20240105-0907.csv');
+    });
+
+    test('should replace unsafe host characters', () => {
+      const name = ExportFormats.buildFileName('export', 'localhost:3000', 'json', new Date(2024, 0, 5, 9, 7));
+      expect(name).toBe('export-localhost_3000-20240105-0907.json');
+    });
+  });
+});
@@ -0,0 +1,318 @@
+/**
+ * Unit Test: ExtractionRegistry
+ * Tests strategy selection and the built-in translation data extraction strategies
+ */
+
+const ExtractionRegistry = require('../../src/lib/extraction-registry');
+const strategies = require('../../src/lib/extraction-strategies');
+const nuxt3Payload = require('../../src/lib/extraction-strategies/nuxt3-payload');
+const DataExtractionService = require('../../src/services/DataExtractionService');
+const PageContext = require('../../src/models/PageContext');
+
+describe('ExtractionRegistry Unit Tests', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = ExtractionRegistry.createRegistry(strategies);
+    document.body.innerHTML = '';
+  });
+
+  function createStrategy(name, confidence, data) {
+    return {
+      name,
+      detect: () => true,
+      extract: () => ({ data, path: name }),
+      confidence: () => confidence
+    };
+  }
+
+  describe('register', () => {
+    test('should reject strategies without detect or extract', () => {
+      expect(() => registry.register({ name: 'broken' })).toThrow('Extraction strategy requires name, detect and extract');
+    });
+
+    test('should replace a strategy registered under the same name', () => {
+      const custom = ExtractionRegistry.createRegistry();
+      custom.register(createStrategy('source', 0.2, { a: '1' }));
+      custom.register(createStrategy('source', 0.7, { b: '2' }));
+
+      expect(custom.getStrategies()).toHaveLength(1);
+      expect(custom.run({}).confidence).toBe(0.7);
+    });
+
+    test('should register built-in strategies in priority order', () => {
+      expect(registry.getStrategies().map(strategy => strategy.name)).toEqual([
+        'nuxt2-state', 'nuxt3-payload', 'next-data', 'vue-i18n', 'i18next', 'init-state', 'storage', 'global-scan'
+      ]);
+    });
+  });
+
+  describe('run', () => {
+    test('should pick the most confident strategy and report it', () => {
+      const custom = ExtractionRegistry.createRegistry([
+        createStrategy('low', 0.3, { a: '1' }),
+        createStrategy('high', 0.9, { b: '2' })
+      ]);
+
+      const result = custom.run({});
+      expect(result.strategy).toBe('high');
+      expect(result.data).toEqual({ b: '2' });
+      expect(result.attempts.map(attempt => attempt.confidence)).toEqual([0.3, 0.9]);
+    });
+
+    test('should prefer the first registered strategy on ties', () => {
+      const custom = ExtractionRegistry.createRegistry([
+        createStrategy('first', 0.5, { a: '1' }),
+        createStrategy('second', 0.5, { b: '2' })
+      ]);
+
+      expect(custom.run({}).strategy).toBe('first');
+    });
+
+    test('should skip strategies without string values and record errors', () => {
+      const throwing = {
+        name: 'throws',
+        detect: () => true,
+        extract: () => {
+          throw new Error('boom');
+        }
+      };
+      const custom = ExtractionRegistry.createRegistry([
+        createStrategy('empty', 0.9, { nested: {} }),
+        throwing
+      ]);
+
+      const result = custom.run({});
+      expect(result.strategy).toBeNull();
+      expect(result.data).toBeNull();
+      expect(result.attempts[1].error).toBe('boom');
+    });
+
+    test('should choose the active locale from the source, then the page', () => {
+      const custom = ExtractionRegistry.createRegistry([{
+        name: 'multi',
+        detect: () => true,
+        extract: () => ({ locales: { zh_TW: { a: '確定' }, en: { a: 'OK' } } }),
+        confidence: () => 0.9
+      }]);
+
+      const result = custom.run({}, { pageLocale: 'EN' });
+      expect(Object.keys(result.locales)).toEqual(['zh-tw', 'en']);
+      expect(result.locale).toBe('en');
+      expect(result.data).toEqual({ a: 'OK' });
+    });
+  });
+
+  describe('built-in strategies', () => {
+    test('should read every locale from Nuxt 2 state', () => {
+      const result = registry.run({
+        __NUXT__: { state: { '$si18n_zh-tw': { ok: '確定' }, '$si18n_en': { ok: 'OK' }, user: {} } }
+      }, { pageLocale: 'en' });
+
+      expect(result.strategy).toBe('nuxt2-state');
+      expect(result.locale).toBe('en');
+      expect(Object.keys(result.locales)).toEqual(['zh-tw', 'en']);
+    });
+
+    test('should read next-i18next stores from the __NEXT_DATA__ script', () => {
+      document.body.innerHTML = `<script id="__NEXT_DATA__" type="application/json">${JSON.stringify({
+        props: { pageProps: { _nextI18Next: {
+          initialLocale: 'ja',
+          initialI18nStore: { ja: { common: { ok: 'OK' } }, 'zh-tw': { common: { ok: '確定' } } }
+        } } }
+      })}</script>`;
+
+      const result = registry.run({ document });
+      expect(result.strategy).toBe('next-data');
+      expect(result.locale).toBe('ja');
+      expect(result.data).toEqual({ common: { ok: 'OK' } });
+    });
+
+    test('should rebuild the Nuxt 3 payload from __NUXT_DATA__', () => {
+      // devalue format: numbers inside objects and arrays point at other entries
+      const payload = [
+        { state: 1 },
+        ['Reactive', 2],
+        { '$si18n_zh-tw': 3 },
+        { ok: 4 },
+        '確定'
+      ];
+      document.body.innerHTML = `<script id="__NUXT_DATA__" type="application/json">${JSON.stringify(payload)}</script>`;
+
+      const result = registry.run({ document });
+      expect(result.strategy).toBe('nuxt3-payload');
+      expect(result.locales).toEqual({ 'zh-tw': { ok: '確定' } });
+    });
+
+    test('should unflatten arrays and shared references', () => {
+      expect(nuxt3Payload.unflatten([{ list: 1, again: 2 }, [2, 2], 'x'])).toEqual({ list: ['x', 'x'], again: 'x' });
+      expect(nuxt3Payload.unflatten([])).toBeNull();
+    });
+
+    test('should read messages from a vue-i18n instance on the Vue 2 root', () => {
+      document.body.innerHTML = '<div id="app"></div>';
+      document.getElementById('app').__vue__ = {
+        $root: { $i18n: { locale: 'zh-tw', messages: { 'zh-tw': { ok: '確定' }, en: { ok: 'OK' } } } }
+      };
+
+      const result = registry.run({ document });
+      expect(result.strategy).toBe('vue-i18n');
+      expect(result.locale).toBe('zh-tw');
+      expect(result.path).toBe('vm.$root.$i18n.messages');
+    });
+
+    test('should unwrap composer refs from a Vue 3 app', () => {
+      document.body.innerHTML = '<div id="__nuxt"></div>';
+      document.getElementById('__nuxt').__vue_app__ = {
+        config: { globalProperties: { $i18n: { global: {
+          locale: { __v_isRef: true, value: 'en' },
+          messages: { __v_isRef: true, value: { en: { ok: 'OK' } } }
+        } } } }
+      };
+
+      const result = registry.run({ document });
+      expect(result.strategy).toBe('vue-i18n');
+      expect(result.data).toEqual({ ok: 'OK' });
+    });
+
+    test('should find vue-i18n on window.$nuxt and in Vue 3 provides', () => {
+      const vueI18n = registry.getStrategy('vue-i18n');
+      const instance = { locale: 'en', messages: { en: { ok: 'OK' } } };
+      expect(vueI18n.findInstance({ $nuxt: { $i18n: instance } }).path).toBe('window.$nuxt.$i18n');
+
+      document.body.innerHTML = '<div id="app"></div>';
+      const i18nSymbol = Symbol('vue-i18n');
+      document.getElementById('app').__vue_app__ = {
+        config: { globalProperties: {} },
+        _context: { provides: { [i18nSymbol]: { global: instance } } }
+      };
+      expect(vueI18n.findInstance({ document }).instance).toBe(instance);
+    });
+
+    test('should find live instances whose messages are not loaded yet', () => {
+      const lazyVueI18n = { locale: 'en', messages: {}, setLocaleMessage: jest.fn() };
+      const lazyI18next = { language: 'en', store: { data: {}, on: jest.fn() } };
+
+      expect(registry.getStrategy('vue-i18n').findInstance({ i18n: lazyVueI18n }).instance).toBe(lazyVueI18n);
+      expect(registry.getStrategy('i18next').findInstance({ i18next: lazyI18next }).instance).toBe(lazyI18next);
+
+      // Detected, but nothing to report until messages arrive
+      const result = registry.run({ i18next: lazyI18next });
+      expect(result.strategy).toBeNull();
+      expect(result.attempts.find(attempt => attempt.name === 'i18next').detected).toBe(true);
+    });
+
+    test('should look up strategies by name', () => {
+      expect(registry.getStrategy('init-state').name).toBe('init-state');
+      expect(registry.getStrategy('unknown')).toBeNull();
+    });
+
+    test('should read every language from an i18next store', () => {
+      const result = registry.run({
+        i18next: { language: 'en', store: { data: { en: { common: { ok: 'OK' } }, ko: { common: { ok: '확인' } } } } }
+      });
+
+      expect(result.strategy).toBe('i18next');
+      expect(result.locale).toBe('en');
+      expect(result.path).toBe('window.i18next.store.data');
+    });
+
+    test('should name __INIT_STATE__ data after the page locale', () => {
+      const result = registry.run({ __INIT_STATE__: { lang: { ok: '確定' } } }, { pageLocale: 'zh-hk' });
+
+      expect(result.strategy).toBe('init-state');
+      expect(result.locales).toEqual({ 'zh-hk': { ok: '確定' } });
+    });
+
+    test('should parse JSON translations from Web Storage', () => {
+      const storage = {
+        'app-i18n-cache': JSON.stringify({ ok: '確定' }),
+        token: 'abc',
+        getItem(key) {
+          return this[key];
+        }
+      };
+
+      const result = registry.run({ localStorage: storage });
+      expect(result.strategy).toBe('storage');
+      expect(result.path).toBe('localStorage[\'app-i18n-cache\']');
+    });
+
+    test('should prefer framework sources over the storage and global scan fallbacks', () => {
+      const result = registry.run({
+        __INIT_STATE__: { lang: { ok: '確定' } },
+        $translations: Object.fromEntries(Array.from({ length: 20 }, (_, i) => [`key_${i}`, `value ${i}`]))
+      });
+
+      expect(result.strategy).toBe('init-state');
+      expect(result.attempts.find(attempt => attempt.name === 'global-scan').count).toBe(20);
+    });
+  });
+
+  describe('DataExtractionService integration', () => {
+    test('should report the winning strategy and flatten nested data', async() => {
+      const context = new PageContext('www.kkday.com', '/en/product/1', true, true, 'en');
+      const globalScope = {
+        i18next: { language: 'en', store: { data: { en: { common: { ok: 'OK', cancel: 'Cancel' } } } } }
+      };
+
+      const result = await DataExtractionService.extractTranslationData(context, globalScope);
+      expect(result.success).toBe(true);
+      expect(result.strategy).toBe('i18next');
+      expect(result.data.map(entry => entry.key)).toEqual(['common.ok', 'common.cancel']);
+    });
+
+    test('should pick the page language from Nuxt state', async() => {
+      const context = new PageContext('www.kkday.com', '/ja/product/1', true, true, 'ja');
+      const globalScope = DataExtractionService.createMockGlobalScope('nuxt', 'ja');
+
+      const result = await DataExtractionService.extractTranslationData(context, globalScope);
+      expect(result.strategy).toBe('nuxt2-state');
+      expect(result.locale).toBe('ja');
+      expect(result.count).toBe(3);
+    });
+
+    test('should fail when no strategy finds data', async() => {
+      const context = new PageContext('www.kkday.com', '/zh-tw/', true, false, 'zh-tw');
+      const result = await DataExtractionService.extractTranslationData(context, {});
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('No translation data found in global variables');
+    });
+
+    test('should keep the per-source extract methods', () => {
+      const context = new PageContext('www.kkday.com', '/ja/product/1', true, true, 'ja');
+      const nuxtScope = DataExtractionService.createMockGlobalScope('nuxt', 'ja');
+      const initScope = DataExtractionService.createMockGlobalScope('init_state');
+
+      expect(DataExtractionService.extractFromNuxt(context, nuxtScope)).toEqual({
+        data: nuxtScope.__NUXT__.state.$si18n_ja,
+        path: '__NUXT__.state[\'$si18n_ja\']'
+      });
+      expect(DataExtractionService.extractFromInitState(initScope)).toEqual({
+        data: initScope.__INIT_STATE__.lang,
+        path: '__INIT_STATE__.lang'
+      });
+      expect(() => DataExtractionService.extractFromNuxt(context, {})).toThrow('__NUXT__ global variable not found');
+      expect(() => DataExtractionService.extractFromNuxt(context, DataExtractionService.createMockGlobalScope('nuxt', 'en')))
+        .toThrow('Translation data not found at __NUXT__.state[\'$si18n_ja\']');
+      expect(() => DataExtractionService.extractFromInitState({ __INIT_STATE__: {} }))
+        .toThrow('Translation data not found at __INIT_STATE__.lang');
+    });
+
+    test('should list the paths of available data sources', () => {
+      const globalScope = {
+        ...DataExtractionService.createMockGlobalScope('nuxt', 'zh-tw'),
+        ...DataExtractionService.createMockGlobalScope('init_state')
+      };
+      globalScope.__NUXT__.state.$si18n_en = { ok: 'OK' };
+
+      expect(DataExtractionService.getAvailableDataSources(globalScope)).toEqual([
+        '__NUXT__.state[\'$si18n_zh-tw\']',
+        '__NUXT__.state[\'$si18n_en\']',
+        '__INIT_STATE__.lang'
+      ]);
+      expect(DataExtractionService.getAvailableDataSources({})).toEqual([]);
+    });
+  });
+});
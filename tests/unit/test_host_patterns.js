@@ -0,0 +1,100 @@
+/**
+ * Unit Test: HostPatterns
+ * Tests the host allowlist that decides which sites the extension runs on
+ */
+
+const HostPatterns = require('../../src/lib/host-patterns');
+
+describe('HostPatterns Unit Tests', () => {
+  describe('normalizePattern', () => {
+    test('should expand host shorthand into match patterns', () => {
+      expect(HostPatterns.normalizePattern('localhost:3000')).toBe('*://localhost:3000/*');
+      expect(HostPatterns.normalizePattern(' Staging.Example.com ')).toBe('*://staging.example.com/*');
+      expect(HostPatterns.normalizePattern('*.partner.com')).toBe('*://*.partner.com/*');
+      expect(HostPatterns.normalizePattern('partner.com/tw/*')).toBe('*://partner.com/tw/*');
+    });
+
+    test('should keep full patterns and add a missing path', () => {
+      expect(HostPatterns.normalizePattern('https://*.kkday-stage.com/*')).toBe('https://*.kkday-stage.com/*');
+      expect(HostPatterns.normalizePattern('http://127.0.0.1:8080')).toBe('http://127.0.0.1:8080/*');
+    });
+
+    test('should reject empty and overly broad patterns', () => {
+      expect(() => HostPatterns.normalizePattern('  ')).toThrow('Host pattern is required');
+      expect(() => HostPatterns.normalizePattern('*')).toThrow('Invalid host pattern: *');
+      expect(() => HostPatterns.normalizePattern('<all_urls>')).toThrow('Invalid host pattern');
+      expect(() => HostPatterns.normalizePattern('ftp://example.com/*')).toThrow('Invalid host pattern');
+      expect(() => HostPatterns.normalizePattern('a.*.example.com')).toThrow('Invalid host pattern');
+    });
+  });
+
+  describe('getPatterns', () => {
+    test('should list the built-in pattern first and skip invalid or duplicate extras', () => {
+      expect(HostPatterns.getPatterns(['*://localhost:3000/*', 'bad', '*://*.kkday.com/*'])).toEqual([
+        '*://*.kkday.com/*',
+        '*://localhost:3000/*'
+      ]);
+      expect(HostPatterns.getPatterns(undefined)).toEqual(HostPatterns.DEFAULT_PATTERNS);
+    });
+  });
+
+  describe('matchesUrl', () => {
+    test('should match schemes, wildcard hosts and ports', () => {
+      expect(HostPatterns.matchesUrl('https://www.kkday.com/zh-tw/', '*://*.kkday.com/*')).toBe(true);
+      expect(HostPatterns.matchesUrl('http://kkday.com/', '*://*.kkday.com/*')).toBe(true);
+      expect(HostPatterns.matchesUrl('https://kkday.com.evil.com/', '*://*.kkday.com/*')).toBe(false);
+      expect(HostPatterns.matchesUrl('file:///tmp/a.html', '*://*.kkday.com/*')).toBe(false);
+
+      expect(HostPatterns.matchesUrl('http://localhost:3000/product/1', '*://localhost:3000/*')).toBe(true);
+      expect(HostPatterns.matchesUrl('http://localhost:8080/', '*://localhost:3000/*')).toBe(false);
+      expect(HostPatterns.matchesUrl('http://localhost:8080/', '*://localhost/*')).toBe(true);
+      expect(HostPatterns.matchesUrl('http://staging.example.com/', 'https://staging.example.com/*')).toBe(false);
+    });
+
+    test('should match paths with wildcards', () => {
+      expect(HostPatterns.matchesUrl('https://partner.com/tw/page?x=1', '*://partner.com/tw/*')).toBe(true);
+      expect(HostPatterns.matchesUrl('https://partner.com/jp/page', '*://partner.com/tw/*')).toBe(false);
+    });
+
+    test('should not match invalid URLs or patterns', () => {
+      expect(HostPatterns.matchesUrl('not a url', '*://*.kkday.com/*')).toBe(false);
+      expect(HostPatterns.matchesUrl('https://www.kkday.com/', 'bad')).toBe(false);
+    });
+  });
+
+  describe('isAllowedUrl and isAllowedHost', () => {
+    test('should allow KKday by default and extra hosts from settings', () => {
+      const extra = ['*://localhost:3000/*', '*://*.partner-travel.com/*'];
+
+      expect(HostPatterns.isAllowedUrl('https://www.kkday.com/', [])).toBe(true);
+      expect(HostPatterns.isAllowedUrl('http://localhost:3000/', [])).toBe(false);
+      expect(HostPatterns.isAllowedUrl('http://localhost:3000/', extra)).toBe(true);
+
+      expect(HostPatterns.isAllowedHost('shop.partner-travel.com', extra)).toBe(true);
+      expect(HostPatterns.isAllowedHost('example.com', extra)).toBe(false);
+    });
+  });
+
+  describe('getGrantedPatterns and isActiveUrl', () => {
+    const extra = ['*://localhost:3000/*', '*://*.partner-travel.com/*', '*://*.kkday.com/*'];
+    const permissions = {
+      contains: jest.fn(async({ origins }) => origins[0] === '*://localhost:3000/*')
+    };
+
+    test('should keep only extra patterns whose permission was granted', async() => {
+      await expect(HostPatterns.getGrantedPatterns(extra, permissions)).resolves.toEqual(['*://localhost:3000/*']);
+      expect(permissions.contains).not.toHaveBeenCalledWith({ origins: ['*://*.kkday.com/*'] });
+
+      const failing = { contains: () => Promise.reject(new Error('No permission API')) };
+      await expect(HostPatterns.getGrantedPatterns(extra, failing)).resolves.toEqual([]);
+      await expect(HostPatterns.getGrantedPatterns(extra, undefined)).resolves.toEqual([]);
+    });
+
+    test('should activate on KKday and on granted extra hosts only', async() => {
+      await expect(HostPatterns.isActiveUrl('https://www.kkday.com/', extra, permissions)).resolves.toBe(true);
+      await expect(HostPatterns.isActiveUrl('http://localhost:3000/', extra, permissions)).resolves.toBe(true);
+      await expect(HostPatterns.isActiveUrl('https://shop.partner-travel.com/', extra, permissions)).resolves.toBe(false);
+      await expect(HostPatterns.isActiveUrl('http://localhost:8080/', extra, permissions)).resolves.toBe(false);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Unit Test: KeyTree
+ * Tests building and browsing the namespace tree of translation keys
+ */
+
+const KeyTree = require('../../src/lib/key-tree');
+
+describe('KeyTree Unit Tests', () => {
+  let entries;
+  let tree;
+
+  beforeEach(() => {
+    entries = [
+      { key: 'product.booking.order_now', val: '立即訂購' },
+      { key: 'product.booking.date', val: '選擇日期' },
+      { key: 'product.title', val: '商品名稱' },
+      { key: 'common.ok', val: '確定' },
+      { key: 'common', val: '通用' }
+    ];
+    tree = KeyTree.buildTree(entries);
+  });
+
+  describe('buildTree', () => {
+    test('should count keys at or below every node', () => {
+      expect(tree.count).toBe(5);
+      expect(KeyTree.findNode(tree, 'product').count).toBe(3);
+      expect(KeyTree.findNode(tree, 'product.booking').count).toBe(2);
+      expect(KeyTree.findNode(tree, 'product.booking.date').count).toBe(1);
+    });
+
+    test('should keep a key that is also a namespace', () => {
+      const common = KeyTree.findNode(tree, 'common');
+      expect(common.entry.val).toBe('通用');
+      expect(common.children.has('ok')).toBe(true);
+      expect(common.count).toBe(2);
+    });
+
+    test('should skip invalid entries', () => {
+      const built = KeyTree.buildTree([null, { key: '' }, { key: 'a', val: 'A' }]);
+      expect(built.count).toBe(1);
+    });
+  });
+
+  describe('findNode', () => {
+    test('should return the root for an empty path and null for unknown prefixes', () => {
+      expect(KeyTree.findNode(tree, '')).toBe(tree);
+      expect(KeyTree.findNode(tree, 'product.missing')).toBeNull();
+    });
+  });
+
+  describe('collectEntries', () => {
+    test('should list every entry in a subtree', () => {
+      const keys = KeyTree.collectEntries(KeyTree.findNode(tree, 'product')).map(entry => entry.key);
+      expect(keys).toEqual(['product.booking.order_now', 'product.booking.date', 'product.title']);
+    });
+  });
+
+  describe('filterTree', () => {
+    test('should keep keys matching by key or value within the subtree', () => {
+      const product = KeyTree.findNode(tree, 'product');
+
+      const byKey = KeyTree.filterTree(product, 'ORDER');
+      expect(byKey.count).toBe(1);
+      expect(byKey.path).toBe('product');
+      expect(KeyTree.collectEntries(byKey)[0].key).toBe('product.booking.order_now');
+
+      const byValue = KeyTree.filterTree(product, '日期');
+      expect(KeyTree.collectEntries(byValue).map(entry => entry.key)).toEqual(['product.booking.date']);
+    });
+
+    test('should not match keys outside the subtree', () => {
+      const filtered = KeyTree.filterTree(KeyTree.findNode(tree, 'product'), '確定');
+      expect(filtered.count).toBe(0);
+      expect(filtered.children.size).toBe(0);
+    });
+
+    test('should return the subtree unchanged for a blank query', () => {
+      const product = KeyTree.findNode(tree, 'product');
+      expect(KeyTree.filterTree(product, '  ')).toBe(product);
+    });
+  });
+
+  describe('getChildren', () => {
+    test('should list namespaces before keys, then sort by name', () => {
+      const names = KeyTree.getChildren(KeyTree.findNode(tree, 'product')).map(node => node.name);
+      expect(names).toEqual(['booking', 'title']);
+
+      const bookingNames = KeyTree.getChildren(KeyTree.findNode(tree, 'product.booking')).map(node => node.name);
+      expect(bookingNames).toEqual(['date', 'order_now']);
+    });
+  });
+
+  describe('getPrefix and getBreadcrumbs', () => {
+    test('should build the key prefix for a node', () => {
+      expect(KeyTree.getPrefix(KeyTree.findNode(tree, 'product.booking'))).toBe('product.booking.');
+      expect(KeyTree.getPrefix(tree)).toBe('');
+    });
+
+    test('should split a path into breadcrumb segments', () => {
+      expect(KeyTree.getBreadcrumbs('product.booking')).toEqual([
+        { name: 'product', path: 'product' },
+        { name: 'booking', path: 'product.booking' }
+      ]);
+      expect(KeyTree.getBreadcrumbs('')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * Unit Test: LocaleAudit
+ * Tests how missing, empty, untranslated and wrong-script values are found across locales
+ */
+
+const LocaleAudit = require('../../src/lib/locale-audit');
+
+describe('LocaleAudit Unit Tests', () => {
+  const locales = {
+    'zh-tw': { 'btn.book': '立即預訂', 'review.count': '共 {count} 則評論', 'brand': 'KKday' },
+    'en': { 'btn.book': 'Book now', 'btn.cancel': 'Cancel', 'review.count': '{count} reviews', 'brand': 'KKday' },
+    'ja': { 'btn.book': 'Book now', 'btn.cancel': '', 'review.count': '{count} reviews here', 'brand': 'KKday' },
+    'en-gb': { 'btn.book': 'Book now', 'btn.cancel': 'Cancel', 'review.count': '{count} reviews', 'brand': 'KKday' }
+  };
+
+  describe('auditLocales', () => {
+    test('should report missing, empty, untranslated and wrong-script values', () => {
+      const audit = LocaleAudit.auditLocales(locales);
+
+      expect(audit.sourceLocale).toBe('en');
+      expect(audit.keyCount).toBe(4);
+      expect(audit.issues.map(issue => `${issue.key}|${issue.locale}|${issue.type}`)).toEqual([
+        'brand|zh-tw|untranslated',
+        'brand|ja|untranslated',
+        'btn.book|ja|untranslated',
+        'btn.cancel|zh-tw|missing',
+        'btn.cancel|ja|empty',
+        'review.count|ja|wrong-script'
+      ]);
+      expect(audit.issues[3]).toEqual({ key: 'btn.cancel', locale: 'zh-tw', type: 'missing', value: null, sourceValue: 'Cancel' });
+      expect(audit.counts.byType).toEqual({ 'missing': 1, 'empty': 1, 'untranslated': 3, 'wrong-script': 1 });
+      expect(audit.counts.byLocale).toEqual({ 'zh-tw': 2, 'en': 0, 'ja': 4, 'en-gb': 0 });
+    });
+
+    test('should use the given source locale', () => {
+      const audit = LocaleAudit.auditLocales(locales, { sourceLocale: 'zh-tw' });
+      expect(audit.sourceLocale).toBe('zh-tw');
+      expect(audit.issues.filter(issue => issue.type === 'untranslated').map(issue => issue.locale))
+        .toEqual(['en', 'ja', 'en-gb']);
+    });
+
+    test('should handle no locales', () => {
+      expect(LocaleAudit.auditLocales({})).toMatchObject({ sourceLocale: null, keyCount: 0, issues: [] });
+    });
+  });
+
+  describe('isWrongScript', () => {
+    test('should flag values written in none of the locale scripts', () => {
+      expect(LocaleAudit.isWrongScript('Book now', 'ja')).toBe(true);
+      expect(LocaleAudit.isWrongScript('立即預訂', 'en')).toBe(true);
+      expect(LocaleAudit.isWrongScript('지금 예약', 'zh-TW')).toBe(true);
+    });
+
+    test('should accept mixed copy and ignore placeholders, markup and unknown locales', () => {
+      expect(LocaleAudit.isWrongScript('KKday のおすすめ', 'ja')).toBe(false);
+      expect(LocaleAudit.isWrongScript('<b>{count}</b> 件', 'ja')).toBe(false);
+      expect(LocaleAudit.isWrongScript('{{count}} %s', 'ja')).toBe(false);
+      expect(LocaleAudit.isWrongScript('Book now', 'xx')).toBe(false);
+      expect(LocaleAudit.isWrongScript('예약', 'ko_KR')).toBe(false);
+    });
+  });
+
+  describe('pickSourceLocale', () => {
+    test('should prefer English, then the locale with the most keys', () => {
+      expect(LocaleAudit.pickSourceLocale({ 'zh-tw': {}, 'en-US': {} })).toBe('en-US');
+      expect(LocaleAudit.pickSourceLocale({ 'zh-tw': { a: '1' }, 'ja': { a: '1', b: '2' } })).toBe('ja');
+      expect(LocaleAudit.pickSourceLocale(null)).toBeNull();
+    });
+  });
+
+  describe('indexByKey', () => {
+    test('should group issues by key', () => {
+      const index = LocaleAudit.indexByKey(LocaleAudit.auditLocales(locales).issues);
+      expect(index.get('btn.cancel').map(issue => issue.locale)).toEqual(['zh-tw', 'ja']);
+      expect(index.has('missing.key')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * Unit Test: LocaleFiles
+ * Tests parsing imported locale files and combining them by locale
+ */
+
+const LocaleFiles = require('../../src/lib/locale-files');
+
+describe('LocaleFiles Unit Tests', () => {
+  describe('detectFormat and guessLocale', () => {
+    test('should detect formats from file extensions', () => {
+      expect(LocaleFiles.detectFormat('zh-TW.json')).toBe('json');
+      expect(LocaleFiles.detectFormat('en.YML')).toBe('yaml');
+      expect(LocaleFiles.detectFormat('messages.po')).toBe('po');
+      expect(LocaleFiles.detectFormat('messages_ja.properties')).toBe('properties');
+      expect(LocaleFiles.detectFormat('notes.txt')).toBeNull();
+    });
+
+    test('should guess locales from common file names', () => {
+      expect(LocaleFiles.guessLocale('zh-TW.json')).toBe('zh-tw');
+      expect(LocaleFiles.guessLocale('locales/en.yml')).toBe('en');
+      expect(LocaleFiles.guessLocale('messages_zh_Hant.properties')).toBe('zh-hant');
+      expect(LocaleFiles.guessLocale('common.ja.json')).toBe('ja');
+      expect(LocaleFiles.guessLocale('messages.po')).toBe('');
+    });
+  });
+
+  describe('parseJSON', () => {
+    test('should flatten nested JSON and keep flat keys', () => {
+      const messages = LocaleFiles.parseJSON(JSON.stringify({
+        common: { ok: '確定', list: ['a'], count: 3 },
+        'product.title': '商品名稱'
+      }));
+
+      expect(messages).toEqual({ 'common.ok': '確定', 'product.title': '商品名稱' });
+    });
+
+    test('should report invalid JSON', () => {
+      expect(() => LocaleFiles.parseJSON('{ ok: 1 }')).toThrow(/^Invalid JSON/);
+      expect(() => LocaleFiles.parseJSON('[]')).toThrow('JSON locale file must contain an object');
+    });
+  });
+
+  describe('parseYAML', () => {
+    test('should read nested mappings, quotes and comments', () => {
+      const messages = LocaleFiles.parseYAML([
+        '# Traditional Chinese',
+        'common:',
+        '  ok: 確定 # button',
+        '  "cancel": \'取消\'',
+        '  greeting: "你好，\\"{name}\\""',
+        '  tags:',
+        '    - a',
+        '    - b',
+        'product:',
+        '  title: It\'s here',
+        '  price: "#1 價格"',
+        '  empty: ~'
+      ].join('\n'));
+
+      expect(messages).toEqual({
+        'common.ok': '確定',
+        'common.cancel': '取消',
+        'common.greeting': '你好，"{name}"',
+        'product.title': 'It\'s here',
+        'product.price': '#1 價格'
+      });
+    });
+
+    test('should read literal and folded block scalars', () => {
+      const messages = LocaleFiles.parseYAML([
+        'terms: |',
+        '  第一行',
+        '  第二行',
+        'intro: >-',
+        '  folded',
+        '  text',
+        'next: value'
+      ].join('\n'));
+
+      expect(messages).toEqual({ terms: '第一行\n第二行\n', intro: 'folded text', next: 'value' });
+    });
+
+    test('should report lines that are not key-value pairs', () => {
+      expect(() => LocaleFiles.parseYAML('ok: 確定\njust text')).toThrow('Line 2: expected "key: value"');
+      expect(() => LocaleFiles.parseYAML('common:\n\tok: 確定')).toThrow('Line 2: tabs are not allowed for indentation');
+    });
+  });
+
+  describe('parsePO', () => {
+    const po = [
+      'msgid ""',
+      'msgstr ""',
+      '"Language: zh_TW\\n"',
+      '"Content-Type: text/plain; charset=UTF-8\\n"',
+      '',
+      '#: src/pages/product.vue:12',
+      'msgid "product.book_now"',
+      'msgstr "立即訂購"',
+      '',
+      'msgctxt "button"',
+      'msgid "ok"',
+      'msgstr ""',
+      '"確"',
+      '"定"',
+      '',
+      'msgid "review.count"',
+      'msgid_plural "review.count"',
+      'msgstr[0] "{n} 則評論"',
+      'msgstr[1] "{n} reviews"',
+      '',
+      'msgid "untranslated"',
+      'msgstr ""',
+      '',
+      '#~ msgid "obsolete"',
+      '#~ msgstr "舊的"'
+    ].join('\n');
+
+    test('should read translated entries with context and plural forms', () => {
+      expect(LocaleFiles.parsePO(po)).toEqual({
+        'product.book_now': '立即訂購',
+        'button.ok': '確定',
+        'review.count': '{n} 則評論'
+      });
+    });
+
+    test('should read the locale from the header', () => {
+      expect(LocaleFiles.parsePoLanguage(po)).toBe('zh-tw');
+      expect(LocaleFiles.parsePoLanguage('msgid "a"\nmsgstr "b"')).toBe('');
+    });
+
+    test('should report malformed lines', () => {
+      expect(() => LocaleFiles.parsePO('msgid "a"\nmsgstr b')).toThrow('Line 2: unexpected "msgstr b"');
+    });
+  });
+
+  describe('parseProperties', () => {
+    test('should read separators, escapes and continued lines', () => {
+      const messages = LocaleFiles.parseProperties([
+        '# comment',
+        '! another comment',
+        'common.ok=確定',
+        'common.cancel : Cancel',
+        'common.close Close',
+        'product.title=\\u5546\\u54c1\\u540d\\u7a31',
+        'product.desc=Line one\\nLine two',
+        'product.long=first \\',
+        '    second',
+        'path\\=key=value'
+      ].join('\n'));
+
+      expect(messages).toEqual({
+        'common.ok': '確定',
+        'common.cancel': 'Cancel',
+        'common.close': 'Close',
+        'product.title': '商品名稱',
+        'product.desc': 'Line one\nLine two',
+        'product.long': 'first second',
+        'path=key': 'value'
+      });
+    });
+  });
+
+  describe('parseLocaleFile', () => {
+    test('should return the format, locale and entry count', () => {
+      const dictionary = LocaleFiles.parseLocaleFile('zh-TW.json', '{"common":{"ok":"確定"}}');
+      expect(dictionary).toEqual({
+        name: 'zh-TW.json',
+        format: 'json',
+        locale: 'zh-tw',
+        messages: { 'common.ok': '確定' },
+        count: 1
+      });
+    });
+
+    test('should prefer an explicit locale over the file name', () => {
+      expect(LocaleFiles.parseLocaleFile('en.yml', 'ok: OK', { locale: 'en_US' }).locale).toBe('en-us');
+    });
+
+    test('should reject unsupported and empty files', () => {
+      expect(() => LocaleFiles.parseLocaleFile('notes.txt', 'ok')).toThrow('Unsupported file type: notes.txt');
+      expect(() => LocaleFiles.parseLocaleFile('en.json', '{}')).toThrow('No translations found in en.json');
+    });
+  });
+
+  describe('upsertDictionary and buildLocales', () => {
+    test('should replace an earlier import of the same file and locale', () => {
+      const first = { name: 'en.json', locale: 'en', messages: { ok: 'OK' } };
+      const second = { name: 'en.json', locale: 'en', messages: { ok: 'Okay' } };
+      const other = { name: 'en.json', locale: 'en-gb', messages: { ok: 'OK' } };
+
+      const list = LocaleFiles.upsertDictionary(LocaleFiles.upsertDictionary([first, other], second), other);
+      expect(list).toEqual([second, other]);
+    });
+
+    test('should merge dictionaries per locale with later files winning', () => {
+      const locales = LocaleFiles.buildLocales([
+        { locale: 'en', messages: { ok: 'OK', cancel: 'Cancel' } },
+        { locale: 'EN', messages: { ok: 'Okay' } },
+        { locale: '', messages: { ok: '確定' } }
+      ], 'zh-TW');
+
+      expect(locales).toEqual({
+        en: { ok: 'Okay', cancel: 'Cancel' },
+        'zh-tw': { ok: '確定' }
+      });
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Unit Test: LocaleStore
+ * Tests how translations of several locales are stored, merged and which locale is active
+ */
+
+const LocaleStore = require('../../src/lib/locale-store');
+
+describe('LocaleStore Unit Tests', () => {
+  const locales = {
+    'zh-tw': { btn: { book: '立即預訂', cancel: '取消' }, brand: 'KKday' },
+    'en': { btn: { book: 'Book now', cancel: 'Cancel' }, brand: 'KKday' }
+  };
+
+  describe('flattenMessages', () => {
+    test('should flatten nested messages into dotted keys and skip non-string values', () => {
+      expect(LocaleStore.flattenMessages({ btn: { book: '立即預訂' }, list: ['a'], count: 3, empty: null })).toEqual([
+        { key: 'btn.book', val: '立即預訂' }
+      ]);
+      expect(LocaleStore.flattenMessages({ book: 'Book' }, 'btn')).toEqual([{ key: 'btn.book', val: 'Book' }]);
+      expect(LocaleStore.flattenMessages(null)).toEqual([]);
+    });
+  });
+
+  describe('storeLocales', () => {
+    test('should flatten every locale and activate the page locale', () => {
+      const stored = LocaleStore.storeLocales(locales, 'en');
+
+      expect(Object.keys(stored.localeData)).toEqual(['zh-tw', 'en']);
+      expect(stored.localeData['zh-tw']).toEqual([
+        { key: 'btn.book', val: '立即預訂' },
+        { key: 'btn.cancel', val: '取消' },
+        { key: 'brand', val: 'KKday' }
+      ]);
+      expect(stored.activeLocale).toBe('en');
+    });
+
+    test('should fall back to the first locale when the page locale has no data', () => {
+      expect(LocaleStore.storeLocales(locales, 'ja').activeLocale).toBe('zh-tw');
+      expect(LocaleStore.storeLocales({}, 'ja')).toEqual({ localeData: {}, activeLocale: undefined });
+    });
+  });
+
+  describe('mergeLocales', () => {
+    const stored = LocaleStore.storeLocales(locales, 'zh-tw').localeData;
+
+    test('should add and update keys and keep keys missing from the update', () => {
+      const merged = LocaleStore.mergeLocales(stored, {
+        'zh-tw': { btn: { book: '馬上預訂' }, review: { count: '共 {count} 則評論' } }
+      }, 'zh-tw', 'zh-tw');
+
+      expect(merged.localeData['zh-tw']).toEqual([
+        { key: 'btn.book', val: '馬上預訂' },
+        { key: 'btn.cancel', val: '取消' },
+        { key: 'brand', val: 'KKday' },
+        { key: 'review.count', val: '共 {count} 則評論' }
+      ]);
+      expect(merged.localeData.en).toBe(stored.en);
+      expect(stored['zh-tw']).toHaveLength(3);
+    });
+
+    test('should add new locales and switch to the locale the update was loaded for', () => {
+      const merged = LocaleStore.mergeLocales(stored, { ja: { btn: { book: '今すぐ予約' } } }, 'ja', 'zh-tw');
+      expect(Object.keys(merged.localeData)).toEqual(['zh-tw', 'en', 'ja']);
+      expect(merged.activeLocale).toBe('ja');
+    });
+
+    test('should keep the current locale when the update names none', () => {
+      expect(LocaleStore.mergeLocales(stored, { ja: { a: 'b' } }, undefined, 'en').activeLocale).toBe('en');
+      expect(LocaleStore.mergeLocales(stored, { ja: { a: 'b' } }, 'ko', 'en').activeLocale).toBe('en');
+    });
+
+    test('should pick the first locale when none is active yet', () => {
+      expect(LocaleStore.mergeLocales({}, { en: { a: 'b' } }, undefined, null).activeLocale).toBe('en');
+      expect(LocaleStore.mergeLocales({}, {}, undefined, null)).toEqual({ localeData: {}, activeLocale: null });
+    });
+  });
+});
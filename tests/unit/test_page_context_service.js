@@ -0,0 +1,82 @@
+/**
+ * Unit Test: PageContextService
+ * Tests the page context comparison the content script runs after client-side navigations,
+ * and which hosts the extension is active on
+ */
+
+const PageContextService = require('../../src/services/PageContextService');
+
+describe('PageContextService Unit Tests', () => {
+  describe('compareContexts', () => {
+    test('should report a language change between routes', () => {
+      const result = PageContextService.compareContexts(
+        PageContextService.analyzeUrl('https://www.kkday.com/zh-tw/product/123'),
+        PageContextService.analyzeUrl('https://www.kkday.com/en/product/123')
+      );
+
+      expect(result.hasChanges).toBe(true);
+      expect(result.changes.languageChanged).toBe(true);
+      expect(result.changes.pageTypeChanged).toBe(false);
+      expect(result.requiresReinitialization).toBe(false);
+    });
+
+    test('should report a page type change and the new extraction strategy', () => {
+      const result = PageContextService.compareContexts(
+        PageContextService.analyzeUrl('https://www.kkday.com/zh-tw/'),
+        PageContextService.analyzeUrl('https://www.kkday.com/zh-tw/product/123')
+      );
+
+      expect(result.changes.languageChanged).toBe(false);
+      expect(result.changes.pageTypeChanged).toBe(true);
+      expect(result.changes.strategyChanged).toBe(true);
+    });
+
+    test('should only report a path change within the same page type', () => {
+      const result = PageContextService.compareContexts(
+        PageContextService.analyzeUrl('https://www.kkday.com/zh-tw/product/123'),
+        PageContextService.analyzeUrl('https://www.kkday.com/zh-tw/product/456?tab=review')
+      );
+
+      expect(result.changes).toEqual({
+        domainChanged: false,
+        pathChanged: true,
+        languageChanged: false,
+        pageTypeChanged: false,
+        activationChanged: false,
+        strategyChanged: false
+      });
+    });
+
+    test('should reject values that are not page contexts', () => {
+      const context = PageContextService.analyzeUrl('https://www.kkday.com/zh-tw/');
+      expect(() => PageContextService.compareContexts(context, { domain: 'www.kkday.com' }))
+        .toThrow('Both contexts must be valid PageContext instances');
+    });
+  });
+
+  describe('shouldExtensionBeActive', () => {
+    const granted = ['*://localhost:3000/*'];
+
+    test('should activate on KKday and on hosts with a granted permission', () => {
+      const kkday = PageContextService.analyzeUrl('https://www.kkday.com/zh-tw/');
+      const localhost = PageContextService.analyzeUrl('http://localhost:3000/zh-tw/');
+
+      expect(PageContextService.shouldExtensionBeActive(kkday)).toBe(true);
+      expect(PageContextService.shouldExtensionBeActive(localhost)).toBe(false);
+      expect(PageContextService.shouldExtensionBeActive(localhost, granted)).toBe(true);
+    });
+
+    test('should validate granted hosts for detected extraction and reject others', () => {
+      const localhost = PageContextService.analyzeUrl('http://localhost:3000/zh-tw/');
+
+      expect(PageContextService.validateForDataExtraction(localhost, granted)).toMatchObject({
+        isValid: true,
+        strategy: { strategy: 'detect', globalVariablePath: null, language: 'zh-tw' }
+      });
+      expect(PageContextService.getErrorMessage(localhost, granted)).toBe('頁面分析正常');
+
+      expect(PageContextService.validateForDataExtraction(localhost).isValid).toBe(false);
+      expect(PageContextService.getErrorMessage(localhost)).toContain('已授權的網域');
+    });
+  });
+});
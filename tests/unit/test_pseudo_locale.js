@@ -0,0 +1,45 @@
+/**
+ * Unit Test: PseudoLocale
+ * Tests the pseudo-localized text QA uses to spot hardcoded strings and clipped layouts
+ */
+
+const PseudoLocale = require('../../src/lib/pseudo-locale');
+
+describe('PseudoLocale Unit Tests', () => {
+  describe('pseudoLocalize', () => {
+    test('should accent letters, expand the text and add bracket markers', () => {
+      expect(PseudoLocale.pseudoLocalize('Book now')).toBe('[Ɓööķ ñöŵ ~~]');
+    });
+
+    test('should keep placeholders, digits and surrounding whitespace', () => {
+      const options = { expansion: 0 };
+      expect(PseudoLocale.pseudoLocalize('Hi {name}, %s left', options)).toBe('[Ĥî {name}, %s ļéƒţ]');
+      expect(PseudoLocale.pseudoLocalize('{{count}} reviews at 10:30', options)).toBe('[{{count}} ŕéṽîéŵš áţ 10:30]');
+      expect(PseudoLocale.pseudoLocalize('  Pay :amount\n', options)).toBe('  [Þáý :amount]\n');
+    });
+
+    test('should expand by the configured ratio of visible characters', () => {
+      expect(PseudoLocale.pseudoLocalize('立即預訂', { expansion: 0.5 })).toBe('[立即預訂 ~~]');
+      expect(PseudoLocale.pseudoLocalize('Go', { expansion: 1, accents: false, brackets: false })).toBe('Go ~~');
+    });
+
+    test('should leave empty and whitespace-only text unchanged', () => {
+      expect(PseudoLocale.pseudoLocalize('')).toBe('');
+      expect(PseudoLocale.pseudoLocalize('  \n')).toBe('  \n');
+      expect(PseudoLocale.pseudoLocalize(null)).toBeNull();
+    });
+  });
+
+  describe('normalizeOptions', () => {
+    test('should fill in defaults and clamp the expansion', () => {
+      expect(PseudoLocale.normalizeOptions()).toEqual(PseudoLocale.DEFAULT_OPTIONS);
+      expect(PseudoLocale.normalizeOptions({ expansion: 5, brackets: false })).toEqual({
+        expansion: PseudoLocale.MAX_EXPANSION,
+        accents: true,
+        brackets: false
+      });
+      expect(PseudoLocale.normalizeOptions({ expansion: 'x' }).expansion).toBe(0.3);
+      expect(PseudoLocale.normalizeOptions({ expansion: -1 }).expansion).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Unit Test: TextDiff
+ * Tests the word-level diff shown when comparing translation snapshots
+ */
+
+const TextDiff = require('../../src/lib/text-diff');
+
+describe('TextDiff Unit Tests', () => {
+  const join = parts => parts.filter(part => part.type !== 'insert').map(part => part.text).join('');
+  const joinAfter = parts => parts.filter(part => part.type !== 'delete').map(part => part.text).join('');
+
+  describe('tokenize', () => {
+    test('should split Latin text into words and whitespace', () => {
+      expect(TextDiff.tokenize('Book now, pay later')).toEqual(['Book', ' ', 'now', ',', ' ', 'pay', ' ', 'later']);
+    });
+
+    test('should split CJK text into characters and keep placeholders readable', () => {
+      expect(TextDiff.tokenize('立即預訂')).toEqual(['立', '即', '預', '訂']);
+      expect(TextDiff.tokenize('共 {count} 則')).toEqual(['共', ' ', '{', 'count', '}', ' ', '則']);
+    });
+
+    test('should handle empty values', () => {
+      expect(TextDiff.tokenize('')).toEqual([]);
+      expect(TextDiff.tokenize(null)).toEqual([]);
+    });
+  });
+
+  describe('diffWords', () => {
+    test('should mark only the changed word', () => {
+      expect(TextDiff.diffWords('Book now and save', 'Book today and save')).toEqual([
+        { type: 'equal', text: 'Book ' },
+        { type: 'delete', text: 'now' },
+        { type: 'insert', text: 'today' },
+        { type: 'equal', text: ' and save' }
+      ]);
+    });
+
+    test('should diff CJK values character by character', () => {
+      expect(TextDiff.diffWords('立即預訂', '立即購買')).toEqual([
+        { type: 'equal', text: '立即' },
+        { type: 'delete', text: '預訂' },
+        { type: 'insert', text: '購買' }
+      ]);
+    });
+
+    test('should rebuild both values from the parts', () => {
+      const before = 'Free cancellation up to 24 hours before';
+      const after = 'Free cancellation up to 48 hours before the activity';
+      const parts = TextDiff.diffWords(before, after);
+
+      expect(join(parts)).toBe(before);
+      expect(joinAfter(parts)).toBe(after);
+    });
+
+    test('should return a single equal part for identical values', () => {
+      expect(TextDiff.diffWords('same', 'same')).toEqual([{ type: 'equal', text: 'same' }]);
+      expect(TextDiff.diffWords('', '')).toEqual([]);
+    });
+
+    test('should fall back to a whole replacement for very long values', () => {
+      const before = 'Intro ' + Array.from({ length: 600 }, (_, i) => `a${i}`).join(' ');
+      const after = 'Intro ' + Array.from({ length: 600 }, (_, i) => `b${i}`).join(' ');
+      const parts = TextDiff.diffWords(before, after);
+
+      expect(parts.map(part => part.type)).toEqual(['equal', 'delete', 'insert']);
+      expect(join(parts)).toBe(before);
+      expect(joinAfter(parts)).toBe(after);
+    });
+  });
+});
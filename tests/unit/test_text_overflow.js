@@ -0,0 +1,61 @@
+/**
+ * Unit Test: TextOverflow
+ * Tests how clipped translations are detected from layout metrics and how much of them is cut
+ */
+
+const TextOverflow = require('../../src/lib/text-overflow');
+
+describe('TextOverflow Unit Tests', () => {
+  const box = (overrides) => ({
+    scrollWidth: 100,
+    clientWidth: 100,
+    scrollHeight: 20,
+    clientHeight: 20,
+    overflowX: 'visible',
+    overflowY: 'visible',
+    textOverflow: 'clip',
+    lineClamp: 'none',
+    ...overrides
+  });
+
+  describe('detectClipping', () => {
+    test('should detect text cut with an ellipsis', () => {
+      const result = TextOverflow.detectClipping(box({ scrollWidth: 200, overflowX: 'hidden', textOverflow: 'ellipsis' }));
+      expect(result).toEqual({ reasons: ['ellipsis'], visibleRatio: 0.5 });
+    });
+
+    test('should detect line clamps even when vertical overflow is visible', () => {
+      const result = TextOverflow.detectClipping(box({ scrollHeight: 80, clientHeight: 40, lineClamp: '2' }));
+      expect(result).toEqual({ reasons: ['line-clamp'], visibleRatio: 0.5 });
+    });
+
+    test('should detect plain hidden overflow on both axes', () => {
+      const result = TextOverflow.detectClipping(box({
+        scrollWidth: 200, scrollHeight: 40, overflowX: 'hidden', overflowY: 'clip'
+      }));
+      expect(result).toEqual({ reasons: ['hidden-overflow'], visibleRatio: 0.25 });
+    });
+
+    test('should ignore overflow that spills, scrolls or stays within the tolerance', () => {
+      expect(TextOverflow.detectClipping(box({ scrollWidth: 200 }))).toBeNull();
+      expect(TextOverflow.detectClipping(box({ scrollWidth: 200, overflowX: 'auto', textOverflow: 'ellipsis' }))).toBeNull();
+      expect(TextOverflow.detectClipping(box({ scrollWidth: 101, overflowX: 'hidden' }))).toBeNull();
+      expect(TextOverflow.detectClipping(box({ scrollWidth: 0, clientWidth: 0, overflowX: 'hidden' }))).toBeNull();
+      expect(TextOverflow.detectClipping(null)).toBeNull();
+    });
+  });
+
+  describe('estimateCutCharacters', () => {
+    test('should count the hidden share of the text in code points', () => {
+      expect(TextOverflow.estimateCutCharacters('Jetzt verbindlich buchen', 0.5)).toBe(12);
+      expect(TextOverflow.estimateCutCharacters('今すぐ予約する', 0.5)).toBe(4);
+    });
+
+    test('should count the character under the ellipsis and report at least one', () => {
+      expect(TextOverflow.estimateCutCharacters('Jetzt verbindlich buchen', 0.5, true)).toBe(13);
+      expect(TextOverflow.estimateCutCharacters('Buchen', 0.99)).toBe(1);
+      expect(TextOverflow.estimateCutCharacters('Buchen', 0, true)).toBe(6);
+      expect(TextOverflow.estimateCutCharacters('  ', 0.5)).toBe(0);
+    });
+  });
+});
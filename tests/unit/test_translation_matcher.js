@@ -0,0 +1,274 @@
+/**
+ * Unit Test: TranslationMatcher
+ * Tests resolving rendered text back to ranked translation candidates
+ */
+
+const TranslationMatcher = require('../../src/lib/translation-matcher');
+
+describe('TranslationMatcher Unit Tests', () => {
+  let entries;
+
+  beforeEach(() => {
+    entries = [
+      { key: 'common.button.order_now', val: '立即訂購' },
+      { key: 'product.booking.order_now', val: '立即訂購' },
+      { key: 'cart.checkout.order_now', val: '立即訂購' },
+      { key: 'product.booking.order_now_hint', val: '立即訂購享優惠' },
+      { key: 'common.order', val: '訂購' },
+      { key: 'common.title', val: 'Hello World' }
+    ];
+  });
+
+  describe('tokenize', () => {
+    test('should split keys, classes and camelCase identifiers', () => {
+      expect(TranslationMatcher.tokenize('product.bookingButton')).toEqual(['product', 'booking', 'button']);
+      expect(TranslationMatcher.tokenize('btn-book_now')).toEqual(['btn', 'book', 'now']);
+    });
+
+    test('should drop single characters and handle empty input', () => {
+      expect(TranslationMatcher.tokenize('a-b-cd')).toEqual(['cd']);
+      expect(TranslationMatcher.tokenize('')).toEqual([]);
+      expect(TranslationMatcher.tokenize(null)).toEqual([]);
+    });
+  });
+
+  describe('scoreContext', () => {
+    test('should return share of key words present in context', () => {
+      const score = TranslationMatcher.scoreContext('product.booking.order_now', ['booking', 'form', 'product']);
+      expect(score).toBe(0.5);
+    });
+
+    test('should return 0 without context', () => {
+      expect(TranslationMatcher.scoreContext('product.booking', [])).toBe(0);
+    });
+  });
+
+  describe('findCandidates', () => {
+    test('should return every exact match instead of only the first', () => {
+      const candidates = TranslationMatcher.findCandidates(entries, '立即訂購');
+      const exact = candidates.filter(c => c.matchType === 'exact');
+
+      expect(exact).toHaveLength(3);
+      expect(exact.every(c => c.score === 1.0)).toBe(true);
+    });
+
+    test('should rank exact before partial before reverse matches', () => {
+      const candidates = TranslationMatcher.findCandidates(entries, '立即訂購');
+      const types = candidates.map(c => c.matchType);
+
+      expect(types).toEqual(['exact', 'exact', 'exact', 'partial', 'reverse']);
+    });
+
+    test('should use DOM context to pick the most likely key', () => {
+      const candidates = TranslationMatcher.findCandidates(entries, '立即訂購', {
+        contextTokens: ['div', 'booking', 'panel', 'product']
+      });
+
+      expect(candidates[0].entry.key).toBe('product.booking.order_now');
+      expect(candidates[0].isLikely).toBe(true);
+      expect(candidates.filter(c => c.isLikely)).toHaveLength(1);
+    });
+
+    test('should not flag a likely key without supporting context', () => {
+      const candidates = TranslationMatcher.findCandidates(entries, '立即訂購');
+      expect(candidates.some(c => c.isLikely)).toBe(false);
+    });
+
+    test('should match case-insensitively and ignore surrounding whitespace', () => {
+      const candidates = TranslationMatcher.findCandidates(entries, '  hello world ');
+      expect(candidates[0].entry.key).toBe('common.title');
+      expect(candidates[0].matchType).toBe('exact');
+    });
+
+    test('should cap partial and reverse scores', () => {
+      const partial = TranslationMatcher.findCandidates(entries, 'Hello')[0];
+      expect(partial.matchType).toBe('partial');
+      expect(partial.score).toBeLessThanOrEqual(0.8);
+
+      const reverse = TranslationMatcher.findCandidates(entries, 'Hello World and more')[0];
+      expect(reverse.matchType).toBe('reverse');
+      expect(reverse.score).toBeLessThanOrEqual(0.6);
+    });
+
+    test('should respect the limit option', () => {
+      const candidates = TranslationMatcher.findCandidates(entries, '立即訂購', { limit: 2 });
+      expect(candidates).toHaveLength(2);
+    });
+
+    test('should return empty array for invalid input', () => {
+      expect(TranslationMatcher.findCandidates(entries, '')).toEqual([]);
+      expect(TranslationMatcher.findCandidates(null, '立即訂購')).toEqual([]);
+      expect(TranslationMatcher.findCandidates(entries, '不存在的文字')).toEqual([]);
+    });
+  });
+
+  describe('compileTemplate', () => {
+    test('should return null for values without placeholders', () => {
+      expect(TranslationMatcher.compileTemplate('立即訂購')).toBeNull();
+    });
+
+    test('should return null for values made only of placeholders', () => {
+      expect(TranslationMatcher.compileTemplate('{name}')).toBeNull();
+      expect(TranslationMatcher.compileTemplate('%s %d')).toBeNull();
+    });
+
+    test('should not treat times or URLs as :name placeholders', () => {
+      expect(TranslationMatcher.compileTemplate('營業時間 10:30')).toBeNull();
+      expect(TranslationMatcher.compileTemplate('前往 https://www.kkday.com')).toBeNull();
+    });
+
+    test('should collect placeholders in order', () => {
+      const template = TranslationMatcher.compileTemplate('{{ name }} 有 {count} 筆，%s 與 :unit');
+      expect(template.placeholders).toEqual(['{{ name }}', '{count}', '%s', ':unit']);
+    });
+  });
+
+  describe('matchTemplate', () => {
+    test('should match {name} placeholders and report filled values', () => {
+      const result = TranslationMatcher.matchTemplate('共 {count} 則評論', '共 128 則評論');
+      expect(result.params).toEqual([{ placeholder: '{count}', value: '128' }]);
+      expect(result.score).toBeGreaterThan(0.7);
+      expect(result.score).toBeLessThanOrEqual(0.95);
+    });
+
+    test('should match %s, %d, {{name}} and :name placeholders', () => {
+      expect(TranslationMatcher.matchTemplate('%s 人已訂購', '1,280 人已訂購').params[0].value).toBe('1,280');
+      expect(TranslationMatcher.matchTemplate('剩 %d 位', '剩 5 位').params[0].value).toBe('5');
+      expect(TranslationMatcher.matchTemplate('Hi {{name}}!', 'Hi Amy!').params[0].value).toBe('Amy');
+      expect(TranslationMatcher.matchTemplate(':count reviews', '12 reviews').params[0].value).toBe('12');
+    });
+
+    test('should only accept numbers for %d', () => {
+      expect(TranslationMatcher.matchTemplate('剩 %d 位', '剩 幾 位')).toBeNull();
+    });
+
+    test('should tolerate whitespace and case differences', () => {
+      const result = TranslationMatcher.matchTemplate('You have {n} items', '  you  have 3 ITEMS ');
+      expect(result.params[0].value).toBe('3');
+    });
+
+    test('should return null when literal text differs', () => {
+      expect(TranslationMatcher.matchTemplate('共 {count} 則評論', '共 128 則留言')).toBeNull();
+    });
+  });
+
+  describe('rendersValue', () => {
+    test('should match the value as rendered, ignoring case and extra whitespace', () => {
+      expect(TranslationMatcher.rendersValue('Book now', '  book   now\n')).toBe(true);
+      expect(TranslationMatcher.rendersValue('Book now', 'Book now and save')).toBe(false);
+    });
+
+    test('should match interpolated forms of values with placeholders', () => {
+      expect(TranslationMatcher.rendersValue('共 {count} 則評論', '共 128 則評論')).toBe(true);
+      expect(TranslationMatcher.rendersValue('共 {count} 則評論', '共\n  128\n  則評論')).toBe(true);
+      expect(TranslationMatcher.rendersValue('共 {count} 則評論', '共 128 則留言')).toBe(false);
+    });
+
+    test('should not match empty values or text', () => {
+      expect(TranslationMatcher.rendersValue('', '')).toBe(false);
+      expect(TranslationMatcher.rendersValue('Book now', '')).toBe(false);
+      expect(TranslationMatcher.rendersValue(null, 'Book now')).toBe(false);
+    });
+  });
+
+  describe('previewValue', () => {
+    test('should show the new value in place of text rendering the old one', () => {
+      expect(TranslationMatcher.previewValue('Book now', 'Reserve now', ' book  now ')).toBe('Reserve now');
+      expect(TranslationMatcher.previewValue('Book now', 'Reserve now', 'Sold out')).toBeNull();
+    });
+
+    test('should carry placeholder values over to the new value', () => {
+      expect(TranslationMatcher.previewValue('共 {count} 則評論', '{count} 則評論', '共 128 則評論')).toBe('128 則評論');
+      expect(TranslationMatcher.previewValue('%s 到 %s', '從 %s 至 %s', '台北 到 東京')).toBe('從 台北 至 東京');
+      expect(TranslationMatcher.previewValue('共 {count} 則評論', '{total} 則評論', '共 128 則評論')).toBe('{total} 則評論');
+    });
+  });
+
+  describe('findTemplateMatches', () => {
+    test('should map interpolated text back to its template key', () => {
+      const data = [
+        { key: 'review.count', val: '共 {count} 則評論' },
+        { key: 'order.count', val: '%s 人已訂購' },
+        { key: 'common.title', val: '評論' }
+      ];
+
+      const matches = TranslationMatcher.findTemplateMatches(data, '共 128 則評論');
+      expect(matches).toHaveLength(1);
+      expect(matches[0].entry.key).toBe('review.count');
+      expect(matches[0].params[0].value).toBe('128');
+    });
+
+    test('should return empty array for blank text', () => {
+      expect(TranslationMatcher.findTemplateMatches(entries, '  ')).toEqual([]);
+    });
+  });
+
+  describe('mergeTracedCandidates', () => {
+    test('should rank traced keys first and drop value matches for the same key', () => {
+      const candidates = TranslationMatcher.findCandidates(entries, '立即訂購');
+      const merged = TranslationMatcher.mergeTracedCandidates([
+        { key: 'product.booking.order_now', val: '立即訂購', params: [] }
+      ], candidates);
+
+      expect(merged[0].matchType).toBe('traced');
+      expect(merged[0].score).toBe(1.0);
+      expect(merged[0].params).toBeNull();
+      expect(merged.filter(c => c.entry.key === 'product.booking.order_now')).toHaveLength(1);
+      expect(merged).toHaveLength(candidates.length);
+    });
+
+    test('should keep traced interpolation params', () => {
+      const merged = TranslationMatcher.mergeTracedCandidates([
+        { key: 'review.count', val: '共 128 則評論', params: [{ placeholder: '{count}', value: '128' }] }
+      ], []);
+
+      expect(merged[0].params).toEqual([{ placeholder: '{count}', value: '128' }]);
+    });
+
+    test('should return value matches unchanged without traces', () => {
+      const candidates = TranslationMatcher.findCandidates(entries, '立即訂購');
+      expect(TranslationMatcher.mergeTracedCandidates([], candidates, 2)).toEqual(candidates.slice(0, 2));
+    });
+  });
+
+  describe('isConfidentMatch', () => {
+    test('should not count hardcoded text sharing a fragment with a value as translated', () => {
+      const data = [
+        { key: 'common.day', val: '日' },
+        { key: 'form.email_hint', val: '請輸入您的電子郵件地址' }
+      ];
+
+      const reverse = TranslationMatcher.findCandidates(data, '限時優惠至 12 月 31 日', { limit: 1 });
+      const partial = TranslationMatcher.findCandidates(data, '電子郵件', { limit: 1 });
+      expect(reverse[0].matchType).toBe('reverse');
+      expect(partial[0].matchType).toBe('partial');
+      expect(TranslationMatcher.isConfidentMatch(reverse[0])).toBe(false);
+      expect(TranslationMatcher.isConfidentMatch(partial[0])).toBe(false);
+      expect(TranslationMatcher.isConfidentMatch(undefined)).toBe(false);
+    });
+
+    test('should count traced, exact and template matches', () => {
+      const data = [{ key: 'review.count', val: '共 {count} 則評論' }, ...entries];
+
+      expect(TranslationMatcher.isConfidentMatch(TranslationMatcher.findCandidates(data, '立即訂購')[0])).toBe(true);
+      expect(TranslationMatcher.isConfidentMatch(TranslationMatcher.findCandidates(data, '共 12 則評論')[0])).toBe(true);
+      expect(TranslationMatcher.isConfidentMatch(
+        TranslationMatcher.mergeTracedCandidates([{ key: 'a', val: '限時優惠', params: [] }], [])[0]
+      )).toBe(true);
+    });
+  });
+
+  describe('findCandidates with templates', () => {
+    test('should rank template matches after exact and before partial matches', () => {
+      const data = [
+        { key: 'review.count', val: '共 {count} 則評論' },
+        { key: 'review.count_literal', val: '共 128 則評論' },
+        { key: 'review.count_long', val: '共 128 則評論與回覆' }
+      ];
+
+      const candidates = TranslationMatcher.findCandidates(data, '共 128 則評論');
+      expect(candidates.map(c => c.matchType)).toEqual(['exact', 'template', 'partial']);
+      expect(candidates[1].params).toEqual([{ placeholder: '{count}', value: '128' }]);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit Test: TranslationSnapshot
+ * Tests the versioned translation snapshots cached by the service worker
+ */
+
+const TranslationSnapshot = require('../../src/lib/translation-snapshot');
+
+describe('TranslationSnapshot Unit Tests', () => {
+  const entries = [
+    { key: 'common.ok', val: '確定' },
+    { key: 'common.cancel', val: '取消' },
+    { key: 'product.title', val: '商品' }
+  ];
+
+  describe('hashEntries', () => {
+    test('should not depend on entry order', () => {
+      const reversed = entries.slice().reverse();
+      expect(TranslationSnapshot.hashEntries(reversed)).toBe(TranslationSnapshot.hashEntries(entries));
+      expect(TranslationSnapshot.hashEntries(entries)).toMatch(/^[0-9a-f]{8}$/);
+    });
+
+    test('should change when a key or value changes', () => {
+      const renamed = [{ key: 'common.okay', val: '確定' }, ...entries.slice(1)];
+      const edited = [{ key: 'common.ok', val: '好' }, ...entries.slice(1)];
+
+      expect(TranslationSnapshot.hashEntries(renamed)).not.toBe(TranslationSnapshot.hashEntries(entries));
+      expect(TranslationSnapshot.hashEntries(edited)).not.toBe(TranslationSnapshot.hashEntries(entries));
+    });
+  });
+
+  describe('createSnapshot', () => {
+    test('should key snapshots by origin, locale and hash', () => {
+      const snapshot = TranslationSnapshot.createSnapshot({
+        origin: 'https://www.kkday.com',
+        locale: 'zh_TW',
+        data: entries,
+        source: { id: 'nuxt2-state', label: 'Nuxt 2' }
+      }, 1000);
+
+      expect(snapshot.locale).toBe('zh-tw');
+      expect(snapshot.id).toBe(`https://www.kkday.com|zh-tw|${snapshot.hash}`);
+      expect(snapshot.count).toBe(3);
+      expect(snapshot.savedAt).toBe(1000);
+      expect(snapshot.locales).toEqual({});
+    });
+
+    test('should require an origin', () => {
+      expect(() => TranslationSnapshot.createSnapshot({ data: entries })).toThrow('Snapshot origin is required');
+    });
+  });
+
+  describe('pickLatest and getPrunableIds', () => {
+    const snapshots = [
+      { id: 'a', origin: 'o', locale: 'zh-tw', savedAt: 1 },
+      { id: 'b', origin: 'o', locale: 'zh-tw', savedAt: 4 },
+      { id: 'c', origin: 'o', locale: 'en', savedAt: 5 },
+      { id: 'd', origin: 'o', locale: 'zh-tw', savedAt: 3 },
+      { id: 'e', origin: 'o', locale: 'zh-tw', savedAt: 2 }
+    ];
+
+    test('should prefer the newest snapshot in the requested locale', () => {
+      expect(TranslationSnapshot.pickLatest(snapshots, 'zh-TW').id).toBe('b');
+      expect(TranslationSnapshot.pickLatest(snapshots, 'ja').id).toBe('c');
+      expect(TranslationSnapshot.pickLatest(snapshots, '').id).toBe('c');
+      expect(TranslationSnapshot.pickLatest([], 'en')).toBeNull();
+    });
+
+    test('should keep the newest versions of each locale', () => {
+      expect(TranslationSnapshot.getPrunableIds(snapshots, 3)).toEqual(['a']);
+      expect(TranslationSnapshot.getPrunableIds(snapshots, 1).sort()).toEqual(['a', 'd', 'e']);
+    });
+  });
+
+  describe('diffEntries', () => {
+    test('should report added, removed and changed keys', () => {
+      const fresh = [
+        { key: 'common.ok', val: '好的' },
+        { key: 'common.cancel', val: '取消' },
+        { key: 'product.price', val: '價格' }
+      ];
+      const diff = TranslationSnapshot.diffEntries(entries, fresh);
+
+      expect(diff.added).toEqual([{ key: 'product.price', val: '價格' }]);
+      expect(diff.removed).toEqual([{ key: 'product.title', val: '商品' }]);
+      expect(diff.changed).toEqual([{ key: 'common.ok', before: '確定', after: '好的' }]);
+      expect(diff.unchanged).toBe(1);
+      expect(TranslationSnapshot.hasChanges(diff)).toBe(true);
+    });
+
+    test('should report no changes for identical data', () => {
+      const diff = TranslationSnapshot.diffEntries(entries, entries.slice().reverse());
+      expect(TranslationSnapshot.hasChanges(diff)).toBe(false);
+      expect(diff.unchanged).toBe(3);
+    });
+  });
+
+  describe('isStale and getUrlLocale', () => {
+    test('should flag snapshots older than the threshold', () => {
+      const now = 10 * TranslationSnapshot.STALE_AFTER_MS;
+      expect(TranslationSnapshot.isStale({ savedAt: now - 1000 }, now)).toBe(false);
+      expect(TranslationSnapshot.isStale({ savedAt: now - TranslationSnapshot.STALE_AFTER_MS - 1 }, now)).toBe(true);
+      expect(TranslationSnapshot.isStale(null, now)).toBe(true);
+    });
+
+    test('should read the locale from the first path segment', () => {
+      expect(TranslationSnapshot.getUrlLocale('https://www.kkday.com/zh-tw/product/123')).toBe('zh-tw');
+      expect(TranslationSnapshot.getUrlLocale('https://www.kkday.com/en/')).toBe('en');
+      expect(TranslationSnapshot.getUrlLocale('https://www.kkday.com/product/123')).toBe('');
+      expect(TranslationSnapshot.getUrlLocale('not a url')).toBe('');
+    });
+  });
+});